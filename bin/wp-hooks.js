@@ -1,44 +1,72 @@
 #!/usr/bin/env node
 
+import { resolve, dirname } from 'node:path';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
 import { Command } from 'commander';
 import {
   addSource,
   listSources,
   getSource,
   removeSource,
+  addSourceVersion,
   searchHooks,
   searchBlockApis,
   searchDocs,
   validateHook,
+  getHookListeners,
+  getHookChanges,
   getStats,
   rebuildFtsIndex,
   isSourceIndexed,
   getStaleSources,
+  exportSnapshot,
+  importSnapshot,
+  readSnapshotManifest,
+  getMigrationStatus,
+  getDb,
   closeDb,
 } from '../src/db/sqlite.js';
 import { indexSources } from '../src/indexer/index-manager.js';
-import { getPreset, listPresets } from '../src/presets.js';
+import { indexHookHistory } from '../src/indexer/history.js';
+import { compareSourceHooks, formatHookDiffMarkdown } from '../src/hook-diff.js';
+import { planDiscovery, applyDiscovery } from '../src/discover.js';
+import { watchSources, DEFAULT_DEBOUNCE_MS } from '../src/watcher.js';
+import { exportSourceManifest, parseSourceManifest, planSourceImport, applySourceImport } from '../src/source-manifest.js';
+import { getPreset, listPresets, PRESET_MANIFEST } from '../src/presets.js';
 
 const program = new Command();
 
 program
   .name('wp-hooks')
   .description('WordPress hook indexer, doc searcher, and MCP server CLI')
-  .version('2.0.0');
+  .version('2.0.0')
+  // Program options only before the command, so commands can take their own --version <ref>
+  .enablePositionalOptions();
 
 function printIndexStats(stats) {
   console.log(`  Files processed:   ${stats.files_processed}`);
   console.log(`  Files skipped:     ${stats.files_skipped}`);
+  console.log(`  Files deleted:     ${stats.files_deleted}`);
   console.log(`  Hooks inserted:    ${stats.hooks_inserted}`);
   console.log(`  Hooks updated:     ${stats.hooks_updated}`);
   console.log(`  Hooks unchanged:   ${stats.hooks_skipped}`);
   console.log(`  Hooks removed:     ${stats.hooks_removed}`);
+  console.log(`  Hooks moved:       ${stats.hooks_moved}`);
+  console.log(`  Listeners indexed: ${stats.listeners_indexed}`);
+  console.log(`  Listeners removed: ${stats.listeners_removed}`);
+  console.log(`  Symbols indexed:   ${stats.symbols_indexed}`);
+  console.log(`  Symbols removed:   ${stats.symbols_removed}`);
+  console.log(`  Routes indexed:    ${stats.rest_routes_indexed}`);
+  console.log(`  Routes removed:    ${stats.rest_routes_removed}`);
   console.log(`  Blocks indexed:    ${stats.blocks_indexed}`);
+  console.log(`  Blocks removed:    ${stats.blocks_removed}`);
   console.log(`  APIs indexed:      ${stats.apis_indexed}`);
+  console.log(`  APIs removed:      ${stats.apis_removed}`);
   console.log(`  Docs inserted:     ${stats.docs_inserted}`);
   console.log(`  Docs updated:      ${stats.docs_updated}`);
   console.log(`  Docs unchanged:    ${stats.docs_skipped}`);
   console.log(`  Docs removed:      ${stats.docs_removed}`);
+  console.log(`  Throughput:        ${stats.files_per_second} files/s (${stats.index_seconds.toFixed(1)}s)`);
 
   if (stats.errors.length > 0) {
     console.log(`\n  Errors (${stats.errors.length}):`);
@@ -48,18 +76,29 @@ function printIndexStats(stats) {
   }
 }
 
+function parseWorkers(value) {
+  if (value === undefined) return undefined;
+  const workers = Number(value);
+  if (!Number.isInteger(workers) || workers < 0) throw new Error(`--workers takes a whole number, got "${value}"`);
+  return workers;
+}
+
 // --- source:add ---
 program
   .command('source:add')
   .description('Add a new source to index')
   .requiredOption('--name <name>', 'Unique source name')
-  .requiredOption('--type <type>', 'Source type: github-public, github-private, local-folder')
-  .option('--repo <url>', 'Repository URL (for github types)')
+  .requiredOption('--type <type>', 'Source type: github-public, github-private, git, local-folder, archive')
+  .option('--repo <url>', 'Repository URL (for github and git types) — for git also git@host:org/repo.git, file:// or a local repo path')
   .option('--subfolder <path>', 'Subfolder within repo to index')
   .option('--path <path>', 'Local folder path (for local-folder type)')
+  .option('--archive <file>', 'Local .zip/.tar.gz archive (for archive type)')
   .option('--token-env <var>', 'Environment variable name containing GitHub token')
-  .option('--branch <branch>', 'Git branch (default: main)', 'main')
+  .option('--ssh-key <path>', 'SSH private key for the remote (for git type)')
+  .option('--credential-helper <helper>', 'Git credential helper for HTTPS remotes, e.g. store or "cache --timeout=3600" (for git type)')
+  .option('--branch <branch>', 'Git branch — git type also takes a tag or commit SHA (default: main)', 'main')
   .option('--content-type <type>', 'Content type: source or docs (default: source)', 'source')
+  .option('--versions <refs>', 'Comma-separated extra tags/branches to index side by side, e.g. 8.9.0,9.0.0')
   .option('--no-index', 'Skip automatic indexing after adding')
   .action(async (opts) => {
     try {
@@ -68,20 +107,33 @@ program
         console.error(`Source "${opts.name}" already exists. Remove it first.`);
         process.exit(1);
       }
+      if (Boolean(opts.archive) !== (opts.type === 'archive')) {
+        throw new Error('--archive <file> goes together with --type archive');
+      }
+      if ((opts.sshKey || opts.credentialHelper) && opts.type !== 'git') {
+        throw new Error('--ssh-key and --credential-helper go together with --type git');
+      }
 
       addSource({
         name: opts.name,
         type: opts.type,
-        repo_url: opts.repo || null,
+        repo_url: opts.type === 'git' && opts.repo && existsSync(opts.repo) ? resolve(opts.repo) : opts.repo || null,
         subfolder: opts.subfolder || null,
-        local_path: opts.path || null,
+        local_path: opts.archive ? resolve(opts.archive) : opts.path || null,
         token_env_var: opts.tokenEnv || null,
+        ssh_key_path: opts.sshKey ? resolve(opts.sshKey) : null,
+        credential_helper: opts.credentialHelper || null,
         branch: opts.branch,
         content_type: opts.contentType,
       });
 
       console.log(`Source "${opts.name}" added successfully (content_type: ${opts.contentType}).`);
 
+      for (const ref of (opts.versions || '').split(',').map(v => v.trim()).filter(Boolean)) {
+        const version = addSourceVersion(opts.name, ref);
+        console.log(`Tracking version "${ref}" as "${version.name}".`);
+      }
+
       if (opts.index) {
         console.log(`\nIndexing "${opts.name}"...`);
         const stats = await indexSources({ sourceName: opts.name });
@@ -96,6 +148,32 @@ program
     }
   });
 
+// --- source:add-version ---
+program
+  .command('source:add-version <name> <refs...>')
+  .description('Track more tags/branches of a git source, each indexed as "<name>@<ref>"')
+  .option('--no-index', 'Skip automatic indexing after adding')
+  .action(async (name, refs, opts) => {
+    try {
+      const added = refs.map(ref => addSourceVersion(name, ref));
+      for (const version of added) {
+        console.log(`Tracking version "${version.version}" of "${name}" as "${version.name}".`);
+      }
+
+      if (opts.index) {
+        for (const version of added) {
+          console.log(`\nIndexing "${version.name}"...`);
+          printIndexStats(await indexSources({ sourceName: version.name }));
+        }
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
 // --- source:list ---
 
 function formatRelativeTime(isoString) {
@@ -164,6 +242,55 @@ program
     }
   });
 
+// --- discover ---
+program
+  .command('discover <wp-root>')
+  .description('Register every plugin, mu-plugin and theme of a WordPress install as a source and index them')
+  .option('--prefix <prefix>', 'Source name prefix (default: the install folder name)')
+  .option('--prune', 'Remove sources whose plugin or theme is no longer installed')
+  .option('--dry-run', 'Show what would change without registering or indexing anything')
+  .option('--no-index', 'Skip indexing after registering')
+  .action(async (wpRoot, opts) => {
+    try {
+      const plan = planDiscovery(wpRoot, { prefix: opts.prefix });
+      const describe = p => `${(p.package_type || '').padEnd(11)} ${p.package_name || ''}${p.package_version ? ` ${p.package_version}` : ''}`;
+
+      console.log(`WordPress install: ${plan.wp_root}\n`);
+      for (const data of plan.add) console.log(`  + ${data.name.padEnd(35)} ${describe(data)}`);
+      for (const { source, ...meta } of plan.update) {
+        const was = source.package_version !== meta.package_version ? ` (was ${source.package_version || 'unversioned'})` : '';
+        console.log(`  ~ ${source.name.padEnd(35)} ${describe(meta)}${was}`);
+      }
+      for (const source of plan.unchanged) console.log(`    ${source.name.padEnd(35)} ${describe(source)}`);
+      for (const source of plan.remove) console.log(`  - ${source.name.padEnd(35)} no longer installed`);
+      for (const { path, reason } of plan.skipped) console.log(`  ! skipped ${path} (${reason})`);
+
+      if (plan.remove.length > 0 && !opts.prune) {
+        console.log(`\n${plan.remove.length} source(s) are no longer installed. Re-run with --prune to remove them.`);
+      }
+      if (opts.dryRun) {
+        console.log('\nDry run — nothing was changed.');
+        return;
+      }
+
+      const result = applyDiscovery(plan, { prune: opts.prune });
+      console.log(`\nAdded ${result.added}, updated ${result.updated}, removed ${result.removed} source(s).`);
+
+      if (opts.index) {
+        const sourceNames = [...plan.add.map(d => d.name), ...plan.update.map(u => u.source.name), ...plan.unchanged.map(s => s.name)];
+        console.log(`\nIndexing ${sourceNames.length} source(s)...`);
+        const stats = await indexSources({ sourceNames });
+        console.log('\nIndexing complete:');
+        printIndexStats(stats);
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
 // --- quick-add ---
 program
   .command('quick-add <preset>')
@@ -232,17 +359,153 @@ program
     }
   });
 
+// --- sources:export ---
+program
+  .command('sources:export')
+  .description('Print the configured sources as a JSON manifest (token env var names only, never tokens)')
+  .option('--presets', 'Export the built-in presets instead')
+  .option('-o, --output <file>', 'Write the manifest to a file instead of stdout')
+  .action((opts) => {
+    try {
+      const manifest = opts.presets ? PRESET_MANIFEST : exportSourceManifest();
+      const json = `${JSON.stringify(manifest, null, 2)}\n`;
+      if (opts.output) {
+        writeFileSync(opts.output, json);
+        console.error(`Wrote ${manifest.sources.length} source(s) to ${opts.output}`);
+      } else {
+        process.stdout.write(json);
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
+// --- sources:import ---
+program
+  .command('sources:import <file>')
+  .description('Add or update sources from a JSON manifest')
+  .option('--mode <mode>', 'merge (keep sources not in the manifest) or overwrite (remove them)', 'merge')
+  .option('--dry-run', 'Show what would change without changing anything')
+  .option('--no-index', 'Skip indexing the added and updated sources')
+  .action(async (file, opts) => {
+    try {
+      const manifest = parseSourceManifest(JSON.parse(readFileSync(file, 'utf-8')), dirname(resolve(file)));
+      const plan = planSourceImport(manifest, { mode: opts.mode });
+
+      for (const entry of plan.add) {
+        const versions = entry.versions.length > 0 ? ` (versions: ${entry.versions.join(', ')})` : '';
+        console.log(`  + ${entry.name.padEnd(30)} ${entry.type}${versions}`);
+      }
+      for (const { entry, changes, addVersions, removeVersions } of plan.update) {
+        const details = [
+          ...changes,
+          ...addVersions.map(v => `+@${v}`),
+          ...removeVersions.map(v => `-@${v}`),
+        ];
+        console.log(`  ~ ${entry.name.padEnd(30)} ${details.join(', ')}`);
+      }
+      for (const source of plan.remove) console.log(`  - ${source.name}`);
+      console.log(`\n${plan.add.length} to add, ${plan.update.length} to update, ${plan.remove.length} to remove, ${plan.unchanged.length} unchanged.`);
+
+      if (opts.dryRun) {
+        console.log('Dry run — nothing was changed.');
+        return;
+      }
+
+      const changed = applySourceImport(plan);
+      console.log('Import complete.');
+
+      if (opts.index) {
+        for (const name of changed) {
+          console.log(`\nIndexing "${name}"...`);
+          printIndexStats(await indexSources({ sourceName: name }));
+        }
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
+// --- snapshot:export ---
+program
+  .command('snapshot:export <file>')
+  .description('Write indexed sources into a portable snapshot file')
+  .option('--source <names>', 'Comma-separated sources to include (default: all), each with its tracked versions')
+  .action((file, opts) => {
+    try {
+      const sources = (opts.source || '').split(',').map(s => s.trim()).filter(Boolean);
+      const manifest = exportSnapshot(file, { sources });
+      console.log(`Wrote ${manifest.sources.length} source(s) to ${file} (schema ${manifest.schema_version}):`);
+      for (const s of manifest.sources) {
+        console.log(`  ${s.name.padEnd(30)} ${(s.ref || '').padEnd(12)} ${(s.commit_sha || '').slice(0, 12).padEnd(13)} ${s.hooks} hooks`);
+      }
+      for (const s of manifest.skipped) {
+        console.log(`  Skipped ${s.name} (${s.type}) — its files are only on this machine`);
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
+// --- snapshot:import ---
+program
+  .command('snapshot:import <file>')
+  .description('Import sources from a snapshot file, replacing sources of the same name')
+  .option('--source <names>', 'Comma-separated snapshot sources to import (default: all), each with its tracked versions')
+  .option('--dry-run', 'Show the snapshot contents without importing')
+  .action((file, opts) => {
+    try {
+      const sources = (opts.source || '').split(',').map(s => s.trim()).filter(Boolean);
+      if (opts.dryRun) {
+        const manifest = readSnapshotManifest(file);
+        console.log(`Snapshot from ${manifest.created_at} (schema ${manifest.schema_version}):`);
+        for (const s of manifest.sources) {
+          if (sources.length > 0 && !sources.includes(s.parent || s.name)) continue;
+          const action = getSource(s.name) ? 'replace' : 'add';
+          console.log(`  ${action.padEnd(8)} ${s.name.padEnd(30)} ${(s.ref || '').padEnd(12)} ${s.hooks} hooks`);
+        }
+        console.log('\nDry run — nothing was imported.');
+        return;
+      }
+
+      const { imported, skipped } = importSnapshot(file, { sources });
+      for (const s of imported) {
+        console.log(`  ${(s.replaced ? 'Replaced' : 'Added').padEnd(8)} ${s.name.padEnd(30)} ${s.hooks} hooks`);
+      }
+      for (const s of skipped) {
+        console.log(`  ${'Skipped'.padEnd(8)} ${s.name.padEnd(30)} ${s.type} source of the exporting machine`);
+      }
+      console.log(`\nImported ${imported.length} source(s) from ${file}.`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
 // --- index ---
 program
   .command('index')
   .description('Index all enabled sources (or a specific one)')
   .option('--source <name>', 'Index a specific source only')
   .option('--force', 'Ignore mtime cache and re-index everything', false)
+  .option('--workers <n>', 'Parser threads (default: one per core beyond the first, 0 parses on the main thread)')
   .action(async (opts) => {
     try {
       const stats = await indexSources({
         sourceName: opts.source,
         force: opts.force,
+        workers: parseWorkers(opts.workers),
       });
 
       console.log('\nIndexing complete:');
@@ -256,12 +519,87 @@ program
     }
   });
 
+// --- watch ---
+program
+  .command('watch')
+  .description('Watch local-folder sources and re-index changed files as you edit')
+  .option('--source <names>', 'Comma-separated local-folder sources to watch (default: all enabled ones)')
+  .option('--debounce <ms>', 'Quiet period before changes are indexed', String(DEFAULT_DEBOUNCE_MS))
+  .action(async (opts) => {
+    let watcher;
+    try {
+      const names = (opts.source || '').split(',').map(s => s.trim()).filter(Boolean);
+      const sources = names.length > 0
+        ? names.map(name => {
+          const source = getSource(name);
+          if (!source) throw new Error(`Source not found: ${name}`);
+          if (source.type !== 'local-folder') throw new Error(`"${name}" is a ${source.type} source — only local-folder sources can be watched`);
+          return source;
+        })
+        : listSources().filter(s => s.type === 'local-folder' && s.enabled);
+      if (sources.length === 0) {
+        console.log('No local-folder sources to watch. Add one with source:add --type local-folder.');
+        return;
+      }
+
+      // Catch up on edits made while nothing was watching
+      await indexSources({ sourceNames: sources.map(s => s.name) });
+
+      watcher = await watchSources(sources, {
+        debounceMs: parseInt(opts.debounce, 10),
+        onIndexed: (source, files, stats) => {
+          if (stats.files_processed + stats.files_deleted === 0) return;
+          const time = new Date().toLocaleTimeString();
+          console.log(`[${time}] ${source.name}: ${stats.files_processed} file(s) re-indexed, ${stats.files_deleted} removed — hooks +${stats.hooks_inserted} ~${stats.hooks_updated} -${stats.hooks_removed}`);
+          for (const err of stats.errors) console.log(`    - ${err}`);
+        },
+        onError: (source, err) => console.error(`Error watching "${source.name}": ${err.message}`),
+      });
+      if (watcher.names().length === 0) throw new Error('None of the sources could be watched');
+
+      console.log(`Watching ${watcher.names().join(', ')} — press Ctrl+C to stop.`);
+      await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+      });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      await watcher?.close();
+      closeDb();
+    }
+  });
+
+// --- history ---
+program
+  .command('history <source>')
+  .description('Walk the release tags of a git source and record the version each hook was introduced/removed in')
+  .option('--from <tag>', 'Oldest release tag to include, e.g. 8.0.0')
+  .option('--match <regex>', 'Regex selecting release tags (default: version tags like 9.0.0 or v6.4.2)')
+  .action(async (sourceName, opts) => {
+    try {
+      const result = await indexHookHistory(sourceName, { from: opts.from, match: opts.match });
+      if (result.tags === 0) {
+        console.log(`No release tags found for "${sourceName}".`);
+        return;
+      }
+      console.log(`\nHistory complete: ${result.tags} tag(s) from ${result.first_tag} to ${result.last_tag}, ${result.hooks_dated} hook(s) dated.`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
 // --- update ---
 program
   .command('update')
   .description('Fetch and re-index stale sources (or all with --force)')
   .option('--source <name>', 'Update a specific source only')
   .option('--force', 'Re-index regardless of staleness', false)
+  .option('--workers <n>', 'Parser threads (default: one per core beyond the first, 0 parses on the main thread)')
   .action(async (opts) => {
     try {
       let sources;
@@ -295,6 +633,7 @@ program
         const stats = await indexSources({
           sourceName: source.name,
           force: opts.force,
+          workers: parseWorkers(opts.workers),
         });
         printIndexStats(stats);
         console.log('');
@@ -315,6 +654,7 @@ program
   .description('Search indexed hooks')
   .option('--type <type>', 'Filter by hook type')
   .option('--source <name>', 'Filter by source name')
+  .option('--version <ref>', 'Search a tracked version (tag/branch) instead of the default checkouts')
   .option('--limit <n>', 'Max results', '20')
   .option('--include-removed', 'Include removed hooks', false)
   .action((query, opts) => {
@@ -322,6 +662,7 @@ program
       const results = searchHooks(query, {
         type: opts.type,
         source: opts.source,
+        version: opts.version,
         includeRemoved: opts.includeRemoved,
         limit: parseInt(opts.limit, 10),
       });
@@ -339,9 +680,18 @@ program
         console.log(`    File: ${h.file_path}:${h.line_number}`);
         if (h.is_dynamic) console.log('    Dynamic: yes');
         if (h.status === 'removed') console.log('    Status: REMOVED');
+        if (h.type.endsWith('_deprecated')) {
+          console.log(`    Deprecated: ${h.deprecated_version ? `since ${h.deprecated_version}, ` : ''}${h.replacement_hook ? `use ${h.replacement_hook}` : 'no replacement'}`);
+        }
         if (h.class_name) console.log(`    Class: ${h.class_name}`);
         if (h.php_function) console.log(`    Function: ${h.php_function}()`);
         if (h.params) console.log(`    Params: ${h.params}`);
+        if (h.params_json) {
+          const typed = JSON.parse(h.params_json).map(p => [p.type, p.name].filter(Boolean).join(' ')).join(', ');
+          console.log(`    Param types: ${typed}`);
+        }
+        if (h.return_type) console.log(`    Returns: ${h.return_type}`);
+        if (h.since_version) console.log(`    Since: ${h.since_version}`);
         if (h.inferred_description) console.log(`    Description: ${h.inferred_description}`);
         if (h.docblock) console.log(`    Docblock: ${h.docblock.replace(/\n/g, '\n             ')}`);
         console.log(`    ID: ${h.id}`);
@@ -359,10 +709,14 @@ program
 program
   .command('search-blocks <query>')
   .description('Search block registrations and WP JS API usages')
+  .option('--kind <kind>', 'Only block registrations of this kind, e.g. block.json, register_block_type, register_block_pattern')
+  .option('--include-removed', 'Include registrations and API usages no longer in the source', false)
   .option('--limit <n>', 'Max results per category', '20')
   .action((query, opts) => {
     try {
       const { blocks, apis } = searchBlockApis(query, {
+        kind: opts.kind,
+        includeRemoved: opts.includeRemoved,
         limit: parseInt(opts.limit, 10),
       });
 
@@ -378,6 +732,12 @@ program
           console.log(`    Source: ${b.source_name} | File: ${b.file_path}:${b.line_number}`);
           if (b.block_title) console.log(`    Title: ${b.block_title}`);
           if (b.block_category) console.log(`    Category: ${b.block_category}`);
+          if (b.registration_kind) console.log(`    Registered via: ${b.registration_kind}`);
+          if (b.metadata_file && b.metadata_file !== b.file_path) console.log(`    Metadata: ${b.metadata_file}`);
+          if (b.block_attributes) console.log(`    Attributes: ${b.block_attributes.slice(0, 300)}`);
+          if (b.supports) console.log(`    Supports: ${b.supports.slice(0, 300)}`);
+          if (b.render) console.log(`    Render: ${b.render}`);
+          if (b.render_callback) console.log(`    Render callback: ${b.render_callback}`);
           if (b.code_context) console.log(`    Context: ${b.code_context.split('\n').slice(0, 5).join('\n             ')}`);
           console.log('');
         }
@@ -443,27 +803,55 @@ program
   });
 
 // --- validate ---
+
+function formatReleaseHistory(h) {
+  const parts = [];
+  if (h.introduced_in) parts.push(`introduced in ${h.introduced_in}`);
+  if (h.last_seen_in) parts.push(`last seen in ${h.last_seen_in}`);
+  if (h.removed_in) parts.push(`removed in ${h.removed_in}`);
+  return parts.length > 0 ? `, ${parts.join(', ')}` : '';
+}
+
 program
   .command('validate <hook-name>')
-  .description('Validate if a hook name exists (exit code 0=valid, 1=not found)')
-  .action((hookName) => {
+  .description('Validate if a hook name exists (exit code 0=valid, 1=not found, removed or deprecated)')
+  .option('--version <ref>', 'Check a tracked version (tag/branch) instead of the default checkouts')
+  .action((hookName, opts) => {
     try {
-      const result = validateHook(hookName);
+      const result = validateHook(hookName, { version: opts.version });
 
       if (result.status === 'VALID') {
         console.log(`VALID — "${hookName}" found in ${result.hooks.length} location(s):`);
         for (const h of result.hooks) {
-          console.log(`  ${h.source_name}: ${h.file_path}:${h.line_number} (${h.type})`);
+          console.log(`  ${h.source_name}: ${h.file_path}:${h.line_number} (${h.type}${formatReleaseHistory(h)})`);
         }
         process.exit(0);
       }
 
+      if (result.status === 'VALID_DYNAMIC') {
+        for (const m of result.matches) {
+          console.log(`VALID_DYNAMIC — "${hookName}" matches "${m.pattern}" (variable: ${m.variables.join(', ')}):`);
+          for (const h of m.hooks) {
+            console.log(`  ${h.source_name}: ${h.file_path}:${h.line_number} (${h.type}${formatReleaseHistory(h)})`);
+          }
+        }
+        process.exit(0);
+      }
+
+      if (result.status === 'DEPRECATED') {
+        const since = result.version ? ` since ${result.version}` : '';
+        const use = result.replacement ? ` — use "${result.replacement}" instead` : '';
+        console.log(`DEPRECATED — "${hookName}" is deprecated${since}${use}.`);
+        if (result.message) console.log(`  ${result.message}`);
+        process.exit(1);
+      }
+
       if (result.status === 'REMOVED') {
         console.log(`REMOVED — "${hookName}" was found but has been removed.`);
         process.exit(1);
       }
 
-      console.log(`NOT FOUND — "${hookName}" does not exist in any indexed source.`);
+      console.log(`NOT FOUND — "${hookName}" does not exist in ${opts.version ? `version ${opts.version} of ` : ''}any indexed source.`);
       if (result.similar.length > 0) {
         console.log('\nDid you mean:');
         for (const s of result.similar) {
@@ -479,6 +867,140 @@ program
     }
   });
 
+// --- listeners ---
+program
+  .command('listeners <hook-name>')
+  .description('List callbacks attached to a hook (add_action/add_filter/remove_*), ordered by priority')
+  .option('--type <type>', 'Filter by call type (add_action, add_filter, remove_action, remove_filter, has_filter, remove_all_filters)')
+  .option('--source <name>', 'Filter by source name')
+  .option('--limit <n>', 'Max results', '100')
+  .option('--include-removed', 'Include removed listeners', false)
+  .action((hookName, opts) => {
+    try {
+      const results = getHookListeners(hookName, {
+        listenerType: opts.type,
+        source: opts.source,
+        includeRemoved: opts.includeRemoved,
+        limit: parseInt(opts.limit, 10),
+      });
+
+      if (results.length === 0) {
+        console.log(`No listeners found for "${hookName}".`);
+        return;
+      }
+
+      console.log(`\nFound ${results.length} listener(s) for "${hookName}":\n`);
+      console.log(`  ${'Priority'.padEnd(14)} ${'Call'.padEnd(20)} ${'Args'.padEnd(6)} ${'Callback'.padEnd(40)} Location`);
+      console.log('  ' + '-'.repeat(120));
+
+      for (const l of results) {
+        const args = l.accepted_args != null ? String(l.accepted_args) : '-';
+        const status = l.status === 'removed' ? ' [REMOVED]' : '';
+        console.log(
+          `  ${String(l.priority ?? '-').padEnd(14)} ${l.listener_type.padEnd(20)} ${args.padEnd(6)} ${(l.callback || '(all)').padEnd(40)} ${l.source_name}: ${l.file_path}:${l.line_number}${status}`
+        );
+      }
+      console.log('');
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
+// --- changelog ---
+program
+  .command('changelog')
+  .description('Show hooks added, removed, modified or moved by index runs, newest first')
+  .option('--source <name>', 'Filter by source name')
+  .option('--since <when>', 'Only changes since a date (YYYY-MM-DD) or age (30d, 2w)')
+  .option('--type <type>', 'Filter by change type (added, removed, modified, moved)')
+  .option('--limit <n>', 'Max results', '200')
+  .action((opts) => {
+    try {
+      const changes = getHookChanges({
+        source: opts.source,
+        since: opts.since,
+        changeType: opts.type,
+        limit: parseInt(opts.limit, 10),
+      });
+
+      if (changes.length === 0) {
+        console.log('No hook changes recorded.');
+        return;
+      }
+
+      let currentRun = null;
+      for (const c of changes) {
+        if (c.run_id !== currentRun) {
+          currentRun = c.run_id;
+          const commit = c.commit_sha ? ` (commit ${c.commit_sha.slice(0, 10)})` : '';
+          console.log(`\n${c.source_name} — run #${c.run_id} at ${c.run_started_at}${commit}`);
+        }
+        const from = c.previous_file_path ? ` (from ${c.previous_file_path})` : '';
+        console.log(`  ${c.change_type.padEnd(9)} ${c.hook_type.padEnd(18)} ${c.hook_name.padEnd(50)} ${c.file_path}:${c.line_number}${from}`);
+      }
+      console.log('');
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
+// --- diff ---
+program
+  .command('diff <source>')
+  .description('Compare the hooks of two indexed versions of a source (or of two sources)')
+  .requiredOption('--from <ref>', 'Old version (tracked tag/branch) or another source name')
+  .option('--to <ref>', 'New version or source name (default: the source\'s default branch)')
+  .option('--format <format>', 'Output format: table, markdown or json', 'table')
+  .action((sourceName, opts) => {
+    try {
+      const diff = compareSourceHooks(sourceName, { from: opts.from, to: opts.to });
+
+      if (opts.format === 'json') {
+        console.log(JSON.stringify(diff, null, 2));
+        return;
+      }
+      if (opts.format === 'markdown') {
+        console.log(formatHookDiffMarkdown(diff, Infinity));
+        return;
+      }
+      if (opts.format !== 'table') throw new Error(`Unknown format: ${opts.format}`);
+
+      const rows = [
+        ...diff.added.map(h => ['added', h.type, h.name, `${h.file_path}:${h.line_number}`]),
+        ...diff.removed.map(h => ['removed', h.type, h.name, `was ${h.file_path}:${h.line_number}`]),
+        ...diff.renamed.map(r => ['renamed', r.to.type, r.to.name, `from ${r.from.name} (${r.to.file_path}:${r.to.line_number})`]),
+        ...diff.param_changes.map(c => ['params', c.type, c.name, `${c.from.param_count} → ${c.to.param_count} args`]),
+        ...diff.docblock_changes.map(c => ['docblock', c.type, c.name, c.from.since_version !== c.to.since_version
+          ? `@since ${c.from.since_version || 'none'} → ${c.to.since_version || 'none'}`
+          : `${c.file_path}:${c.line_number}`]),
+      ];
+
+      if (rows.length === 0) {
+        console.log(`No hook differences between ${diff.from} and ${diff.to}.`);
+        return;
+      }
+
+      console.log(`\nHook changes: ${diff.from} → ${diff.to}\n`);
+      console.log(`${'Change'.padEnd(10)} ${'Type'.padEnd(18)} ${'Hook'.padEnd(50)} Details`);
+      console.log('-'.repeat(110));
+      for (const [change, type, name, details] of rows) {
+        console.log(`${change.padEnd(10)} ${type.padEnd(18)} ${name.padEnd(50)} ${details}`);
+      }
+      console.log(`\n${diff.added.length} added, ${diff.removed.length} removed, ${diff.renamed.length} renamed, ${diff.param_changes.length} parameter change(s), ${diff.docblock_changes.length} docblock change(s)\n`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
 // --- stats ---
 program
   .command('stats')
@@ -491,17 +1013,20 @@ program
       console.log(`  Sources:             ${stats.totals.sources}`);
       console.log(`  Active hooks:        ${stats.totals.active_hooks}`);
       console.log(`  Removed hooks:       ${stats.totals.removed_hooks}`);
+      console.log(`  Hook listeners:      ${stats.totals.hook_listeners}`);
+      console.log(`  PHP symbols:         ${stats.totals.symbols}`);
+      console.log(`  REST routes:         ${stats.totals.rest_routes}`);
       console.log(`  Block registrations: ${stats.totals.block_registrations}`);
       console.log(`  API usages:          ${stats.totals.api_usages}`);
       console.log(`  Documentation pages: ${stats.totals.docs}`);
 
       if (stats.per_source.length > 0) {
         console.log('\nPer Source:');
-        console.log(`  ${'Name'.padEnd(25)} ${'Type'.padEnd(8)} ${'Hooks'.padEnd(8)} ${'Removed'.padEnd(10)} ${'Blocks'.padEnd(8)} ${'APIs'.padEnd(8)} ${'Docs'.padEnd(8)} Files`);
-        console.log('  ' + '-'.repeat(90));
+        console.log(`  ${'Name'.padEnd(25)} ${'Type'.padEnd(8)} ${'Hooks'.padEnd(8)} ${'Removed'.padEnd(10)} ${'Listeners'.padEnd(10)} ${'Symbols'.padEnd(8)} ${'Routes'.padEnd(8)} ${'Blocks'.padEnd(8)} ${'APIs'.padEnd(8)} ${'Docs'.padEnd(8)} Files`);
+        console.log('  ' + '-'.repeat(119));
         for (const s of stats.per_source) {
           console.log(
-            `  ${s.name.padEnd(25)} ${(s.content_type || 'source').padEnd(8)} ${String(s.hooks).padEnd(8)} ${String(s.removed_hooks).padEnd(10)} ${String(s.blocks).padEnd(8)} ${String(s.apis).padEnd(8)} ${String(s.docs).padEnd(8)} ${s.files}`
+            `  ${s.name.padEnd(25)} ${(s.content_type || 'source').padEnd(8)} ${String(s.hooks).padEnd(8)} ${String(s.removed_hooks).padEnd(10)} ${String(s.listeners).padEnd(10)} ${String(s.symbols).padEnd(8)} ${String(s.rest_routes).padEnd(8)} ${String(s.blocks).padEnd(8)} ${String(s.apis).padEnd(8)} ${String(s.docs).padEnd(8)} ${s.files}`
           );
         }
       }
@@ -520,8 +1045,46 @@ program
   .description('Rebuild FTS indexes (recovery for out-of-sync full-text search)')
   .action(() => {
     try {
-      rebuildFtsIndex();
-      console.log('FTS indexes rebuilt successfully (hooks, blocks, APIs, docs).');
+      const tables = rebuildFtsIndex();
+      console.log(`FTS indexes rebuilt successfully (${tables.join(', ')}).`);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    } finally {
+      closeDb();
+    }
+  });
+
+// --- db:migrate ---
+program
+  .command('db:migrate')
+  .description('Apply pending database schema migrations')
+  .option('--status', 'List applied and pending migrations without applying any')
+  .action((opts) => {
+    try {
+      const status = getMigrationStatus();
+      if (opts.status) {
+        console.log(`Database: ${status.path}`);
+        console.log(`Schema version: ${status.current} (this version of wp-devdocs-mcp: ${status.latest})\n`);
+        for (const m of status.migrations) {
+          console.log(`  ${String(m.version).padStart(3)}  ${(m.applied_at || 'pending').padEnd(19)}  ${m.description}`);
+        }
+        if (status.current > status.latest) {
+          console.log('\nThe database is newer than this version of wp-devdocs-mcp — upgrade to use it.');
+        }
+        return;
+      }
+
+      const pending = status.migrations.filter(m => m.version > status.current);
+      getDb();
+      if (pending.length === 0) {
+        console.log(`Database is up to date (schema version ${status.latest}).`);
+        return;
+      }
+      for (const m of pending) {
+        console.log(`  Applied ${String(m.version).padStart(3)}  ${m.description}`);
+      }
+      console.log(`\nDatabase migrated to schema version ${status.latest}.`);
     } catch (err) {
       console.error(`Error: ${err.message}`);
       process.exit(1);
@@ -20,3 +20,9 @@ export const CONTENT_TYPES = {
   SOURCE: 'source',
   DOCS: 'docs',
 };
+
+/** Format version of source manifests (sources:export / sources:import). */
+export const SOURCE_MANIFEST_VERSION = 1;
+
+/** Format version of index snapshots (snapshot:export / snapshot:import). */
+export const SNAPSHOT_FORMAT_VERSION = 1;
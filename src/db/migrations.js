@@ -0,0 +1,663 @@
+/**
+ * Schema migrations of the SQLite store.
+ *
+ * Every step runs in its own transaction together with the schema_version row recording it, so a
+ * failing step leaves the database at the previous version instead of half-migrated. Append new
+ * steps to MIGRATIONS — never edit or reorder released ones. A step that clears indexed_files to
+ * force a re-parse must also clear sources.indexed_commit, or git sources only re-parse what changed.
+ */
+
+/**
+ * Hooks are identified by hook_key (type, name, enclosing class/function and ordinal within that
+ * scope — see assignHookKeys), not by line, so edits that shift lines update a hook in place.
+ */
+function hooksTableSql(table) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${table} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      file_path TEXT NOT NULL,
+      line_number INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      hook_key TEXT NOT NULL,
+      php_function TEXT,
+      params TEXT,
+      param_count INTEGER DEFAULT 0,
+      docblock TEXT,
+      inferred_description TEXT,
+      function_context TEXT,
+      class_name TEXT,
+      code_before TEXT,
+      code_after TEXT,
+      hook_line TEXT,
+      is_dynamic INTEGER DEFAULT 0,
+      deprecated_version TEXT,
+      replacement_hook TEXT,
+      deprecation_message TEXT,
+      since_version TEXT,
+      params_json TEXT,
+      return_type TEXT,
+      deprecated TEXT,
+      see TEXT,
+      introduced_in TEXT,
+      removed_in TEXT,
+      content_hash TEXT,
+      status TEXT DEFAULT 'active',
+      removed_at TEXT,
+      moved_from TEXT,
+      moved_at TEXT,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(source_id, file_path, hook_key)
+    );
+  `;
+}
+
+const HOOK_INDEXES_SQL = `
+    CREATE INDEX IF NOT EXISTS idx_hooks_source_id ON hooks(source_id);
+    CREATE INDEX IF NOT EXISTS idx_hooks_name ON hooks(name);
+    CREATE INDEX IF NOT EXISTS idx_hooks_type ON hooks(type);
+    CREATE INDEX IF NOT EXISTS idx_hooks_status ON hooks(status);
+    CREATE INDEX IF NOT EXISTS idx_hooks_source_status ON hooks(source_id, status);
+    CREATE INDEX IF NOT EXISTS idx_hooks_identity ON hooks(source_id, name, type);
+`;
+
+/**
+ * listener_key of listener rows stored without one — what assignListenerKeys() gives active
+ * listeners; removed ones get a key of their own so they never collide with them.
+ */
+export const LISTENER_KEY_SQL = `CASE WHEN status = 'active'
+  THEN listener_type || ':' || hook_name || '>' || COALESCE(callback, '') || '@' || COALESCE(class_name, '') || '::' || COALESCE(php_function, '') || '#' ||
+    (ROW_NUMBER() OVER (PARTITION BY source_id, file_path, listener_type, hook_name, callback, class_name, php_function, status ORDER BY line_number, id) - 1)
+  ELSE 'removed:' || id END`;
+
+/** Tables from before symbols and REST routes were extracted. */
+const BASE_SCHEMA_SQL = `
+    CREATE TABLE IF NOT EXISTS sources (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      type TEXT NOT NULL,
+      repo_url TEXT,
+      subfolder TEXT,
+      local_path TEXT,
+      token_env_var TEXT,
+      branch TEXT DEFAULT 'main',
+      enabled INTEGER DEFAULT 1,
+      content_type TEXT DEFAULT 'source'
+    );
+
+    ${hooksTableSql('hooks')}
+
+    ${HOOK_INDEXES_SQL}
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS hooks_fts USING fts5(
+      name,
+      type,
+      docblock,
+      inferred_description,
+      function_context,
+      class_name,
+      params,
+      content='hooks',
+      content_rowid='id'
+    );
+
+    CREATE TABLE IF NOT EXISTS hook_listeners (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      file_path TEXT NOT NULL,
+      line_number INTEGER NOT NULL,
+      hook_name TEXT NOT NULL,
+      listener_type TEXT NOT NULL,
+      callback TEXT,
+      priority TEXT,
+      accepted_args INTEGER,
+      php_function TEXT,
+      class_name TEXT,
+      hook_line TEXT,
+      is_dynamic INTEGER DEFAULT 0,
+      content_hash TEXT,
+      status TEXT DEFAULT 'active',
+      removed_at TEXT,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(source_id, file_path, line_number, hook_name, listener_type)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_hook_listeners_hook_name ON hook_listeners(hook_name);
+    CREATE INDEX IF NOT EXISTS idx_hook_listeners_source_status ON hook_listeners(source_id, status);
+
+
+    CREATE TABLE IF NOT EXISTS indexed_files (
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      file_path TEXT NOT NULL,
+      mtime_ms REAL,
+      content_hash TEXT,
+      UNIQUE(source_id, file_path)
+    );
+
+    CREATE TABLE IF NOT EXISTS index_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      commit_sha TEXT,
+      started_at TEXT DEFAULT (datetime('now')),
+      finished_at TEXT,
+      files_processed INTEGER DEFAULT 0,
+      hooks_added INTEGER DEFAULT 0,
+      hooks_removed INTEGER DEFAULT 0,
+      hooks_modified INTEGER DEFAULT 0,
+      hooks_moved INTEGER DEFAULT 0
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_index_runs_source ON index_runs(source_id, started_at);
+
+    CREATE TABLE IF NOT EXISTS hook_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL REFERENCES index_runs(id) ON DELETE CASCADE,
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      hook_id INTEGER,
+      change_type TEXT NOT NULL,
+      hook_name TEXT NOT NULL,
+      hook_type TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      line_number INTEGER,
+      previous_file_path TEXT,
+      changed_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_hook_changes_source ON hook_changes(source_id, changed_at);
+    CREATE INDEX IF NOT EXISTS idx_hook_changes_run ON hook_changes(run_id);
+    CREATE INDEX IF NOT EXISTS idx_hook_changes_hook ON hook_changes(hook_id);
+
+    CREATE TABLE IF NOT EXISTS block_registrations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      file_path TEXT NOT NULL,
+      line_number INTEGER NOT NULL,
+      block_name TEXT,
+      block_title TEXT,
+      block_category TEXT,
+      block_attributes TEXT,
+      supports TEXT,
+      code_context TEXT,
+      registration_kind TEXT,
+      metadata_file TEXT,
+      uses_context TEXT,
+      provides_context TEXT,
+      parent_blocks TEXT,
+      ancestor_blocks TEXT,
+      render TEXT,
+      render_callback TEXT,
+      editor_script TEXT,
+      view_script_module TEXT,
+      api_version INTEGER,
+      content_hash TEXT,
+      status TEXT DEFAULT 'active',
+      removed_at TEXT,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_block_registrations_name ON block_registrations(source_id, block_name);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS block_registrations_fts USING fts5(
+      block_name,
+      block_title,
+      block_category,
+      block_attributes,
+      supports,
+      code_context,
+      content='block_registrations',
+      content_rowid='id'
+    );
+
+    CREATE TABLE IF NOT EXISTS api_usages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      file_path TEXT NOT NULL,
+      line_number INTEGER NOT NULL,
+      api_call TEXT,
+      namespace TEXT,
+      method TEXT,
+      code_context TEXT,
+      content_hash TEXT,
+      status TEXT DEFAULT 'active',
+      removed_at TEXT,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS api_usages_fts USING fts5(
+      api_call,
+      namespace,
+      method,
+      code_context,
+      content='api_usages',
+      content_rowid='id'
+    );
+
+    CREATE TABLE IF NOT EXISTS docs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      file_path TEXT NOT NULL,
+      slug TEXT NOT NULL,
+      title TEXT NOT NULL,
+      doc_type TEXT NOT NULL,
+      category TEXT,
+      subcategory TEXT,
+      description TEXT,
+      content TEXT NOT NULL,
+      code_examples TEXT,
+      metadata TEXT,
+      content_hash TEXT,
+      status TEXT DEFAULT 'active',
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(source_id, file_path)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_docs_source_id ON docs(source_id);
+    CREATE INDEX IF NOT EXISTS idx_docs_slug ON docs(slug);
+    CREATE INDEX IF NOT EXISTS idx_docs_doc_type ON docs(doc_type);
+    CREATE INDEX IF NOT EXISTS idx_docs_category ON docs(category);
+    CREATE INDEX IF NOT EXISTS idx_docs_status ON docs(status);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS docs_fts USING fts5(
+      title,
+      slug,
+      doc_type,
+      category,
+      description,
+      content,
+      content='docs',
+      content_rowid='id',
+      tokenize='porter unicode61'
+    );
+`;
+
+const PHP_TABLES_SQL = `
+    CREATE TABLE IF NOT EXISTS symbols (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      file_path TEXT NOT NULL,
+      line_number INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      namespace TEXT,
+      class_name TEXT,
+      qualified_name TEXT NOT NULL,
+      signature TEXT,
+      params_json TEXT,
+      param_count INTEGER,
+      required_param_count INTEGER,
+      return_type TEXT,
+      visibility TEXT,
+      is_static INTEGER DEFAULT 0,
+      is_abstract INTEGER DEFAULT 0,
+      is_final INTEGER DEFAULT 0,
+      parent_class TEXT,
+      interfaces TEXT,
+      docblock TEXT,
+      summary TEXT,
+      since_version TEXT,
+      deprecated TEXT,
+      content_hash TEXT,
+      status TEXT DEFAULT 'active',
+      removed_at TEXT,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(source_id, file_path, kind, qualified_name)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_symbols_name ON symbols(name COLLATE NOCASE);
+    CREATE INDEX IF NOT EXISTS idx_symbols_class_name ON symbols(class_name COLLATE NOCASE);
+    CREATE INDEX IF NOT EXISTS idx_symbols_source_status ON symbols(source_id, status);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS symbols_fts USING fts5(
+      name,
+      qualified_name,
+      kind,
+      class_name,
+      summary,
+      signature,
+      content='symbols',
+      content_rowid='id'
+    );
+
+    CREATE TABLE IF NOT EXISTS rest_routes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+      file_path TEXT NOT NULL,
+      line_number INTEGER NOT NULL,
+      namespace TEXT NOT NULL,
+      route TEXT NOT NULL,
+      full_route TEXT NOT NULL,
+      methods TEXT NOT NULL,
+      callback TEXT,
+      permission_callback TEXT,
+      args_json TEXT,
+      args_source TEXT,
+      schema_callback TEXT,
+      class_name TEXT,
+      php_function TEXT,
+      is_dynamic INTEGER DEFAULT 0,
+      content_hash TEXT,
+      status TEXT DEFAULT 'active',
+      removed_at TEXT,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(source_id, file_path, line_number, full_route, methods)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rest_routes_namespace ON rest_routes(namespace);
+    CREATE INDEX IF NOT EXISTS idx_rest_routes_source_status ON rest_routes(source_id, status);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS rest_routes_fts USING fts5(
+      full_route,
+      namespace,
+      methods,
+      callback,
+      args_json,
+      content='rest_routes',
+      content_rowid='id'
+    );
+`;
+
+/**
+ * Ordered schema steps. Databases created before schema versioning carry an unknown subset of
+ * steps 1–14, so those check the current shape before changing it and are no-ops where a step is
+ * already in place.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Sources, hooks, listeners, index runs, blocks, API usages and docs',
+    up(db) {
+      db.exec(BASE_SCHEMA_SQL);
+    },
+  },
+  {
+    version: 2,
+    description: 'Symbols and REST routes',
+    up(db) {
+      // Symbols and REST routes are extracted from PHP files during indexing — databases indexed
+      // before these tables existed must re-parse their PHP files, so forget their mtime/hash cache.
+      const missing = ['symbols', 'rest_routes'].some(name => !tableExists(db, name));
+      db.exec(PHP_TABLES_SQL);
+      if (missing) db.exec("DELETE FROM indexed_files WHERE file_path LIKE '%.php'");
+    },
+  },
+  {
+    version: 3,
+    description: 'Content type of sources',
+    up(db) {
+      addColumns(db, 'sources', ["content_type TEXT DEFAULT 'source'"]);
+    },
+  },
+  {
+    version: 4,
+    description: 'Last indexing time of sources',
+    up(db) {
+      addColumns(db, 'sources', ['last_indexed_at TEXT']);
+    },
+  },
+  {
+    version: 5,
+    description: 'Tracked versions, stored as source rows pointing at their parent',
+    up(db) {
+      addColumns(db, 'sources', ['parent_id INTEGER REFERENCES sources(id) ON DELETE CASCADE', 'version TEXT']);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_sources_parent ON sources(parent_id)');
+    },
+  },
+  {
+    version: 6,
+    description: 'SSH key and credential helper of git sources',
+    up(db) {
+      addColumns(db, 'sources', ['ssh_key_path TEXT', 'credential_helper TEXT']);
+    },
+  },
+  {
+    version: 7,
+    description: 'Plugin/theme header metadata of sources discovered in a WordPress install',
+    up(db) {
+      addColumns(db, 'sources', ['package_type TEXT', 'package_name TEXT', 'package_version TEXT', 'text_domain TEXT', 'requires_wp TEXT', 'wp_root TEXT']);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_sources_wp_root ON sources(wp_root)');
+    },
+  },
+  {
+    version: 8,
+    description: 'Deprecation details of hooks',
+    up(db) {
+      addColumns(db, 'hooks', ['deprecated_version TEXT', 'replacement_hook TEXT', 'deprecation_message TEXT']);
+    },
+  },
+  {
+    version: 9,
+    description: 'Structured docblock columns of hooks',
+    up(db) {
+      addColumns(db, 'hooks', ['since_version TEXT', 'params_json TEXT', 'return_type TEXT', 'deprecated TEXT', 'see TEXT']);
+    },
+  },
+  {
+    version: 10,
+    description: 'Soft deletion of block registrations and API usages',
+    up(db) {
+      for (const table of ['block_registrations', 'api_usages']) {
+        addColumns(db, table, ["status TEXT DEFAULT 'active'", 'removed_at TEXT']);
+      }
+    },
+  },
+  {
+    version: 11,
+    description: 'Release history of hooks',
+    up(db) {
+      addColumns(db, 'hooks', ['introduced_in TEXT', 'removed_in TEXT']);
+    },
+  },
+  {
+    version: 12,
+    description: 'Hooks keyed on hook_key instead of line',
+    up(db) {
+      // Hooks used to be unique on (file, line, name), so any edit above a hook re-created it.
+      // Rebuild the table keyed on hook_key; active hooks get the key the parsers would assign them.
+      const hookColumns = columnsOf(db, 'hooks');
+      if (hookColumns.includes('hook_key')) return;
+      const copied = hookColumns.join(', ');
+      db.exec(hooksTableSql('hooks_rekeyed'));
+      db.exec(`
+        INSERT INTO hooks_rekeyed (${copied}, hook_key)
+        SELECT ${copied}, CASE WHEN status = 'active'
+          THEN type || ':' || name || '@' || COALESCE(class_name, '') || '::' || COALESCE(php_function, '') || '#' ||
+            (ROW_NUMBER() OVER (PARTITION BY source_id, file_path, type, name, class_name, php_function, status ORDER BY line_number, id) - 1)
+          ELSE 'removed:' || id END
+        FROM hooks
+      `);
+      db.exec('DROP TABLE hooks');
+      db.exec('ALTER TABLE hooks_rekeyed RENAME TO hooks');
+      db.exec(HOOK_INDEXES_SQL);
+    },
+  },
+  {
+    version: 13,
+    description: 'block.json metadata of block registrations',
+    up(db) {
+      // Existing rows were written without attributes/supports and block.json files were never
+      // scanned, so re-parse JS and JSON files.
+      if (columnsOf(db, 'block_registrations').includes('registration_kind')) return;
+      addColumns(db, 'block_registrations', [
+        'registration_kind TEXT', 'metadata_file TEXT', 'uses_context TEXT', 'provides_context TEXT',
+        'parent_blocks TEXT', 'ancestor_blocks TEXT', 'render TEXT', 'editor_script TEXT',
+        'view_script_module TEXT', 'api_version INTEGER',
+      ]);
+      db.exec('UPDATE block_registrations SET content_hash = NULL');
+      db.exec("DELETE FROM indexed_files WHERE file_path NOT LIKE '%.php' AND file_path NOT LIKE '%.md'");
+    },
+  },
+  {
+    version: 14,
+    description: 'render_callback of PHP block registrations',
+    up(db) {
+      // Re-parse PHP files to pick them up
+      if (addColumns(db, 'block_registrations', ['render_callback TEXT']) > 0) {
+        db.exec("DELETE FROM indexed_files WHERE file_path LIKE '%.php'");
+      }
+    },
+  },
+  {
+    version: 15,
+    description: 'Commit each git source was last indexed at, for diff-driven updates',
+    up(db) {
+      addColumns(db, 'sources', ['indexed_commit TEXT']);
+    },
+  },
+  {
+    version: 16,
+    description: 'Listeners keyed on listener_key instead of line',
+    up(db) {
+      // Listeners were unique on (file, line, hook, type), so callbacks attached to one hook on the
+      // same line overwrote each other. Rebuild the table keyed on listener_key and re-parse PHP
+      // files to recover the listeners that were lost.
+      const listenerColumns = columnsOf(db, 'hook_listeners');
+      if (listenerColumns.includes('listener_key')) return;
+      const copied = listenerColumns.join(', ');
+      db.exec(`
+        CREATE TABLE hook_listeners_rekeyed (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+          file_path TEXT NOT NULL,
+          line_number INTEGER NOT NULL,
+          hook_name TEXT NOT NULL,
+          listener_type TEXT NOT NULL,
+          listener_key TEXT NOT NULL,
+          callback TEXT,
+          priority TEXT,
+          accepted_args INTEGER,
+          php_function TEXT,
+          class_name TEXT,
+          hook_line TEXT,
+          is_dynamic INTEGER DEFAULT 0,
+          content_hash TEXT,
+          status TEXT DEFAULT 'active',
+          removed_at TEXT,
+          first_seen_at TEXT DEFAULT (datetime('now')),
+          last_seen_at TEXT DEFAULT (datetime('now')),
+          UNIQUE(source_id, file_path, listener_key)
+        );
+      `);
+      db.exec(`INSERT INTO hook_listeners_rekeyed (${copied}, listener_key) SELECT ${copied}, ${LISTENER_KEY_SQL} FROM hook_listeners`);
+      db.exec('DROP TABLE hook_listeners');
+      db.exec('ALTER TABLE hook_listeners_rekeyed RENAME TO hook_listeners');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_hook_listeners_hook_name ON hook_listeners(hook_name);
+        CREATE INDEX IF NOT EXISTS idx_hook_listeners_source_status ON hook_listeners(source_id, status);
+      `);
+      db.exec("DELETE FROM indexed_files WHERE file_path LIKE '%.php'");
+      db.exec('UPDATE sources SET indexed_commit = NULL');
+    },
+  },
+  {
+    version: 17,
+    description: 'Last release tag each hook appeared in',
+    up(db) {
+      addColumns(db, 'hooks', ['last_seen_in TEXT']);
+    },
+  },
+  {
+    version: 18,
+    description: 'Symbol signatures keep promoted parameter modifiers',
+    up(db) {
+      // Signatures dropped private/protected/readonly from promoted constructor parameters and
+      // padded the parameter list with spaces, so re-parse PHP files to rewrite them.
+      db.exec("DELETE FROM indexed_files WHERE file_path LIKE '%.php'");
+      db.exec('UPDATE sources SET indexed_commit = NULL');
+    },
+  },
+];
+
+/** The schema version this code writes and understands. */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring a database up to SCHEMA_VERSION. Each pending step runs in its own transaction.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Array<object>} [migrations] - Steps to apply, MIGRATIONS by default
+ * @returns {Array<{ version: number, description: string }>} The steps applied now
+ * @throws {Error} When the database is newer than the code, or a step fails
+ */
+export function migrate(db, migrations = MIGRATIONS) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT NOT NULL,
+      applied_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+
+  const current = readSchemaVersion(db);
+  const latest = migrations[migrations.length - 1].version;
+  if (current > latest) {
+    throw new Error(`Database schema version ${current} is newer than this wp-devdocs-mcp supports (${latest}) — upgrade wp-devdocs-mcp`);
+  }
+
+  const applied = [];
+  for (const step of migrations.filter(m => m.version > current)) {
+    try {
+      db.transaction(() => {
+        step.up(db);
+        db.prepare('INSERT INTO schema_version (version, description) VALUES (?, ?)').run(step.version, step.description);
+      })();
+    } catch (err) {
+      throw new Error(`Migration ${step.version} (${step.description}) failed: ${err.message}`);
+    }
+    applied.push({ version: step.version, description: step.description });
+  }
+  return applied;
+}
+
+/**
+ * Highest schema version recorded in a database; 0 when it has none.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number}
+ */
+export function readSchemaVersion(db) {
+  if (!tableExists(db, 'schema_version')) return 0;
+  return db.prepare('SELECT MAX(version) AS version FROM schema_version').get().version || 0;
+}
+
+/**
+ * Every known step with the time it was applied to a database, or null while pending.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{ current: number, latest: number, migrations: Array<{ version: number, description: string, applied_at: string|null }> }}
+ */
+export function migrationStatus(db) {
+  const appliedAt = new Map(tableExists(db, 'schema_version')
+    ? db.prepare('SELECT version, applied_at FROM schema_version').all().map(r => [r.version, r.applied_at])
+    : []);
+  return {
+    current: readSchemaVersion(db),
+    latest: SCHEMA_VERSION,
+    migrations: MIGRATIONS.map(m => ({ version: m.version, description: m.description, applied_at: appliedAt.get(m.version) || null })),
+  };
+}
+
+function tableExists(db, name) {
+  return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+}
+
+function columnsOf(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+/**
+ * Add the columns a table is missing.
+ * @returns {number} How many were added
+ */
+function addColumns(db, table, definitions) {
+  const existing = columnsOf(db, table);
+  const missing = definitions.filter(definition => !existing.includes(definition.split(' ')[0]));
+  for (const definition of missing) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+  }
+  return missing.length;
+}
@@ -1,26 +1,50 @@
 import Database from 'better-sqlite3';
-import { mkdirSync } from 'node:fs';
+import { mkdirSync, existsSync, rmSync } from 'node:fs';
 import { dirname } from 'node:path';
-import { DB_PATH } from '../constants.js';
+import { DB_PATH, SNAPSHOT_FORMAT_VERSION } from '../constants.js';
+import { SCHEMA_VERSION, LISTENER_KEY_SQL, migrate, migrationStatus } from './migrations.js';
 
 let db;
 
 /**
  * Get or create the SQLite database connection.
- * Creates the database directory and initializes the schema on first call.
+ * Creates the database directory and applies pending schema migrations on first call.
  * @returns {import('better-sqlite3').Database}
+ * @throws {Error} When the database was written by a newer version, or a migration fails
  */
 export function getDb() {
   if (!db) {
     mkdirSync(dirname(DB_PATH), { recursive: true });
-    db = new Database(DB_PATH);
-    db.pragma('journal_mode = WAL');
-    db.pragma('foreign_keys = ON');
-    initDb(db);
+    const conn = new Database(DB_PATH);
+    try {
+      conn.pragma('journal_mode = WAL');
+      conn.pragma('foreign_keys = ON');
+      migrate(conn);
+    } catch (err) {
+      conn.close();
+      throw err;
+    }
+    db = conn;
   }
   return db;
 }
 
+/**
+ * Schema version of the database and the state of every migration, read without applying any.
+ * @returns {{ path: string, current: number, latest: number, migrations: Array<{ version: number, description: string, applied_at: string|null }> }}
+ */
+export function getMigrationStatus() {
+  if (db) return { path: DB_PATH, ...migrationStatus(db) };
+
+  // A database not created yet reads as one with nothing applied
+  const conn = existsSync(DB_PATH) ? new Database(DB_PATH, { readonly: true }) : new Database(':memory:');
+  try {
+    return { path: DB_PATH, ...migrationStatus(conn) };
+  } finally {
+    conn.close();
+  }
+}
+
 /**
  * Close the database connection and clear the statement cache.
  */
@@ -32,175 +56,14 @@ export function closeDb() {
   }
 }
 
-function initDb(db) {
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS sources (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT UNIQUE NOT NULL,
-      type TEXT NOT NULL,
-      repo_url TEXT,
-      subfolder TEXT,
-      local_path TEXT,
-      token_env_var TEXT,
-      branch TEXT DEFAULT 'main',
-      enabled INTEGER DEFAULT 1,
-      content_type TEXT DEFAULT 'source'
-    );
-
-    CREATE TABLE IF NOT EXISTS hooks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
-      file_path TEXT NOT NULL,
-      line_number INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      type TEXT NOT NULL,
-      php_function TEXT,
-      params TEXT,
-      param_count INTEGER DEFAULT 0,
-      docblock TEXT,
-      inferred_description TEXT,
-      function_context TEXT,
-      class_name TEXT,
-      code_before TEXT,
-      code_after TEXT,
-      hook_line TEXT,
-      is_dynamic INTEGER DEFAULT 0,
-      content_hash TEXT,
-      status TEXT DEFAULT 'active',
-      removed_at TEXT,
-      first_seen_at TEXT DEFAULT (datetime('now')),
-      last_seen_at TEXT DEFAULT (datetime('now')),
-      UNIQUE(source_id, file_path, line_number, name)
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_hooks_source_id ON hooks(source_id);
-    CREATE INDEX IF NOT EXISTS idx_hooks_name ON hooks(name);
-    CREATE INDEX IF NOT EXISTS idx_hooks_type ON hooks(type);
-    CREATE INDEX IF NOT EXISTS idx_hooks_status ON hooks(status);
-    CREATE INDEX IF NOT EXISTS idx_hooks_source_status ON hooks(source_id, status);
-
-    CREATE VIRTUAL TABLE IF NOT EXISTS hooks_fts USING fts5(
-      name,
-      type,
-      docblock,
-      inferred_description,
-      function_context,
-      class_name,
-      params,
-      content='hooks',
-      content_rowid='id'
-    );
-
-    CREATE TABLE IF NOT EXISTS indexed_files (
-      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
-      file_path TEXT NOT NULL,
-      mtime_ms REAL,
-      content_hash TEXT,
-      UNIQUE(source_id, file_path)
-    );
-
-    CREATE TABLE IF NOT EXISTS block_registrations (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
-      file_path TEXT NOT NULL,
-      line_number INTEGER NOT NULL,
-      block_name TEXT,
-      block_title TEXT,
-      block_category TEXT,
-      block_attributes TEXT,
-      supports TEXT,
-      code_context TEXT,
-      content_hash TEXT,
-      first_seen_at TEXT DEFAULT (datetime('now')),
-      last_seen_at TEXT DEFAULT (datetime('now'))
-    );
-
-    CREATE VIRTUAL TABLE IF NOT EXISTS block_registrations_fts USING fts5(
-      block_name,
-      block_title,
-      block_category,
-      block_attributes,
-      supports,
-      code_context,
-      content='block_registrations',
-      content_rowid='id'
-    );
-
-    CREATE TABLE IF NOT EXISTS api_usages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
-      file_path TEXT NOT NULL,
-      line_number INTEGER NOT NULL,
-      api_call TEXT,
-      namespace TEXT,
-      method TEXT,
-      code_context TEXT,
-      content_hash TEXT,
-      first_seen_at TEXT DEFAULT (datetime('now')),
-      last_seen_at TEXT DEFAULT (datetime('now'))
-    );
-
-    CREATE VIRTUAL TABLE IF NOT EXISTS api_usages_fts USING fts5(
-      api_call,
-      namespace,
-      method,
-      code_context,
-      content='api_usages',
-      content_rowid='id'
-    );
-
-    CREATE TABLE IF NOT EXISTS docs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
-      file_path TEXT NOT NULL,
-      slug TEXT NOT NULL,
-      title TEXT NOT NULL,
-      doc_type TEXT NOT NULL,
-      category TEXT,
-      subcategory TEXT,
-      description TEXT,
-      content TEXT NOT NULL,
-      code_examples TEXT,
-      metadata TEXT,
-      content_hash TEXT,
-      status TEXT DEFAULT 'active',
-      first_seen_at TEXT DEFAULT (datetime('now')),
-      last_seen_at TEXT DEFAULT (datetime('now')),
-      UNIQUE(source_id, file_path)
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_docs_source_id ON docs(source_id);
-    CREATE INDEX IF NOT EXISTS idx_docs_slug ON docs(slug);
-    CREATE INDEX IF NOT EXISTS idx_docs_doc_type ON docs(doc_type);
-    CREATE INDEX IF NOT EXISTS idx_docs_category ON docs(category);
-    CREATE INDEX IF NOT EXISTS idx_docs_status ON docs(status);
-
-    CREATE VIRTUAL TABLE IF NOT EXISTS docs_fts USING fts5(
-      title,
-      slug,
-      doc_type,
-      category,
-      description,
-      content,
-      content='docs',
-      content_rowid='id',
-      tokenize='porter unicode61'
-    );
-  `);
-
-  // Migration: add content_type to sources if missing (for existing databases)
-  try {
-    db.exec(`ALTER TABLE sources ADD COLUMN content_type TEXT DEFAULT 'source'`);
-  } catch {
-    // Column already exists — ignore
-  }
-
-  // Migration: add last_indexed_at to sources if missing
-  try {
-    db.exec(`ALTER TABLE sources ADD COLUMN last_indexed_at TEXT`);
-  } catch {
-    // Column already exists — ignore
-  }
+/**
+ * Run a function in a single transaction. The write helpers' own transactions nest inside it as
+ * savepoints, so a batch of writes is committed once.
+ * @param {Function} fn
+ * @returns {*} What fn returns
+ */
+export function inTransaction(fn) {
+  return getDb().transaction(fn)();
 }
 
 // --- Prepared statement cache ---
@@ -223,14 +86,17 @@ function stmt(db, sql) {
 
 /**
  * Register a new source in the database.
- * @param {object} data - Source configuration (name, type, repo_url, subfolder, local_path, token_env_var, branch, enabled)
+ * @param {object} data - Source configuration (name, type, repo_url, subfolder, local_path, token_env_var, ssh_key_path, credential_helper, branch, enabled),
+ *   plus the package metadata of discovered plugins/themes (package_type, package_name, package_version, text_domain, requires_wp, wp_root)
  * @returns {import('better-sqlite3').RunResult}
  */
 export function addSource(data) {
   const db = getDb();
   return stmt(db, `
-    INSERT INTO sources (name, type, repo_url, subfolder, local_path, token_env_var, branch, enabled, content_type)
-    VALUES (@name, @type, @repo_url, @subfolder, @local_path, @token_env_var, @branch, @enabled, @content_type)
+    INSERT INTO sources (name, type, repo_url, subfolder, local_path, token_env_var, ssh_key_path, credential_helper, branch, enabled, content_type,
+      package_type, package_name, package_version, text_domain, requires_wp, wp_root)
+    VALUES (@name, @type, @repo_url, @subfolder, @local_path, @token_env_var, @ssh_key_path, @credential_helper, @branch, @enabled, @content_type,
+      @package_type, @package_name, @package_version, @text_domain, @requires_wp, @wp_root)
   `).run({
     name: data.name,
     type: data.type,
@@ -238,10 +104,198 @@ export function addSource(data) {
     subfolder: data.subfolder || null,
     local_path: data.local_path || null,
     token_env_var: data.token_env_var || null,
+    ssh_key_path: data.ssh_key_path || null,
+    credential_helper: data.credential_helper || null,
+    branch: data.branch || 'main',
+    enabled: data.enabled !== undefined ? (data.enabled ? 1 : 0) : 1,
+    content_type: data.content_type || 'source',
+    package_type: data.package_type || null,
+    package_name: data.package_name || null,
+    package_version: data.package_version || null,
+    text_domain: data.text_domain || null,
+    requires_wp: data.requires_wp || null,
+    wp_root: data.wp_root || null,
+  });
+}
+
+/**
+ * Track another ref (tag or branch) of a git source. The version is stored as its own source row,
+ * named "<source>@<ref>", with the parent's repository settings and its own checkout and index.
+ * @param {string} sourceName - Parent source name
+ * @param {string} ref - Tag or branch to index, e.g. "8.9.0"
+ * @returns {object} The new version's source row
+ */
+export function addSourceVersion(sourceName, ref) {
+  const db = getDb();
+  const parent = getSource(sourceName);
+  if (!parent) throw new Error(`Source not found: ${sourceName}`);
+  if (parent.parent_id) throw new Error(`"${sourceName}" is itself a version — add versions to its parent source`);
+  if (parent.type === 'local-folder' || parent.type === 'archive') {
+    throw new Error(`Source "${sourceName}" is a ${parent.type} source — versions need a git source`);
+  }
+  if (ref === parent.branch) throw new Error(`"${ref}" is already the default branch of "${sourceName}"`);
+
+  const name = `${parent.name}@${ref}`;
+  if (getSource(name)) throw new Error(`Version "${ref}" of "${sourceName}" already exists`);
+
+  stmt(db, `
+    INSERT INTO sources (name, type, repo_url, subfolder, local_path, token_env_var, ssh_key_path, credential_helper, branch, enabled, content_type, parent_id, version)
+    VALUES (@name, @type, @repo_url, @subfolder, @local_path, @token_env_var, @ssh_key_path, @credential_helper, @branch, @enabled, @content_type, @parent_id, @version)
+  `).run({ ...parent, name, branch: ref, parent_id: parent.id, version: ref });
+  return getSource(name);
+}
+
+/**
+ * Change the configuration of a source. Its tracked versions take over the repository settings;
+ * they keep their own ref. The next index run brings the indexed data in line.
+ * @param {number} sourceId
+ * @param {object} data - type, repo_url, subfolder, local_path, token_env_var, ssh_key_path, credential_helper, branch, enabled, content_type
+ */
+export function updateSource(sourceId, data) {
+  const db = getDb();
+  const params = {
+    id: sourceId,
+    type: data.type,
+    repo_url: data.repo_url || null,
+    subfolder: data.subfolder || null,
+    local_path: data.local_path || null,
+    token_env_var: data.token_env_var || null,
+    ssh_key_path: data.ssh_key_path || null,
+    credential_helper: data.credential_helper || null,
     branch: data.branch || 'main',
     enabled: data.enabled !== undefined ? (data.enabled ? 1 : 0) : 1,
     content_type: data.content_type || 'source',
+  };
+  const tx = db.transaction(() => {
+    stmt(db, `
+      UPDATE sources SET type = @type, repo_url = @repo_url, subfolder = @subfolder, local_path = @local_path,
+        token_env_var = @token_env_var, ssh_key_path = @ssh_key_path, credential_helper = @credential_helper,
+        branch = @branch, enabled = @enabled, content_type = @content_type, indexed_commit = NULL
+      WHERE id = @id
+    `).run(params);
+    stmt(db, `
+      UPDATE sources SET type = @type, repo_url = @repo_url, subfolder = @subfolder, local_path = @local_path,
+        token_env_var = @token_env_var, ssh_key_path = @ssh_key_path, credential_helper = @credential_helper,
+        enabled = @enabled, content_type = @content_type, indexed_commit = NULL
+      WHERE parent_id = @id
+    `).run(params);
   });
+  tx();
+}
+
+/**
+ * List the tracked versions of a source.
+ * @param {number} sourceId - Parent source ID
+ * @returns {Array<object>}
+ */
+export function listSourceVersions(sourceId) {
+  const db = getDb();
+  return stmt(db, 'SELECT * FROM sources WHERE parent_id = ? ORDER BY version').all(sourceId);
+}
+
+/** Sources the current project targets (see setSourceScope), or null to search every source. */
+let sourceScope = null;
+
+/**
+ * Limit every lookup that is not given an explicit source to a project's sources — the MCP server
+ * sets this from the project's .wp-devdocs.json. Each entry names a source and, optionally, the
+ * tracked version the project targets.
+ * @param {Array<{ name: string, version?: string }>|null} scope - null (or empty) clears the scope
+ */
+export function setSourceScope(scope) {
+  sourceScope = scope && scope.length > 0 ? scope : null;
+}
+
+/**
+ * The scope set by setSourceScope().
+ * @returns {Array<{ name: string, version?: string }>|null}
+ */
+export function getSourceScope() {
+  return sourceScope;
+}
+
+/**
+ * JSON array of the source row IDs in scope, for `s.id IN (SELECT value FROM json_each(...))`.
+ * A version overrides each entry's own; entries not registered yet or not tracking the version are skipped.
+ * @param {string} [version]
+ * @returns {string}
+ */
+function scopedSourceIds(version) {
+  const db = getDb();
+  const ids = [];
+  for (const entry of sourceScope || []) {
+    const source = getSource(entry.name);
+    const ref = version || entry.version;
+    if (!source) continue;
+    if (!ref) {
+      ids.push(source.id);
+      continue;
+    }
+    const row = stmt(db, `
+      SELECT id FROM sources WHERE (id = @id OR parent_id = @id) AND COALESCE(version, branch) = @ref
+    `).get({ id: source.id, ref });
+    if (row) ids.push(row.id);
+  }
+  return JSON.stringify(ids);
+}
+
+/**
+ * Append the shared source and version filters to a query joined to `sources s` and fill their
+ * parameters. Without a version only each source's default checkout is searched, so results are
+ * not repeated once per tracked version — a version row named directly ("woocommerce@8.9") still matches.
+ * Without an explicit source, an active project scope limits the query to the project's sources.
+ */
+function sourceFilters(params, { source, version } = {}) {
+  let sql = '';
+  if (!source && sourceScope) {
+    params.scope_ids = scopedSourceIds(version);
+    return ' AND s.id IN (SELECT value FROM json_each(@scope_ids))';
+  }
+  if (source) {
+    sql += ' AND (s.name = @source OR s.parent_id = (SELECT id FROM sources WHERE name = @source))';
+    params.source = source;
+  }
+  if (version) {
+    sql += ' AND COALESCE(s.version, s.branch) = @version';
+    params.version = version;
+  } else {
+    sql += source ? ' AND (s.parent_id IS NULL OR s.name = @source)' : ' AND s.parent_id IS NULL';
+  }
+  return sql;
+}
+
+/**
+ * Resolve a ref of a source to the source row indexed at that ref: the source itself when the ref is
+ * its default branch, one of its tracked versions, or — to compare two sources — another source by name.
+ * @param {string} sourceName - Source name
+ * @param {string} [ref] - Tag/branch, or another source's name; omitted means the source itself
+ * @returns {object} Source row
+ */
+export function resolveSourceRef(sourceName, ref) {
+  const db = getDb();
+  const source = getSource(sourceName);
+  if (!source) throw new Error(`Source not found: ${sourceName}`);
+  if (!ref) return source;
+
+  const version = stmt(db, `
+    SELECT * FROM sources WHERE (id = @id OR parent_id = @id) AND COALESCE(version, branch) = @ref
+  `).get({ id: source.id, ref });
+  if (version) return version;
+
+  const other = getSource(ref);
+  if (other) return other;
+
+  throw new Error(`"${sourceName}" has no version "${ref}". Add it with: wp-hooks source:add-version ${sourceName} ${ref}`);
+}
+
+/**
+ * Throw when no source tracks the given version, so "not found in 8.5.0" is never reported for
+ * a version that was simply never indexed.
+ */
+function assertVersionTracked(db, version) {
+  if (!version) return;
+  const row = stmt(db, 'SELECT 1 FROM sources WHERE COALESCE(version, branch) = ? LIMIT 1').get(version);
+  if (!row) throw new Error(`No source tracks version "${version}". Add it with: wp-hooks source:add-version <source> ${version}`);
 }
 
 /**
@@ -253,6 +307,31 @@ export function listSources() {
   return stmt(db, 'SELECT * FROM sources ORDER BY name').all();
 }
 
+/**
+ * List the sources registered by discovering a WordPress install.
+ * @param {string} wpRoot - Absolute path of the install
+ * @returns {Array<object>}
+ */
+export function listDiscoveredSources(wpRoot) {
+  const db = getDb();
+  return stmt(db, 'SELECT * FROM sources WHERE wp_root = ? ORDER BY name').all(wpRoot);
+}
+
+/**
+ * Refresh the plugin/theme header metadata of a discovered source.
+ * @param {number} sourceId
+ * @param {object} meta - { package_type, package_name, package_version, text_domain, requires_wp }
+ */
+export function updateSourcePackage(sourceId, meta) {
+  const db = getDb();
+  stmt(db, `
+    UPDATE sources
+    SET package_type = @package_type, package_name = @package_name, package_version = @package_version,
+        text_domain = @text_domain, requires_wp = @requires_wp
+    WHERE id = @id
+  `).run({ ...meta, id: sourceId });
+}
+
 /**
  * Get a source by its unique name.
  * @param {string} name
@@ -274,7 +353,7 @@ export function getSourceById(id) {
 }
 
 /**
- * Remove a source and all its associated data (hooks, blocks, APIs, FTS entries).
+ * Remove a source, its tracked versions and all their associated data (hooks, blocks, APIs, FTS entries).
  * Runs within a transaction for consistency.
  * @param {string} name - Source name
  * @returns {object|null} The removed source object, or null if not found
@@ -283,12 +362,18 @@ export function removeSource(name) {
   const db = getDb();
   const source = getSource(name);
   if (!source) return null;
+  const sourceIds = [source.id, ...listSourceVersions(source.id).map(v => v.id)];
   const tx = db.transaction(() => {
-    stmt(db, 'DELETE FROM hooks_fts WHERE rowid IN (SELECT id FROM hooks WHERE source_id = ?)').run(source.id);
-    stmt(db, 'DELETE FROM block_registrations_fts WHERE rowid IN (SELECT id FROM block_registrations WHERE source_id = ?)').run(source.id);
-    stmt(db, 'DELETE FROM api_usages_fts WHERE rowid IN (SELECT id FROM api_usages WHERE source_id = ?)').run(source.id);
-    stmt(db, 'DELETE FROM docs_fts WHERE rowid IN (SELECT id FROM docs WHERE source_id = ?)').run(source.id);
-    stmt(db, 'DELETE FROM sources WHERE name = ?').run(name);
+    for (const id of sourceIds) {
+      stmt(db, 'DELETE FROM hooks_fts WHERE rowid IN (SELECT id FROM hooks WHERE source_id = ?)').run(id);
+      stmt(db, 'DELETE FROM symbols_fts WHERE rowid IN (SELECT id FROM symbols WHERE source_id = ?)').run(id);
+      stmt(db, 'DELETE FROM rest_routes_fts WHERE rowid IN (SELECT id FROM rest_routes WHERE source_id = ?)').run(id);
+      stmt(db, 'DELETE FROM block_registrations_fts WHERE rowid IN (SELECT id FROM block_registrations WHERE source_id = ?)').run(id);
+      stmt(db, 'DELETE FROM api_usages_fts WHERE rowid IN (SELECT id FROM api_usages WHERE source_id = ?)').run(id);
+      stmt(db, 'DELETE FROM docs_fts WHERE rowid IN (SELECT id FROM docs WHERE source_id = ?)').run(id);
+    }
+    stmt(db, 'DELETE FROM sources WHERE parent_id = ?').run(source.id);
+    stmt(db, 'DELETE FROM sources WHERE id = ?').run(source.id);
   });
   tx();
   return source;
@@ -316,6 +401,17 @@ export function updateSourceLastIndexed(sourceId) {
   stmt(db, "UPDATE sources SET last_indexed_at = datetime('now') WHERE id = ?").run(sourceId);
 }
 
+/**
+ * Record the commit a source was completely indexed at — the base of its next diff-driven update.
+ * Null makes the next update scan every file.
+ * @param {number} sourceId
+ * @param {string|null} commitSha
+ */
+export function updateSourceIndexedCommit(sourceId, commitSha) {
+  const db = getDb();
+  stmt(db, 'UPDATE sources SET indexed_commit = ? WHERE id = ?').run(commitSha, sourceId);
+}
+
 export function getStaleSources(maxAgeMs) {
   const db = getDb();
   const cutoffSeconds = Math.floor(maxAgeMs / 1000);
@@ -331,32 +427,46 @@ export function getStaleSources(maxAgeMs) {
 
 /**
  * Insert or update a hook. Uses content_hash to detect changes.
- * Returns { id, action } where action is 'inserted', 'updated', or 'skipped'.
+ * Returns { id, action } where action is 'inserted', 'updated', 'shifted' (same hook, new line) or 'skipped'.
  * @param {object} data - Hook data including source_id, file_path, line_number, name, type, etc.
+ * @param {number} [runId] - Index run to log an added or modified hook against
  * @returns {{ id: number, action: string }}
  */
-export function upsertHook(data) {
+export function upsertHook(data, runId) {
   const db = getDb();
   const upsertTx = db.transaction((d) => {
     const existing = stmt(db, `
-      SELECT id, content_hash FROM hooks
-      WHERE source_id = @source_id AND file_path = @file_path AND line_number = @line_number AND name = @name
+      SELECT id, content_hash, line_number FROM hooks
+      WHERE source_id = @source_id AND file_path = @file_path AND hook_key = @hook_key
     `).get(d);
 
     if (existing) {
       if (existing.content_hash === d.content_hash) {
-        // No change — just bump last_seen_at
-        stmt(db, 'UPDATE hooks SET last_seen_at = datetime(\'now\'), status = \'active\' WHERE id = ?').run(existing.id);
-        return { id: existing.id, action: 'skipped' };
+        if (existing.line_number === d.line_number) {
+          // No change — just bump last_seen_at
+          stmt(db, 'UPDATE hooks SET last_seen_at = datetime(\'now\'), status = \'active\' WHERE id = ?').run(existing.id);
+          return { id: existing.id, action: 'skipped' };
+        }
+        // Same hook, shifted by edits elsewhere in the file — the surrounding code window moved with it
+        stmt(db, `
+          UPDATE hooks SET
+            line_number = @line_number, code_before = @code_before, code_after = @code_after,
+            status = 'active', removed_at = NULL, last_seen_at = datetime('now')
+          WHERE id = @id
+        `).run({ ...d, id: existing.id });
+        return { id: existing.id, action: 'shifted' };
       }
       // Update
       stmt(db, `
         UPDATE hooks SET
-          type = @type, php_function = @php_function, params = @params, param_count = @param_count,
+          line_number = @line_number, type = @type, php_function = @php_function, params = @params, param_count = @param_count,
           docblock = @docblock, inferred_description = @inferred_description,
           function_context = @function_context, class_name = @class_name,
           code_before = @code_before, code_after = @code_after, hook_line = @hook_line,
-          is_dynamic = @is_dynamic, content_hash = @content_hash,
+          is_dynamic = @is_dynamic, deprecated_version = @deprecated_version,
+          replacement_hook = @replacement_hook, deprecation_message = @deprecation_message,
+          since_version = @since_version, params_json = @params_json, return_type = @return_type,
+          deprecated = @deprecated, see = @see, content_hash = @content_hash,
           status = 'active', removed_at = NULL, last_seen_at = datetime('now')
         WHERE id = @id
       `).run({ ...d, id: existing.id });
@@ -366,19 +476,24 @@ export function upsertHook(data) {
         INSERT INTO hooks_fts(rowid, name, type, docblock, inferred_description, function_context, class_name, params)
         VALUES (@id, @name, @type, @docblock, @inferred_description, @function_context, @class_name, @params)
       `).run({ ...d, id: existing.id });
+      if (runId) logHookChange(db, runId, 'modified', { ...d, id: existing.id });
       return { id: existing.id, action: 'updated' };
     }
 
     // Insert
     const result = stmt(db, `
       INSERT INTO hooks (
-        source_id, file_path, line_number, name, type, php_function, params, param_count,
+        source_id, file_path, line_number, name, type, hook_key, php_function, params, param_count,
         docblock, inferred_description, function_context, class_name,
-        code_before, code_after, hook_line, is_dynamic, content_hash, status
+        code_before, code_after, hook_line, is_dynamic,
+        deprecated_version, replacement_hook, deprecation_message,
+        since_version, params_json, return_type, deprecated, see, content_hash, status
       ) VALUES (
-        @source_id, @file_path, @line_number, @name, @type, @php_function, @params, @param_count,
+        @source_id, @file_path, @line_number, @name, @type, @hook_key, @php_function, @params, @param_count,
         @docblock, @inferred_description, @function_context, @class_name,
-        @code_before, @code_after, @hook_line, @is_dynamic, @content_hash, 'active'
+        @code_before, @code_after, @hook_line, @is_dynamic,
+        @deprecated_version, @replacement_hook, @deprecation_message,
+        @since_version, @params_json, @return_type, @deprecated, @see, @content_hash, 'active'
       )
     `).run(d);
 
@@ -387,25 +502,53 @@ export function upsertHook(data) {
       VALUES (@id, @name, @type, @docblock, @inferred_description, @function_context, @class_name, @params)
     `).run({ ...d, id: result.lastInsertRowid });
 
+    if (runId) logHookChange(db, runId, 'added', { ...d, id: result.lastInsertRowid });
     return { id: result.lastInsertRowid, action: 'inserted' };
   });
 
   return upsertTx(data);
 }
 
+/**
+ * Record a hook change against an index run.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} runId
+ * @param {string} changeType - 'added', 'removed', 'modified' or 'moved'
+ * @param {object} hook - Hook row (id, source_id, name, type, file_path, line_number)
+ * @param {string|null} [previousFilePath] - Where a moved hook came from
+ */
+function logHookChange(db, runId, changeType, hook, previousFilePath = null) {
+  stmt(db, `
+    INSERT INTO hook_changes (run_id, source_id, hook_id, change_type, hook_name, hook_type, file_path, line_number, previous_file_path)
+    VALUES (@run_id, @source_id, @hook_id, @change_type, @hook_name, @hook_type, @file_path, @line_number, @previous_file_path)
+  `).run({
+    run_id: runId,
+    source_id: hook.source_id,
+    hook_id: hook.id,
+    change_type: changeType,
+    hook_name: hook.name,
+    hook_type: hook.type,
+    file_path: hook.file_path,
+    line_number: hook.line_number,
+    previous_file_path: previousFilePath,
+  });
+}
+
 /**
  * Soft-delete hooks that are no longer present in a file.
  * Marks hooks as 'removed' if their ID is not in the activeIds list.
  * @param {number} sourceId
  * @param {string} filePath
  * @param {Array<number>} activeIds - IDs of hooks still found in the file
+ * @param {number} [runId] - Index run to log the removals against
  * @returns {number} Count of hooks marked as removed
  */
-export function markHooksRemoved(sourceId, filePath, activeIds) {
+export function markHooksRemoved(sourceId, filePath, activeIds, runId) {
   const db = getDb();
   const tx = db.transaction(() => {
     const allHooks = stmt(db, `
-      SELECT id FROM hooks WHERE source_id = ? AND file_path = ? AND status = 'active'
+      SELECT id, source_id, name, type, file_path, line_number FROM hooks
+      WHERE source_id = ? AND file_path = ? AND status = 'active'
     `).all(sourceId, filePath);
 
     const activeSet = new Set(activeIds.map(Number));
@@ -417,6 +560,7 @@ export function markHooksRemoved(sourceId, filePath, activeIds) {
 
     for (const h of toRemove) {
       removeStmt.run(h.id);
+      if (runId) logHookChange(db, runId, 'removed', h);
     }
 
     return toRemove.length;
@@ -425,15 +569,126 @@ export function markHooksRemoved(sourceId, filePath, activeIds) {
   return tx();
 }
 
+/** Tables holding rows per indexed file, carried along by renameIndexedFile(). */
+const FILE_TABLES = ['hooks', 'hook_listeners', 'symbols', 'rest_routes', 'block_registrations', 'api_usages', 'indexed_files'];
+
+/**
+ * Carry everything indexed from a renamed file over to its new path. Hooks keep their ids,
+ * first_seen_at and release history, record moved_from/moved_at, and each active one is logged as
+ * moved in the run. Nothing is carried when the new path already has rows of its own.
+ * @param {number} sourceId
+ * @param {string} fromPath - Path before the rename
+ * @param {string} toPath - Path after the rename
+ * @param {number} runId - Index run to log the moves against
+ * @returns {number|null} Count of active hooks moved, or null when nothing was carried over
+ */
+export function renameIndexedFile(sourceId, fromPath, toPath, runId) {
+  const db = getDb();
+  const tx = db.transaction(() => {
+    const taken = FILE_TABLES.some(table => stmt(db, `SELECT 1 FROM ${table} WHERE source_id = ? AND file_path = ? LIMIT 1`).get(sourceId, toPath));
+    if (taken) return null;
+
+    const hooks = stmt(db, `
+      SELECT id, source_id, name, type, line_number FROM hooks
+      WHERE source_id = ? AND file_path = ? AND status = 'active'
+    `).all(sourceId, fromPath);
+    for (const table of FILE_TABLES) {
+      stmt(db, `UPDATE ${table} SET file_path = ? WHERE source_id = ? AND file_path = ?`).run(toPath, sourceId, fromPath);
+    }
+    stmt(db, `
+      UPDATE hooks SET moved_from = ?, moved_at = datetime('now')
+      WHERE source_id = ? AND file_path = ? AND status = 'active'
+    `).run(fromPath, sourceId, toPath);
+
+    for (const hook of hooks) logHookChange(db, runId, 'moved', { ...hook, file_path: toPath }, fromPath);
+    return hooks.length;
+  });
+
+  return tx();
+}
+
+/**
+ * Turn hooks that left one file and appeared in another during an index run into moves. A hook
+ * removed and a hook added in the run with the same name, type and enclosing class/function are
+ * paired; the original row takes over the new location (keeping its id and first_seen_at) and
+ * records moved_from/moved_at, the duplicate row is deleted, and the run's added/removed entries
+ * for the pair become one 'moved' entry.
+ * @param {number} runId
+ * @returns {number} Count of hooks recorded as moved
+ */
+export function reconcileHookMoves(runId) {
+  const db = getDb();
+  const tx = db.transaction(() => {
+    const candidates = stmt(db, `
+      SELECT n.id AS new_id, o.id AS old_id, o.file_path AS old_file
+      FROM hook_changes added
+      JOIN hooks n ON n.id = added.hook_id
+      JOIN hook_changes removed ON removed.run_id = added.run_id AND removed.change_type = 'removed'
+      JOIN hooks o ON o.id = removed.hook_id
+      WHERE added.run_id = ? AND added.change_type = 'added'
+        AND o.name = n.name AND o.type = n.type AND o.class_name IS n.class_name
+        AND o.php_function IS n.php_function AND o.file_path != n.file_path
+        AND n.status = 'active' AND o.status = 'removed'
+      ORDER BY n.id, o.id
+    `).all(runId);
+
+    const usedNew = new Set();
+    const usedOld = new Set();
+    let moved = 0;
+
+    for (const { new_id: newId, old_id: oldId, old_file: oldFile } of candidates) {
+      if (usedNew.has(newId) || usedOld.has(oldId)) continue;
+      usedNew.add(newId);
+      usedOld.add(oldId);
+
+      const row = stmt(db, 'SELECT * FROM hooks WHERE id = ?').get(newId);
+      stmt(db, 'DELETE FROM hooks_fts WHERE rowid = ?').run(newId);
+      stmt(db, 'DELETE FROM hooks WHERE id = ?').run(newId);
+
+      stmt(db, `
+        UPDATE hooks SET
+          file_path = @file_path, line_number = @line_number, hook_key = @hook_key,
+          php_function = @php_function, params = @params, param_count = @param_count,
+          docblock = @docblock, inferred_description = @inferred_description,
+          function_context = @function_context, class_name = @class_name,
+          code_before = @code_before, code_after = @code_after, hook_line = @hook_line,
+          is_dynamic = @is_dynamic, deprecated_version = @deprecated_version,
+          replacement_hook = @replacement_hook, deprecation_message = @deprecation_message,
+          since_version = @since_version, params_json = @params_json, return_type = @return_type,
+          deprecated = @deprecated, see = @see, content_hash = @content_hash,
+          status = 'active', removed_at = NULL, moved_from = @moved_from, moved_at = datetime('now'),
+          last_seen_at = datetime('now')
+        WHERE id = @id
+      `).run({ ...row, id: oldId, moved_from: oldFile });
+
+      stmt(db, 'DELETE FROM hooks_fts WHERE rowid = ?').run(oldId);
+      stmt(db, `
+        INSERT INTO hooks_fts(rowid, name, type, docblock, inferred_description, function_context, class_name, params)
+        VALUES (@id, @name, @type, @docblock, @inferred_description, @function_context, @class_name, @params)
+      `).run({ ...row, id: oldId });
+
+      stmt(db, "DELETE FROM hook_changes WHERE run_id = ? AND hook_id IN (?, ?) AND change_type IN ('added', 'removed')")
+        .run(runId, newId, oldId);
+      logHookChange(db, runId, 'moved', { ...row, id: oldId }, oldFile);
+      moved++;
+    }
+
+    return moved;
+  });
+
+  return tx();
+}
+
 /**
  * Full-text search hooks using FTS5 with BM25 ranking.
  * @param {string} query - Search keywords
- * @param {object} [opts] - { type, source, isDynamic, includeRemoved, limit }
+ * @param {object} [opts] - { type, source, version, isDynamic, includeRemoved, limit }
  * @returns {Array<object>} Ranked search results with source_name joined
  */
 export function searchHooks(query, opts = {}) {
   const db = getDb();
-  const { type, source, isDynamic, includeRemoved, limit = 20 } = opts;
+  const { type, source, version, isDynamic, includeRemoved, limit = 20 } = opts;
+  assertVersionTracked(db, version);
 
   // Build FTS query — escape special chars
   const ftsQuery = query.replace(/['"(){}[\]*:^~!]/g, ' ').trim();
@@ -465,10 +720,7 @@ export function searchHooks(query, opts = {}) {
     sql += ` AND h.type = @type`;
     params.type = type;
   }
-  if (source) {
-    sql += ` AND s.name = @source`;
-    params.source = source;
-  }
+  sql += sourceFilters(params, { source, version });
   if (isDynamic !== undefined) {
     sql += ` AND h.is_dynamic = @isDynamic`;
     params.isDynamic = isDynamic ? 1 : 0;
@@ -477,87 +729,810 @@ export function searchHooks(query, opts = {}) {
   sql += ` ORDER BY rank LIMIT @limit`;
   params.limit = limit;
 
-  return db.prepare(sql).all(params);
+  return db.prepare(sql).all(params);
+}
+
+/**
+ * All active hooks of one source, for comparing two indexed versions.
+ * @param {number} sourceId
+ * @returns {Array<object>} Ordered by file and line
+ */
+export function listActiveHooks(sourceId) {
+  const db = getDb();
+  return stmt(db, `
+    SELECT id, name, type, file_path, line_number, class_name, php_function, params, param_count,
+      docblock, since_version, content_hash
+    FROM hooks
+    WHERE source_id = ? AND status = 'active'
+    ORDER BY file_path, line_number
+  `).all(sourceId);
+}
+
+/**
+ * Validate whether a hook name exists in the index.
+ * Returns VALID (with locations), DEPRECATED (when only fired via *_deprecated(), with the
+ * replacement hook and version), VALID_DYNAMIC (when a dynamic hook pattern such as
+ * save_post_{dynamic} matches, with the pattern and variable parts), REMOVED, or NOT_FOUND
+ * (with FTS-based suggestions).
+ * @param {string} hookName - Exact hook name to check
+ * @param {object} [opts] - { version } — check a tracked version (e.g. "8.9.0") instead of the default checkouts
+ * @returns {{ status: string, hooks?: Array, matches?: Array, similar?: Array, replacement?: string|null, version?: string|null, message?: string|null }}
+ */
+export function validateHook(hookName, opts = {}) {
+  const db = getDb();
+  assertVersionTracked(db, opts.version);
+  const params = { name: hookName };
+  const scope = sourceFilters(params, { version: opts.version });
+
+  const exact = stmt(db, `
+    SELECT h.*, s.name AS source_name FROM hooks h
+    JOIN sources s ON s.id = h.source_id
+    WHERE h.name = @name AND h.status = 'active'${scope}
+  `).all(params);
+
+  if (exact.length > 0) {
+    const deprecated = exact.filter(h => h.type.endsWith('_deprecated'));
+    if (deprecated.length === exact.length) {
+      const withReplacement = deprecated.find(h => h.replacement_hook) || deprecated[0];
+      return {
+        status: 'DEPRECATED',
+        hooks: exact,
+        replacement: withReplacement.replacement_hook,
+        version: withReplacement.deprecated_version,
+        message: withReplacement.deprecation_message,
+      };
+    }
+    return { status: 'VALID', hooks: exact };
+  }
+
+  const dynamicMatches = matchDynamicHooks(hookName, opts);
+  if (dynamicMatches.length > 0) {
+    return { status: 'VALID_DYNAMIC', matches: dynamicMatches };
+  }
+
+  const removed = stmt(db, `
+    SELECT h.*, s.name AS source_name FROM hooks h
+    JOIN sources s ON s.id = h.source_id
+    WHERE h.name = @name AND h.status = 'removed'${scope}
+  `).all(params);
+
+  if (removed.length > 0) {
+    return { status: 'REMOVED', hooks: removed };
+  }
+
+  // Try FTS for similar suggestions
+  const ftsQuery = hookName.replace(/['"(){}[\]*:^~!]/g, ' ').replace(/_/g, ' ').trim();
+  const terms = ftsQuery.split(/\s+/).filter(Boolean).map(t => `"${t}"*`).join(' ');
+
+  let similar = [];
+  if (terms) {
+    try {
+      similar = db.prepare(`
+        SELECT h.name, h.type, s.name AS source_name,
+          bm25(hooks_fts, 10, 5, 2, 3, 1, 1, 1) AS rank
+        FROM hooks_fts
+        JOIN hooks h ON h.id = hooks_fts.rowid
+        JOIN sources s ON s.id = h.source_id
+        WHERE hooks_fts MATCH @terms AND h.status = 'active'${scope}
+        ORDER BY rank LIMIT 5
+      `).all({ ...params, terms });
+    } catch {
+      // FTS query may fail on edge cases — return empty suggestions
+    }
+  }
+
+  return { status: 'NOT_FOUND', similar };
+}
+
+/**
+ * Match a concrete hook name against the active dynamic hook patterns, e.g.
+ * "woocommerce_thankyou_bacs" against "woocommerce_thankyou_{dynamic}".
+ * Patterns with fewer than two literal words (like "woocommerce_{dynamic}") are
+ * too generic to confirm anything and are ignored.
+ * @param {string} hookName - Concrete hook name
+ * @param {object} [opts] - { version }
+ * @returns {Array<{ pattern: string, variables: Array<string>, hooks: Array<object> }>} Most specific pattern first
+ */
+export function matchDynamicHooks(hookName, opts = {}) {
+  const db = getDb();
+  const params = { name: hookName };
+  const scope = sourceFilters(params, { version: opts.version });
+
+  // LIKE is a cheap superset pre-filter ('_' is a wildcard, case-insensitive) — the regex below is exact.
+  const candidates = stmt(db, `
+    SELECT h.*, s.name AS source_name FROM hooks h
+    JOIN sources s ON s.id = h.source_id
+    WHERE h.is_dynamic = 1 AND h.status = 'active'
+      AND h.name LIKE '%{dynamic}%'
+      AND @name LIKE REPLACE(h.name, '{dynamic}', '%')${scope}
+  `).all(params);
+
+  const byPattern = new Map();
+  for (const hook of candidates) {
+    if (!byPattern.has(hook.name)) byPattern.set(hook.name, []);
+    byPattern.get(hook.name).push(hook);
+  }
+
+  const matches = [];
+  for (const [pattern, hooks] of byPattern) {
+    const literal = pattern.split('{dynamic}').join(' ');
+    if (literal.split(/[^A-Za-z0-9]+/).filter(Boolean).length < 2) continue;
+
+    const match = hookName.match(compileDynamicPattern(pattern));
+    if (!match) continue;
+
+    matches.push({ pattern, variables: match.slice(1), hooks, specificity: literal.replace(/\s/g, '').length });
+  }
+
+  matches.sort((a, b) => b.specificity - a.specificity);
+  return matches.map(({ pattern, variables, hooks }) => ({ pattern, variables, hooks }));
+}
+
+/**
+ * Compile a dynamic hook name into an anchored regex with one capture group per {dynamic} placeholder.
+ * @param {string} pattern - e.g. "manage_{dynamic}_posts_columns"
+ * @returns {RegExp}
+ */
+function compileDynamicPattern(pattern) {
+  const source = pattern
+    .split('{dynamic}')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('(.+?)');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Get full hook details including code context. Looks up by numeric ID first, then by name.
+ * @param {string|number} idOrName - Hook ID or exact hook name
+ * @returns {object|undefined}
+ */
+export function getHookContext(idOrName) {
+  const db = getDb();
+
+  // Try by ID first
+  if (typeof idOrName === 'number' || /^\d+$/.test(idOrName)) {
+    const hook = stmt(db, `
+      SELECT h.*, s.name AS source_name FROM hooks h
+      JOIN sources s ON s.id = h.source_id
+      WHERE h.id = ?
+    `).get(Number(idOrName));
+    if (hook) return hook;
+  }
+
+  // Try by name
+  // Sources in the project scope first, then default checkouts before tracked versions
+  return stmt(db, `
+    SELECT h.*, s.name AS source_name FROM hooks h
+    JOIN sources s ON s.id = h.source_id
+    WHERE h.name = @name AND h.status = 'active'
+    ORDER BY s.id IN (SELECT value FROM json_each(@scope_ids)) DESC, s.parent_id IS NOT NULL, h.last_seen_at DESC LIMIT 1
+  `).get({ name: idOrName, scope_ids: scopedSourceIds() });
+}
+
+// --- Hook Listeners ---
+
+/**
+ * Insert or update a hook listener (add_action, add_filter, remove_*, has_filter).
+ * Keyed by listener_key (see assignListenerKeys), not line; uses content_hash for change detection.
+ * @param {object} data - Listener data including source_id, file_path, listener_key, line_number, hook_name, listener_type, etc.
+ * @returns {{ id: number, action: string }}
+ */
+export function upsertHookListener(data) {
+  const db = getDb();
+  const tx = db.transaction((d) => {
+    const existing = stmt(db, `
+      SELECT id, content_hash, line_number FROM hook_listeners
+      WHERE source_id = @source_id AND file_path = @file_path AND listener_key = @listener_key
+    `).get(d);
+
+    if (existing) {
+      if (existing.content_hash === d.content_hash) {
+        // Same listener, possibly shifted by edits elsewhere in the file
+        stmt(db, `
+          UPDATE hook_listeners SET line_number = ?, status = 'active', removed_at = NULL, last_seen_at = datetime('now')
+          WHERE id = ?
+        `).run(d.line_number, existing.id);
+        return { id: existing.id, action: existing.line_number === d.line_number ? 'skipped' : 'shifted' };
+      }
+      stmt(db, `
+        UPDATE hook_listeners SET
+          line_number = @line_number, callback = @callback, priority = @priority, accepted_args = @accepted_args,
+          php_function = @php_function, class_name = @class_name, hook_line = @hook_line,
+          is_dynamic = @is_dynamic, content_hash = @content_hash,
+          status = 'active', removed_at = NULL, last_seen_at = datetime('now')
+        WHERE id = @id
+      `).run({ ...d, id: existing.id });
+      return { id: existing.id, action: 'updated' };
+    }
+
+    const result = stmt(db, `
+      INSERT INTO hook_listeners (
+        source_id, file_path, line_number, hook_name, listener_type, listener_key, callback, priority, accepted_args,
+        php_function, class_name, hook_line, is_dynamic, content_hash, status
+      ) VALUES (
+        @source_id, @file_path, @line_number, @hook_name, @listener_type, @listener_key, @callback, @priority, @accepted_args,
+        @php_function, @class_name, @hook_line, @is_dynamic, @content_hash, 'active'
+      )
+    `).run(d);
+
+    return { id: result.lastInsertRowid, action: 'inserted' };
+  });
+
+  return tx(data);
+}
+
+/**
+ * Soft-delete listeners that are no longer present in a file.
+ * @param {number} sourceId
+ * @param {string} filePath
+ * @param {Array<number>} activeIds - IDs of listeners still found in the file
+ * @returns {number} Count of listeners marked as removed
+ */
+export function markListenersRemoved(sourceId, filePath, activeIds) {
+  const db = getDb();
+  const tx = db.transaction(() => {
+    const all = stmt(db, `
+      SELECT id FROM hook_listeners WHERE source_id = ? AND file_path = ? AND status = 'active'
+    `).all(sourceId, filePath);
+
+    const activeSet = new Set(activeIds.map(Number));
+    const toRemove = all.filter(l => !activeSet.has(l.id));
+
+    const removeStmt = stmt(db, `
+      UPDATE hook_listeners SET status = 'removed', removed_at = datetime('now') WHERE id = ?
+    `);
+
+    for (const l of toRemove) {
+      removeStmt.run(l.id);
+    }
+
+    return toRemove.length;
+  });
+
+  return tx();
+}
+
+/**
+ * Get all callbacks attached to (or detached from) a hook, ordered by priority.
+ * @param {string} hookName - Exact hook name
+ * @param {object} [opts] - { source, listenerType, includeRemoved, limit }
+ * @returns {Array<object>} Listener rows with source_name joined
+ */
+export function getHookListeners(hookName, opts = {}) {
+  const db = getDb();
+  const { source, listenerType, includeRemoved, limit = 100 } = opts;
+
+  // Numeric priorities sort naturally; PHP_INT_MIN/PHP_INT_MAX sort first/last.
+  let sql = `
+    SELECT l.*, s.name AS source_name,
+      CASE
+        WHEN l.priority = 'PHP_INT_MIN' THEN -9.0e18
+        WHEN l.priority = 'PHP_INT_MAX' THEN 9.0e18
+        ELSE CAST(l.priority AS REAL)
+      END AS priority_sort
+    FROM hook_listeners l
+    JOIN sources s ON s.id = l.source_id
+    WHERE l.hook_name = @hookName
+  `;
+
+  const params = { hookName };
+
+  if (!includeRemoved) {
+    sql += ` AND l.status = 'active'`;
+  }
+  if (listenerType) {
+    sql += ` AND l.listener_type = @listenerType`;
+    params.listenerType = listenerType;
+  }
+  sql += sourceFilters(params, { source });
+
+  sql += ` ORDER BY priority_sort, s.name, l.file_path, l.line_number LIMIT @limit`;
+  params.limit = limit;
+
+  return db.prepare(sql).all(params);
+}
+
+// --- Symbols ---
+
+/**
+ * Insert or update a PHP symbol (function, method, class, interface, trait, enum).
+ * Keyed by file and qualified name, so moving a declaration within a file only updates its line.
+ * @param {object} data - Symbol data including source_id, file_path, kind, qualified_name, signature, etc.
+ * @returns {{ id: number, action: string }}
+ */
+export function upsertSymbol(data) {
+  const db = getDb();
+  const tx = db.transaction((d) => {
+    const existing = stmt(db, `
+      SELECT id, content_hash FROM symbols
+      WHERE source_id = @source_id AND file_path = @file_path AND kind = @kind AND qualified_name = @qualified_name
+    `).get(d);
+
+    if (existing) {
+      if (existing.content_hash === d.content_hash) {
+        stmt(db, `
+          UPDATE symbols SET line_number = @line_number, status = 'active', removed_at = NULL, last_seen_at = datetime('now')
+          WHERE id = @id
+        `).run({ line_number: d.line_number, id: existing.id });
+        return { id: existing.id, action: 'skipped' };
+      }
+      stmt(db, `
+        UPDATE symbols SET
+          line_number = @line_number, name = @name, namespace = @namespace, class_name = @class_name,
+          signature = @signature, params_json = @params_json, param_count = @param_count,
+          required_param_count = @required_param_count, return_type = @return_type,
+          visibility = @visibility, is_static = @is_static, is_abstract = @is_abstract, is_final = @is_final,
+          parent_class = @parent_class, interfaces = @interfaces, docblock = @docblock, summary = @summary,
+          since_version = @since_version, deprecated = @deprecated, content_hash = @content_hash,
+          status = 'active', removed_at = NULL, last_seen_at = datetime('now')
+        WHERE id = @id
+      `).run({ ...d, id: existing.id });
+      stmt(db, 'DELETE FROM symbols_fts WHERE rowid = ?').run(existing.id);
+      stmt(db, `
+        INSERT INTO symbols_fts(rowid, name, qualified_name, kind, class_name, summary, signature)
+        VALUES (@id, @name, @qualified_name, @kind, @class_name, @summary, @signature)
+      `).run({ ...d, id: existing.id });
+      return { id: existing.id, action: 'updated' };
+    }
+
+    const result = stmt(db, `
+      INSERT INTO symbols (
+        source_id, file_path, line_number, name, kind, namespace, class_name, qualified_name,
+        signature, params_json, param_count, required_param_count, return_type,
+        visibility, is_static, is_abstract, is_final, parent_class, interfaces,
+        docblock, summary, since_version, deprecated, content_hash, status
+      ) VALUES (
+        @source_id, @file_path, @line_number, @name, @kind, @namespace, @class_name, @qualified_name,
+        @signature, @params_json, @param_count, @required_param_count, @return_type,
+        @visibility, @is_static, @is_abstract, @is_final, @parent_class, @interfaces,
+        @docblock, @summary, @since_version, @deprecated, @content_hash, 'active'
+      )
+    `).run(d);
+
+    stmt(db, `
+      INSERT INTO symbols_fts(rowid, name, qualified_name, kind, class_name, summary, signature)
+      VALUES (@id, @name, @qualified_name, @kind, @class_name, @summary, @signature)
+    `).run({ ...d, id: result.lastInsertRowid });
+
+    return { id: result.lastInsertRowid, action: 'inserted' };
+  });
+
+  return tx(data);
+}
+
+/**
+ * Soft-delete symbols that are no longer declared in a file.
+ * @param {number} sourceId
+ * @param {string} filePath
+ * @param {Array<number>} activeIds - IDs of symbols still found in the file
+ * @returns {number} Count of symbols marked as removed
+ */
+export function markSymbolsRemoved(sourceId, filePath, activeIds) {
+  const db = getDb();
+  const tx = db.transaction(() => {
+    const all = stmt(db, `
+      SELECT id FROM symbols WHERE source_id = ? AND file_path = ? AND status = 'active'
+    `).all(sourceId, filePath);
+
+    const activeSet = new Set(activeIds.map(Number));
+    const toRemove = all.filter(s => !activeSet.has(s.id));
+
+    const removeStmt = stmt(db, `
+      UPDATE symbols SET status = 'removed', removed_at = datetime('now') WHERE id = ?
+    `);
+
+    for (const s of toRemove) {
+      removeStmt.run(s.id);
+    }
+
+    return toRemove.length;
+  });
+
+  return tx();
+}
+
+/**
+ * Full-text search PHP functions, methods and classes using FTS5 with BM25 ranking.
+ * @param {string} query - Search keywords
+ * @param {object} [opts] - { kind, className, source, includeRemoved, limit }
+ * @returns {Array<object>} Ranked search results with source_name joined
+ */
+export function searchSymbols(query, opts = {}) {
+  const db = getDb();
+  const { kind, className, source, includeRemoved, limit = 20 } = opts;
+
+  const ftsQuery = query.replace(/['"(){}[\]*:^~!\\$]/g, ' ').trim();
+  if (!ftsQuery) return [];
+
+  const terms = ftsQuery.split(/\s+/).filter(Boolean).map(t => `"${t}"*`).join(' ');
+
+  // Exact name matches first, as in searchHooks()
+  let sql = `
+    SELECT sy.*, s.name AS source_name,
+      bm25(symbols_fts, 10, 8, 1, 5, 2, 1)
+        + CASE WHEN sy.name = @rawQuery COLLATE NOCASE OR sy.qualified_name = @rawQuery COLLATE NOCASE THEN -100 ELSE 0 END
+        AS rank
+    FROM symbols_fts
+    JOIN symbols sy ON sy.id = symbols_fts.rowid
+    JOIN sources s ON s.id = sy.source_id
+    WHERE symbols_fts MATCH @terms
+  `;
+
+  const params = { terms, rawQuery: query.trim().replace(/\(\)$/, '') };
+
+  if (!includeRemoved) {
+    sql += ` AND sy.status = 'active'`;
+  }
+  if (kind) {
+    sql += ` AND sy.kind = @kind`;
+    params.kind = kind;
+  }
+  if (className) {
+    sql += ` AND sy.class_name = @className COLLATE NOCASE`;
+    params.className = className;
+  }
+  sql += sourceFilters(params, { source });
+
+  sql += ` ORDER BY rank LIMIT @limit`;
+  params.limit = limit;
+
+  try {
+    return db.prepare(sql).all(params);
+  } catch {
+    // FTS query may fail on edge cases
+    return [];
+  }
+}
+
+/**
+ * Validate whether a PHP function, class or method exists in the index.
+ * Accepts "wc_get_order", "wc_get_order()", "WC_Order" or "WC_Order::get_item" — methods are
+ * also looked up on parent classes and interfaces. PHP names are matched case-insensitively.
+ * Returns VALID, DEPRECATED (docblock @deprecated), ARG_COUNT_MISMATCH (when argCount is given and
+ * outside the declared range), REMOVED or NOT_FOUND (with suggestions).
+ * @param {string} symbolName - Function, class or Class::method name
+ * @param {object} [opts] - { argCount }
+ * @returns {{ status: string, symbols?: Array, similar?: Array, declaredIn?: string }}
+ */
+export function validateSymbol(symbolName, opts = {}) {
+  const db = getDb();
+  const { argCount } = opts;
+  const name = symbolName.trim().replace(/\(\)$/, '').replace(/^\\/, '');
+
+  const [className, methodName] = name.includes('::') ? name.split('::', 2) : [null, name];
+
+  let found;
+  let declaredIn = null;
+  if (className) {
+    ({ found, declaredIn } = findMethod(db, className, methodName, 'active'));
+  } else {
+    const params = { name };
+    found = stmt(db, `
+      SELECT sy.*, s.name AS source_name FROM symbols sy
+      JOIN sources s ON s.id = sy.source_id
+      WHERE (sy.qualified_name = @name COLLATE NOCASE OR sy.name = @name COLLATE NOCASE)
+        AND sy.kind != 'method' AND sy.status = 'active'${sourceFilters(params)}
+    `).all(params);
+  }
+
+  if (found.length > 0) {
+    if (argCount !== undefined && found[0].param_count !== null) {
+      const mismatch = found.every(sy => {
+        const params = sy.params_json ? JSON.parse(sy.params_json) : [];
+        const variadic = params.some(p => p.variadic);
+        return argCount < sy.required_param_count || (!variadic && argCount > sy.param_count);
+      });
+      if (mismatch) return { status: 'ARG_COUNT_MISMATCH', symbols: found, declaredIn };
+    }
+    if (found.every(sy => sy.deprecated)) {
+      return { status: 'DEPRECATED', symbols: found, declaredIn };
+    }
+    return { status: 'VALID', symbols: found, declaredIn };
+  }
+
+  const removedParams = { name };
+  const removed = className
+    ? findMethod(db, className, methodName, 'removed').found
+    : stmt(db, `
+      SELECT sy.*, s.name AS source_name FROM symbols sy
+      JOIN sources s ON s.id = sy.source_id
+      WHERE (sy.qualified_name = @name COLLATE NOCASE OR sy.name = @name COLLATE NOCASE)
+        AND sy.kind != 'method' AND sy.status = 'removed'${sourceFilters(removedParams)}
+    `).all(removedParams);
+
+  if (removed.length > 0) {
+    return { status: 'REMOVED', symbols: removed };
+  }
+
+  // Suggestions: other methods of the same class hierarchy, or FTS on the name parts
+  let similar = [];
+  if (className) {
+    const chain = classHierarchy(db, className);
+    if (chain.length > 0) {
+      const placeholders = chain.map((_, i) => `@c${i}`).join(', ');
+      const chainParams = Object.fromEntries(chain.map((c, i) => [`c${i}`, c]));
+      const methods = db.prepare(`
+        SELECT sy.name, sy.kind, sy.class_name, sy.signature, s.name AS source_name FROM symbols sy
+        JOIN sources s ON s.id = sy.source_id
+        WHERE sy.kind = 'method' AND sy.status = 'active' AND sy.class_name COLLATE NOCASE IN (${placeholders})
+          ${sourceFilters(chainParams)}
+      `).all(chainParams);
+      similar = rankByNameSimilarity(methods, methodName).slice(0, 5);
+    }
+  }
+  if (similar.length === 0) {
+    similar = searchSymbols(methodName.replace(/_/g, ' '), { limit: 5 })
+      .map(({ name: n, kind, class_name, signature, source_name }) => ({ name: n, kind, class_name, signature, source_name }));
+  }
+
+  return { status: 'NOT_FOUND', similar };
+}
+
+/**
+ * Look up a method on a class, walking up parent classes and interfaces. Removed methods are also
+ * looked up through removed classes, so the method of a class that is gone is REMOVED, not unknown.
+ * @returns {{ found: Array<object>, declaredIn: string|null }}
+ */
+function findMethod(db, className, methodName, status) {
+  for (const cls of classHierarchy(db, className, status === 'removed')) {
+    const params = { cls, method: methodName, status };
+    const found = stmt(db, `
+      SELECT sy.*, s.name AS source_name FROM symbols sy
+      JOIN sources s ON s.id = sy.source_id
+      WHERE sy.kind = 'method' AND sy.class_name = @cls COLLATE NOCASE
+        AND sy.name = @method COLLATE NOCASE AND sy.status = @status${sourceFilters(params)}
+    `).all(params);
+    if (found.length > 0) return { found, declaredIn: found[0].class_name };
+  }
+  return { found: [], declaredIn: null };
+}
+
+/**
+ * The class itself followed by its indexed ancestors and interfaces (breadth-first, cycle-safe).
+ * Namespaced names are reduced to their short name, which is what methods record as class_name.
+ * With includeRemoved, a class that is no longer active is followed through its removed
+ * declaration; an active declaration always wins.
+ * @returns {Array<string>} Empty when the class is not indexed
+ */
+function classHierarchy(db, className, includeRemoved = false) {
+  const shortName = (n) => n.replace(/^.*\\/, '');
+  const start = shortName(className);
+  const chain = [];
+  const seen = new Set();
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (seen.has(current.toLowerCase())) continue;
+    seen.add(current.toLowerCase());
+
+    const declarations = stmt(db, `
+      SELECT parent_class, interfaces, status FROM symbols
+      WHERE kind IN ('class', 'interface', 'trait', 'enum') AND name = ? COLLATE NOCASE
+    `).all(current);
+    const active = declarations.filter(row => row.status === 'active');
+    const rows = active.length > 0 || !includeRemoved ? active : declarations;
+    if (rows.length === 0 && current === start) return [];
+
+    chain.push(current);
+    for (const row of rows) {
+      if (row.parent_class) queue.push(shortName(row.parent_class));
+      if (row.interfaces) queue.push(...row.interfaces.split(', ').map(shortName));
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Order candidate rows by how many name words they share with the target name.
+ */
+function rankByNameSimilarity(rows, target) {
+  const words = new Set(target.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+  return rows
+    .map(row => ({ row, score: row.name.toLowerCase().split(/[^a-z0-9]+/).filter(w => words.has(w)).length }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(r => r.row);
+}
+
+// --- REST Routes ---
+
+/**
+ * Insert or update a REST endpoint registered with register_rest_route(). Uses content_hash for change detection.
+ * @param {object} data - Route data including source_id, file_path, line_number, full_route, methods, etc.
+ * @returns {{ id: number, action: string }}
+ */
+export function upsertRestRoute(data) {
+  const db = getDb();
+  const tx = db.transaction((d) => {
+    const existing = stmt(db, `
+      SELECT id, content_hash FROM rest_routes
+      WHERE source_id = @source_id AND file_path = @file_path AND line_number = @line_number
+        AND full_route = @full_route AND methods = @methods
+    `).get(d);
+
+    if (existing) {
+      if (existing.content_hash === d.content_hash) {
+        stmt(db, 'UPDATE rest_routes SET last_seen_at = datetime(\'now\'), status = \'active\', removed_at = NULL WHERE id = ?').run(existing.id);
+        return { id: existing.id, action: 'skipped' };
+      }
+      stmt(db, `
+        UPDATE rest_routes SET
+          namespace = @namespace, route = @route, callback = @callback,
+          permission_callback = @permission_callback, args_json = @args_json, args_source = @args_source,
+          schema_callback = @schema_callback, class_name = @class_name, php_function = @php_function,
+          is_dynamic = @is_dynamic, content_hash = @content_hash,
+          status = 'active', removed_at = NULL, last_seen_at = datetime('now')
+        WHERE id = @id
+      `).run({ ...d, id: existing.id });
+      stmt(db, 'DELETE FROM rest_routes_fts WHERE rowid = ?').run(existing.id);
+      stmt(db, `
+        INSERT INTO rest_routes_fts(rowid, full_route, namespace, methods, callback, args_json)
+        VALUES (@id, @full_route, @namespace, @methods, @callback, @args_json)
+      `).run({ ...d, id: existing.id });
+      return { id: existing.id, action: 'updated' };
+    }
+
+    const result = stmt(db, `
+      INSERT INTO rest_routes (
+        source_id, file_path, line_number, namespace, route, full_route, methods, callback,
+        permission_callback, args_json, args_source, schema_callback, class_name, php_function,
+        is_dynamic, content_hash, status
+      ) VALUES (
+        @source_id, @file_path, @line_number, @namespace, @route, @full_route, @methods, @callback,
+        @permission_callback, @args_json, @args_source, @schema_callback, @class_name, @php_function,
+        @is_dynamic, @content_hash, 'active'
+      )
+    `).run(d);
+
+    stmt(db, `
+      INSERT INTO rest_routes_fts(rowid, full_route, namespace, methods, callback, args_json)
+      VALUES (@id, @full_route, @namespace, @methods, @callback, @args_json)
+    `).run({ ...d, id: result.lastInsertRowid });
+
+    return { id: result.lastInsertRowid, action: 'inserted' };
+  });
+
+  return tx(data);
+}
+
+/**
+ * Soft-delete REST routes that are no longer registered in a file.
+ * @param {number} sourceId
+ * @param {string} filePath
+ * @param {Array<number>} activeIds - IDs of routes still found in the file
+ * @returns {number} Count of routes marked as removed
+ */
+export function markRestRoutesRemoved(sourceId, filePath, activeIds) {
+  const db = getDb();
+  const tx = db.transaction(() => {
+    const all = stmt(db, `
+      SELECT id FROM rest_routes WHERE source_id = ? AND file_path = ? AND status = 'active'
+    `).all(sourceId, filePath);
+
+    const activeSet = new Set(activeIds.map(Number));
+    const toRemove = all.filter(r => !activeSet.has(r.id));
+
+    const removeStmt = stmt(db, `
+      UPDATE rest_routes SET status = 'removed', removed_at = datetime('now') WHERE id = ?
+    `);
+
+    for (const r of toRemove) {
+      removeStmt.run(r.id);
+    }
+
+    return toRemove.length;
+  });
+
+  return tx();
+}
+
+/**
+ * Full-text search REST routes by route, namespace, callback or argument names.
+ * @param {string} query - Search keywords
+ * @param {object} [opts] - { method, namespace, source, includeRemoved, limit }
+ * @returns {Array<object>} Ranked search results with source_name joined
+ */
+export function searchRestRoutes(query, opts = {}) {
+  const db = getDb();
+  const { method, namespace, source, includeRemoved, limit = 20 } = opts;
+
+  const ftsQuery = query.replace(/['"(){}[\]*:^~!<>?\\$+.]/g, ' ').replace(/\//g, ' ').trim();
+  if (!ftsQuery) return [];
+
+  const terms = ftsQuery.split(/\s+/).filter(Boolean).map(t => `"${t}"*`).join(' ');
+
+  let sql = `
+    SELECT r.*, s.name AS source_name,
+      bm25(rest_routes_fts, 10, 5, 2, 3, 1) AS rank
+    FROM rest_routes_fts
+    JOIN rest_routes r ON r.id = rest_routes_fts.rowid
+    JOIN sources s ON s.id = r.source_id
+    WHERE rest_routes_fts MATCH @terms
+  `;
+
+  const params = { terms };
+  sql += restRouteFilters(params, { method, namespace, source, includeRemoved });
+  sql += ` ORDER BY rank LIMIT @limit`;
+  params.limit = limit;
+
+  try {
+    return db.prepare(sql).all(params);
+  } catch {
+    // FTS query may fail on edge cases
+    return [];
+  }
 }
 
 /**
- * Validate whether a hook name exists in the index.
- * Returns VALID (with locations), REMOVED, or NOT_FOUND (with FTS-based suggestions).
- * @param {string} hookName - Exact hook name to check
- * @returns {{ status: string, hooks?: Array, similar?: Array }}
+ * Match a concrete request path such as "/wc/v3/orders/123" against the indexed route patterns,
+ * the way the REST server does (patterns are regular expressions with named groups).
+ * @param {string} path - Request path, with or without the leading slash or /wp-json prefix
+ * @param {object} [opts] - { method, namespace, source, includeRemoved, limit }
+ * @returns {Array<object>} Matching routes with source_name and the captured `params`
  */
-export function validateHook(hookName) {
+export function matchRestRoutes(path, opts = {}) {
   const db = getDb();
+  const { method, namespace, source, includeRemoved, limit = 20 } = opts;
+  const requestPath = `/${path.trim().replace(/^\/?(?:wp-json\/)?/, '').replace(/\?.*$/, '')}`;
 
-  const exact = stmt(db, `
-    SELECT h.*, s.name AS source_name FROM hooks h
-    JOIN sources s ON s.id = h.source_id
-    WHERE h.name = @name AND h.status = 'active'
-  `).all({ name: hookName });
-
-  if (exact.length > 0) {
-    return { status: 'VALID', hooks: exact };
+  // Routes can only match paths that start with their namespace
+  let sql = `
+    SELECT r.*, s.name AS source_name FROM rest_routes r
+    JOIN sources s ON s.id = r.source_id
+    WHERE @path LIKE '/' || r.namespace || '%'
+  `;
+  const params = { path: requestPath };
+  sql += restRouteFilters(params, { method, namespace, source, includeRemoved });
+  sql += ` ORDER BY r.namespace, r.full_route`;
+
+  const matches = [];
+  for (const route of db.prepare(sql).all(params)) {
+    const match = requestPath.match(compileRoutePattern(route.full_route));
+    if (!match) continue;
+    matches.push({ ...route, params: { ...match.groups } });
+    if (matches.length >= limit) break;
   }
+  return matches;
+}
 
-  const removed = stmt(db, `
-    SELECT h.*, s.name AS source_name FROM hooks h
-    JOIN sources s ON s.id = h.source_id
-    WHERE h.name = @name AND h.status = 'removed'
-  `).all({ name: hookName });
-
-  if (removed.length > 0) {
-    return { status: 'REMOVED', hooks: removed };
+/**
+ * Append the shared REST route filters to a query and fill their parameters.
+ */
+function restRouteFilters(params, { method, namespace, source, includeRemoved }) {
+  let sql = '';
+  if (!includeRemoved) {
+    sql += ` AND r.status = 'active'`;
   }
-
-  // Try FTS for similar suggestions
-  const ftsQuery = hookName.replace(/['"(){}[\]*:^~!]/g, ' ').replace(/_/g, ' ').trim();
-  const terms = ftsQuery.split(/\s+/).filter(Boolean).map(t => `"${t}"*`).join(' ');
-
-  let similar = [];
-  if (terms) {
-    try {
-      similar = db.prepare(`
-        SELECT h.name, h.type, s.name AS source_name,
-          bm25(hooks_fts, 10, 5, 2, 3, 1, 1, 1) AS rank
-        FROM hooks_fts
-        JOIN hooks h ON h.id = hooks_fts.rowid
-        JOIN sources s ON s.id = h.source_id
-        WHERE hooks_fts MATCH @terms AND h.status = 'active'
-        ORDER BY rank LIMIT 5
-      `).all({ terms });
-    } catch {
-      // FTS query may fail on edge cases — return empty suggestions
-    }
+  if (method) {
+    sql += ` AND (', ' || r.methods || ', ') LIKE @method`;
+    params.method = `%, ${method.toUpperCase()}, %`;
   }
-
-  return { status: 'NOT_FOUND', similar };
+  if (namespace) {
+    sql += ` AND r.namespace = @namespace`;
+    params.namespace = namespace.replace(/^\/+|\/+$/g, '');
+  }
+  sql += sourceFilters(params, { source });
+  return sql;
 }
 
 /**
- * Get full hook details including code context. Looks up by numeric ID first, then by name.
- * @param {string|number} idOrName - Hook ID or exact hook name
- * @returns {object|undefined}
+ * Compile a route pattern ("/wc/v3/orders/(?P<id>[\d]+)") into an anchored JS regex.
+ * PCRE named groups (?P<name>...) become (?<name>...); {dynamic} parts match one path segment.
+ * @param {string} fullRoute
+ * @returns {RegExp}
  */
-export function getHookContext(idOrName) {
-  const db = getDb();
-
-  // Try by ID first
-  if (typeof idOrName === 'number' || /^\d+$/.test(idOrName)) {
-    const hook = stmt(db, `
-      SELECT h.*, s.name AS source_name FROM hooks h
-      JOIN sources s ON s.id = h.source_id
-      WHERE h.id = ?
-    `).get(Number(idOrName));
-    if (hook) return hook;
+function compileRoutePattern(fullRoute) {
+  const source = fullRoute
+    .replace(/\(\?P</g, '(?<')
+    .replace(/\{dynamic\}/g, '[^/]+');
+  try {
+    return new RegExp(`^${source}/?$`, 'i');
+  } catch {
+    // Patterns using PCRE-only syntax never match
+    return /(?!)/;
   }
-
-  // Try by name
-  return stmt(db, `
-    SELECT h.*, s.name AS source_name FROM hooks h
-    JOIN sources s ON s.id = h.source_id
-    WHERE h.name = ? AND h.status = 'active'
-    ORDER BY h.last_seen_at DESC LIMIT 1
-  `).get(idOrName);
 }
 
 // --- Block Registrations ---
@@ -577,15 +1552,19 @@ export function upsertBlockRegistration(data) {
 
     if (existing) {
       if (existing.content_hash === d.content_hash) {
-        stmt(db, 'UPDATE block_registrations SET last_seen_at = datetime(\'now\') WHERE id = ?').run(existing.id);
+        stmt(db, 'UPDATE block_registrations SET last_seen_at = datetime(\'now\'), status = \'active\', removed_at = NULL WHERE id = ?').run(existing.id);
         return { id: existing.id, action: 'skipped' };
       }
       stmt(db, `
         UPDATE block_registrations SET
           block_title = @block_title, block_category = @block_category,
           block_attributes = @block_attributes, supports = @supports,
-          code_context = @code_context, content_hash = @content_hash,
-          last_seen_at = datetime('now')
+          code_context = @code_context, registration_kind = @registration_kind,
+          metadata_file = @metadata_file, uses_context = @uses_context, provides_context = @provides_context,
+          parent_blocks = @parent_blocks, ancestor_blocks = @ancestor_blocks, render = @render, render_callback = @render_callback,
+          editor_script = @editor_script, view_script_module = @view_script_module,
+          api_version = @api_version, content_hash = @content_hash,
+          status = 'active', removed_at = NULL, last_seen_at = datetime('now')
         WHERE id = @id
       `).run({ ...d, id: existing.id });
       stmt(db, 'DELETE FROM block_registrations_fts WHERE rowid = ?').run(existing.id);
@@ -597,8 +1576,15 @@ export function upsertBlockRegistration(data) {
     }
 
     const result = stmt(db, `
-      INSERT INTO block_registrations (source_id, file_path, line_number, block_name, block_title, block_category, block_attributes, supports, code_context, content_hash)
-      VALUES (@source_id, @file_path, @line_number, @block_name, @block_title, @block_category, @block_attributes, @supports, @code_context, @content_hash)
+      INSERT INTO block_registrations (
+        source_id, file_path, line_number, block_name, block_title, block_category, block_attributes, supports,
+        code_context, registration_kind, metadata_file, uses_context, provides_context, parent_blocks,
+        ancestor_blocks, render, render_callback, editor_script, view_script_module, api_version, content_hash
+      ) VALUES (
+        @source_id, @file_path, @line_number, @block_name, @block_title, @block_category, @block_attributes, @supports,
+        @code_context, @registration_kind, @metadata_file, @uses_context, @provides_context, @parent_blocks,
+        @ancestor_blocks, @render, @render_callback, @editor_script, @view_script_module, @api_version, @content_hash
+      )
     `).run(d);
 
     stmt(db, `
@@ -612,6 +1598,64 @@ export function upsertBlockRegistration(data) {
   return tx(data);
 }
 
+/**
+ * Link block registrations in code to the block.json that declares the same block name in the
+ * same source. Calls that import their block.json already carry metadata_file and are left as is.
+ * @param {number} sourceId
+ * @returns {number} Number of registrations linked
+ */
+export function linkBlockMetadata(sourceId) {
+  const db = getDb();
+  return stmt(db, `
+    UPDATE block_registrations SET metadata_file = (
+      SELECT meta.file_path FROM block_registrations meta
+      WHERE meta.source_id = block_registrations.source_id
+        AND meta.registration_kind = 'block.json' AND meta.status = 'active'
+        AND meta.block_name = block_registrations.block_name
+      ORDER BY meta.file_path LIMIT 1
+    )
+    WHERE source_id = ? AND metadata_file IS NULL
+      AND registration_kind IN ('registerBlockType', 'register_block_type', 'register_block_type_from_metadata')
+      AND EXISTS (
+        SELECT 1 FROM block_registrations meta
+        WHERE meta.source_id = block_registrations.source_id
+          AND meta.registration_kind = 'block.json' AND meta.status = 'active'
+          AND meta.block_name = block_registrations.block_name
+      )
+  `).run(sourceId).changes;
+}
+
+/**
+ * Soft-delete block registrations that are no longer present in a file.
+ * @param {number} sourceId
+ * @param {string} filePath
+ * @param {Array<number>} activeIds - IDs of block registrations still found in the file
+ * @returns {number} Count of block registrations marked as removed
+ */
+export function markBlocksRemoved(sourceId, filePath, activeIds) {
+  const db = getDb();
+  const tx = db.transaction(() => {
+    const all = stmt(db, `
+      SELECT id FROM block_registrations WHERE source_id = ? AND file_path = ? AND status = 'active'
+    `).all(sourceId, filePath);
+
+    const activeSet = new Set(activeIds.map(Number));
+    const toRemove = all.filter(row => !activeSet.has(row.id));
+
+    const removeStmt = stmt(db, `
+      UPDATE block_registrations SET status = 'removed', removed_at = datetime('now') WHERE id = ?
+    `);
+
+    for (const row of toRemove) {
+      removeStmt.run(row.id);
+    }
+
+    return toRemove.length;
+  });
+
+  return tx();
+}
+
 // --- API Usages ---
 
 /**
@@ -629,14 +1673,14 @@ export function upsertApiUsage(data) {
 
     if (existing) {
       if (existing.content_hash === d.content_hash) {
-        stmt(db, 'UPDATE api_usages SET last_seen_at = datetime(\'now\') WHERE id = ?').run(existing.id);
+        stmt(db, 'UPDATE api_usages SET last_seen_at = datetime(\'now\'), status = \'active\', removed_at = NULL WHERE id = ?').run(existing.id);
         return { id: existing.id, action: 'skipped' };
       }
       stmt(db, `
         UPDATE api_usages SET
           namespace = @namespace, method = @method,
           code_context = @code_context, content_hash = @content_hash,
-          last_seen_at = datetime('now')
+          status = 'active', removed_at = NULL, last_seen_at = datetime('now')
         WHERE id = @id
       `).run({ ...d, id: existing.id });
       stmt(db, 'DELETE FROM api_usages_fts WHERE rowid = ?').run(existing.id);
@@ -663,6 +1707,166 @@ export function upsertApiUsage(data) {
   return tx(data);
 }
 
+/**
+ * Soft-delete API usages that are no longer present in a file.
+ * @param {number} sourceId
+ * @param {string} filePath
+ * @param {Array<number>} activeIds - IDs of API usages still found in the file
+ * @returns {number} Count of API usages marked as removed
+ */
+export function markApiUsagesRemoved(sourceId, filePath, activeIds) {
+  const db = getDb();
+  const tx = db.transaction(() => {
+    const all = stmt(db, `
+      SELECT id FROM api_usages WHERE source_id = ? AND file_path = ? AND status = 'active'
+    `).all(sourceId, filePath);
+
+    const activeSet = new Set(activeIds.map(Number));
+    const toRemove = all.filter(row => !activeSet.has(row.id));
+
+    const removeStmt = stmt(db, `
+      UPDATE api_usages SET status = 'removed', removed_at = datetime('now') WHERE id = ?
+    `);
+
+    for (const row of toRemove) {
+      removeStmt.run(row.id);
+    }
+
+    return toRemove.length;
+  });
+
+  return tx();
+}
+
+// --- Hook history ---
+
+/**
+ * Record the release history of a source's hooks, replacing any earlier history pass.
+ * Hooks are matched on type and name in the source and all its tracked versions; hooks that never
+ * appeared in a release tag are left undated.
+ * @param {number} sourceId - Source ID (its tracked versions are updated too)
+ * @param {Map<string, { introduced_in: string, last_seen_in: string, removed_in: string|null }>} history - Keyed by "type:name"
+ * @returns {number} Number of hook rows dated
+ */
+export function setHookHistory(sourceId, history) {
+  const db = getDb();
+  const sourceIds = [sourceId, ...listSourceVersions(sourceId).map(v => v.id)];
+  const placeholders = sourceIds.map(() => '?').join(', ');
+
+  const tx = db.transaction(() => {
+    db.prepare(`UPDATE hooks SET introduced_in = NULL, last_seen_in = NULL, removed_in = NULL WHERE source_id IN (${placeholders})`).run(...sourceIds);
+
+    const update = db.prepare(`
+      UPDATE hooks SET introduced_in = ?, last_seen_in = ?, removed_in = ?
+      WHERE source_id IN (${placeholders}) AND type = ? AND name = ?
+    `);
+    let dated = 0;
+    for (const [key, { introduced_in, last_seen_in, removed_in }] of history) {
+      const separator = key.indexOf(':');
+      dated += update.run(introduced_in, last_seen_in, removed_in, ...sourceIds, key.slice(0, separator), key.slice(separator + 1)).changes;
+    }
+    return dated;
+  });
+
+  return tx();
+}
+
+// --- Index runs ---
+
+/**
+ * Start logging an index run for a source.
+ * @param {number} sourceId
+ * @param {string|null} commitSha - Upstream commit being indexed, when the source is a git checkout
+ * @returns {number} Run ID
+ */
+export function startIndexRun(sourceId, commitSha) {
+  const db = getDb();
+  return Number(stmt(db, 'INSERT INTO index_runs (source_id, commit_sha) VALUES (?, ?)').run(sourceId, commitSha).lastInsertRowid);
+}
+
+/**
+ * Close an index run and store its hook change counts.
+ * @param {number} runId
+ * @param {number} filesProcessed
+ * @returns {{ added: number, removed: number, modified: number, moved: number }}
+ */
+export function finishIndexRun(runId, filesProcessed) {
+  const db = getDb();
+  const counts = { added: 0, removed: 0, modified: 0, moved: 0 };
+  for (const row of stmt(db, 'SELECT change_type, COUNT(*) AS count FROM hook_changes WHERE run_id = ? GROUP BY change_type').all(runId)) {
+    counts[row.change_type] = row.count;
+  }
+  stmt(db, `
+    UPDATE index_runs SET
+      finished_at = datetime('now'), files_processed = @files_processed,
+      hooks_added = @added, hooks_removed = @removed, hooks_modified = @modified, hooks_moved = @moved
+    WHERE id = @id
+  `).run({ id: runId, files_processed: filesProcessed, ...counts });
+  return counts;
+}
+
+/**
+ * Convert a --since value to a UTC datetime string comparable with the *_at columns.
+ * Accepts a date or datetime ("2026-09-01", "2026-09-01 12:00") or a relative age ("30d", "2w").
+ */
+function sinceToDatetime(since) {
+  const text = String(since).trim();
+  const relative = text.match(/^(\d+)\s*([dw])$/i);
+  if (relative) {
+    const days = Number(relative[1]) * (relative[2].toLowerCase() === 'w' ? 7 : 1);
+    return new Date(Date.now() - days * 86400000).toISOString().replace('T', ' ').slice(0, 19);
+  }
+  // A bare date means midnight UTC; datetimes without a zone are read as local time
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : text.replace(' ', 'T'));
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid since value "${since}" — use a date such as 2026-09-01 or an age such as 30d or 2w`);
+  }
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * List hook changes recorded by index runs, newest first.
+ * @param {object} [opts] - { source, since, changeType, name, limit }
+ * @returns {Array<object>} Changes with source_name, commit_sha and run_started_at joined
+ */
+export function getHookChanges(opts = {}) {
+  const db = getDb();
+  const { source, since, changeType, name, limit = 100 } = opts;
+
+  const conditions = [];
+  const params = { limit };
+  if (source) {
+    conditions.push('s.name = @source');
+    params.source = source;
+  } else if (sourceScope) {
+    conditions.push('s.id IN (SELECT value FROM json_each(@scope_ids))');
+    params.scope_ids = scopedSourceIds();
+  }
+  if (since) {
+    conditions.push('hc.changed_at >= @since');
+    params.since = sinceToDatetime(since);
+  }
+  if (changeType) {
+    conditions.push('hc.change_type = @changeType');
+    params.changeType = changeType;
+  }
+  if (name) {
+    conditions.push('hc.hook_name LIKE @name');
+    params.name = `%${name}%`;
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return db.prepare(`
+    SELECT hc.*, s.name AS source_name, r.commit_sha, r.started_at AS run_started_at
+    FROM hook_changes hc
+    JOIN sources s ON s.id = hc.source_id
+    JOIN index_runs r ON r.id = hc.run_id
+    ${where}
+    ORDER BY hc.run_id DESC, hc.change_type, hc.hook_name
+    LIMIT @limit
+  `).all(params);
+}
+
 // --- Indexed Files ---
 
 /**
@@ -693,44 +1897,227 @@ export function upsertIndexedFile(sourceId, filePath, mtimeMs, contentHash) {
   `).run({ source_id: sourceId, file_path: filePath, mtime_ms: mtimeMs, content_hash: contentHash });
 }
 
+/**
+ * List the files recorded as indexed for a source.
+ * @param {number} sourceId
+ * @returns {Array<string>} Relative file paths
+ */
+export function listIndexedFiles(sourceId) {
+  const db = getDb();
+  return stmt(db, 'SELECT file_path FROM indexed_files WHERE source_id = ?').all(sourceId).map(r => r.file_path);
+}
+
+/**
+ * Forget an indexed file — used once a file has vanished from the source.
+ * @param {number} sourceId
+ * @param {string} filePath
+ */
+export function deleteIndexedFile(sourceId, filePath) {
+  const db = getDb();
+  stmt(db, 'DELETE FROM indexed_files WHERE source_id = ? AND file_path = ?').run(sourceId, filePath);
+}
+
 // --- FTS Rebuild ---
 
+/** Each FTS table with its content table and indexed columns, in column order. */
+const FTS_TABLES = [
+  { fts: 'hooks_fts', table: 'hooks', columns: ['name', 'type', 'docblock', 'inferred_description', 'function_context', 'class_name', 'params'] },
+  { fts: 'symbols_fts', table: 'symbols', columns: ['name', 'qualified_name', 'kind', 'class_name', 'summary', 'signature'] },
+  { fts: 'rest_routes_fts', table: 'rest_routes', columns: ['full_route', 'namespace', 'methods', 'callback', 'args_json'] },
+  { fts: 'block_registrations_fts', table: 'block_registrations', columns: ['block_name', 'block_title', 'block_category', 'block_attributes', 'supports', 'code_context'] },
+  { fts: 'api_usages_fts', table: 'api_usages', columns: ['api_call', 'namespace', 'method', 'code_context'] },
+  { fts: 'docs_fts', table: 'docs', columns: ['title', 'slug', 'doc_type', 'category', 'description', 'content'] },
+];
+
 /**
  * Rebuild all FTS5 indexes from the content tables.
  * Useful for recovery when FTS gets out of sync.
+ * @returns {Array<string>} The content tables whose indexes were rebuilt
  */
 export function rebuildFtsIndex() {
   const db = getDb();
   const tx = db.transaction(() => {
-    // Rebuild hooks FTS
-    db.exec('DELETE FROM hooks_fts');
-    db.exec(`
-      INSERT INTO hooks_fts(rowid, name, type, docblock, inferred_description, function_context, class_name, params)
-      SELECT id, name, type, docblock, inferred_description, function_context, class_name, params FROM hooks
-    `);
+    for (const { fts, table, columns } of FTS_TABLES) {
+      db.exec(`DELETE FROM ${fts}`);
+      db.exec(`INSERT INTO ${fts}(rowid, ${columns.join(', ')}) SELECT id, ${columns.join(', ')} FROM ${table}`);
+    }
+  });
+  tx();
+  return FTS_TABLES.map(({ table }) => table);
+}
 
-    // Rebuild block_registrations FTS
-    db.exec('DELETE FROM block_registrations_fts');
-    db.exec(`
-      INSERT INTO block_registrations_fts(rowid, block_name, block_title, block_category, block_attributes, supports, code_context)
-      SELECT id, block_name, block_title, block_category, block_attributes, supports, code_context FROM block_registrations
-    `);
+// --- Snapshots ---
 
-    // Rebuild api_usages FTS
-    db.exec('DELETE FROM api_usages_fts');
-    db.exec(`
-      INSERT INTO api_usages_fts(rowid, api_call, namespace, method, code_context)
-      SELECT id, api_call, namespace, method, code_context FROM api_usages
-    `);
+/** Tables holding a source's indexed data, copied into snapshots. FTS tables are rebuilt on import. */
+const SNAPSHOT_TABLES = ['hooks', 'hook_listeners', 'symbols', 'rest_routes', 'block_registrations', 'api_usages', 'docs', 'indexed_files'];
 
-    // Rebuild docs FTS
-    db.exec('DELETE FROM docs_fts');
-    db.exec(`
-      INSERT INTO docs_fts(rowid, title, slug, doc_type, category, description, content)
-      SELECT id, title, slug, doc_type, category, description, content FROM docs
-    `);
-  });
-  tx();
+/** Source types read from a path on the indexing machine, which another machine cannot fetch — left out of snapshots. */
+const MACHINE_LOCAL_TYPES = ['local-folder', 'archive'];
+
+/**
+ * Source columns holding paths and credential settings of one machine — emptied on export and never
+ * imported. A credential helper starting with "!" is run as a shell command by git, so one from a
+ * downloaded snapshot must never reach gitFor().
+ */
+const MACHINE_COLUMNS = ['local_path', 'wp_root', 'ssh_key_path', 'credential_helper'];
+
+/**
+ * Write sources (with their tracked versions) and everything indexed from them into a standalone
+ * SQLite file, together with a manifest of the source refs, indexed commits and schema version.
+ * Index runs and the hook change log stay behind. Local-folder and archive sources only exist on
+ * this machine: exporting all sources lists them under the manifest's skipped, naming one throws.
+ * Paths and credential settings (MACHINE_COLUMNS) are emptied in the snapshot.
+ * @param {string} filePath - Snapshot file to create (replaced if it exists)
+ * @param {object} [opts] - { sources } — source names, default all sources
+ * @returns {object} The snapshot manifest
+ */
+export function exportSnapshot(filePath, opts = {}) {
+  const db = getDb();
+  const parents = opts.sources?.length
+    ? opts.sources.map(name => {
+      const source = getSource(name);
+      if (!source) throw new Error(`Source not found: ${name}`);
+      if (source.parent_id) throw new Error(`"${name}" is a tracked version — export its parent source`);
+      if (MACHINE_LOCAL_TYPES.includes(source.type)) {
+        throw new Error(`"${name}" is a ${source.type} source — its files are only on this machine, so it cannot be exported`);
+      }
+      return source;
+    })
+    : listSources().filter(s => !s.parent_id);
+  const skipped = parents.filter(s => MACHINE_LOCAL_TYPES.includes(s.type));
+  const sources = parents
+    .filter(s => !MACHINE_LOCAL_TYPES.includes(s.type))
+    .flatMap(source => [source, ...listSourceVersions(source.id)]);
+  if (sources.length === 0) throw new Error('No sources to export — local-folder and archive sources cannot be exported');
+
+  const manifest = {
+    format_version: SNAPSHOT_FORMAT_VERSION,
+    schema_version: SCHEMA_VERSION,
+    created_at: new Date().toISOString(),
+    sources: sources.map(source => ({
+      name: source.name,
+      type: source.type,
+      repo_url: source.repo_url,
+      ref: source.version || source.branch,
+      parent: source.parent_id ? getSourceById(source.parent_id).name : null,
+      commit_sha: stmt(db, 'SELECT commit_sha FROM index_runs WHERE source_id = ? ORDER BY id DESC LIMIT 1').get(source.id)?.commit_sha || null,
+      last_indexed_at: source.last_indexed_at,
+      hooks: stmt(db, "SELECT COUNT(*) AS count FROM hooks WHERE source_id = ? AND status = 'active'").get(source.id).count,
+    })),
+    skipped: skipped.map(source => ({ name: source.name, type: source.type })),
+  };
+
+  rmSync(filePath, { force: true });
+  db.prepare('ATTACH DATABASE ? AS snapshot').run(filePath);
+  try {
+    const ids = sources.map(s => s.id).join(', ');
+    const tx = db.transaction(() => {
+      db.exec(`CREATE TABLE snapshot.sources AS SELECT * FROM main.sources WHERE id IN (${ids})`);
+      db.exec(`UPDATE snapshot.sources SET ${MACHINE_COLUMNS.map(c => `${c} = NULL`).join(', ')}`);
+      for (const table of SNAPSHOT_TABLES) {
+        db.exec(`CREATE TABLE snapshot.${table} AS SELECT * FROM main.${table} WHERE source_id IN (${ids})`);
+      }
+      db.exec('CREATE TABLE snapshot.snapshot_manifest (manifest TEXT NOT NULL)');
+      db.prepare('INSERT INTO snapshot.snapshot_manifest (manifest) VALUES (?)').run(JSON.stringify(manifest));
+    });
+    tx();
+  } finally {
+    db.exec('DETACH DATABASE snapshot');
+  }
+  return manifest;
+}
+
+/**
+ * Read the manifest of a snapshot file.
+ * @param {string} filePath
+ * @returns {object}
+ */
+export function readSnapshotManifest(filePath) {
+  if (!existsSync(filePath)) throw new Error(`Snapshot not found: ${filePath}`);
+  const snapshot = new Database(filePath, { readonly: true, fileMustExist: true });
+  try {
+    const row = snapshot.prepare('SELECT manifest FROM snapshot_manifest').get();
+    return JSON.parse(row.manifest);
+  } catch {
+    throw new Error(`${filePath} is not a wp-devdocs snapshot`);
+  } finally {
+    snapshot.close();
+  }
+}
+
+/**
+ * Import the sources of a snapshot. A source already registered under the same name is replaced,
+ * data and all; every other source is left untouched. FTS indexes are rebuilt for the imported rows.
+ * Paths and credential settings of the exporting machine (MACHINE_COLUMNS) are not imported, and local-folder or archive
+ * sources in snapshots written before they were left out are skipped.
+ * @param {string} filePath - Snapshot file
+ * @param {object} [opts] - { sources } — names of snapshot sources to import (with their versions), default all
+ * @returns {{ manifest: object, imported: Array<{ name: string, replaced: boolean, hooks: number }>, skipped: Array<{ name: string, type: string }> }}
+ */
+export function importSnapshot(filePath, opts = {}) {
+  const db = getDb();
+  const manifest = readSnapshotManifest(filePath);
+  if (manifest.format_version > SNAPSHOT_FORMAT_VERSION || manifest.schema_version > SCHEMA_VERSION) {
+    throw new Error(`${filePath} was written by a newer wp-devdocs-mcp (schema ${manifest.schema_version}) — upgrade to import it`);
+  }
+
+  const known = new Set(manifest.sources.filter(s => !s.parent).map(s => s.name));
+  for (const name of opts.sources || []) {
+    if (!known.has(name)) throw new Error(`Snapshot has no source "${name}"`);
+  }
+  const selected = manifest.sources.filter(s => !opts.sources?.length || opts.sources.includes(s.parent || s.name));
+  const wanted = selected.filter(s => !MACHINE_LOCAL_TYPES.includes(s.type));
+  const skipped = selected.filter(s => MACHINE_LOCAL_TYPES.includes(s.type)).map(s => ({ name: s.name, type: s.type }));
+  // Looked up before anything is removed — replacing a source also drops its versions
+  const existing = new Set(wanted.filter(s => getSource(s.name)).map(s => s.name));
+
+  db.prepare('ATTACH DATABASE ? AS snapshot').run(filePath);
+  try {
+    const columnsOf = (table) => {
+      const local = new Set(db.pragma(`main.table_info(${table})`).map(c => c.name));
+      return db.pragma(`snapshot.table_info(${table})`).map(c => c.name).filter(c => local.has(c) && c !== 'id');
+    };
+    const sourceColumns = columnsOf('sources').filter(c => c !== 'parent_id' && !MACHINE_COLUMNS.includes(c));
+    const tableColumns = Object.fromEntries(SNAPSHOT_TABLES.map(t => [t, columnsOf(t).filter(c => c !== 'source_id')]));
+
+    const imported = [];
+    const tx = db.transaction(() => {
+      const newIds = new Map();
+      // Parents before their versions, so parent_id can be mapped
+      for (const entry of [...wanted].sort((a, b) => Boolean(a.parent) - Boolean(b.parent))) {
+        if (getSource(entry.name)) removeSource(entry.name);
+
+        const old = db.prepare('SELECT id, parent_id FROM snapshot.sources WHERE name = ?').get(entry.name);
+        const parentId = old.parent_id ? newIds.get(old.parent_id) ?? null : null;
+        const { lastInsertRowid } = db.prepare(`
+          INSERT INTO main.sources (${sourceColumns.join(', ')}, parent_id)
+          SELECT ${sourceColumns.join(', ')}, ? FROM snapshot.sources WHERE id = ?
+        `).run(parentId, old.id);
+        const sourceId = Number(lastInsertRowid);
+        newIds.set(old.id, sourceId);
+
+        for (const table of SNAPSHOT_TABLES) {
+          const columns = tableColumns[table];
+          // Snapshots from before listener keys get them derived the way the migration does
+          const derived = table === 'hook_listeners' && !columns.includes('listener_key')
+            ? { columns: ', listener_key', values: `, ${LISTENER_KEY_SQL}` }
+            : { columns: '', values: '' };
+          db.prepare(`
+            INSERT INTO main.${table} (${columns.join(', ')}${derived.columns}, source_id)
+            SELECT ${columns.join(', ')}${derived.values}, ? FROM snapshot.${table} WHERE source_id = ?
+          `).run(sourceId, old.id);
+        }
+        for (const { fts, table, columns } of FTS_TABLES) {
+          db.prepare(`INSERT INTO ${fts}(rowid, ${columns.join(', ')}) SELECT id, ${columns.join(', ')} FROM ${table} WHERE source_id = ?`).run(sourceId);
+        }
+        imported.push({ name: entry.name, replaced: existing.has(entry.name), hooks: entry.hooks });
+      }
+    });
+    tx();
+    return { manifest, imported, skipped };
+  } finally {
+    db.exec('DETACH DATABASE snapshot');
+  }
 }
 
 // --- Stats ---
@@ -744,16 +2131,22 @@ export function getStats() {
   const sources = stmt(db, 'SELECT COUNT(*) as count FROM sources').get();
   const hooks = stmt(db, "SELECT COUNT(*) as count FROM hooks WHERE status = 'active'").get();
   const removedHooks = stmt(db, "SELECT COUNT(*) as count FROM hooks WHERE status = 'removed'").get();
-  const blocks = stmt(db, 'SELECT COUNT(*) as count FROM block_registrations').get();
-  const apis = stmt(db, 'SELECT COUNT(*) as count FROM api_usages').get();
+  const listeners = stmt(db, "SELECT COUNT(*) as count FROM hook_listeners WHERE status = 'active'").get();
+  const symbols = stmt(db, "SELECT COUNT(*) as count FROM symbols WHERE status = 'active'").get();
+  const restRoutes = stmt(db, "SELECT COUNT(*) as count FROM rest_routes WHERE status = 'active'").get();
+  const blocks = stmt(db, "SELECT COUNT(*) as count FROM block_registrations WHERE status = 'active'").get();
+  const apis = stmt(db, "SELECT COUNT(*) as count FROM api_usages WHERE status = 'active'").get();
   const docs = stmt(db, "SELECT COUNT(*) as count FROM docs WHERE status = 'active'").get();
 
   const perSource = db.prepare(`
     SELECT s.name, s.content_type,
       (SELECT COUNT(*) FROM hooks WHERE source_id = s.id AND status = 'active') AS hooks,
       (SELECT COUNT(*) FROM hooks WHERE source_id = s.id AND status = 'removed') AS removed_hooks,
-      (SELECT COUNT(*) FROM block_registrations WHERE source_id = s.id) AS blocks,
-      (SELECT COUNT(*) FROM api_usages WHERE source_id = s.id) AS apis,
+      (SELECT COUNT(*) FROM hook_listeners WHERE source_id = s.id AND status = 'active') AS listeners,
+      (SELECT COUNT(*) FROM symbols WHERE source_id = s.id AND status = 'active') AS symbols,
+      (SELECT COUNT(*) FROM rest_routes WHERE source_id = s.id AND status = 'active') AS rest_routes,
+      (SELECT COUNT(*) FROM block_registrations WHERE source_id = s.id AND status = 'active') AS blocks,
+      (SELECT COUNT(*) FROM api_usages WHERE source_id = s.id AND status = 'active') AS apis,
       (SELECT COUNT(*) FROM docs WHERE source_id = s.id AND status = 'active') AS docs,
       (SELECT COUNT(*) FROM indexed_files WHERE source_id = s.id) AS files
     FROM sources s ORDER BY s.name
@@ -764,6 +2157,9 @@ export function getStats() {
       sources: sources.count,
       active_hooks: hooks.count,
       removed_hooks: removedHooks.count,
+      hook_listeners: listeners.count,
+      symbols: symbols.count,
+      rest_routes: restRoutes.count,
       block_registrations: blocks.count,
       api_usages: apis.count,
       docs: docs.count,
@@ -774,16 +2170,22 @@ export function getStats() {
 
 // --- Search block APIs ---
 
+// Registration kinds that define a block type (as opposed to styles, variations and patterns)
+const BLOCK_TYPE_KINDS = ['block.json', 'registerBlockType', 'register_block_type', 'register_block_type_from_metadata'];
+
 /**
  * Full-text search for block registrations and API usages.
  * Uses FTS5 column filters to match only structured columns (not code_context).
+ * Each block carries `linked` — the other registrations of the same block name in its source.
  * @param {string} query - Search keywords
- * @param {object} [opts] - { limit }
+ * @param {object} [opts] - { limit, kind, includeRemoved } — kind restricts blocks to one registration_kind
+ *   (e.g. 'block.json', 'registerBlockType', 'register_block_type', 'register_block_pattern')
  * @returns {{ blocks: Array<object>, apis: Array<object> }}
  */
 export function searchBlockApis(query, opts = {}) {
   const db = getDb();
-  const { limit = 20 } = opts;
+  const { limit = 20, kind = null, includeRemoved = false } = opts;
+  const removed = includeRemoved ? 1 : 0;
   const ftsQuery = query.replace(/['"(){}[\]*:^~!]/g, ' ').trim();
   if (!ftsQuery) return { blocks: [], apis: [] };
 
@@ -797,6 +2199,7 @@ export function searchBlockApis(query, opts = {}) {
   let blocks = [];
   let apis = [];
 
+  const blockParams = { terms: blockTerms, limit, kind, removed };
   try {
     blocks = db.prepare(`
       SELECT br.*, s.name AS source_name,
@@ -805,12 +2208,30 @@ export function searchBlockApis(query, opts = {}) {
       JOIN block_registrations br ON br.id = block_registrations_fts.rowid
       JOIN sources s ON s.id = br.source_id
       WHERE block_registrations_fts MATCH @terms
+        AND (@kind IS NULL OR br.registration_kind = @kind)
+        AND (@removed = 1 OR br.status = 'active')${sourceFilters(blockParams)}
       ORDER BY rank LIMIT @limit
-    `).all({ terms: blockTerms, limit });
+    `).all(blockParams);
   } catch {
     // FTS query may fail
   }
 
+  // A block type is often declared in block.json and registered in code — attach the other half
+  for (const block of blocks) {
+    block.linked = block.block_name && BLOCK_TYPE_KINDS.includes(block.registration_kind)
+      ? stmt(db, `
+        SELECT file_path, line_number, registration_kind FROM block_registrations
+        WHERE source_id = ? AND block_name = ? AND id != ? AND status = 'active'
+          AND registration_kind IN ('block.json', 'registerBlockType', 'register_block_type', 'register_block_type_from_metadata')
+        ORDER BY registration_kind = 'block.json' DESC, file_path, line_number
+      `).all(block.source_id, block.block_name, block.id)
+      : [];
+  }
+
+  // A registration kind asks for blocks only
+  if (kind) return { blocks, apis };
+
+  const apiParams = { terms: apiTerms, limit, removed };
   try {
     apis = db.prepare(`
       SELECT au.*, s.name AS source_name,
@@ -819,8 +2240,9 @@ export function searchBlockApis(query, opts = {}) {
       JOIN api_usages au ON au.id = api_usages_fts.rowid
       JOIN sources s ON s.id = au.source_id
       WHERE api_usages_fts MATCH @terms
+        AND (@removed = 1 OR au.status = 'active')${sourceFilters(apiParams)}
       ORDER BY rank LIMIT @limit
-    `).all({ terms: apiTerms, limit });
+    `).all(apiParams);
   } catch {
     // FTS query may fail
   }
@@ -904,6 +2326,17 @@ export function markDocsRemoved(sourceId, activeDocIds) {
   return tx();
 }
 
+/**
+ * Mark the doc of one file as removed, e.g. after the file was deleted.
+ * @param {number} sourceId
+ * @param {string} filePath
+ * @returns {number} 1 when an active doc was removed, else 0
+ */
+export function markDocFileRemoved(sourceId, filePath) {
+  const db = getDb();
+  return stmt(db, "UPDATE docs SET status = 'removed' WHERE source_id = ? AND file_path = ? AND status = 'active'").run(sourceId, filePath).changes;
+}
+
 export function searchDocs(query, opts = {}) {
   const db = getDb();
   const { doc_type, category, source, limit = 20 } = opts;
@@ -934,10 +2367,7 @@ export function searchDocs(query, opts = {}) {
     sql += ` AND d.category = @category`;
     params.category = category;
   }
-  if (source) {
-    sql += ` AND s.name = @source`;
-    params.source = source;
-  }
+  sql += sourceFilters(params, { source });
 
   sql += ` ORDER BY rank LIMIT @limit`;
   params.limit = limit;
@@ -964,9 +2394,9 @@ export function getDoc(idOrSlug) {
   return stmt(db, `
     SELECT d.*, s.name AS source_name FROM docs d
     JOIN sources s ON s.id = d.source_id
-    WHERE d.slug = ? AND d.status = 'active'
-    ORDER BY d.last_seen_at DESC LIMIT 1
-  `).get(idOrSlug);
+    WHERE d.slug = @slug AND d.status = 'active'
+    ORDER BY s.id IN (SELECT value FROM json_each(@scope_ids)) DESC, s.parent_id IS NOT NULL, d.last_seen_at DESC LIMIT 1
+  `).get({ slug: idOrSlug, scope_ids: scopedSourceIds() });
 }
 
 export function getDocCategoryCounts() {
@@ -1000,10 +2430,7 @@ export function listDocs(opts = {}) {
     sql += ` AND d.category = @category`;
     params.category = category;
   }
-  if (source) {
-    sql += ` AND s.name = @source`;
-    params.source = source;
-  }
+  sql += sourceFilters(params, { source });
 
   sql += ` ORDER BY d.category, d.title LIMIT @limit`;
   params.limit = limit;
@@ -0,0 +1,221 @@
+import { join, basename, resolve } from 'node:path';
+import { existsSync, readdirSync, openSync, readSync, closeSync, statSync } from 'node:fs';
+import { Buffer } from 'node:buffer';
+import {
+  addSource,
+  getSource,
+  removeSource,
+  listDiscoveredSources,
+  updateSourcePackage,
+} from './db/sqlite.js';
+
+/** Header fields read from a plugin's main file or a theme's style.css. */
+const PLUGIN_HEADERS = { package_name: 'Plugin Name', package_version: 'Version', text_domain: 'Text Domain', requires_wp: 'Requires at least' };
+const THEME_HEADERS = { ...PLUGIN_HEADERS, package_name: 'Theme Name' };
+
+/** WordPress only reads headers from the first 8 KiB of a file. */
+const HEADER_BYTES = 8192;
+
+/**
+ * Read WordPress file headers ("Plugin Name: …") the way get_file_data() does.
+ * @param {string} content - Start of the file
+ * @param {object} fields - Map of result key → header label
+ * @returns {object} Header values, null when missing
+ */
+export function readFileHeaders(content, fields) {
+  const headers = {};
+  for (const [key, label] of Object.entries(fields)) {
+    const match = content.match(new RegExp(`^(?:[ \\t]*<\\?php)?[ \\t/*#@]*${label}:(.*)$`, 'mi'));
+    headers[key] = match ? match[1].replace(/\s*(?:\*\/|\?>).*$/, '').trim() || null : null;
+  }
+  return headers;
+}
+
+/**
+ * Find the plugins, must-use plugins and themes of a WordPress install. Each plugin folder and
+ * theme becomes one package; mu-plugins are loaded as a unit and form a single package.
+ * Single-file plugins are reported as skipped — sources index folders.
+ * @param {string} wpRoot - WordPress root (the folder containing wp-content)
+ * @returns {{ packages: Array<object>, skipped: Array<{ path: string, reason: string }> }}
+ */
+export function scanWordPressInstall(wpRoot) {
+  const contentDir = join(wpRoot, 'wp-content');
+  if (!existsSync(contentDir)) throw new Error(`No wp-content folder found in ${wpRoot}`);
+
+  const packages = [];
+  const skipped = [];
+
+  const pluginsDir = join(contentDir, 'plugins');
+  for (const entry of listEntries(pluginsDir)) {
+    const path = join(pluginsDir, entry.name);
+    if (entry.isSymbolicLink() && !entry.isDirectory() && !entry.isFile()) {
+      skipped.push({ path, reason: 'symlink target not found' });
+      continue;
+    }
+    if (!entry.isDirectory()) {
+      if (entry.name.endsWith('.php') && readFileHeaders(readHead(path), PLUGIN_HEADERS).package_name) {
+        skipped.push({ path, reason: 'single-file plugin' });
+      }
+      continue;
+    }
+
+    const headers = pluginHeaders(path, entry.name);
+    if (headers) packages.push({ package_type: 'plugin', slug: entry.name, path, ...headers });
+    else skipped.push({ path, reason: 'no plugin header found' });
+  }
+
+  const muPluginsDir = join(contentDir, 'mu-plugins');
+  const muFiles = listEntries(muPluginsDir).filter(e => e.isFile() && e.name.endsWith('.php'));
+  if (muFiles.length > 0) {
+    packages.push({
+      package_type: 'mu-plugins',
+      slug: 'mu-plugins',
+      path: muPluginsDir,
+      package_name: 'Must-use plugins',
+      package_version: null,
+      text_domain: null,
+      requires_wp: null,
+    });
+  }
+
+  const themesDir = join(contentDir, 'themes');
+  for (const entry of listEntries(themesDir)) {
+    const path = join(themesDir, entry.name);
+    if (entry.isSymbolicLink() && !entry.isDirectory() && !entry.isFile()) {
+      skipped.push({ path, reason: 'symlink target not found' });
+      continue;
+    }
+    if (!entry.isDirectory()) continue;
+    const stylesheet = join(path, 'style.css');
+    const headers = existsSync(stylesheet) ? readFileHeaders(readHead(stylesheet), THEME_HEADERS) : {};
+    if (headers.package_name) packages.push({ package_type: 'theme', slug: entry.name, path, ...headers });
+    else skipped.push({ path, reason: 'no theme header in style.css' });
+  }
+
+  return { packages, skipped };
+}
+
+/**
+ * Compare a WordPress install with the sources registered from it by earlier runs.
+ * Sources are matched by folder, so a renamed prefix does not re-register a package.
+ * @param {string} wpRoot - WordPress root
+ * @param {object} [opts] - { prefix } — source name prefix, defaults to the root folder's name
+ * @returns {{ wp_root: string, add: Array<object>, update: Array<object>, remove: Array<object>, unchanged: Array<object>, skipped: Array<object> }}
+ */
+export function planDiscovery(wpRoot, opts = {}) {
+  const root = resolve(wpRoot);
+  const prefix = slugify(opts.prefix || basename(root));
+  const { packages, skipped } = scanWordPressInstall(root);
+  const existing = new Map(listDiscoveredSources(root).map(s => [s.local_path, s]));
+
+  const plan = { wp_root: root, add: [], update: [], remove: [], unchanged: [], skipped };
+  for (const pkg of packages) {
+    const meta = packageMeta(pkg);
+    const source = existing.get(pkg.path);
+    existing.delete(pkg.path);
+
+    if (!source) {
+      const name = sourceName(prefix, pkg);
+      if (getSource(name)) plan.skipped.push({ path: pkg.path, reason: `source name "${name}" is already taken` });
+      else plan.add.push({ name, type: 'local-folder', local_path: pkg.path, wp_root: root, ...meta });
+    } else if (Object.keys(meta).some(key => (source[key] || null) !== meta[key])) {
+      plan.update.push({ source, ...meta });
+    } else {
+      plan.unchanged.push(source);
+    }
+  }
+  plan.remove = [...existing.values()];
+  return plan;
+}
+
+/**
+ * Register the additions and metadata updates of a discovery plan, and — when prune is set —
+ * remove the sources whose plugin or theme is gone.
+ * @param {object} plan - planDiscovery() result
+ * @param {object} [opts] - { prune }
+ * @returns {{ added: number, updated: number, removed: number }}
+ */
+export function applyDiscovery(plan, { prune = false } = {}) {
+  for (const data of plan.add) addSource(data);
+  for (const { source, ...meta } of plan.update) updateSourcePackage(source.id, meta);
+  if (prune) plan.remove.forEach(source => removeSource(source.name));
+
+  return { added: plan.add.length, updated: plan.update.length, removed: prune ? plan.remove.length : 0 };
+}
+
+/**
+ * Headers of a plugin folder's main file: the top-level PHP file declaring a Plugin Name,
+ * trying "<folder>.php" first.
+ */
+function pluginHeaders(dir, slug) {
+  const candidates = listEntries(dir)
+    .filter(e => e.isFile() && e.name.endsWith('.php'))
+    .map(e => e.name)
+    .sort((a, b) => (b === `${slug}.php`) - (a === `${slug}.php`) || a.localeCompare(b));
+
+  for (const file of candidates) {
+    const headers = readFileHeaders(readHead(join(dir, file)), PLUGIN_HEADERS);
+    if (headers.package_name) return headers;
+  }
+  return null;
+}
+
+function packageMeta(pkg) {
+  return {
+    package_type: pkg.package_type,
+    package_name: pkg.package_name,
+    package_version: pkg.package_version,
+    text_domain: pkg.text_domain,
+    requires_wp: pkg.requires_wp,
+  };
+}
+
+/**
+ * "<prefix>-<slug>" for plugins, "<prefix>-theme-<slug>" for themes and "<prefix>-mu-plugins".
+ */
+function sourceName(prefix, pkg) {
+  if (pkg.package_type === 'theme') return `${prefix}-theme-${slugify(pkg.slug)}`;
+  if (pkg.package_type === 'mu-plugins') return `${prefix}-mu-plugins`;
+  return `${prefix}-${slugify(pkg.slug)}`;
+}
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Visible entries of a folder, sorted by name. Symlinks are followed, since symlinking a plugin or
+ * theme under development into wp-content is common; a dangling link is neither file nor directory.
+ */
+function listEntries(dir) {
+  if (!existsSync(dir) || !statSync(dir).isDirectory()) return [];
+  return readdirSync(dir, { withFileTypes: true })
+    .filter(e => !e.name.startsWith('.'))
+    .map(e => (e.isSymbolicLink() ? followSymlink(dir, e) : e))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function followSymlink(dir, entry) {
+  let target = null;
+  try {
+    target = statSync(join(dir, entry.name));
+  } catch {
+    // Dangling link
+  }
+  return {
+    name: entry.name,
+    isDirectory: () => Boolean(target?.isDirectory()),
+    isFile: () => Boolean(target?.isFile()),
+    isSymbolicLink: () => true,
+  };
+}
+
+function readHead(filePath) {
+  const buffer = Buffer.alloc(HEADER_BYTES);
+  const fd = openSync(filePath, 'r');
+  try {
+    return buffer.toString('utf-8', 0, readSync(fd, buffer, 0, HEADER_BYTES, 0));
+  } finally {
+    closeSync(fd);
+  }
+}
@@ -1,5 +1,5 @@
 import fg from 'fast-glob';
-import { readFileSync, statSync } from 'node:fs';
+import { existsSync, readFileSync, statSync } from 'node:fs';
 import { createHash } from 'node:crypto';
 import {
   upsertDoc,
@@ -7,6 +7,8 @@ import {
   getIndexedFile,
   upsertIndexedFile,
   getActiveDocId,
+  markDocFileRemoved,
+  deleteIndexedFile,
 } from '../db/sqlite.js';
 import { DocParserRegistry, extractFrontmatter } from './parsers/base-doc-parser.js';
 import { BlockEditorParser } from './parsers/block-editor-parser.js';
@@ -59,70 +61,106 @@ export async function indexDocsSource(source, localPath, force, stats) {
   const activeDocIds = [];
 
   for (const file of files) {
-    const fullPath = `${localPath}/${file}`;
-
     try {
-      const fileStat = statSync(fullPath);
-      const mtimeMs = fileStat.mtimeMs;
-
-      // Cache indexed file lookup (used for both mtime and content hash checks)
-      const indexed = force ? null : getIndexedFile(source.id, file);
-
-      // Check mtime for incremental skip
-      if (indexed && indexed.mtime_ms === mtimeMs) {
-        const docId = getActiveDocId(source.id, file);
-        if (docId) activeDocIds.push(docId);
-        stats.files_skipped++;
-        continue;
-      }
-
-      const content = readFileSync(fullPath, 'utf-8');
-      const contentHash = createHash('sha256').update(content).digest('hex').slice(0, 16);
-
-      // Skip if content hash matches
-      if (indexed && indexed.content_hash === contentHash) {
-        const docId = getActiveDocId(source.id, file);
-        if (docId) activeDocIds.push(docId);
-        upsertIndexedFile(source.id, file, mtimeMs, contentHash);
-        stats.files_skipped++;
-        continue;
-      }
+      const docId = indexDocFile(source, localPath, file, force, stats);
+      if (docId) activeDocIds.push(docId);
+    } catch (err) {
+      const msg = `Error indexing doc ${file}: ${err.message}`;
+      console.error(msg);
+      stats.errors.push(msg);
+    }
+  }
 
-      // Extract frontmatter for parser selection
-      const { frontmatter } = extractFrontmatter(content);
+  // Soft-delete docs no longer found in this source
+  const removed = markDocsRemoved(source.id, activeDocIds);
+  stats.docs_removed += removed;
+}
 
-      // Select parser
-      const parser = registry.getParser(file, frontmatter, source.name);
-      if (!parser) {
-        // Should never happen with GeneralDocParser as fallback
-        continue;
-      }
+/**
+ * Re-index some markdown files of a docs source, e.g. the ones a file watcher saw change.
+ * Files that no longer exist have their doc marked removed; files a full scan skips are ignored.
+ * @param {object} source - Source row from the database
+ * @param {string} localPath - Absolute path to the source on disk
+ * @param {Array<string>} files - Paths relative to the source folder
+ * @param {object} stats - Mutable stats object to accumulate counts
+ */
+export async function indexDocFiles(source, localPath, files, stats) {
+  const indexable = new Set(await fg(files.map(file => fg.escapePath(file)), {
+    cwd: localPath,
+    ignore: IGNORE_PATTERNS,
+    onlyFiles: true,
+  }));
 
-      // Parse
-      const docData = parser.parse(content, file, source.id);
-      if (!docData || !docData.title) {
-        continue;
+  for (const file of files) {
+    try {
+      if (indexable.has(file) && file.endsWith('.md')) {
+        // A file that no longer yields a doc loses the one it had
+        if (!indexDocFile(source, localPath, file, false, stats)) stats.docs_removed += markDocFileRemoved(source.id, file);
+      } else if (!existsSync(`${localPath}/${file}`) && getIndexedFile(source.id, file)) {
+        stats.docs_removed += markDocFileRemoved(source.id, file);
+        deleteIndexedFile(source.id, file);
+        stats.files_deleted++;
       }
-
-      // Upsert
-      const result = upsertDoc(docData);
-      activeDocIds.push(result.id);
-
-      if (result.action === 'inserted') stats.docs_inserted++;
-      else if (result.action === 'updated') stats.docs_updated++;
-      else stats.docs_skipped++;
-
-      // Track file
-      upsertIndexedFile(source.id, file, mtimeMs, contentHash);
-      stats.files_processed++;
     } catch (err) {
       const msg = `Error indexing doc ${file}: ${err.message}`;
       console.error(msg);
       stats.errors.push(msg);
     }
   }
+}
 
-  // Soft-delete docs no longer found in this source
-  const removed = markDocsRemoved(source.id, activeDocIds);
-  stats.docs_removed += removed;
+/**
+ * Index one markdown file, skipping it when its mtime or content hash is unchanged.
+ * @returns {number|null} Id of the file's active doc, or null when it yields none
+ */
+function indexDocFile(source, localPath, file, force, stats) {
+  const fullPath = `${localPath}/${file}`;
+  const fileStat = statSync(fullPath);
+  const mtimeMs = fileStat.mtimeMs;
+
+  // Cache indexed file lookup (used for both mtime and content hash checks)
+  const indexed = force ? null : getIndexedFile(source.id, file);
+
+  // Check mtime for incremental skip
+  if (indexed && indexed.mtime_ms === mtimeMs) {
+    stats.files_skipped++;
+    return getActiveDocId(source.id, file);
+  }
+
+  const content = readFileSync(fullPath, 'utf-8');
+  const contentHash = createHash('sha256').update(content).digest('hex').slice(0, 16);
+
+  // Skip if content hash matches
+  if (indexed && indexed.content_hash === contentHash) {
+    upsertIndexedFile(source.id, file, mtimeMs, contentHash);
+    stats.files_skipped++;
+    return getActiveDocId(source.id, file);
+  }
+
+  // Extract frontmatter for parser selection
+  const { frontmatter } = extractFrontmatter(content);
+
+  // Select parser
+  const parser = registry.getParser(file, frontmatter, source.name);
+  if (!parser) {
+    // Should never happen with GeneralDocParser as fallback
+    return null;
+  }
+
+  // Parse
+  const docData = parser.parse(content, file, source.id);
+  if (!docData || !docData.title) {
+    return null;
+  }
+
+  // Upsert
+  const result = upsertDoc(docData);
+  if (result.action === 'inserted') stats.docs_inserted++;
+  else if (result.action === 'updated') stats.docs_updated++;
+  else stats.docs_skipped++;
+
+  // Track file
+  upsertIndexedFile(source.id, file, mtimeMs, contentHash);
+  stats.files_processed++;
+  return result.id;
 }
@@ -0,0 +1,195 @@
+import { resolveSourceRef, listActiveHooks, isSourceIndexed } from './db/sqlite.js';
+
+/**
+ * Compare the hooks of two indexed refs of a source — tracked versions, the default branch, or
+ * another source given by name.
+ * @param {string} sourceName - Source name
+ * @param {object} refs - { from, to } — `to` defaults to the source's default branch
+ * @returns {object} diffHooks() result with the compared `from` and `to` source names
+ */
+export function compareSourceHooks(sourceName, { from, to } = {}) {
+  if (!from) throw new Error('A "from" ref is required');
+
+  const fromSource = resolveSourceRef(sourceName, from);
+  const toSource = resolveSourceRef(sourceName, to);
+  for (const source of [fromSource, toSource]) {
+    if (!isSourceIndexed(source.id)) {
+      throw new Error(`"${source.name}" has not been indexed yet. Run: wp-hooks index --source ${source.name}`);
+    }
+  }
+
+  return {
+    from: fromSource.name,
+    to: toSource.name,
+    ...diffHooks(listActiveHooks(fromSource.id), listActiveHooks(toSource.id)),
+  };
+}
+
+/**
+ * Diff two sets of hook rows. Hooks are compared by type and name; a hook fired in several places
+ * counts once. A removed hook and an added hook of the same type in the same file and enclosing
+ * class/function are reported as a rename. Hooks whose content hashes all match are unchanged.
+ * @param {Array<object>} fromHooks - Hook rows of the old version
+ * @param {Array<object>} toHooks - Hook rows of the new version
+ * @returns {{ added: Array, removed: Array, renamed: Array, param_changes: Array, docblock_changes: Array }}
+ */
+export function diffHooks(fromHooks, toHooks) {
+  const before = groupByIdentity(fromHooks);
+  const after = groupByIdentity(toHooks);
+
+  const removedKeys = [...before.keys()].filter(k => !after.has(k));
+  const addedKeys = new Set([...after.keys()].filter(k => !before.has(k)));
+
+  const renamed = [];
+  const renamedKeys = new Set();
+  for (const oldKey of removedKeys) {
+    let best = null;
+    for (const newKey of addedKeys) {
+      const distance = locationDistance(before.get(oldKey), after.get(newKey));
+      if (distance !== null && (!best || distance < best.distance)) best = { newKey, distance };
+    }
+    if (!best) continue;
+
+    renamed.push({ from: summarize(before.get(oldKey)), to: summarize(after.get(best.newKey)) });
+    addedKeys.delete(best.newKey);
+    renamedKeys.add(oldKey);
+  }
+
+  const paramChanges = [];
+  const docblockChanges = [];
+  for (const [key, oldHooks] of before) {
+    const newHooks = after.get(key);
+    if (!newHooks || sameContent(oldHooks, newHooks)) continue;
+
+    const oldWidest = widest(oldHooks);
+    const newWidest = widest(newHooks);
+    if ((oldWidest.param_count || 0) !== (newWidest.param_count || 0)) {
+      paramChanges.push({
+        ...summarize(newHooks),
+        from: { param_count: oldWidest.param_count || 0, params: oldWidest.params },
+        to: { param_count: newWidest.param_count || 0, params: newWidest.params },
+      });
+    }
+
+    const oldDoc = documented(oldHooks);
+    const newDoc = documented(newHooks);
+    if (normalizeDocblock(oldDoc?.docblock) !== normalizeDocblock(newDoc?.docblock)) {
+      docblockChanges.push({
+        ...summarize(newHooks),
+        from: { docblock: oldDoc?.docblock || null, since_version: oldDoc?.since_version || null },
+        to: { docblock: newDoc?.docblock || null, since_version: newDoc?.since_version || null },
+      });
+    }
+  }
+
+  return {
+    added: [...addedKeys].map(k => summarize(after.get(k))),
+    removed: removedKeys.filter(k => !renamedKeys.has(k)).map(k => summarize(before.get(k))),
+    renamed,
+    param_changes: paramChanges,
+    docblock_changes: docblockChanges,
+  };
+}
+
+/**
+ * Render a hook diff as markdown, listing at most `limit` entries per section.
+ * @param {object} diff - compareSourceHooks() result
+ * @param {number} [limit=100]
+ * @returns {string}
+ */
+export function formatHookDiffMarkdown(diff, limit = 100) {
+  const counts = [
+    `${diff.added.length} added`,
+    `${diff.removed.length} removed`,
+    `${diff.renamed.length} renamed`,
+    `${diff.param_changes.length} parameter change(s)`,
+    `${diff.docblock_changes.length} docblock change(s)`,
+  ];
+  const lines = [`## Hook changes: ${diff.from} → ${diff.to}`, '', `**Summary:** ${counts.join(', ')}`];
+
+  const section = (title, entries, format) => {
+    if (entries.length === 0) return;
+    lines.push('', `### ${title} (${entries.length})`, ...entries.slice(0, limit).map(format));
+    if (entries.length > limit) lines.push(`- …and ${entries.length - limit} more`);
+  };
+
+  section('Added', diff.added, h => `- \`${h.name}\` (${h.type}) — ${h.file_path}:${h.line_number}`);
+  section('Removed', diff.removed, h => `- \`${h.name}\` (${h.type}) — was at ${h.file_path}:${h.line_number}`);
+  section('Renamed', diff.renamed, r => `- \`${r.from.name}\` → \`${r.to.name}\` (${r.to.type}) — ${r.to.file_path}:${r.to.line_number}`);
+  section('Parameter count changed', diff.param_changes, c =>
+    `- \`${c.name}\` (${c.type}): ${c.from.param_count} → ${c.to.param_count} — \`${c.from.params || '(none)'}\` → \`${c.to.params || '(none)'}\``);
+  section('Docblock changed', diff.docblock_changes, c => {
+    const since = c.from.since_version !== c.to.since_version
+      ? ` (@since ${c.from.since_version || 'none'} → ${c.to.since_version || 'none'})`
+      : '';
+    return `- \`${c.name}\` (${c.type}) — ${c.file_path}:${c.line_number}${since}`;
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Group hook rows by "type:name".
+ * @returns {Map<string, Array<object>>}
+ */
+function groupByIdentity(hooks) {
+  const groups = new Map();
+  for (const hook of hooks) {
+    const key = `${hook.type}:${hook.name}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(hook);
+  }
+  return groups;
+}
+
+/**
+ * Smallest line distance between occurrences of two hooks fired from the same type, file and
+ * enclosing class/function, or null when they never share a location.
+ */
+function locationDistance(oldHooks, newHooks) {
+  let best = null;
+  for (const a of oldHooks) {
+    for (const b of newHooks) {
+      if (a.type !== b.type || a.file_path !== b.file_path) continue;
+      if ((a.class_name || '') !== (b.class_name || '') || (a.php_function || '') !== (b.php_function || '')) continue;
+      const distance = Math.abs(a.line_number - b.line_number);
+      if (best === null || distance < best) best = distance;
+    }
+  }
+  return best;
+}
+
+function sameContent(oldHooks, newHooks) {
+  const hashes = hooks => hooks.map(h => h.content_hash).sort().join(',');
+  return hashes(oldHooks) === hashes(newHooks);
+}
+
+/** The occurrence passing the most arguments. */
+function widest(hooks) {
+  return hooks.reduce((a, b) => ((b.param_count || 0) > (a.param_count || 0) ? b : a));
+}
+
+/** The first occurrence with a docblock, else the first occurrence. */
+function documented(hooks) {
+  return hooks.find(h => h.docblock) || hooks[0];
+}
+
+function normalizeDocblock(docblock) {
+  return (docblock || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compact, JSON-friendly description of a hook from its first occurrence.
+ */
+function summarize(hooks) {
+  const [first] = hooks;
+  return {
+    name: first.name,
+    type: first.type,
+    file_path: first.file_path,
+    line_number: first.line_number,
+    locations: hooks.length,
+    param_count: first.param_count || 0,
+    params: first.params || null,
+  };
+}
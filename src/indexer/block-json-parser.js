@@ -0,0 +1,72 @@
+import { generateContentHash } from './parser-utils.js';
+
+/**
+ * Parse a block.json metadata file into a block registration row.
+ * @param {string} content - File content
+ * @param {string} filePath - Relative file path
+ * @param {number} sourceId - Source ID
+ * @returns {object|null} Block registration data, or null when the file declares no block name
+ */
+export function parseBlockJson(content, filePath, sourceId) {
+  let metadata;
+  try {
+    metadata = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid block.json: ${err.message}`);
+  }
+  if (!metadata || typeof metadata !== 'object' || typeof metadata.name !== 'string') return null;
+
+  const nameOffset = content.search(/"name"\s*:/);
+  const lineNumber = nameOffset === -1 ? 1 : content.slice(0, nameOffset).split('\n').length;
+
+  const blockData = {
+    source_id: sourceId,
+    file_path: filePath,
+    line_number: lineNumber,
+    block_name: metadata.name,
+    block_title: stringOrNull(metadata.title),
+    block_category: stringOrNull(metadata.category),
+    block_attributes: jsonOrNull(metadata.attributes),
+    supports: jsonOrNull(metadata.supports),
+    code_context: null,
+    registration_kind: 'block.json',
+    metadata_file: filePath,
+    uses_context: jsonOrNull(metadata.usesContext),
+    provides_context: jsonOrNull(metadata.providesContext),
+    parent_blocks: jsonOrNull(metadata.parent),
+    ancestor_blocks: jsonOrNull(metadata.ancestor),
+    render: stringOrNull(metadata.render),
+    render_callback: null,
+    editor_script: assetList(metadata.editorScript),
+    view_script_module: assetList(metadata.viewScriptModule),
+    api_version: Number.isInteger(metadata.apiVersion) ? metadata.apiVersion : null,
+    content_hash: null,
+  };
+
+  blockData.content_hash = generateContentHash({
+    name: blockData.block_name,
+    type: 'block.json',
+    params: content,
+    docblock: '',
+    hookLine: '',
+  });
+
+  return blockData;
+}
+
+function stringOrNull(value) {
+  return typeof value === 'string' && value ? value : null;
+}
+
+function jsonOrNull(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+/**
+ * Script/style fields may be a single handle or path, or an array of them.
+ */
+function assetList(value) {
+  if (typeof value === 'string') return value || null;
+  if (Array.isArray(value)) return value.filter(v => typeof v === 'string').join(', ') || null;
+  return null;
+}
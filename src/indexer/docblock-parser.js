@@ -0,0 +1,186 @@
+/**
+ * Parse a PHPDoc or JSDoc comment into its summary and the tags we index
+ * (@since, @param, @return, @deprecated, @see).
+ * @param {string|null} docblock - Raw docblock including the comment delimiters
+ * @returns {{ summary: string|null, since: string|null, params: Array<{ type: string|null, name: string|null, description: string|null }>, returnType: string|null, returnDescription: string|null, deprecated: string|null, see: string|null }}
+ */
+export function parseDocblock(docblock) {
+  const result = {
+    summary: null,
+    since: null,
+    params: [],
+    returnType: null,
+    returnDescription: null,
+    deprecated: null,
+    see: null,
+  };
+  if (!docblock) return result;
+
+  const lines = docblock
+    .replace(/^\s*\/\*+/, '')
+    .replace(/\*+\/\s*$/, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*\*(?!\/) ?/, '').trimEnd());
+
+  const summaryLines = [];
+  const tags = [];
+  let current = null;
+  let braceDepth = 0;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    // Inside a hash notation block, e.g. @param array $args { @type string $key ... } — keep as description
+    if (current && braceDepth > 0) {
+      current.text += `\n${trimmed}`;
+      braceDepth += countBraces(trimmed);
+      continue;
+    }
+
+    const tagMatch = trimmed.match(/^@(\w+)\s*(.*)$/);
+    if (tagMatch) {
+      current = { tag: tagMatch[1].toLowerCase(), text: tagMatch[2] };
+      tags.push(current);
+      braceDepth = Math.max(0, countBraces(tagMatch[2]));
+      continue;
+    }
+
+    if (current) {
+      // Continuation of the previous tag's description
+      if (trimmed) current.text += ` ${trimmed}`;
+      continue;
+    }
+
+    summaryLines.push(trimmed);
+  }
+
+  const summary = summaryLines.join('\n').trim().split(/\n\s*\n/)[0];
+  result.summary = summary ? summary.replace(/\s*\n\s*/g, ' ') : null;
+
+  const see = [];
+  for (const { tag, text } of tags) {
+    const value = text.trim();
+    switch (tag) {
+      case 'since':
+        // Hooks list every change with its own @since — the first one is when it was introduced
+        if (!result.since && value) result.since = value.split(/\s+/)[0];
+        break;
+      case 'param':
+        result.params.push(parseParamTag(value));
+        break;
+      case 'return':
+      case 'returns': {
+        const { type, rest } = splitType(value);
+        result.returnType = type;
+        result.returnDescription = rest || null;
+        break;
+      }
+      case 'deprecated':
+        result.deprecated = value || 'yes';
+        break;
+      case 'see':
+        if (value) see.push(value);
+        break;
+    }
+  }
+  result.see = see.length > 0 ? see.join(', ') : null;
+
+  return result;
+}
+
+/**
+ * Parse the body of a @param tag — "string $name Description" (PHPDoc) or "{string} name Description" (JSDoc).
+ */
+function parseParamTag(text) {
+  let { type, rest } = splitType(text);
+  let name = null;
+
+  // PHPDoc allows the variable without a type: @param $name Description
+  if (type && /^(?:\.\.\.)?&?\$/.test(type)) {
+    rest = `${type} ${rest}`.trim();
+    type = null;
+  }
+
+  const nameMatch = rest.match(/^((?:\.\.\.)?&?\$\w+|\[?[\w.]+(?:=[^\]]*)?\]?)\s*([\s\S]*)$/);
+  if (nameMatch && (nameMatch[1].includes('$') || text.startsWith('{'))) {
+    name = nameMatch[1].replace(/^\[|\]$/g, '').replace(/=.*$/, '');
+    rest = nameMatch[2];
+  }
+
+  return {
+    type,
+    name,
+    description: rest.trim() || null,
+  };
+}
+
+/**
+ * Split a leading type off a tag body. Handles JSDoc braces and generics like array<int, string>.
+ */
+function splitType(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return { type: null, rest: '' };
+
+  if (trimmed.startsWith('{')) {
+    const end = matchingBrace(trimmed);
+    if (end === -1) return { type: null, rest: trimmed };
+    return { type: trimmed.slice(1, end).trim() || null, rest: trimmed.slice(end + 1).trim() };
+  }
+
+  let depth = 0;
+  let i = 0;
+  for (; i < trimmed.length; i++) {
+    const ch = trimmed[i];
+    if (ch === '<' || ch === '(' || ch === '{') depth++;
+    else if (ch === '>' || ch === ')' || ch === '}') depth--;
+    else if (/\s/.test(ch) && depth <= 0) break;
+  }
+  return { type: trimmed.slice(0, i), rest: trimmed.slice(i).trim() };
+}
+
+function matchingBrace(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+function countBraces(text) {
+  let depth = 0;
+  for (const ch of text) {
+    if (ch === '{') depth++;
+    else if (ch === '}') depth--;
+  }
+  return depth;
+}
+
+/**
+ * Map a hook's docblock onto the structured hook columns
+ * (since_version, params_json, return_type, deprecated, see).
+ * Filters without an explicit @return return their first parameter's type.
+ * @param {string|null} docblock - Raw docblock
+ * @param {string} hookType - Hook type, e.g. 'filter' or 'js_action'
+ * @returns {{ since_version: string|null, params_json: string|null, return_type: string|null, deprecated: string|null, see: string|null }}
+ */
+export function docblockColumns(docblock, hookType) {
+  const doc = parseDocblock(docblock);
+  const isFilter = hookType.includes('filter');
+
+  let returnType = null;
+  if (isFilter) {
+    returnType = doc.returnType || (doc.params[0] && doc.params[0].type) || null;
+  }
+
+  return {
+    since_version: doc.since,
+    params_json: doc.params.length > 0 ? JSON.stringify(doc.params) : null,
+    return_type: returnType,
+    deprecated: doc.deprecated,
+    see: doc.see,
+  };
+}
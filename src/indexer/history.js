@@ -0,0 +1,216 @@
+import { spawn } from 'node:child_process';
+import { Buffer } from 'node:buffer';
+import { fetchSource } from './sources/index.js';
+import { authenticatedRepoUrl } from './sources/github-private.js';
+import { gitFor } from './sources/git.js';
+import { parsePhpFile } from './php-parser.js';
+import { parseJsFile } from './js-parser.js';
+import { IGNORED_DIRS, SOURCE_EXTENSIONS } from './index-manager.js';
+import { getSource, setHookHistory } from '../db/sqlite.js';
+
+/** Release tags such as "9.0.0" or "v6.4.2" — pre-releases (-beta.1, -rc.2) are skipped. */
+const RELEASE_TAG_REGEX = /^v?\d+(\.\d+)+$/;
+
+/** Blobs read per `git cat-file --batch` call. */
+const BLOB_BATCH_SIZE = 200;
+
+/**
+ * Walk a git source's release tags, oldest first, and record for every hook the first and last
+ * release it appeared in (introduced_in, last_seen_in) and, once gone, the release it was missing
+ * from after its last appearance (removed_in).
+ * Each tag's tree is read straight from git and parsed with the regular parsers; files unchanged
+ * between tags share a blob and are parsed once.
+ * @param {string} sourceName - Source to date (its tracked versions receive the same history)
+ * @param {object} [opts] - { from, match } — oldest tag to include, and a regex overriding which tags are releases
+ * @returns {Promise<{ tags: number, first_tag: string|null, last_tag: string|null, hooks_dated: number }>}
+ */
+export async function indexHookHistory(sourceName, opts = {}) {
+  const source = getSource(sourceName);
+  if (!source) throw new Error(`Source not found: ${sourceName}`);
+  if (source.parent_id) throw new Error(`"${sourceName}" is a tracked version — run the history pass on its parent source`);
+  if (source.content_type === 'docs') throw new Error(`Source "${sourceName}" is a docs source — hook history needs a code source`);
+
+  const localPath = await fetchSource(source);
+  // Carries a git source's SSH key / credential helper into ls-remote and the tag fetches
+  const git = gitFor(source, localPath);
+  if (!(await git.checkIsRepo())) {
+    throw new Error(`Source "${sourceName}" is not a git checkout — the history pass needs release tags`);
+  }
+
+  const tags = selectReleaseTags(await listTags(git, source), opts);
+  if (tags.length === 0) {
+    return { tags: 0, first_tag: null, last_tag: null, hooks_dated: 0 };
+  }
+  if (source.type !== 'local-folder') await fetchTags(git, source, tags);
+
+  const hooksByBlob = new Map();
+  const firstSeen = new Map();
+  const lastSeen = new Map();
+
+  for (let i = 0; i < tags.length; i++) {
+    console.error(`Reading hooks at tag ${tags[i]} (${i + 1}/${tags.length})...`);
+
+    // Run inside the source path, ls-tree lists only the (sub)folder being indexed, with relative paths
+    const files = parseTree(await git.raw(['ls-tree', '-r', '-z', tags[i]]));
+    const unparsed = new Map(files.filter(f => !hooksByBlob.has(f.sha)).map(f => [f.sha, f.path]));
+    for (const [sha, content] of await readBlobs(localPath, [...unparsed.keys()])) {
+      hooksByBlob.set(sha, hookKeys(content, unparsed.get(sha), source.id));
+    }
+
+    for (const file of files) {
+      for (const key of hooksByBlob.get(file.sha) || []) {
+        if (!firstSeen.has(key)) firstSeen.set(key, i);
+        lastSeen.set(key, i);
+      }
+    }
+  }
+
+  const history = new Map();
+  for (const [key, first] of firstSeen) {
+    const last = lastSeen.get(key);
+    history.set(key, {
+      introduced_in: tags[first],
+      last_seen_in: tags[last],
+      removed_in: last < tags.length - 1 ? tags[last + 1] : null,
+    });
+  }
+
+  return {
+    tags: tags.length,
+    first_tag: tags[0],
+    last_tag: tags[tags.length - 1],
+    hooks_dated: setHookHistory(source.id, history),
+  };
+}
+
+/**
+ * Tag names available for the source — local tags for a local folder, the remote's tags otherwise.
+ */
+async function listTags(git, source) {
+  if (source.type === 'local-folder') {
+    return (await git.raw(['tag', '--list'])).split('\n').map(t => t.trim()).filter(Boolean);
+  }
+
+  const output = await git.raw(['ls-remote', '--tags', remoteUrl(source)]);
+  return output.split('\n')
+    .map(line => line.split('\t')[1])
+    .filter(ref => ref && !ref.endsWith('^{}'))
+    .map(ref => ref.replace('refs/tags/', ''));
+}
+
+/**
+ * Keep release tags (or those matching opts.match), sorted by version, starting at opts.from.
+ */
+function selectReleaseTags(tags, { from, match } = {}) {
+  const pattern = match ? new RegExp(match) : RELEASE_TAG_REGEX;
+  const releases = tags.filter(t => pattern.test(t)).sort(compareVersions);
+  if (!from) return releases;
+
+  const start = releases.findIndex(t => compareVersions(t, from) >= 0);
+  return start === -1 ? [] : releases.slice(start);
+}
+
+/**
+ * Compare two version-like tags numerically, part by part ("9.10.0" sorts after "9.9.1").
+ */
+function compareVersions(a, b) {
+  const partsA = a.replace(/^v/, '').split(/[.-]/);
+  const partsB = b.replace(/^v/, '').split(/[.-]/);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+    if (diff !== 0) return diff;
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Fetch the tags missing from the (shallow) checkout, one commit deep each.
+ * The URL is passed directly so a private token never ends up in the stored remote.
+ */
+async function fetchTags(git, source, tags) {
+  const local = new Set((await git.raw(['tag', '--list'])).split('\n').map(t => t.trim()));
+  const missing = tags.filter(t => !local.has(t));
+  for (let i = 0; i < missing.length; i += 50) {
+    const refspecs = missing.slice(i, i + 50).map(t => `+refs/tags/${t}:refs/tags/${t}`);
+    console.error(`Fetching ${refspecs.length} tag(s) for ${source.name}...`);
+    await git.raw(['fetch', '--depth=1', '--no-tags', remoteUrl(source), ...refspecs]);
+  }
+}
+
+function remoteUrl(source) {
+  return source.type === 'github-private' ? authenticatedRepoUrl(source) : source.repo_url;
+}
+
+/**
+ * Parse NUL-separated `git ls-tree -r -z` output (paths unquoted) into the PHP and JS/TS files the indexer would scan.
+ * @returns {Array<{ sha: string, path: string }>}
+ */
+function parseTree(output) {
+  const files = [];
+  for (const entry of output.split('\0')) {
+    const match = entry.match(/^\d+ blob ([0-9a-f]+)\t(.+)$/);
+    if (!match) continue;
+
+    const path = match[2];
+    if (!SOURCE_EXTENSIONS.some(ext => path.endsWith(ext))) continue;
+    if (path.split('/').some(segment => IGNORED_DIRS.includes(segment))) continue;
+    files.push({ sha: match[1], path });
+  }
+  return files;
+}
+
+/**
+ * Read blob contents with `git cat-file --batch`, BLOB_BATCH_SIZE at a time.
+ * @returns {Promise<Map<string, string>>} Blob SHA → content
+ */
+async function readBlobs(cwd, shas) {
+  const blobs = new Map();
+  for (let i = 0; i < shas.length; i += BLOB_BATCH_SIZE) {
+    const batch = shas.slice(i, i + BLOB_BATCH_SIZE);
+    const output = await catFileBatch(cwd, batch);
+
+    // Each entry is "<sha> blob <size>\n<content>\n"
+    let offset = 0;
+    while (offset < output.length) {
+      const headerEnd = output.indexOf(0x0a, offset);
+      const [sha, kind, size] = output.toString('utf-8', offset, headerEnd).split(' ');
+      const start = headerEnd + 1;
+      if (kind === 'missing') {
+        offset = start;
+        continue;
+      }
+      const length = parseInt(size, 10) || 0;
+      blobs.set(sha, output.toString('utf-8', start, start + length));
+      offset = start + length + 1;
+    }
+  }
+  return blobs;
+}
+
+function catFileBatch(cwd, shas) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', ['cat-file', '--batch'], { cwd });
+    const chunks = [];
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) resolve(Buffer.concat(chunks));
+      else reject(new Error(`git cat-file exited with code ${code}`));
+    });
+    child.stdin.end(`${shas.join('\n')}\n`);
+  });
+}
+
+/**
+ * The distinct "type:name" keys of the hooks fired in a file. Unparseable files yield none.
+ */
+function hookKeys(content, filePath, sourceId) {
+  try {
+    const { hooks } = filePath.endsWith('.php')
+      ? parsePhpFile(content, filePath, sourceId)
+      : parseJsFile(content, filePath, sourceId);
+    return [...new Set(hooks.map(h => `${h.type}:${h.name}`))];
+  } catch {
+    return [];
+  }
+}
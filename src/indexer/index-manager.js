@@ -1,52 +1,73 @@
 import fg from 'fast-glob';
-import { readFileSync, statSync } from 'node:fs';
-import { join } from 'node:path';
+import { existsSync, readFileSync, statSync } from 'node:fs';
+import { join, posix } from 'node:path';
 import { createHash } from 'node:crypto';
-import { fetchSource } from './sources/index.js';
-import { parsePhpFile } from './php-parser.js';
-import { parseJsFile } from './js-parser.js';
+import { performance } from 'node:perf_hooks';
+import { fetchSource, getSourceCommit, getChangedFiles } from './sources/index.js';
+import { createParsePool, defaultParseWorkers } from './parse-pool.js';
 import {
   listSources,
   getSource,
+  listSourceVersions,
   upsertHook,
   markHooksRemoved,
+  reconcileHookMoves,
+  renameIndexedFile,
+  startIndexRun,
+  finishIndexRun,
+  upsertHookListener,
+  markListenersRemoved,
+  upsertSymbol,
+  markSymbolsRemoved,
+  upsertRestRoute,
+  markRestRoutesRemoved,
   upsertBlockRegistration,
+  markBlocksRemoved,
+  linkBlockMetadata,
   upsertApiUsage,
+  markApiUsagesRemoved,
   getIndexedFile,
   upsertIndexedFile,
+  listIndexedFiles,
+  deleteIndexedFile,
   updateSourceLastIndexed,
+  updateSourceIndexedCommit,
+  inTransaction,
 } from '../db/sqlite.js';
-import { indexDocsSource } from '../docs/doc-index-manager.js';
-
-const IGNORE_PATTERNS = [
-  '**/node_modules/**',
-  '**/vendor/**',
-  '**/dist/**',
-  '**/build/**',
-  '**/.git/**',
-  '**/tests/**',
-  '**/test/**',
-  '**/__tests__/**',
-  '**/spec/**',
-];
+import { indexDocsSource, indexDocFiles } from '../docs/doc-index-manager.js';
+
+/** Directories never indexed, wherever they appear in a source. */
+export const IGNORED_DIRS = ['node_modules', 'vendor', 'dist', 'build', '.git', 'tests', 'test', '__tests__', 'spec'];
+
+/** Extensions of the files the PHP and JS/TS parsers handle. */
+export const SOURCE_EXTENSIONS = ['.php', '.js', '.jsx', '.ts', '.tsx'];
+
+const IGNORE_PATTERNS = IGNORED_DIRS.map(dir => `**/${dir}/**`);
 
 const PHP_PATTERNS = ['**/*.php'];
-const JS_PATTERNS = ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx'];
+const JS_PATTERNS = SOURCE_EXTENSIONS.filter(ext => ext !== '.php').map(ext => `**/*${ext}`);
+const BLOCK_JSON_PATTERNS = ['**/block.json'];
+
+/** Source types fetched as git checkouts, which can be updated from a diff. */
+const GIT_SOURCE_TYPES = ['github-public', 'github-private', 'git'];
 
 /**
- * Index all enabled sources or a specific source.
- * @param {object} opts - { sourceName, force }
- * @returns {object} Stats about the indexing run
+ * Index all enabled sources, a specific source (together with its tracked versions) or a list of sources.
+ * @param {object} opts - { sourceName, sourceNames, force, workers } — workers is the number of
+ *   parse threads, defaultParseWorkers() when omitted and 0 to parse on this thread
+ * @returns {object} Stats about the indexing run, including files_per_second
  */
 export async function indexSources(opts = {}) {
-  const { sourceName, force = false } = opts;
+  const { sourceName, sourceNames, force = false, workers = defaultParseWorkers() } = opts;
 
   let sources;
   if (sourceName) {
     const source = getSource(sourceName);
     if (!source) throw new Error(`Source not found: ${sourceName}`);
     if (!source.enabled) throw new Error(`Source "${sourceName}" is disabled`);
-    sources = [source];
+    sources = [source, ...listSourceVersions(source.id).filter(v => v.enabled)];
+  } else if (sourceNames) {
+    sources = sourceNames.map(name => getSource(name)).filter(s => s && s.enabled);
   } else {
     sources = listSources().filter(s => s.enabled);
   }
@@ -55,56 +76,137 @@ export async function indexSources(opts = {}) {
     return { message: 'No enabled sources found. Add a source first.' };
   }
 
-  const stats = {
-    sources_processed: 0,
-    files_processed: 0,
-    files_skipped: 0,
-    hooks_inserted: 0,
-    hooks_updated: 0,
-    hooks_skipped: 0,
-    hooks_removed: 0,
-    blocks_indexed: 0,
-    apis_indexed: 0,
-    docs_inserted: 0,
-    docs_updated: 0,
-    docs_skipped: 0,
-    docs_removed: 0,
-    errors: [],
-  };
+  const stats = createStats();
 
-  for (const source of sources) {
-    try {
-      console.error(`Fetching source: ${source.name} (${source.type})...`);
-      const localPath = await fetchSource(source);
-      console.error(`Indexing source: ${source.name} from ${localPath} (${source.content_type || 'source'})`);
-
-      if (source.content_type === 'docs') {
-        await indexDocsSource(source, localPath, force, stats);
-      } else {
-        await indexSource(source, localPath, force, stats);
+  const pool = createParsePool(workers);
+  try {
+    for (const source of sources) {
+      try {
+        console.error(`Fetching source: ${source.name} (${source.type})...`);
+        const localPath = await fetchSource(source);
+        console.error(`Indexing source: ${source.name} from ${localPath} (${source.content_type || 'source'})`);
+        const commit = await getSourceCommit(localPath);
+        const changes = force ? null : await changesSinceIndexed(source, localPath, commit);
+
+        // Throughput covers parsing and writing, not fetching
+        const started = performance.now();
+        const filesBefore = stats.files_processed;
+        const errorsBefore = stats.errors.length;
+        if (source.content_type === 'docs' && changes) {
+          await indexDocFiles(source, localPath, changes.flatMap(c => (c.from ? [c.from, c.file] : [c.file])), stats);
+        } else if (source.content_type === 'docs') {
+          await indexDocsSource(source, localPath, force, stats);
+        } else {
+          await indexSource(source, localPath, { force, commit, changes }, stats, pool);
+        }
+        const seconds = (performance.now() - started) / 1000;
+        stats.index_seconds += seconds;
+        console.error(`Indexed ${stats.files_processed - filesBefore} files of ${source.name} in ${seconds.toFixed(1)}s (${filesPerSecond(stats.files_processed - filesBefore, seconds)} files/s)`);
+
+        stats.sources_processed++;
+        updateSourceLastIndexed(source.id);
+        // A file that failed is retried on the next update only if that one scans everything
+        if (GIT_SOURCE_TYPES.includes(source.type)) {
+          updateSourceIndexedCommit(source.id, stats.errors.length === errorsBefore ? commit : null);
+        }
+      } catch (err) {
+        const msg = `Error processing source "${source.name}": ${err.message}`;
+        console.error(msg);
+        stats.errors.push(msg);
       }
-      stats.sources_processed++;
-      updateSourceLastIndexed(source.id);
-    } catch (err) {
-      const msg = `Error processing source "${source.name}": ${err.message}`;
-      console.error(msg);
-      stats.errors.push(msg);
     }
+  } finally {
+    await pool.close();
   }
 
+  stats.files_per_second = filesPerSecond(stats.files_processed, stats.index_seconds);
   return stats;
 }
 
+/**
+ * Re-index some files of a source — the ones a file watcher saw change — without scanning the rest.
+ * Each file goes through the usual mtime/hash check, files that no longer exist are retired, and
+ * files outside what a full scan would index are ignored.
+ * @param {string} sourceName
+ * @param {Array<string>} files - Paths relative to the source folder
+ * @returns {Promise<object>} Stats like indexSources()
+ */
+export async function indexSourceFiles(sourceName, files) {
+  const source = getSource(sourceName);
+  if (!source) throw new Error(`Source not found: ${sourceName}`);
+
+  const stats = createStats();
+  const localPath = await fetchSource(source);
+  const started = performance.now();
+
+  if (source.content_type === 'docs') {
+    await indexDocFiles(source, localPath, files, stats);
+  } else {
+    const runId = startIndexRun(source.id, await getSourceCommit(localPath));
+    const filesProcessedBefore = stats.files_processed;
+
+    await indexListedFiles(source, localPath, files, runId, stats, createParsePool(0));
+    finishSourceRun(source, runId, stats, filesProcessedBefore);
+  }
+
+  stats.index_seconds = (performance.now() - started) / 1000;
+  stats.files_per_second = filesPerSecond(stats.files_processed, stats.index_seconds);
+  stats.sources_processed = 1;
+  updateSourceLastIndexed(source.id);
+  return stats;
+}
+
+function isSourceFile(file) {
+  return SOURCE_EXTENSIONS.some(ext => file.endsWith(ext)) || posix.basename(file) === 'block.json';
+}
+
+/**
+ * What changed in a git source since the commit it was last completely indexed at.
+ * @returns {Promise<Array<object>|null>} getChangedFiles() result, empty when still at that commit,
+ *   or null when every file has to be scanned
+ */
+async function changesSinceIndexed(source, localPath, commit) {
+  if (!GIT_SOURCE_TYPES.includes(source.type) || !source.indexed_commit || !commit) return null;
+  if (source.indexed_commit === commit) return [];
+
+  const changes = await getChangedFiles(localPath, source.indexed_commit, commit);
+  if (!changes) {
+    console.error(`Commit ${source.indexed_commit.slice(0, 12)} is not in the clone of ${source.name} — scanning all files`);
+  }
+  return changes;
+}
+
+function filesPerSecond(files, seconds) {
+  return seconds > 0 ? Math.round(files / seconds) : 0;
+}
+
 /**
  * Index a single source — scans files, parses hooks/blocks/APIs, and upserts into the database.
+ * Files are parsed by the pool while this thread writes the results, one transaction per file.
+ * Given the changes since the last indexed commit, only the changed files are read.
  * @param {object} source - Source row from the database
  * @param {string} localPath - Absolute path to the source on disk
- * @param {boolean} force - Skip mtime/hash caching when true
+ * @param {object} opts - { force, commit, changes } — force skips mtime/hash caching, commit is the
+ *   checked out commit and changes the changesSinceIndexed() result, null to scan every file
  * @param {object} stats - Mutable stats object to accumulate counts
+ * @param {object} pool - Parse pool from createParsePool()
  */
-async function indexSource(source, localPath, force, stats) {
-  // Scan for PHP and JS/TS files
-  const files = await fg([...PHP_PATTERNS, ...JS_PATTERNS], {
+async function indexSource(source, localPath, opts, stats, pool) {
+  const { force = false, commit = null, changes = null } = opts;
+  // Every hook change in this run is logged against it, with the upstream commit
+  const runId = startIndexRun(source.id, commit);
+  const filesProcessedBefore = stats.files_processed;
+
+  if (changes) {
+    console.error(`${changes.length} changed file(s) in ${source.name} since ${source.indexed_commit.slice(0, 12)}`);
+    const files = await renameChangedFiles(source, localPath, changes, runId, stats);
+    await indexListedFiles(source, localPath, files, runId, stats, pool);
+    finishSourceRun(source, runId, stats, filesProcessedBefore);
+    return;
+  }
+
+  // Scan for PHP, JS/TS and block.json files
+  const files = await fg([...PHP_PATTERNS, ...JS_PATTERNS, ...BLOCK_JSON_PATTERNS], {
     cwd: localPath,
     ignore: IGNORE_PATTERNS,
     absolute: false,
@@ -113,75 +215,277 @@ async function indexSource(source, localPath, force, stats) {
 
   console.error(`Found ${files.length} files to check in ${source.name}`);
 
+  await parseFiles(source, localPath, files, force, runId, stats, pool);
+  removeDeletedFiles(source, files, runId, stats);
+  finishSourceRun(source, runId, stats, filesProcessedBefore);
+}
+
+/**
+ * Carry what was indexed from renamed files over to their new paths, so their hooks keep their
+ * history. A rename that cannot be carried over, e.g. to a path that is not indexed, becomes a
+ * deletion plus an addition.
+ * @returns {Promise<Array<string>>} Paths still to index: every changed path, old paths of renames not carried over
+ */
+async function renameChangedFiles(source, localPath, changes, runId, stats) {
+  const indexable = await indexableFiles(localPath, changes.filter(c => c.from).map(c => c.file));
+  const files = [];
+  for (const { file, from } of changes) {
+    if (from && indexable.has(file) && getIndexedFile(source.id, from)) {
+      const moved = renameIndexedFile(source.id, from, file, runId);
+      if (moved !== null) {
+        stats.hooks_moved += moved;
+        files.push(file);
+        continue;
+      }
+    }
+    if (from) files.push(from);
+    files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Index some files of a source: each one goes through the usual mtime/hash check, files that no
+ * longer exist are retired, and files outside what a full scan would index are ignored.
+ */
+async function indexListedFiles(source, localPath, files, runId, stats, pool) {
+  const indexable = await indexableFiles(localPath, files);
   for (const file of files) {
-    const fullPath = join(localPath, file);
+    try {
+      if (!indexable.has(file) && !existsSync(join(localPath, file)) && getIndexedFile(source.id, file)) {
+        retireFile(source, file, runId, stats);
+      }
+    } catch (err) {
+      recordFileError(file, err, stats);
+    }
+  }
+  await parseFiles(source, localPath, files.filter(file => indexable.has(file)), false, runId, stats, pool);
+}
+
+/** Those of the given paths that exist and that a full scan would index. */
+async function indexableFiles(localPath, files) {
+  return new Set(await fg(files.filter(isSourceFile).map(file => fg.escapePath(file)), {
+    cwd: localPath,
+    ignore: IGNORE_PATTERNS,
+    onlyFiles: true,
+  }));
+}
+
+/**
+ * Parse changed files in the pool and write each one's results as they come back.
+ */
+async function parseFiles(source, localPath, files, force, runId, stats, pool) {
+  // Keep every worker busy without reading the whole source into memory up front
+  const maxInFlight = Math.max(pool.size * 4, 1);
+  const inFlight = new Set();
 
+  for (const file of files) {
+    let job;
     try {
-      const fileStat = statSync(fullPath);
-      const mtimeMs = fileStat.mtimeMs;
+      job = readChangedFile(source, localPath, file, force, stats);
+    } catch (err) {
+      recordFileError(file, err, stats);
+    }
+    if (!job) continue;
 
-      // Check mtime for incremental skip
-      const indexed = !force ? getIndexedFile(source.id, file) : null;
-      if (indexed && indexed.mtime_ms === mtimeMs) {
-        stats.files_skipped++;
-        continue;
-      }
+    const task = pool.parse({ file, content: job.content, sourceId: source.id })
+      .then(parsed => writeParsedFile(source, localPath, job, parsed, runId, stats))
+      .catch(err => recordFileError(file, err, stats))
+      .finally(() => inFlight.delete(task));
+    inFlight.add(task);
+    if (inFlight.size >= maxInFlight) await Promise.race(inFlight);
+  }
+  await Promise.all(inFlight);
+}
 
-      const content = readFileSync(fullPath, 'utf-8');
-      const contentHash = createHash('sha256').update(content).digest('hex').slice(0, 16);
+/**
+ * Link block metadata, pair up moved hooks and close the index run.
+ */
+function finishSourceRun(source, runId, stats, filesProcessedBefore) {
+  linkBlockMetadata(source.id);
 
-      // Skip if content hash matches (handles moved files / touched timestamps)
-      if (indexed && indexed.content_hash === contentHash) {
-        upsertIndexedFile(source.id, file, mtimeMs, contentHash);
-        stats.files_skipped++;
-        continue;
-      }
+  // A hook removed from one file and inserted into another is a move, not a removal plus a new hook
+  const moved = reconcileHookMoves(runId);
+  stats.hooks_moved += moved;
+  stats.hooks_inserted -= moved;
+  stats.hooks_removed -= moved;
 
-      const isPhp = file.endsWith('.php');
-      const activeHookIds = [];
-
-      if (isPhp) {
-        const hooks = parsePhpFile(content, file, source.id);
-        for (const hook of hooks) {
-          const result = upsertHook(hook);
-          activeHookIds.push(result.id);
-          if (result.action === 'inserted') stats.hooks_inserted++;
-          else if (result.action === 'updated') stats.hooks_updated++;
-          else stats.hooks_skipped++;
-        }
-      } else {
-        const { hooks, blocks, apis } = parseJsFile(content, file, source.id);
-
-        for (const hook of hooks) {
-          const result = upsertHook(hook);
-          activeHookIds.push(result.id);
-          if (result.action === 'inserted') stats.hooks_inserted++;
-          else if (result.action === 'updated') stats.hooks_updated++;
-          else stats.hooks_skipped++;
-        }
+  finishIndexRun(runId, stats.files_processed - filesProcessedBefore);
+}
 
-        for (const block of blocks) {
-          upsertBlockRegistration(block);
-          stats.blocks_indexed++;
-        }
+/**
+ * Read a file if it changed since it was last indexed.
+ * @returns {{ file: string, content: string, mtimeMs: number, contentHash: string }|null} Null when unchanged
+ */
+function readChangedFile(source, localPath, file, force, stats) {
+  const fullPath = join(localPath, file);
+  const mtimeMs = statSync(fullPath).mtimeMs;
 
-        for (const api of apis) {
-          upsertApiUsage(api);
-          stats.apis_indexed++;
-        }
-      }
+  // Check mtime for incremental skip
+  const indexed = !force ? getIndexedFile(source.id, file) : null;
+  if (indexed && indexed.mtime_ms === mtimeMs) {
+    stats.files_skipped++;
+    return null;
+  }
 
-      // Soft-delete hooks that were in this file but no longer found
-      const removed = markHooksRemoved(source.id, file, activeHookIds);
-      stats.hooks_removed += removed;
+  const content = readFileSync(fullPath, 'utf-8');
+  const contentHash = createHash('sha256').update(content).digest('hex').slice(0, 16);
 
-      // Track this file as indexed
-      upsertIndexedFile(source.id, file, mtimeMs, contentHash);
-      stats.files_processed++;
-    } catch (err) {
-      const msg = `Error indexing file ${file}: ${err.message}`;
-      console.error(msg);
-      stats.errors.push(msg);
+  // Skip if content hash matches (handles moved files / touched timestamps)
+  if (indexed && indexed.content_hash === contentHash) {
+    upsertIndexedFile(source.id, file, mtimeMs, contentHash);
+    stats.files_skipped++;
+    return null;
+  }
+
+  return { file, content, mtimeMs, contentHash };
+}
+
+/**
+ * Write what was parsed from one file, and retire what the file no longer contains, in one transaction.
+ * @param {object} source - Source row from the database
+ * @param {string} localPath - Absolute path to the source on disk
+ * @param {object} job - readChangedFile() result
+ * @param {object} parsed - parseSourceFile() result
+ * @param {number} runId - Index run to log hook changes against
+ * @param {object} stats - Mutable stats object to accumulate counts
+ */
+function writeParsedFile(source, localPath, job, parsed, runId, stats) {
+  const { file } = job;
+  const counts = {
+    hooks_inserted: 0, hooks_updated: 0, hooks_skipped: 0, hooks_removed: 0,
+    listeners_indexed: 0, listeners_removed: 0, symbols_indexed: 0, symbols_removed: 0,
+    rest_routes_indexed: 0, rest_routes_removed: 0, blocks_indexed: 0, blocks_removed: 0,
+    apis_indexed: 0, apis_removed: 0,
+  };
+
+  inTransaction(() => {
+    const activeHookIds = [];
+    for (const hook of parsed.hooks) {
+      const result = upsertHook(hook, runId);
+      activeHookIds.push(result.id);
+      if (result.action === 'inserted') counts.hooks_inserted++;
+      else if (result.action === 'updated' || result.action === 'shifted') counts.hooks_updated++;
+      else counts.hooks_skipped++;
     }
+
+    const activeListenerIds = parsed.listeners.map(listener => upsertHookListener(listener).id);
+    const activeSymbolIds = parsed.symbols.map(symbol => upsertSymbol(symbol).id);
+    const activeRouteIds = parsed.restRoutes.map(route => upsertRestRoute(route).id);
+    const activeApiIds = parsed.apis.map(api => upsertApiUsage(api).id);
+
+    // Blocks registered from a block.json path take their name from that file
+    const activeBlockIds = [];
+    for (const block of parsed.blocks) {
+      if (!block.block_name && !applyBlockMetadata(block, localPath)) continue;
+      activeBlockIds.push(upsertBlockRegistration(block).id);
+    }
+
+    // Soft-delete what was in this file but is no longer found
+    counts.hooks_removed = markHooksRemoved(source.id, file, activeHookIds, runId);
+    counts.listeners_removed = markListenersRemoved(source.id, file, activeListenerIds);
+    counts.symbols_removed = markSymbolsRemoved(source.id, file, activeSymbolIds);
+    counts.rest_routes_removed = markRestRoutesRemoved(source.id, file, activeRouteIds);
+    counts.blocks_removed = markBlocksRemoved(source.id, file, activeBlockIds);
+    counts.apis_removed = markApiUsagesRemoved(source.id, file, activeApiIds);
+    counts.listeners_indexed = activeListenerIds.length;
+    counts.symbols_indexed = activeSymbolIds.length;
+    counts.rest_routes_indexed = activeRouteIds.length;
+    counts.blocks_indexed = activeBlockIds.length;
+    counts.apis_indexed = activeApiIds.length;
+
+    // Track this file as indexed
+    upsertIndexedFile(source.id, file, job.mtimeMs, job.contentHash);
+  });
+
+  // Counted only once the file's transaction has committed
+  for (const [key, count] of Object.entries(counts)) stats[key] += count;
+  stats.files_processed++;
+}
+
+function recordFileError(file, err, stats) {
+  const msg = `Error indexing file ${file}: ${err.message}`;
+  console.error(msg);
+  stats.errors.push(msg);
+}
+
+/**
+ * Zeroed counters of an indexing run.
+ */
+function createStats() {
+  return {
+    sources_processed: 0,
+    files_processed: 0,
+    files_skipped: 0,
+    files_deleted: 0,
+    hooks_inserted: 0,
+    hooks_updated: 0,
+    hooks_skipped: 0,
+    hooks_removed: 0,
+    hooks_moved: 0,
+    listeners_indexed: 0,
+    listeners_removed: 0,
+    symbols_indexed: 0,
+    symbols_removed: 0,
+    rest_routes_indexed: 0,
+    rest_routes_removed: 0,
+    blocks_indexed: 0,
+    blocks_removed: 0,
+    apis_indexed: 0,
+    apis_removed: 0,
+    docs_inserted: 0,
+    docs_updated: 0,
+    docs_skipped: 0,
+    docs_removed: 0,
+    index_seconds: 0,
+    files_per_second: 0,
+    errors: [],
+  };
+}
+
+/**
+ * Retire everything indexed from files that no longer exist in the source — their hooks, listeners,
+ * symbols, REST routes, blocks and API usages are marked removed and the indexed_files row is dropped.
+ * @param {object} source - Source row from the database
+ * @param {Array<string>} files - Relative paths found by this run's scan
+ * @param {number} runId - Index run to log hook removals against
+ * @param {object} stats - Mutable stats object to accumulate counts
+ */
+function removeDeletedFiles(source, files, runId, stats) {
+  const scanned = new Set(files);
+  for (const file of listIndexedFiles(source.id)) {
+    if (!scanned.has(file)) retireFile(source, file, runId, stats);
   }
 }
+
+function retireFile(source, file, runId, stats) {
+  stats.hooks_removed += markHooksRemoved(source.id, file, [], runId);
+  stats.listeners_removed += markListenersRemoved(source.id, file, []);
+  stats.symbols_removed += markSymbolsRemoved(source.id, file, []);
+  stats.rest_routes_removed += markRestRoutesRemoved(source.id, file, []);
+  stats.blocks_removed += markBlocksRemoved(source.id, file, []);
+  stats.apis_removed += markApiUsagesRemoved(source.id, file, []);
+  deleteIndexedFile(source.id, file);
+  stats.files_deleted++;
+}
+
+/**
+ * Fill in the name, title and category of a block registered from an imported block.json.
+ * @param {object} block - Block registration with metadata_file set
+ * @param {string} localPath - Absolute path to the source on disk
+ * @returns {boolean} False when the block.json cannot be read or declares no name
+ */
+function applyBlockMetadata(block, localPath) {
+  let metadata;
+  try {
+    metadata = JSON.parse(readFileSync(join(localPath, block.metadata_file), 'utf-8'));
+  } catch {
+    return false;
+  }
+  if (!metadata || typeof metadata.name !== 'string') return false;
+
+  block.block_name = metadata.name;
+  block.block_title = metadata.title || block.block_title;
+  block.block_category = metadata.category || block.block_category;
+  return true;
+}
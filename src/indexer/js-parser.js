@@ -1,11 +1,14 @@
 import {
-  getLineNumber,
+  createLineLocator,
   extractCodeWindow,
   generateContentHash,
   inferDescription,
   extractDocblock,
   findEnclosingFunction,
+  assignHookKeys,
 } from './parser-utils.js';
+import { docblockColumns } from './docblock-parser.js';
+import { posix } from 'node:path';
 
 // JS hook patterns — addAction/addFilter from @wordpress/hooks or wp.hooks
 const JS_HOOK_REGEX = /\b(?:addAction|addFilter|applyFilters|doAction)\s*\(\s*/g;
@@ -20,6 +23,9 @@ const JS_TYPE_MAP = {
 // Block registration patterns
 const BLOCK_REG_REGEX = /\b(registerBlockType|registerBlockVariation|registerBlockStyle|registerBlockCollection)\s*\(\s*/g;
 
+// block.json imports — `import metadata from './block.json'`, `import { name } from ...` or require()
+const BLOCK_JSON_IMPORT_REGEX = /\bimport\s+(?:(\w+)|\{([^}]*)\}|\*\s*as\s+(\w+))\s+from\s+['"](\.{1,2}\/[^'"]*block\.json)['"]|\b(?:const|let|var)\s+(\w+)\s*=\s*require\(\s*['"](\.{1,2}\/[^'"]*block\.json)['"]\s*\)/g;
+
 // WP API usage patterns
 const API_USAGE_REGEX = /\bwp\.(blocks|editor|blockEditor|data|element|components|plugins|editPost|editSite|hooks|i18n|richText)\s*\.\s*(\w+)/g;
 
@@ -31,6 +37,7 @@ export function parseJsFile(content, filePath, sourceId) {
   const blocks = [];
   const apis = [];
   const lines = content.split('\n');
+  const lineAt = createLineLocator(content);
 
   // --- JS Hooks ---
   let match;
@@ -52,7 +59,7 @@ export function parseJsFile(content, filePath, sourceId) {
 
     const isDynamic = rawName.includes('`') || rawName.includes('${') || rawName.includes('+');
 
-    const lineNumber = getLineNumber(content, match.index);
+    const lineNumber = lineAt(match.index);
     const lineIndex = lineNumber - 1;
 
     const params = args.slice(1).map(p => p.trim()).filter(Boolean);
@@ -77,6 +84,10 @@ export function parseJsFile(content, filePath, sourceId) {
       code_after: codeAfter || null,
       hook_line: hookLine || null,
       is_dynamic: isDynamic ? 1 : 0,
+      deprecated_version: null,
+      replacement_hook: null,
+      deprecation_message: null,
+      ...docblockColumns(docblock, type),
       content_hash: null,
     };
 
@@ -86,6 +97,7 @@ export function parseJsFile(content, filePath, sourceId) {
   }
 
   // --- Block Registrations ---
+  const metadataImports = findBlockJsonImports(content, filePath);
   BLOCK_REG_REGEX.lastIndex = 0;
   while ((match = BLOCK_REG_REGEX.exec(content)) !== null) {
     const regFunc = match[1];
@@ -97,10 +109,12 @@ export function parseJsFile(content, filePath, sourceId) {
     const args = splitJsArguments(argsStr);
     if (args.length === 0) continue;
 
+    // The name is either a literal or comes from an imported block.json (filled in by the indexer)
     const blockName = cleanJsHookName(args[0].trim());
-    if (!blockName) continue;
+    const metadataFile = blockName ? null : metadataFileFor(args[0].trim(), metadataImports);
+    if (!blockName && !metadataFile) continue;
 
-    const lineNumber = getLineNumber(content, match.index);
+    const lineNumber = lineAt(match.index);
     const lineIndex = lineNumber - 1;
     const { codeBefore, hookLine, codeAfter } = extractCodeWindow(lines, lineIndex, 4, 20);
 
@@ -108,6 +122,8 @@ export function parseJsFile(content, filePath, sourceId) {
     const settingsStr = args.length > 1 ? args.slice(1).join(', ') : '';
     const blockTitle = extractProperty(settingsStr, 'title');
     const blockCategory = extractProperty(settingsStr, 'category');
+    const blockAttributes = extractObjectProperty(settingsStr, 'attributes');
+    const blockSupports = extractObjectProperty(settingsStr, 'supports');
 
     const codeContext = [codeBefore, hookLine, codeAfter].filter(Boolean).join('\n');
 
@@ -118,14 +134,25 @@ export function parseJsFile(content, filePath, sourceId) {
       block_name: blockName,
       block_title: blockTitle || null,
       block_category: blockCategory || null,
-      block_attributes: null,
-      supports: null,
+      block_attributes: blockAttributes,
+      supports: blockSupports,
       code_context: codeContext.slice(0, 2000) || null,
+      registration_kind: regFunc,
+      metadata_file: metadataFile,
+      uses_context: null,
+      provides_context: null,
+      parent_blocks: null,
+      ancestor_blocks: null,
+      render: null,
+      render_callback: null,
+      editor_script: null,
+      view_script_module: null,
+      api_version: null,
       content_hash: null,
     };
 
     blockData.content_hash = generateContentHash({
-      name: blockName,
+      name: blockName || metadataFile,
       type: regFunc,
       params: settingsStr,
       docblock: '',
@@ -142,7 +169,7 @@ export function parseJsFile(content, filePath, sourceId) {
     const method = match[2];
     const apiCall = `wp.${namespace}.${method}`;
 
-    const lineNumber = getLineNumber(content, match.index);
+    const lineNumber = lineAt(match.index);
     const lineIndex = lineNumber - 1;
     const { codeBefore, hookLine, codeAfter } = extractCodeWindow(lines, lineIndex, 3, 3);
     const codeContext = [codeBefore, hookLine, codeAfter].filter(Boolean).join('\n');
@@ -169,7 +196,7 @@ export function parseJsFile(content, filePath, sourceId) {
     apis.push(apiData);
   }
 
-  return { hooks, blocks, apis };
+  return { hooks: assignHookKeys(hooks), blocks, apis };
 }
 
 /**
@@ -304,3 +331,119 @@ function extractProperty(objStr, prop) {
   const match = objStr.match(regex);
   return match ? match[1] : null;
 }
+
+/**
+ * Extract an object-valued property (e.g. `attributes: { ... }`) from a settings object.
+ * Returns JSON when the literal converts cleanly, otherwise the raw source text.
+ */
+function extractObjectProperty(objStr, prop) {
+  const match = new RegExp(`(?:^|[{,\\s])['"]?${prop}['"]?\\s*:\\s*\\{`).exec(objStr);
+  if (!match) return null;
+
+  const start = match.index + match[0].length - 1;
+  let depth = 0;
+  for (let i = start; i < objStr.length; i++) {
+    const ch = objStr[i];
+    if (ch === "'" || ch === '"' || ch === '`') {
+      i = skipJsString(objStr, i);
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      const literal = objStr.slice(start, i + 1);
+      return jsLiteralToJson(literal) ?? literal.slice(0, 2000);
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a plain JS object/array literal to JSON text — quotes bare keys, re-quotes single-quoted
+ * and template strings, drops comments and trailing commas. Returns null when the literal holds
+ * anything that is not plain data (identifiers, calls, spreads).
+ */
+function jsLiteralToJson(literal) {
+  let out = '';
+  for (let i = 0; i < literal.length; i++) {
+    const ch = literal[i];
+    if (ch === "'" || ch === '"' || ch === '`') {
+      const end = skipJsString(literal, i);
+      const raw = literal.slice(i + 1, end);
+      if (ch === '`' && raw.includes('${')) return null;
+      out += JSON.stringify(raw.replace(/\\(.)/g, '$1'));
+      i = end;
+    } else if (ch === '/' && literal[i + 1] === '/') {
+      while (i < literal.length && literal[i] !== '\n') i++;
+    } else if (ch === '/' && literal[i + 1] === '*') {
+      i = literal.indexOf('*/', i + 2);
+      if (i === -1) return null;
+      i++;
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const word = /^[\w$]+/.exec(literal.slice(i))[0];
+      const isKey = /^\s*:/.test(literal.slice(i + word.length));
+      if (isKey) out += JSON.stringify(word);
+      else if (word === 'true' || word === 'false' || word === 'null') out += word;
+      else return null;
+      i += word.length - 1;
+    } else if (ch === '}' || ch === ']') {
+      out = out.replace(/,\s*$/, '') + ch;
+    } else {
+      out += ch;
+    }
+  }
+
+  try {
+    return JSON.stringify(JSON.parse(out));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Map identifiers bound to a relative block.json import to the source-relative file path.
+ * `field` is 'name' for a destructured `{ name }` import, null when bound to the whole file.
+ */
+function findBlockJsonImports(content, filePath) {
+  const imports = new Map();
+  if (!content.includes('block.json')) return imports;
+
+  BLOCK_JSON_IMPORT_REGEX.lastIndex = 0;
+  let match;
+  while ((match = BLOCK_JSON_IMPORT_REGEX.exec(content)) !== null) {
+    const spec = match[4] || match[6];
+    const file = posix.normalize(posix.join(posix.dirname(filePath), spec));
+    const whole = match[1] || match[3] || match[5];
+    if (whole) imports.set(whole, { file, field: null });
+
+    for (const binding of (match[2] || '').split(',')) {
+      const [imported, local] = binding.split(/\s+as\s+/).map(p => p.trim());
+      if (imported === 'default' && local) imports.set(local, { file, field: null });
+      else if (imported === 'name') imports.set(local || imported, { file, field: 'name' });
+    }
+  }
+
+  // const { name } = metadata;
+  const destructure = /\b(?:const|let|var)\s*\{([^}]*)\}\s*=\s*(\w+)\s*;/g;
+  while ((match = destructure.exec(content)) !== null) {
+    const source = imports.get(match[2]);
+    if (!source || source.field) continue;
+    for (const binding of match[1].split(',')) {
+      const [key, local] = binding.split(':').map(p => p.trim());
+      if (key === 'name') imports.set(local || key, { file: source.file, field: 'name' });
+    }
+  }
+
+  return imports;
+}
+
+/**
+ * Resolve a registerBlockType() first argument (`metadata`, `metadata.name` or a destructured
+ * `name`) to the block.json it was imported from.
+ */
+function metadataFileFor(arg, imports) {
+  if (imports.size === 0) return null;
+  const member = arg.match(/^(\w+)\.name$/);
+  const entry = imports.get(member ? member[1] : arg);
+  if (!entry) return null;
+  if (member && entry.field) return null;
+  return entry.file;
+}
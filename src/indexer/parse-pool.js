@@ -0,0 +1,112 @@
+import { Worker } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+import { parsePhpFile } from './php-parser.js';
+import { parseJsFile } from './js-parser.js';
+import { parseBlockJson } from './block-json-parser.js';
+
+/** Upper bound on parse workers — past this the single writer thread is the bottleneck. */
+const MAX_WORKERS = 8;
+
+/**
+ * Parse one source file with the parser for its type. Every result has the same shape, so the
+ * indexer can write it without knowing which parser produced it.
+ * @param {{ file: string, content: string, sourceId: number }} job
+ * @returns {{ hooks: Array, listeners: Array, symbols: Array, restRoutes: Array, blocks: Array, apis: Array }}
+ */
+export function parseSourceFile({ file, content, sourceId }) {
+  const result = { hooks: [], listeners: [], symbols: [], restRoutes: [], blocks: [], apis: [] };
+
+  if (file.endsWith('.php')) {
+    return { ...result, ...parsePhpFile(content, file, sourceId) };
+  }
+  if (file.endsWith('block.json')) {
+    const block = parseBlockJson(content, file, sourceId);
+    return { ...result, blocks: block ? [block] : [] };
+  }
+  return { ...result, ...parseJsFile(content, file, sourceId) };
+}
+
+/**
+ * Number of parse workers to start by default: one per core, leaving a core for the thread writing
+ * to the database. Zero on a single core, where workers only add overhead.
+ * @returns {number}
+ */
+export function defaultParseWorkers() {
+  return Math.min(Math.max(availableParallelism() - 1, 0), MAX_WORKERS);
+}
+
+/**
+ * Start a pool of worker threads parsing source files. With size 0 files are parsed on the calling
+ * thread instead, behind the same interface.
+ * @param {number} size - Number of workers
+ * @returns {{ size: number, parse: (job: object) => Promise<object>, close: () => Promise<void> }}
+ */
+export function createParsePool(size) {
+  if (size < 1) {
+    return {
+      size: 0,
+      parse: async (job) => parseSourceFile(job),
+      close: async () => {},
+    };
+  }
+
+  const queue = [];
+  const idle = [];
+  const busy = new Map();
+  const workers = new Set();
+  let closed = false;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const task = queue.shift();
+      busy.set(worker, task);
+      worker.postMessage(task.job);
+    }
+  };
+
+  const finish = (worker, settle) => {
+    const task = busy.get(worker);
+    busy.delete(worker);
+    if (task) settle(task);
+  };
+
+  const spawn = () => {
+    const worker = new Worker(new URL('./parse-worker.js', import.meta.url));
+    worker.on('message', ({ result, error }) => {
+      finish(worker, task => (error ? task.reject(new Error(error)) : task.resolve(result)));
+      idle.push(worker);
+      dispatch();
+    });
+    // A crashed worker fails only the file it was parsing; a fresh one takes its place
+    worker.on('error', (err) => {
+      finish(worker, task => task.reject(err));
+      workers.delete(worker);
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+      if (!closed) {
+        spawn();
+        dispatch();
+      }
+    });
+    workers.add(worker);
+    idle.push(worker);
+  };
+
+  for (let i = 0; i < size; i++) spawn();
+
+  return {
+    size,
+    parse(job) {
+      if (closed) return Promise.reject(new Error('Parse pool is closed'));
+      return new Promise((resolve, reject) => {
+        queue.push({ job, resolve, reject });
+        dispatch();
+      });
+    },
+    async close() {
+      closed = true;
+      for (const task of queue.splice(0)) task.reject(new Error('Parse pool is closed'));
+      await Promise.all([...workers].map(worker => worker.terminate()));
+    },
+  };
+}
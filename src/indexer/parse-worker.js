@@ -0,0 +1,14 @@
+/**
+ * Worker thread of the parse pool: parses the files posted to it and posts back the results.
+ */
+
+import { parentPort } from 'node:worker_threads';
+import { parseSourceFile } from './parse-pool.js';
+
+parentPort.on('message', (job) => {
+  try {
+    parentPort.postMessage({ result: parseSourceFile(job) });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+});
@@ -1,14 +1,27 @@
 import { createHash } from 'node:crypto';
 
 /**
- * Get 1-based line number for a character offset in content.
+ * Build a lookup from character offset to 1-based line number. The offsets where lines start are
+ * collected once, so each lookup is a binary search rather than a rescan from the top of the file.
+ * @param {string} content
+ * @returns {(offset: number) => number}
  */
-export function getLineNumber(content, offset) {
-  let line = 1;
-  for (let i = 0; i < offset && i < content.length; i++) {
-    if (content[i] === '\n') line++;
+export function createLineLocator(content) {
+  const lineStarts = [0];
+  for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
   }
-  return line;
+
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
 }
 
 /**
@@ -26,6 +39,43 @@ export function extractCodeWindow(lines, lineIndex, before = 8, after = 4) {
   };
 }
 
+/**
+ * Give each hook of a file its stable identity: type, name, enclosing class and function, and its
+ * ordinal among hooks sharing those within the file. Unlike the line number, the key survives edits
+ * elsewhere in the file. Hooks must be in file order. Mutates and returns the hooks.
+ * @param {Array<object>} hooks - Hook rows from one file
+ * @returns {Array<object>}
+ */
+export function assignHookKeys(hooks) {
+  const seen = new Map();
+  for (const hook of hooks) {
+    const scope = `${hook.type}:${hook.name}@${hook.class_name || ''}::${hook.php_function || ''}`;
+    const ordinal = seen.get(scope) || 0;
+    seen.set(scope, ordinal + 1);
+    hook.hook_key = `${scope}#${ordinal}`;
+  }
+  return hooks;
+}
+
+/**
+ * Give each listener of a file its stable identity: listener type, hook name, callback, enclosing
+ * class and function, and its ordinal among listeners sharing those within the file — so two
+ * callbacks attached on one line are two listeners. Listeners must be in file order. Mutates and
+ * returns the listeners.
+ * @param {Array<object>} listeners - Listener rows from one file
+ * @returns {Array<object>}
+ */
+export function assignListenerKeys(listeners) {
+  const seen = new Map();
+  for (const listener of listeners) {
+    const scope = `${listener.listener_type}:${listener.hook_name}>${listener.callback || ''}@${listener.class_name || ''}::${listener.php_function || ''}`;
+    const ordinal = seen.get(scope) || 0;
+    seen.set(scope, ordinal + 1);
+    listener.listener_key = `${scope}#${ordinal}`;
+  }
+  return listeners;
+}
+
 /**
  * Generate a content hash from the relevant parts of a hook for change detection.
  */
@@ -52,6 +102,8 @@ export function inferDescription(data) {
     filter: 'Filter hook',
     action_ref_array: 'Action hook (ref array)',
     filter_ref_array: 'Filter hook (ref array)',
+    action_deprecated: 'Deprecated action hook',
+    filter_deprecated: 'Deprecated filter hook',
     js_action: 'JavaScript action hook',
     js_filter: 'JavaScript filter hook',
   }[data.type] || 'Hook';
@@ -75,48 +127,51 @@ export function inferDescription(data) {
     parts.push(`with ${data.param_count} parameter${data.param_count > 1 ? 's' : ''}`);
   }
 
+  if (data.deprecated_version || data.replacement_hook) {
+    const since = data.deprecated_version ? ` since ${data.deprecated_version}` : '';
+    const use = data.replacement_hook ? `, use "${data.replacement_hook}" instead` : '';
+    parts.push(`— deprecated${since}${use}`);
+  }
+
   return parts.join(' ');
 }
 
 /**
  * Extract docblock from lines above a given line index.
- * Looks up to `maxLines` lines above for a closing doc comment.
+ * Looks up to `maxLines` lines above for a closing doc comment, then collects the
+ * whole comment up to its opening line (docblocks themselves are not truncated).
  */
 export function extractDocblock(lines, lineIndex, maxLines = 5) {
-  const docLines = [];
-  let foundEnd = false;
+  const limit = Math.max(0, lineIndex - maxLines);
+  let end = -1;
 
-  for (let i = lineIndex - 1; i >= Math.max(0, lineIndex - maxLines); i--) {
+  for (let i = lineIndex - 1; i >= limit; i--) {
     const line = lines[i].trim();
+    if (line.endsWith('*/')) {
+      end = i;
+      break;
+    }
+    if (line === '' || line.startsWith('//')) continue;
+    break;
+  }
 
-    if (!foundEnd) {
-      // Look for closing */ or a @-annotated line or * continuation
-      if (line.endsWith('*/') || line.startsWith('*') || line.startsWith('/**')) {
-        foundEnd = true;
-        docLines.unshift(lines[i]);
-      } else if (line === '' || line.startsWith('//')) {
-        continue;
-      } else {
-        break;
-      }
-    } else {
-      docLines.unshift(lines[i]);
-      if (line.startsWith('/**') || line.startsWith('/*')) {
-        break;
-      }
+  if (end === -1) return '';
+
+  for (let i = end; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (line.startsWith('/**') || line.startsWith('/*')) {
+      return lines.slice(i, end + 1).join('\n').trim();
     }
   }
 
-  if (docLines.length === 0) return '';
-  return docLines.join('\n').trim();
+  return '';
 }
 
 /**
- * Find the enclosing function/method name for a given line index by scanning upward.
+ * Find the enclosing JS function name for a given line index by scanning upward.
+ * (PHP scope comes from the token walker in php/walker.js.)
  */
 export function findEnclosingFunction(lines, lineIndex) {
-  // PHP function pattern
-  const phpFuncRe = /(?:public|protected|private|static|\s)*function\s+(\w+)\s*\(/;
   // JS function patterns
   const jsFuncRe = /(?:(?:async\s+)?function\s+(\w+)|(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s+)?(?:function|\(|=>))/;
 
@@ -130,29 +185,8 @@ export function findEnclosingFunction(lines, lineIndex) {
       if (line[c] === '{') braceDepth--;
     }
 
-    const phpMatch = line.match(phpFuncRe);
-    if (phpMatch && braceDepth <= 0) return phpMatch[1];
-
     const jsMatch = line.match(jsFuncRe);
     if (jsMatch && braceDepth <= 0) return jsMatch[1] || jsMatch[2];
   }
   return null;
 }
-
-/**
- * Find the enclosing class name for a given line index by scanning upward.
- */
-export function findEnclosingClass(lines, lineIndex) {
-  const classRe = /(?:abstract\s+)?class\s+(\w+)/;
-  let braceDepth = 0;
-  for (let i = lineIndex; i >= 0; i--) {
-    const line = lines[i];
-    for (let c = line.length - 1; c >= 0; c--) {
-      if (line[c] === '}') braceDepth++;
-      if (line[c] === '{') braceDepth--;
-    }
-    const match = line.match(classRe);
-    if (match && braceDepth <= 0) return match[1];
-  }
-  return null;
-}
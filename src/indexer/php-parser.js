@@ -1,205 +1,739 @@
+import { posix } from 'node:path';
 import {
-  getLineNumber,
   extractCodeWindow,
   generateContentHash,
   inferDescription,
-  extractDocblock,
-  findEnclosingFunction,
-  findEnclosingClass,
+  assignHookKeys,
+  assignListenerKeys,
 } from './parser-utils.js';
+import { docblockColumns, parseDocblock } from './docblock-parser.js';
+import { tokenizePhp, T } from './php/lexer.js';
+import { walkPhp, arrayElements, tokenText } from './php/walker.js';
+import { phpValue, splitArrayElement } from './php/literals.js';
 
-// Matches do_action(), apply_filters(), do_action_ref_array(), apply_filters_ref_array()
-const HOOK_REGEX = /\b(do_action|apply_filters|do_action_ref_array|apply_filters_ref_array)\s*\(\s*/g;
-
+// do_action(), apply_filters(), their *_ref_array() and *_deprecated() variants
 const TYPE_MAP = {
   do_action: 'action',
   apply_filters: 'filter',
   do_action_ref_array: 'action_ref_array',
   apply_filters_ref_array: 'filter_ref_array',
+  do_action_deprecated: 'action_deprecated',
+  apply_filters_deprecated: 'filter_deprecated',
+};
+
+// add_action(), add_filter(), remove_action(), remove_filter(), has_filter(), remove_all_filters()
+const LISTENER_FUNCTIONS = new Set(['add_action', 'add_filter', 'remove_action', 'remove_filter', 'has_filter', 'remove_all_filters']);
+
+// Block, block pattern and block style registration functions
+const BLOCK_FUNCTIONS = new Set([
+  'register_block_type',
+  'register_block_type_from_metadata',
+  'register_block_pattern',
+  'register_block_style',
+  'register_block_pattern_category',
+]);
+
+// register_block_type() $args keys stored as JSON, by block_registrations column
+const BLOCK_ARG_COLUMNS = {
+  attributes: 'block_attributes',
+  supports: 'supports',
+  uses_context: 'uses_context',
+  provides_context: 'provides_context',
+  parent: 'parent_blocks',
+  ancestor: 'ancestor_blocks',
+};
+
+// WP_REST_Server method constants
+const REST_METHOD_CONSTANTS = {
+  READABLE: 'GET',
+  CREATABLE: 'POST',
+  EDITABLE: 'POST, PUT, PATCH',
+  DELETABLE: 'DELETE',
+  ALLMETHODS: 'GET, POST, PUT, PATCH, DELETE',
+};
+
+// Listener functions whose trailing arguments are ( callback, priority, accepted_args )
+const PRIORITY_DEFAULTS = {
+  add_action: { priority: '10', accepted_args: 1 },
+  add_filter: { priority: '10', accepted_args: 1 },
+  remove_action: { priority: '10', accepted_args: null },
+  remove_filter: { priority: '10', accepted_args: null },
 };
 
 /**
- * Parse a PHP file and extract all WordPress hooks.
+ * Parse a PHP file and extract all WordPress hooks, hook listeners, declared symbols, REST routes
+ * and block, pattern and block style registrations.
+ * The file is tokenized first, so calls inside comments, strings, heredocs and inline HTML are ignored.
  * @param {string} content - File content
  * @param {string} filePath - Relative file path
  * @param {number} sourceId - Source ID
- * @returns {Array} Array of hook data objects
+ * @returns {{ hooks: Array, listeners: Array, symbols: Array, restRoutes: Array, blocks: Array }} Hook firings, listener registrations, function/class declarations, register_rest_route() endpoints and block registrations
  */
 export function parsePhpFile(content, filePath, sourceId) {
-  const hooks = [];
   const lines = content.split('\n');
+  const hooks = [];
+  const listeners = [];
+  const symbols = [];
+  const blocks = [];
+  // register_rest_route() calls are resolved after the walk, once every class property is known
+  const restCalls = [];
+  const properties = new Map();
+
+  walkPhp(tokenizePhp(content), content, {
+    onCall(call) {
+      if (TYPE_MAP[call.name]) {
+        const hook = buildHook(call, content, lines, filePath, sourceId);
+        if (hook) hooks.push(hook);
+      } else if (LISTENER_FUNCTIONS.has(call.name)) {
+        const listener = buildListener(call, content, lines, filePath, sourceId);
+        if (listener) listeners.push(listener);
+      } else if (call.name === 'register_rest_route') {
+        restCalls.push(call);
+      } else if (BLOCK_FUNCTIONS.has(call.name)) {
+        blocks.push(...buildBlockRegistrations(call, content, lines, filePath, sourceId));
+      }
+    },
+    onDeclaration(declaration) {
+      const symbol = buildSymbol(declaration, content, filePath, sourceId);
+      if (symbol) symbols.push(symbol);
+    },
+    onProperty(property) {
+      if (!properties.has(property.className)) properties.set(property.className, new Map());
+      const classProps = properties.get(property.className);
+      // Keep the first string value — a later reassignment to an expression should not hide it
+      const value = phpValue(property.tokens, content);
+      const isString = property.tokens.length === 1 && property.tokens[0].type === T.STRING;
+      if (isString && !classProps.has(property.name)) classProps.set(property.name, value);
+    },
+  });
+
+  const restRoutes = restCalls.flatMap(call =>
+    buildRestRoutes(call, properties.get(call.className) || new Map(), content, lines, filePath, sourceId)
+  );
+
+  return { hooks: assignHookKeys(hooks), listeners: assignListenerKeys(listeners), symbols, restRoutes, blocks };
+}
+
+/**
+ * Build the hook row for a do_action/apply_filters call site.
+ */
+function buildHook(call, content, lines, filePath, sourceId) {
+  const type = TYPE_MAP[call.name];
+  const args = call.args();
+  if (args.length === 0) return null;
+
+  // First arg is the hook name
+  const hookName = hookNameFromTokens(args[0].tokens);
+  if (!hookName) return null;
+
+  const lineNumber = call.line;
+  const lineIndex = lineNumber - 1;
+
+  // *_deprecated( $hook_name, $args, $version, $replacement, $message ) — params live in the $args array
+  const isDeprecated = type.endsWith('_deprecated');
+  let params = args.slice(1).map(a => a.text).filter(Boolean);
+  if (isDeprecated) {
+    const elements = args[1] ? arrayElements(args[1], content) : [];
+    params = elements ? elements.map(a => a.text).filter(Boolean) : [args[1].text];
+  }
+
+  const docblock = call.docComment ? tokenText(call.docComment, content) : null;
+  const { codeBefore, hookLine, codeAfter } = extractCodeWindow(lines, lineIndex);
+
+  const hookData = {
+    source_id: sourceId,
+    file_path: filePath,
+    line_number: lineNumber,
+    name: hookName,
+    type,
+    php_function: call.functionName,
+    params: params.join(', ') || null,
+    param_count: params.length,
+    docblock,
+    inferred_description: null,
+    function_context: call.functionName,
+    class_name: call.className,
+    code_before: codeBefore || null,
+    code_after: codeAfter || null,
+    hook_line: hookLine || null,
+    is_dynamic: hookName.includes('{dynamic}') ? 1 : 0,
+    deprecated_version: isDeprecated && args[2] ? literalValue(args[2].text) : null,
+    replacement_hook: isDeprecated && args[3] ? literalValue(args[3].text) : null,
+    deprecation_message: isDeprecated && args[4] ? literalValue(args[4].text) : null,
+    ...docblockColumns(docblock, type),
+    content_hash: null,
+  };
+
+  hookData.inferred_description = inferDescription(hookData);
+  hookData.content_hash = generateContentHash(hookData);
+
+  return hookData;
+}
+
+/**
+ * Build the listener row for an add_action/add_filter/remove_action/remove_filter/has_filter/remove_all_filters call site.
+ */
+function buildListener(call, content, lines, filePath, sourceId) {
+  const listenerType = call.name;
+  const args = call.args();
+  if (args.length === 0) return null;
+
+  const hookName = hookNameFromTokens(args[0].tokens);
+  if (!hookName) return null;
+
+  const lineIndex = call.line - 1;
+
+  let callback = null;
+  let priority = null;
+  let acceptedArgs = null;
 
-  let match;
-  HOOK_REGEX.lastIndex = 0;
+  if (listenerType === 'remove_all_filters') {
+    // remove_all_filters( $hook_name, $priority = false )
+    priority = args[1] ? args[1].text : null;
+  } else {
+    callback = args[1] ? normalizeCallback(args[1].text) : null;
+    const defaults = PRIORITY_DEFAULTS[listenerType];
+    if (defaults) {
+      priority = args[2] ? args[2].text : defaults.priority;
+      acceptedArgs = args[3] ? parseIntLiteral(args[3].text) : defaults.accepted_args;
+    }
+  }
 
-  while ((match = HOOK_REGEX.exec(content)) !== null) {
-    const funcName = match[1];
-    const type = TYPE_MAP[funcName];
-    const startOffset = match.index + match[0].length;
+  const hookLine = lines[lineIndex] || '';
 
-    // Extract the arguments string (handle nested parentheses)
-    const argsStr = extractArguments(content, startOffset);
-    if (!argsStr) continue;
+  const listenerData = {
+    source_id: sourceId,
+    file_path: filePath,
+    line_number: call.line,
+    hook_name: hookName,
+    listener_type: listenerType,
+    callback,
+    priority,
+    accepted_args: acceptedArgs,
+    php_function: call.functionName,
+    class_name: call.className,
+    hook_line: hookLine || null,
+    is_dynamic: hookName.includes('{dynamic}') ? 1 : 0,
+    content_hash: null,
+  };
 
-    const args = splitArguments(argsStr);
-    if (args.length === 0) continue;
+  listenerData.content_hash = generateContentHash({
+    name: hookName,
+    type: listenerType,
+    params: [callback, priority, acceptedArgs].join('|'),
+    docblock: '',
+    hookLine,
+  });
 
-    // First arg is the hook name
-    const rawName = args[0].trim();
-    const hookName = cleanHookName(rawName);
-    if (!hookName) continue;
+  return listenerData;
+}
 
-    const isDynamic = rawName.includes('$') || (rawName.includes('.') && !rawName.startsWith("'") && !rawName.startsWith('"'));
+/**
+ * Build one route row per endpoint of a register_rest_route( $namespace, $route, $args ) call.
+ * As in WordPress, $args is a single endpoint when it has a 'callback' key, otherwise a list of
+ * endpoints plus optional shared 'args' and a 'schema' callback.
+ * $this->namespace / $this->rest_base are resolved from the enclosing class's properties.
+ */
+function buildRestRoutes(call, classProps, content, lines, filePath, sourceId) {
+  const args = call.args();
+  if (args.length < 2) return [];
 
-    const lineNumber = getLineNumber(content, match.index);
-    const lineIndex = lineNumber - 1;
+  const namespace = resolveRouteString(args[0].tokens, classProps, content);
+  const route = resolveRouteString(args[1].tokens, classProps, content);
+  const fullRoute = `/${namespace.replace(/^\/+|\/+$/g, '')}/${route.replace(/^\/+|\/+$/g, '')}`;
 
-    const params = args.slice(1).map(p => p.trim()).filter(Boolean);
-    const paramCount = params.length;
+  let endpoints = [];
+  let schema = null;
+  const elements = args[2] ? arrayElements(args[2], content) : [];
 
-    const docblock = extractDocblock(lines, lineIndex);
-    const { codeBefore, hookLine, codeAfter } = extractCodeWindow(lines, lineIndex);
-    const phpFunction = findEnclosingFunction(lines, lineIndex);
-    const className = findEnclosingClass(lines, lineIndex);
+  if (!elements) {
+    // Built elsewhere, e.g. $this->get_endpoint_args() — keep the expression
+    endpoints = [{ argsSource: args[2].text }];
+  } else {
+    const entries = elements.map(el => splitArrayElement(el.tokens));
+    const keyOf = (entry) => (entry.keyTokens ? phpValue(entry.keyTokens, content) : null);
 
-    const hookData = {
+    if (entries.some(entry => keyOf(entry) === 'callback')) {
+      endpoints = [endpointFromEntries(entries, content)];
+    } else {
+      let commonArgs;
+      for (const entry of entries) {
+        const key = keyOf(entry);
+        if (key === 'schema') {
+          schema = normalizeCallback(tokensSource(entry.valueTokens, content));
+          continue;
+        }
+        if (key === 'args') {
+          commonArgs = endpointFromEntries([entry], content);
+          continue;
+        }
+        const endpointElements = arrayElements({ tokens: entry.valueTokens }, content);
+        if (endpointElements) {
+          endpoints.push(endpointFromEntries(endpointElements.map(el => splitArrayElement(el.tokens)), content));
+        }
+      }
+      // Shared args apply to every endpoint; an endpoint's own args win
+      if (commonArgs) {
+        endpoints = endpoints.map(endpoint => ({
+          ...endpoint,
+          args: commonArgs.args || endpoint.args ? { ...commonArgs.args, ...endpoint.args } : undefined,
+          argsSource: [commonArgs.argsSource, endpoint.argsSource].filter(Boolean).join(' + ') || undefined,
+        }));
+      }
+    }
+    if (endpoints.length === 0) endpoints = [{}];
+  }
+
+  const hookLine = lines[call.line - 1] || '';
+
+  return endpoints.map(endpoint => {
+    const routeData = {
       source_id: sourceId,
       file_path: filePath,
-      line_number: lineNumber,
-      name: hookName,
-      type,
-      php_function: phpFunction || null,
-      params: params.join(', ') || null,
-      param_count: paramCount,
-      docblock: docblock || null,
-      inferred_description: null,
-      function_context: phpFunction || null,
-      class_name: className || null,
-      code_before: codeBefore || null,
-      code_after: codeAfter || null,
-      hook_line: hookLine || null,
-      is_dynamic: isDynamic ? 1 : 0,
+      line_number: call.line,
+      namespace,
+      route,
+      full_route: fullRoute,
+      // WordPress defaults to GET when no methods are given
+      methods: endpoint.methods || 'GET',
+      callback: endpoint.callback || null,
+      permission_callback: endpoint.permissionCallback || null,
+      args_json: endpoint.args !== undefined ? JSON.stringify(endpoint.args) : null,
+      args_source: endpoint.argsSource || null,
+      schema_callback: schema,
+      class_name: call.className,
+      php_function: call.functionName,
+      is_dynamic: fullRoute.includes('{dynamic}') ? 1 : 0,
       content_hash: null,
     };
 
-    hookData.inferred_description = inferDescription(hookData);
-    hookData.content_hash = generateContentHash(hookData);
+    routeData.content_hash = generateContentHash({
+      name: fullRoute,
+      type: routeData.methods,
+      params: [routeData.callback, routeData.permission_callback, routeData.args_json, routeData.args_source, schema].join('|'),
+      docblock: '',
+      hookLine,
+    });
 
-    hooks.push(hookData);
-  }
+    return routeData;
+  });
+}
+
+/**
+ * Read methods, callback, permission_callback and args from an endpoint array's entries.
+ */
+function endpointFromEntries(entries, content) {
+  const endpoint = {};
+  for (const { keyTokens, valueTokens } of entries) {
+    if (!keyTokens) continue;
+    const key = phpValue(keyTokens, content);
+    const source = tokensSource(valueTokens, content);
 
-  return hooks;
+    if (key === 'methods') {
+      endpoint.methods = restMethods(phpValue(valueTokens, content));
+    } else if (key === 'callback') {
+      endpoint.callback = normalizeCallback(source);
+    } else if (key === 'permission_callback') {
+      endpoint.permissionCallback = normalizeCallback(source);
+    } else if (key === 'args') {
+      if (arrayElements({ tokens: valueTokens }, content)) endpoint.args = phpValue(valueTokens, content);
+      else endpoint.argsSource = source;
+    }
+  }
+  return endpoint;
 }
 
 /**
- * Extract arguments string from content starting at the position after opening paren.
+ * Build block registration rows for register_block_type(), register_block_type_from_metadata(),
+ * register_block_pattern(), register_block_style() and register_block_pattern_category().
+ * Blocks registered from a block.json path get metadata_file (relative to the source) and no name —
+ * the indexer reads the name from that file. register_block_style() accepts an array of block names
+ * and yields one row per block.
  */
-function extractArguments(content, start) {
-  let depth = 1;
-  let i = start;
-  const max = Math.min(start + 2000, content.length); // Safety limit
+function buildBlockRegistrations(call, content, lines, filePath, sourceId) {
+  const args = call.args();
+  if (args.length === 0) return [];
+
+  const kind = call.name;
+  const first = args[0].tokens;
+  const props = args[1] ? arrayEntries(args[1], content) : new Map();
+  const propValue = (key) => (props.has(key) ? phpValue(props.get(key), content) : null);
+  const propString = (key) => {
+    const value = propValue(key);
+    return typeof value === 'string' && value ? value : null;
+  };
 
-  while (i < max && depth > 0) {
-    const ch = content[i];
-    if (ch === '(') depth++;
-    else if (ch === ')') depth--;
-    else if (ch === "'" || ch === '"') {
-      // Skip string literals
-      i = skipString(content, i);
+  let names = [];
+  let metadataFile = null;
+  if (kind === 'register_block_type' || kind === 'register_block_type_from_metadata') {
+    const literal = first.length === 1 && first[0].type === T.STRING && !first[0].interpolated ? first[0].value : null;
+    if (kind === 'register_block_type' && literal && /^[a-z0-9-]+\/[a-z0-9-]+$/.test(literal)) {
+      names = [literal];
+    } else {
+      metadataFile = blockJsonPath(first, filePath, content);
+      if (!metadataFile) return [];
+      names = [null];
     }
-    if (depth > 0) i++;
+  } else if (kind === 'register_block_style') {
+    const value = phpValue(first, content);
+    names = [].concat(value).filter(name => typeof name === 'string' && /^[\w-]+\/[\w-]+$/.test(name));
+  } else {
+    const name = hookNameFromTokens(first);
+    if (name) names = [name];
   }
+  if (names.length === 0) return [];
+
+  let title;
+  let category = null;
+  if (kind === 'register_block_style' || kind === 'register_block_pattern_category') {
+    title = propString('label') || propString('name');
+  } else if (kind === 'register_block_pattern') {
+    title = propString('title');
+    const categories = propValue('categories');
+    category = Array.isArray(categories) ? categories.join(', ') : null;
+  } else {
+    title = propString('title');
+    category = propString('category');
+  }
+
+  const jsonColumns = {};
+  for (const [key, column] of Object.entries(BLOCK_ARG_COLUMNS)) {
+    jsonColumns[column] = props.has(key) && kind.startsWith('register_block_type')
+      ? arrayJson(props.get(key), content)
+      : null;
+  }
+
+  const scriptHandles = (...keys) => {
+    const values = keys.flatMap(key => [].concat(propValue(key) ?? []));
+    return values.filter(v => typeof v === 'string').join(', ') || null;
+  };
+  const renderCallback = props.has('render_callback')
+    ? normalizeCallback(tokensSource(props.get('render_callback'), content))
+    : null;
+  const apiVersion = propValue('api_version');
 
-  if (depth !== 0) return null;
-  return content.slice(start, i);
+  const lineIndex = call.line - 1;
+  const { codeBefore, hookLine, codeAfter } = extractCodeWindow(lines, lineIndex, 4, 20);
+  const codeContext = [codeBefore, hookLine, codeAfter].filter(Boolean).join('\n');
+
+  return names.map(name => {
+    const blockData = {
+      source_id: sourceId,
+      file_path: filePath,
+      line_number: call.line,
+      block_name: name,
+      block_title: title,
+      block_category: category,
+      ...jsonColumns,
+      code_context: codeContext.slice(0, 2000) || null,
+      registration_kind: kind,
+      metadata_file: metadataFile,
+      render: null,
+      render_callback: renderCallback,
+      editor_script: kind.startsWith('register_block_type') ? scriptHandles('editor_script', 'editor_script_handles') : null,
+      view_script_module: kind.startsWith('register_block_type') ? scriptHandles('view_script_module_ids') : null,
+      api_version: Number.isInteger(apiVersion) ? apiVersion : null,
+      content_hash: null,
+    };
+
+    blockData.content_hash = generateContentHash({
+      name: name || metadataFile,
+      type: kind,
+      params: args.map(arg => arg.text).join(', '),
+      docblock: '',
+      hookLine,
+    });
+
+    return blockData;
+  });
 }
 
 /**
- * Skip a string literal starting at position i.
+ * Map an array literal argument's string keys to their value tokens.
  */
-function skipString(content, i) {
-  const quote = content[i];
-  i++;
-  while (i < content.length) {
-    if (content[i] === '\\') {
-      i += 2;
-      continue;
-    }
-    if (content[i] === quote) return i;
-    i++;
+function arrayEntries(arg, content) {
+  const entries = new Map();
+  for (const el of arrayElements(arg, content) || []) {
+    const { keyTokens, valueTokens } = splitArrayElement(el.tokens);
+    const key = keyTokens ? phpValue(keyTokens, content) : null;
+    if (typeof key === 'string') entries.set(key, valueTokens);
   }
-  return i;
+  return entries;
 }
 
 /**
- * Split arguments by comma, respecting nesting and strings.
+ * JSON for an array literal value; other expressions (e.g. $this->get_attributes()) keep their source.
  */
-function splitArguments(argsStr) {
-  const args = [];
-  let current = '';
+function arrayJson(tokens, content) {
+  if (arrayElements({ tokens }, content)) return JSON.stringify(phpValue(tokens, content));
+  return tokensSource(tokens, content) || null;
+}
+
+/**
+ * Resolve a block.json path or block folder argument — string literals joined with __DIR__,
+ * dirname( __FILE__ ), dirname( __DIR__ ) or plugin_dir_path( __FILE__ ) — to a path relative to
+ * the source. Returns null when any part is computed at runtime.
+ */
+function blockJsonPath(tokens, filePath, content) {
+  const parts = [[]];
   let depth = 0;
-  let inString = false;
-  let stringChar = '';
+  for (const tok of tokens) {
+    if (tok.type === T.OP) {
+      if (tok.value === '(' || tok.value === '[') depth++;
+      else if (tok.value === ')' || tok.value === ']') depth--;
+      else if (tok.value === '.' && depth === 0) {
+        parts.push([]);
+        continue;
+      }
+    }
+    parts[parts.length - 1].push(tok);
+  }
 
-  for (let i = 0; i < argsStr.length; i++) {
-    const ch = argsStr[i];
+  const dir = posix.dirname(filePath);
+  let path = '';
+  for (const part of parts) {
+    const text = tokensSource(part, content).replace(/\s+/g, '').toLowerCase();
+    if (part.length === 1 && part[0].type === T.STRING && !part[0].interpolated) path += part[0].value;
+    else if (text === '__dir__' || text === 'dirname(__file__)') path += dir;
+    else if (text === 'plugin_dir_path(__file__)') path += `${dir}/`;
+    else if (text === 'dirname(__dir__)') path += posix.dirname(dir);
+    else return null;
+  }
 
-    if (inString) {
-      current += ch;
-      if (ch === '\\') {
-        i++;
-        if (i < argsStr.length) current += argsStr[i];
+  // A bare string is taken as relative to the registering file
+  if (parts.length === 1) path = posix.join(dir, path);
+  path = posix.normalize(path).replace(/^\.\//, '').replace(/\/+$/, '');
+  return path.endsWith('block.json') ? path : posix.join(path, 'block.json');
+}
+
+/**
+ * Normalize a methods value — 'GET', 'GET,POST', array( 'GET', 'POST' ) or WP_REST_Server::READABLE — to "GET, POST".
+ */
+function restMethods(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const methods = list.flatMap(m => {
+    const text = String(m).trim();
+    const constant = text.match(/WP_REST_Server::(\w+)$/);
+    if (constant) return (REST_METHOD_CONSTANTS[constant[1]] || text).split(', ');
+    return [text.toUpperCase()];
+  }).filter(Boolean);
+  return [...new Set(methods)].join(', ');
+}
+
+/**
+ * Resolve a namespace or route argument. String literals are kept, $this->property is looked up
+ * in the enclosing class, and anything else becomes {dynamic}.
+ */
+function resolveRouteString(tokens, classProps, content) {
+  const parts = [[]];
+  let depth = 0;
+  for (const tok of tokens) {
+    if (tok.type === T.OP) {
+      if (tok.value === '(' || tok.value === '[') depth++;
+      else if (tok.value === ')' || tok.value === ']') depth--;
+      else if (tok.value === '.' && depth === 0) {
+        parts.push([]);
         continue;
       }
-      if (ch === stringChar) inString = false;
-      continue;
     }
+    parts[parts.length - 1].push(tok);
+  }
 
-    if (ch === "'" || ch === '"') {
-      inString = true;
-      stringChar = ch;
-      current += ch;
-    } else if (ch === '(' || ch === '[' || ch === '{') {
-      depth++;
-      current += ch;
-    } else if (ch === ')' || ch === ']' || ch === '}') {
-      depth--;
-      current += ch;
-    } else if (ch === ',' && depth === 0) {
-      args.push(current);
-      current = '';
-    } else {
-      current += ch;
+  return parts.map(part => {
+    if (part.length === 1 && part[0].type === T.STRING) {
+      if (!part[0].interpolated) return part[0].value;
+      const withProps = part[0].value.replace(/\{?\$this->(\w+)\}?/g, (m, name) => classProps.get(name) ?? m);
+      return replaceInterpolation(withProps);
     }
+    const isThisProperty = part.length === 3 && tokenText(part[0], content) === '$this'
+      && part[1].value === '->' && part[2].type === T.NAME;
+    if (isThisProperty && classProps.has(tokenText(part[2], content))) {
+      return classProps.get(tokenText(part[2], content));
+    }
+    return '{dynamic}';
+  }).join('');
+}
+
+function tokensSource(tokens, content) {
+  if (tokens.length === 0) return '';
+  return content.slice(tokens[0].start, tokens[tokens.length - 1].end);
+}
+
+/**
+ * Build the symbol row for a function, method or class-like declaration.
+ * Undeclared parameter and return types fall back to the docblock's @param/@return types.
+ */
+function buildSymbol(decl, content, filePath, sourceId) {
+  // Methods of anonymous classes cannot be called by name
+  if (decl.kind === 'method' && !decl.className) return null;
+
+  const docblock = decl.docComment ? tokenText(decl.docComment, content) : null;
+  const doc = parseDocblock(docblock);
+  const isCallable = decl.kind === 'function' || decl.kind === 'method';
+  const prefix = decl.namespace ? `${decl.namespace}\\` : '';
+
+  let params = null;
+  let returnType = null;
+  if (isCallable) {
+    params = decl.params.map(p => {
+      const documented = doc.params.find(d => d.name && d.name.replace(/^(?:\.\.\.)?&?/, '') === p.name);
+      return {
+        ...p,
+        type: p.type || (documented && documented.type) || null,
+        description: (documented && documented.description) || null,
+      };
+    });
+    returnType = decl.returnType || doc.returnType;
   }
 
-  if (current.trim()) args.push(current);
-  return args;
+  const qualifiedName = decl.kind === 'method'
+    ? `${prefix}${decl.className}::${decl.name}`
+    : `${prefix}${decl.name}`;
+  const visibility = decl.modifiers.find(m => m === 'public' || m === 'protected' || m === 'private')
+    || (decl.kind === 'method' ? 'public' : null);
+
+  const symbolData = {
+    source_id: sourceId,
+    file_path: filePath,
+    line_number: decl.line,
+    name: decl.name,
+    kind: decl.kind,
+    namespace: decl.namespace,
+    class_name: decl.kind === 'method' ? decl.className : null,
+    qualified_name: qualifiedName,
+    signature: null,
+    params_json: params ? JSON.stringify(params) : null,
+    param_count: params ? params.length : null,
+    required_param_count: params ? params.filter(p => p.default === null && !p.variadic).length : null,
+    return_type: returnType || null,
+    visibility,
+    is_static: decl.modifiers.includes('static') ? 1 : 0,
+    is_abstract: decl.modifiers.includes('abstract') || decl.kind === 'interface' ? 1 : 0,
+    is_final: decl.modifiers.includes('final') ? 1 : 0,
+    parent_class: decl.parentClass,
+    interfaces: decl.interfaces.length > 0 ? decl.interfaces.join(', ') : null,
+    docblock,
+    summary: doc.summary,
+    since_version: doc.since,
+    deprecated: doc.deprecated,
+    content_hash: null,
+  };
+
+  symbolData.signature = formatSignature(decl, params, returnType);
+  symbolData.content_hash = generateContentHash({
+    name: qualifiedName,
+    type: decl.kind,
+    params: symbolData.signature,
+    docblock: docblock || '',
+    hookLine: '',
+  });
+
+  return symbolData;
 }
 
 /**
- * Clean a hook name string — remove quotes, handle concatenation.
+ * Render a declaration as a one-line signature, e.g.
+ * "public static function get_item(int $id, array $args = array()): ?WC_Order_Item".
  */
-function cleanHookName(raw) {
-  const trimmed = raw.trim();
+function formatSignature(decl, params, returnType) {
+  const modifiers = decl.modifiers.filter(m => m !== 'var');
 
-  // Simple quoted string: 'hook_name' or "hook_name"
-  const simpleMatch = trimmed.match(/^['"]([^'"]+)['"]$/);
-  if (simpleMatch) return simpleMatch[1];
-
-  // Concatenated string: 'prefix_' . $var . '_suffix' → prefix_{dynamic}_suffix
-  if (trimmed.includes('.') || trimmed.includes('$')) {
-    const parts = trimmed.split(/\s*\.\s*/);
-    const cleaned = parts.map(part => {
-      const qm = part.trim().match(/^['"]([^'"]*)['"]$/);
-      if (qm) return qm[1];
-      return '{dynamic}';
-    }).join('');
-    return cleaned || null;
+  if (!params) {
+    let signature = [...modifiers, decl.kind, decl.name].join(' ');
+    if (decl.parentClass) signature += ` extends ${decl.parentClass}`;
+    if (decl.interfaces.length > 0) {
+      signature += `${decl.kind === 'interface' ? ', ' : ' implements '}${decl.interfaces.join(', ')}`;
+    }
+    return signature;
   }
 
-  // Variable only
-  if (trimmed.startsWith('$')) return '{dynamic}';
+  const list = params.map(p => {
+    let text = p.modifiers && p.modifiers.length > 0 ? `${p.modifiers.join(' ')} ` : '';
+    if (p.type) text += `${p.type} `;
+    if (p.by_ref) text += '&';
+    if (p.variadic) text += '...';
+    text += p.name;
+    if (p.default !== null) text += ` = ${p.default}`;
+    return text;
+  }).join(', ');
 
-  return null;
+  let signature = `${[...modifiers, 'function'].join(' ')} ${decl.name}(${list})`;
+  if (returnType) signature += `: ${returnType}`;
+  return signature;
 }
+
+/**
+ * Resolve a hook name argument from its tokens. String literals are kept, concatenated
+ * expressions ('prefix_' . $var . '_suffix') become prefix_{dynamic}_suffix and
+ * double-quoted interpolation becomes {dynamic}. Bare constants and calls return null.
+ */
+function hookNameFromTokens(tokens) {
+  const parts = [[]];
+  let depth = 0;
+  for (const tok of tokens) {
+    if (tok.type === T.OP) {
+      if (tok.value === '(' || tok.value === '[' || tok.value === '{') depth++;
+      else if (tok.value === ')' || tok.value === ']' || tok.value === '}') depth--;
+      else if (tok.value === '.' && depth === 0) {
+        parts.push([]);
+        continue;
+      }
+    }
+    parts[parts.length - 1].push(tok);
+  }
+
+  const hasVariable = tokens.some(t => t.type === T.VARIABLE);
+  if (parts.length === 1 && !hasVariable && !(tokens.length === 1 && tokens[0].type === T.STRING)) {
+    return null;
+  }
+
+  const name = parts.map(part => {
+    if (part.length === 1 && part[0].type === T.STRING) {
+      return part[0].interpolated ? replaceInterpolation(part[0].value) : part[0].value;
+    }
+    return '{dynamic}';
+  }).join('');
+
+  return name || null;
+}
+
+/**
+ * Resolve a string argument to its value — unquotes literals and unwraps __( 'text' ) style
+ * translation calls. Empty strings and `null`/`false` become null; other expressions are returned trimmed.
+ */
+function literalValue(raw) {
+  const trimmed = raw.trim();
+  const translated = trimmed.match(/^(?:__|_x|esc_html__|esc_attr__)\s*\(\s*(['"])((?:\\.|(?!\1).)*)\1/);
+  if (translated) return translated[2] || null;
+  const quoted = trimmed.match(/^(['"])((?:\\.|(?!\1).)*)\1$/);
+  if (quoted) return quoted[2] || null;
+  if (/^(?:null|false)$/i.test(trimmed)) return null;
+  return trimmed;
+}
+
+/**
+ * Normalize a callback expression — collapse whitespace and summarize closures.
+ */
+function normalizeCallback(raw) {
+  const trimmed = raw.trim().replace(/\s+/g, ' ');
+  if (/^(?:static\s+)?(?:function|fn)\s*\(/.test(trimmed)) return '{closure}';
+  return trimmed.length > 200 ? `${trimmed.slice(0, 200)}...` : trimmed;
+}
+
+/**
+ * Parse an integer literal argument, returning null for non-literal expressions.
+ */
+function parseIntLiteral(raw) {
+  const trimmed = raw.trim();
+  return /^-?\d+$/.test(trimmed) ? parseInt(trimmed, 10) : null;
+}
+
+/**
+ * Replace PHP double-quoted string interpolation ({$post->post_type}, $type, $args['key']) with {dynamic}.
+ */
+function replaceInterpolation(str) {
+  return str
+    .replace(/\{\$[^}]+\}/g, '{dynamic}')
+    .replace(/\$\w+(?:->\w+|\[[^\]]*\])*/g, '{dynamic}');
+}
+
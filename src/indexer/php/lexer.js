@@ -0,0 +1,264 @@
+/**
+ * Minimal PHP lexer. Splits a file into tokens so that the hook extractor only ever sees
+ * real code — never text inside comments, strings, heredocs or inline HTML.
+ *
+ * Each token is { type, start, end, line } where start/end are character offsets into the
+ * source and line is the 1-based line of the token's first character. String tokens also
+ * carry `value` (the decoded literal) and `interpolated` (true for double-quoted strings and
+ * heredocs, whose value may contain variables).
+ */
+
+export const T = {
+  INLINE_HTML: 'inline_html',
+  OPEN_TAG: 'open_tag',
+  CLOSE_TAG: 'close_tag',
+  COMMENT: 'comment',
+  DOC_COMMENT: 'doc_comment',
+  STRING: 'string',
+  VARIABLE: 'variable',
+  NAME: 'name',
+  NUMBER: 'number',
+  OP: 'op',
+};
+
+// Multi-character operators the walker cares about; everything else is emitted one character at a time.
+const OPERATORS = ['?->', '...', '<=>', '**=', '??=', '->', '::', '=>', '??', '#[', '++', '--', '==', '!=', '<=', '>=', '&&', '||', '.=', '+=', '-=', '*=', '/='];
+
+const NAME_START = /[A-Za-z_\x80-\uffff\\]/;
+const NAME_CHAR = /[A-Za-z0-9_\x80-\uffff\\]/;
+
+/**
+ * Tokenize PHP source. Whitespace is dropped; everything else (including comments) is kept.
+ * @param {string} content - PHP file content
+ * @returns {Array<{ type: string, start: number, end: number, line: number, value?: string, interpolated?: boolean }>}
+ */
+export function tokenizePhp(content) {
+  const tokens = [];
+  const len = content.length;
+  let i = 0;
+  let line = 1;
+  let inPhp = false;
+
+  // Advance i to `to`, counting newlines on the way
+  const advance = (to) => {
+    for (; i < to; i++) {
+      if (content.charCodeAt(i) === 10) line++;
+    }
+  };
+
+  const push = (type, start, end, startLine, extra) => {
+    tokens.push(extra ? { type, start, end, line: startLine, ...extra } : { type, start, end, line: startLine });
+  };
+
+  while (i < len) {
+    if (!inPhp) {
+      const open = content.indexOf('<?', i);
+      const htmlEnd = open === -1 ? len : open;
+      if (htmlEnd > i) {
+        const startLine = line;
+        const start = i;
+        advance(htmlEnd);
+        push(T.INLINE_HTML, start, htmlEnd, startLine);
+      }
+      if (open === -1) break;
+
+      let tagLen = 2;
+      if (content.slice(open, open + 5).toLowerCase() === '<?php') tagLen = 5;
+      else if (content[open + 2] === '=') tagLen = 3;
+      push(T.OPEN_TAG, open, open + tagLen, line);
+      advance(open + tagLen);
+      inPhp = true;
+      continue;
+    }
+
+    const ch = content[i];
+
+    // Whitespace
+    if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\f' || ch === '\v') {
+      advance(i + 1);
+      continue;
+    }
+
+    const startLine = line;
+    const start = i;
+
+    // Close tag
+    if (ch === '?' && content[i + 1] === '>') {
+      advance(i + 2);
+      push(T.CLOSE_TAG, start, i, startLine);
+      inPhp = false;
+      continue;
+    }
+
+    // Comments: //, # (but not #[ attributes), /* */, /** */
+    if ((ch === '/' && content[i + 1] === '/') || (ch === '#' && content[i + 1] !== '[')) {
+      let end = i;
+      while (end < len && content[end] !== '\n') {
+        // A line comment ends at ?> too
+        if (content[end] === '?' && content[end + 1] === '>') break;
+        end++;
+      }
+      advance(end);
+      push(T.COMMENT, start, end, startLine);
+      continue;
+    }
+    if (ch === '/' && content[i + 1] === '*') {
+      const close = content.indexOf('*/', i + 2);
+      const end = close === -1 ? len : close + 2;
+      const isDoc = content[i + 2] === '*' && content[i + 3] !== '/';
+      advance(end);
+      push(isDoc ? T.DOC_COMMENT : T.COMMENT, start, end, startLine);
+      continue;
+    }
+
+    // Strings
+    if (ch === "'") {
+      const end = skipQuoted(content, i, "'");
+      advance(end);
+      push(T.STRING, start, end, startLine, { value: decodeSingleQuoted(content.slice(start + 1, end - 1)), interpolated: false });
+      continue;
+    }
+    if (ch === '"') {
+      const end = skipDoubleQuoted(content, i);
+      advance(end);
+      push(T.STRING, start, end, startLine, { value: content.slice(start + 1, end - 1), interpolated: true });
+      continue;
+    }
+    if (ch === '`') {
+      const end = skipQuoted(content, i, '`');
+      advance(end);
+      push(T.STRING, start, end, startLine, { value: content.slice(start + 1, end - 1), interpolated: true });
+      continue;
+    }
+
+    // Heredoc / nowdoc: <<<ID, <<<"ID", <<<'ID'
+    if (ch === '<' && content.startsWith('<<<', i)) {
+      const heredoc = content.slice(i).match(/^<<<[ \t]*(['"]?)([A-Za-z_][A-Za-z0-9_]*)\1[ \t]*\r?\n/);
+      if (heredoc) {
+        const bodyStart = i + heredoc[0].length;
+        const { bodyEnd, end } = findHeredocEnd(content, bodyStart, heredoc[2]);
+        advance(end);
+        push(T.STRING, start, end, startLine, {
+          value: content.slice(bodyStart, bodyEnd),
+          interpolated: heredoc[1] !== "'",
+        });
+        continue;
+      }
+    }
+
+    // Variables: $name, $$name
+    if (ch === '$' && /[A-Za-z_\x80-\uffff$]/.test(content[i + 1] || '')) {
+      let end = i + 1;
+      while (content[end] === '$') end++;
+      while (end < len && /[A-Za-z0-9_\x80-\uffff]/.test(content[end])) end++;
+      advance(end);
+      push(T.VARIABLE, start, end, startLine);
+      continue;
+    }
+
+    // Names, keywords and namespaced names (Foo\Bar, \do_action, namespace\foo)
+    if (NAME_START.test(ch) && !(ch === '\\' && !NAME_START.test(content[i + 1] || ''))) {
+      let end = i + 1;
+      while (end < len && NAME_CHAR.test(content[end])) end++;
+      advance(end);
+      push(T.NAME, start, end, startLine);
+      continue;
+    }
+
+    // Numbers
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(content[i + 1] || ''))) {
+      let end = i + 1;
+      while (end < len && /[0-9A-Za-z_.]/.test(content[end])) end++;
+      advance(end);
+      push(T.NUMBER, start, end, startLine);
+      continue;
+    }
+
+    // Operators and punctuation
+    const op = OPERATORS.find(o => content.startsWith(o, i)) || ch;
+    advance(i + op.length);
+    push(T.OP, start, i, startLine, { value: op });
+  }
+
+  return tokens;
+}
+
+/**
+ * Skip a single-quoted (or backtick) string starting at i. Returns the offset after the closing quote.
+ */
+function skipQuoted(content, i, quote) {
+  let j = i + 1;
+  while (j < content.length) {
+    if (content[j] === '\\') {
+      j += 2;
+      continue;
+    }
+    if (content[j] === quote) return j + 1;
+    j++;
+  }
+  return content.length;
+}
+
+/**
+ * Skip a double-quoted string, including {$expr} interpolations that may contain quotes of their own.
+ */
+function skipDoubleQuoted(content, i) {
+  let j = i + 1;
+  while (j < content.length) {
+    const ch = content[j];
+    if (ch === '\\') {
+      j += 2;
+      continue;
+    }
+    if (ch === '"') return j + 1;
+    if (ch === '{' && content[j + 1] === '$') {
+      j = skipInterpolation(content, j);
+      continue;
+    }
+    j++;
+  }
+  return content.length;
+}
+
+/**
+ * Skip a {$...} interpolation in a double-quoted string, returning the offset after its closing brace.
+ */
+function skipInterpolation(content, i) {
+  let depth = 0;
+  let j = i;
+  while (j < content.length) {
+    const ch = content[j];
+    if (ch === "'") {
+      j = skipQuoted(content, j, "'");
+      continue;
+    }
+    if (ch === '"') {
+      j = skipDoubleQuoted(content, j);
+      continue;
+    }
+    if (ch === '{') depth++;
+    else if (ch === '}') {
+      depth--;
+      if (depth === 0) return j + 1;
+    }
+    j++;
+  }
+  return content.length;
+}
+
+/**
+ * Find the closing identifier of a heredoc/nowdoc body. Since PHP 7.3 the closing marker may be
+ * indented and followed by other code on the same line.
+ */
+function findHeredocEnd(content, bodyStart, id) {
+  const closing = new RegExp(`^[ \\t]*${id}(?![A-Za-z0-9_\\x80-\\uffff])`, 'm');
+  const rest = content.slice(bodyStart);
+  const match = closing.exec(rest);
+  if (!match) return { bodyEnd: content.length, end: content.length };
+  const bodyEnd = Math.max(bodyStart, bodyStart + match.index - 1);
+  return { bodyEnd, end: bodyStart + match.index + match[0].length };
+}
+
+function decodeSingleQuoted(raw) {
+  return raw.replace(/\\(['\\])/g, '$1');
+}
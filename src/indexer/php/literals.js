@@ -0,0 +1,93 @@
+import { T } from './lexer.js';
+import { arrayElements, tokenText } from './walker.js';
+
+// Translation wrappers whose first argument is the literal text
+const TRANSLATION_FUNCTIONS = new Set(['__', '_x', 'esc_html__', 'esc_attr__', 'esc_html_x', 'esc_attr_x']);
+
+/**
+ * Convert an expression's tokens to a JS value. String, number, boolean and null literals and
+ * array( ... ) / [ ... ] literals are converted (arrays with keys become objects); translation
+ * calls such as __( 'Text', 'domain' ) become their text. Anything else — constants, variables,
+ * calls — is kept as its source text, so callers always get a JSON-serializable value.
+ * @param {Array<object>} tokens - Expression tokens
+ * @param {string} content - Source content
+ * @returns {*}
+ */
+export function phpValue(tokens, content) {
+  if (tokens.length === 0) return null;
+  const text = content.slice(tokens[0].start, tokens[tokens.length - 1].end);
+  const first = tokens[0];
+
+  if (tokens.length === 1) {
+    if (first.type === T.STRING) return first.value;
+    if (first.type === T.NUMBER && /^\d+(?:\.\d+)?$/.test(text)) return Number(text);
+    if (first.type === T.NAME) {
+      const lower = text.toLowerCase();
+      if (lower === 'true') return true;
+      if (lower === 'false') return false;
+      if (lower === 'null') return null;
+    }
+    return text;
+  }
+
+  if (tokens.length === 2 && first.value === '-' && tokens[1].type === T.NUMBER) {
+    const n = Number(tokenText(tokens[1], content));
+    return Number.isNaN(n) ? text : -n;
+  }
+
+  if (first.type === T.NAME && TRANSLATION_FUNCTIONS.has(tokenText(first, content).toLowerCase())) {
+    const label = tokens[2];
+    if (tokens[1].value === '(' && label && label.type === T.STRING) return label.value;
+  }
+
+  const elements = arrayElements({ tokens }, content);
+  if (elements) return arrayValue(elements, content);
+
+  return text;
+}
+
+/**
+ * Split an array element into its key and value tokens ("'key' => value" or just "value").
+ * @param {Array<object>} tokens - Element tokens
+ * @returns {{ keyTokens: Array<object>|null, valueTokens: Array<object> }}
+ */
+export function splitArrayElement(tokens) {
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.type !== T.OP) continue;
+    if (tok.value === '(' || tok.value === '[' || tok.value === '{') depth++;
+    else if (tok.value === ')' || tok.value === ']' || tok.value === '}') depth--;
+    else if (tok.value === '=>' && depth === 0) {
+      return { keyTokens: tokens.slice(0, i), valueTokens: tokens.slice(i + 1) };
+    }
+  }
+  return { keyTokens: null, valueTokens: tokens };
+}
+
+/**
+ * Convert array literal elements — a list becomes a JS array, anything with keys an object.
+ */
+function arrayValue(elements, content) {
+  const entries = elements.map(el => {
+    const { keyTokens, valueTokens } = splitArrayElement(el.tokens);
+    return {
+      key: keyTokens ? phpValue(keyTokens, content) : null,
+      value: phpValue(valueTokens, content),
+    };
+  });
+
+  if (entries.every(e => e.key === null)) return entries.map(e => e.value);
+
+  const result = {};
+  let next = 0;
+  for (const { key, value } of entries) {
+    if (key === null) {
+      result[next++] = value;
+    } else {
+      result[key] = value;
+      if (typeof key === 'number' && key >= next) next = key + 1;
+    }
+  }
+  return result;
+}
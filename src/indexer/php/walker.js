@@ -0,0 +1,447 @@
+import { T } from './lexer.js';
+
+// Tokens that end the statement a preceding docblock could describe
+const DOC_RESET_OPS = new Set([';', '{', '}', ',']);
+
+// A docblock more than this many lines above a call does not describe it
+const MAX_DOC_DISTANCE = 5;
+
+const CLASS_KEYWORDS = new Set(['class', 'interface', 'trait', 'enum']);
+
+// Keywords that may precede a declaration or a promoted constructor parameter
+const MODIFIERS = new Set(['public', 'protected', 'private', 'static', 'abstract', 'final', 'readonly', 'var']);
+
+/**
+ * Walk a token stream, tracking namespace, class and function scope. Every plain function call
+ * (not method or static calls, not declarations) is reported to `onCall`, and every named
+ * function, method, class, interface, trait and enum declaration to `onDeclaration`.
+ *
+ * The call object passed to `onCall` has:
+ * - name: called function name, lowercased, without a leading backslash
+ * - index: index of the name token
+ * - line: 1-based line of the call
+ * - offset: character offset of the call
+ * - namespace, className, functionName: enclosing scope (closures report their enclosing named function)
+ * - docComment: the doc comment token preceding the call's statement, if any
+ * - args(): lazily computed argument list, see callArguments()
+ *
+ * The declaration object passed to `onDeclaration` has:
+ * - kind: 'function', 'method', 'class', 'interface', 'trait' or 'enum'
+ * - name: declared name as written; null for anonymous classes
+ * - line, namespace, docComment: as for calls
+ * - className: declaring class for methods (null inside anonymous classes)
+ * - modifiers: lowercased keywords such as 'public', 'static', 'abstract'
+ * - params: for functions and methods, see parseParameters()
+ * - returnType: declared return type, if any
+ * - parentClass, interfaces: for class-likes, the extends/implements lists
+ *
+ * Property values are reported to `onProperty` as { name, className, line, tokens } — both
+ * declarations with a default (`protected $rest_base = 'orders';`) and assignments inside the
+ * class (`$this->rest_base = 'orders';`). `tokens` are the value expression's tokens.
+ *
+ * @param {Array<object>} tokens - Tokens from tokenizePhp()
+ * @param {string} content - Source the tokens were produced from
+ * @param {object} visitor - { onCall(call), onDeclaration(declaration), onProperty(property) }
+ */
+export function walkPhp(tokens, content, visitor) {
+  const code = tokens.filter(t => t.type !== T.COMMENT && t.type !== T.INLINE_HTML);
+
+  const frames = [];
+  let namespace = null;
+  let pending = null;
+  let lastDoc = null;
+  // Open parentheses — a frame records the depth it was opened at, so parameter lists can be told apart from its body
+  let parens = 0;
+
+  for (let i = 0; i < code.length; i++) {
+    const tok = code[i];
+
+    if (tok.type === T.DOC_COMMENT) {
+      lastDoc = tok;
+      continue;
+    }
+
+    if (tok.type === T.CLOSE_TAG || tok.type === T.OPEN_TAG) {
+      lastDoc = null;
+      continue;
+    }
+
+    if (tok.type === T.OP) {
+      const op = tok.value;
+      if (DOC_RESET_OPS.has(op)) lastDoc = null;
+
+      if (op === '(') parens++;
+      else if (op === ')') parens--;
+      else if (op === '{') {
+        frames.push({ ...(pending || { kind: 'block' }), parens });
+        pending = null;
+      } else if (op === '}') {
+        const frame = frames.pop();
+        if (frame) parens = frame.parens;
+        if (frame && frame.kind === 'namespace') namespace = null;
+      } else if (op === ';' && pending && pending.kind !== 'namespace') {
+        // Abstract/interface method without a body
+        pending = null;
+      }
+      continue;
+    }
+
+    if (tok.type === T.VARIABLE) {
+      if (visitor.onProperty) reportProperty(code, i, frames, parens, content, visitor);
+      continue;
+    }
+
+    if (tok.type !== T.NAME) continue;
+
+    const prev = code[i - 1];
+    const next = code[i + 1];
+    const word = tokenText(tok, content).toLowerCase();
+    const afterMember = prev && prev.type === T.OP && (prev.value === '->' || prev.value === '?->' || prev.value === '::');
+
+    if (word === 'namespace' && !afterMember) {
+      if (next && next.type === T.NAME) {
+        namespace = tokenText(next, content).replace(/^\\/, '');
+        pending = { kind: 'namespace' };
+        i++;
+      } else if (next && next.type === T.OP && next.value === '{') {
+        namespace = null;
+        pending = { kind: 'namespace' };
+      }
+      continue;
+    }
+
+    if (CLASS_KEYWORDS.has(word) && !afterMember) {
+      const isAnonymous = prev && prev.type === T.NAME && tokenText(prev, content).toLowerCase() === 'new';
+      if (isAnonymous) {
+        pending = { kind: 'class', name: null, classKind: 'class' };
+      } else if (next && next.type === T.NAME) {
+        const name = tokenText(next, content);
+        pending = { kind: 'class', name, classKind: word, namespace };
+        if (visitor.onDeclaration) {
+          visitor.onDeclaration({
+            kind: word,
+            name,
+            line: tok.line,
+            namespace,
+            className: null,
+            docComment: docFor(lastDoc, tok, content),
+            modifiers: modifiersBefore(code, i, content),
+            params: null,
+            returnType: null,
+            ...inheritance(code, i + 2, content),
+          });
+        }
+        i++;
+      }
+      continue;
+    }
+
+    if (word === 'function' || word === 'fn') {
+      if (afterMember) continue;
+      let j = i + 1;
+      if (code[j] && code[j].type === T.OP && code[j].value === '&') j++;
+      if (word === 'function' && code[j] && code[j].type === T.NAME) {
+        const name = tokenText(code[j], content);
+        const top = frames[frames.length - 1];
+        const isMethod = !!top && top.kind === 'class';
+        pending = { kind: 'function', name };
+        if (visitor.onDeclaration && code[j + 1] && code[j + 1].value === '(') {
+          visitor.onDeclaration({
+            kind: isMethod ? 'method' : 'function',
+            name,
+            line: tok.line,
+            namespace,
+            className: isMethod ? top.name : null,
+            docComment: docFor(lastDoc, tok, content),
+            modifiers: modifiersBefore(code, i, content),
+            params: parseParameters(code, j + 1, content),
+            returnType: returnTypeAfter(code, findClose(code, j + 1), content),
+            parentClass: null,
+            interfaces: [],
+          });
+        }
+        i = j;
+      } else if (word === 'function') {
+        pending = { kind: 'closure' };
+      }
+      continue;
+    }
+
+    // Plain function call: name followed by "(", not a method/static call or a `new` expression
+    if (!next || next.type !== T.OP || next.value !== '(' || afterMember) continue;
+    if (prev && prev.type === T.NAME && tokenText(prev, content).toLowerCase() === 'new') continue;
+    if (!visitor.onCall) continue;
+
+    const scope = currentScope(frames);
+    const openIndex = i + 1;
+
+    visitor.onCall({
+      name: word.replace(/^\\/, ''),
+      index: i,
+      line: tok.line,
+      offset: tok.start,
+      namespace,
+      className: scope.className,
+      functionName: scope.functionName,
+      docComment: docFor(lastDoc, tok, content),
+      args: () => callArguments(code, openIndex, content),
+    });
+  }
+}
+
+/**
+ * Report a property default or a $this->property assignment starting at the variable code[index].
+ */
+function reportProperty(code, index, frames, parens, content, visitor) {
+  const tok = code[index];
+  const top = frames[frames.length - 1];
+  let name = null;
+  let valueStart = -1;
+
+  const inClassBody = top && top.kind === 'class' && top.name && parens === top.parens;
+  if (inClassBody && code[index + 1] && code[index + 1].value === '=') {
+    // Declaration in the class body: [modifiers] [type] $name = value;
+    name = tokenText(tok, content).slice(1);
+    valueStart = index + 2;
+  } else if (tokenText(tok, content) === '$this' && code[index + 1] && code[index + 1].value === '->'
+    && code[index + 2] && code[index + 2].type === T.NAME && code[index + 3] && code[index + 3].value === '=') {
+    name = tokenText(code[index + 2], content);
+    valueStart = index + 4;
+  }
+  if (!name) return;
+
+  const className = currentScope(frames).className;
+  if (!className) return;
+
+  let end = valueStart;
+  let depth = 0;
+  for (; end < code.length; end++) {
+    const t = code[end];
+    if (t.type !== T.OP) continue;
+    if (t.value === '(' || t.value === '[' || t.value === '{') depth++;
+    else if (t.value === ')' || t.value === ']' || t.value === '}') {
+      if (depth === 0) break;
+      depth--;
+    } else if (depth === 0 && (t.value === ';' || t.value === ',')) break;
+  }
+
+  visitor.onProperty({ name, className, line: tok.line, tokens: code.slice(valueStart, end) });
+}
+
+/**
+ * Split the arguments of a call whose "(" is at code[openIndex].
+ * Returns one entry per top-level argument: { text, tokens } where tokens is the argument's token slice.
+ * @param {Array<object>} code - Significant tokens (no comments)
+ * @param {number} openIndex - Index of the opening parenthesis
+ * @param {string} content - Source content
+ * @returns {Array<{ text: string, tokens: Array<object> }>}
+ */
+export function callArguments(code, openIndex, content) {
+  const args = [];
+  let depth = 0;
+  let argStart = openIndex + 1;
+
+  for (let i = openIndex; i < code.length; i++) {
+    const tok = code[i];
+    if (tok.type !== T.OP) continue;
+    const op = tok.value;
+
+    if (op === '(' || op === '[' || op === '{' || op === '#[') depth++;
+    else if (op === ')' || op === ']' || op === '}') {
+      depth--;
+      if (depth === 0) {
+        pushArg(args, code, argStart, i, content);
+        return args;
+      }
+    } else if (op === ',' && depth === 1) {
+      pushArg(args, code, argStart, i, content);
+      argStart = i + 1;
+    }
+  }
+
+  // Unbalanced — return what we have
+  return args;
+}
+
+/**
+ * Split an array literal — array( ... ) or [ ... ] — into its element arguments.
+ * Returns null when the argument is not an array literal.
+ * @param {{ tokens: Array<object> }} arg - Argument from callArguments()
+ * @param {string} content - Source content
+ * @returns {Array<{ text: string, tokens: Array<object> }>|null}
+ */
+export function arrayElements(arg, content) {
+  const toks = arg.tokens;
+  if (toks.length === 0) return null;
+  const first = toks[0];
+  if (first.type === T.OP && first.value === '[') return callArguments(toks, 0, content);
+  if (first.type === T.NAME && tokenText(first, content).toLowerCase() === 'array' && toks[1] && toks[1].value === '(') {
+    return callArguments(toks, 1, content);
+  }
+  return null;
+}
+
+/**
+ * Source text of a token.
+ * @param {object} tok
+ * @param {string} content
+ * @returns {string}
+ */
+export function tokenText(tok, content) {
+  return content.slice(tok.start, tok.end);
+}
+
+/**
+ * Parse the parameter list of a function declaration whose "(" is at code[openIndex].
+ * @param {Array<object>} code - Significant tokens
+ * @param {number} openIndex - Index of the opening parenthesis
+ * @param {string} content - Source content
+ * Promoted constructor parameters keep their visibility/readonly modifiers in `modifiers`.
+ * @returns {Array<{ name: string|null, type: string|null, default: string|null, by_ref: boolean, variadic: boolean, modifiers: string[] }>}
+ */
+export function parseParameters(code, openIndex, content) {
+  return callArguments(code, openIndex, content).map(arg => {
+    const toks = arg.tokens;
+    const param = { name: null, type: null, default: null, by_ref: false, variadic: false, modifiers: [] };
+    const typeTokens = [];
+
+    let k = 0;
+    for (; k < toks.length; k++) {
+      const t = toks[k];
+      if (t.type === T.VARIABLE) break;
+      if (t.type === T.OP && t.value === '#[') {
+        k = findClose(toks, k);
+        continue;
+      }
+      if (t.type === T.OP && t.value === '...') {
+        param.variadic = true;
+        continue;
+      }
+      // "&" right before the variable (or "...") is by-reference; elsewhere it is an intersection type
+      const after = toks[k + 1];
+      if (t.type === T.OP && t.value === '&' && after && (after.type === T.VARIABLE || after.value === '...')) {
+        param.by_ref = true;
+        continue;
+      }
+      if (t.type === T.NAME && MODIFIERS.has(tokenText(t, content).toLowerCase())) {
+        param.modifiers.push(tokenText(t, content).toLowerCase());
+        continue;
+      }
+      typeTokens.push(t);
+    }
+
+    if (k < toks.length) {
+      param.name = tokenText(toks[k], content);
+      if (toks[k + 1] && toks[k + 1].value === '=' && toks[k + 2]) {
+        param.default = content.slice(toks[k + 2].start, toks[toks.length - 1].end).trim();
+      }
+    }
+    if (typeTokens.length > 0) {
+      param.type = content.slice(typeTokens[0].start, typeTokens[typeTokens.length - 1].end).replace(/\s+/g, '');
+    }
+    return param;
+  });
+}
+
+/**
+ * Find the index of the bracket closing the one at code[openIndex].
+ * Returns the last index when unbalanced.
+ */
+function findClose(code, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < code.length; i++) {
+    const tok = code[i];
+    if (tok.type !== T.OP) continue;
+    if (tok.value === '(' || tok.value === '[' || tok.value === '{' || tok.value === '#[') depth++;
+    else if (tok.value === ')' || tok.value === ']' || tok.value === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return code.length - 1;
+}
+
+/**
+ * Read a ": Type" return declaration following the parameter list's closing parenthesis.
+ */
+function returnTypeAfter(code, closeIndex, content) {
+  const colon = code[closeIndex + 1];
+  if (!colon || colon.type !== T.OP || colon.value !== ':') return null;
+
+  let end = closeIndex + 2;
+  let depth = 0;
+  while (end < code.length) {
+    const tok = code[end];
+    if (tok.type === T.OP) {
+      if (tok.value === '(') depth++;
+      else if (tok.value === ')') depth--;
+      else if (depth === 0 && (tok.value === '{' || tok.value === ';' || tok.value === '=>')) break;
+    }
+    end++;
+  }
+  if (end === closeIndex + 2) return null;
+  return content.slice(code[closeIndex + 2].start, code[end - 1].end).replace(/\s+/g, '');
+}
+
+/**
+ * Collect the "extends" and "implements" lists of a class-like declaration, scanning up to its "{".
+ */
+function inheritance(code, start, content) {
+  const lists = { extends: [], implements: [] };
+  let current = null;
+  for (let k = start; k < code.length; k++) {
+    const tok = code[k];
+    if (tok.type === T.OP && tok.value === '{') break;
+    if (tok.type !== T.NAME) continue;
+    const word = tokenText(tok, content);
+    const lower = word.toLowerCase();
+    if (lower === 'extends' || lower === 'implements') current = lists[lower];
+    else if (current) current.push(word.replace(/^\\/, ''));
+  }
+  // Interfaces may extend several interfaces; classes extend at most one class
+  return { parentClass: lists.extends[0] || null, interfaces: [...lists.implements, ...lists.extends.slice(1)] };
+}
+
+function modifiersBefore(code, index, content) {
+  const modifiers = [];
+  for (let k = index - 1; k >= 0 && code[k].type === T.NAME; k--) {
+    const word = tokenText(code[k], content).toLowerCase();
+    if (!MODIFIERS.has(word)) break;
+    modifiers.unshift(word);
+  }
+  return modifiers;
+}
+
+function docFor(lastDoc, tok, content) {
+  if (!lastDoc) return null;
+  return tok.line - lastDoc.line - lineCount(lastDoc, content) <= MAX_DOC_DISTANCE ? lastDoc : null;
+}
+
+function pushArg(args, code, start, end, content) {
+  if (end <= start) return;
+  const tokens = code.slice(start, end);
+  const text = content.slice(tokens[0].start, tokens[tokens.length - 1].end).trim();
+  args.push({ text, tokens });
+}
+
+function currentScope(frames) {
+  let className = null;
+  let functionName = null;
+  for (let i = frames.length - 1; i >= 0; i--) {
+    const f = frames[i];
+    if (f.kind === 'function' && functionName === null) functionName = f.name;
+    if (f.kind === 'class') {
+      className = f.name;
+      break;
+    }
+  }
+  return { className, functionName };
+}
+
+function lineCount(tok, content) {
+  let n = 0;
+  for (let i = tok.start; i < tok.end; i++) {
+    if (content.charCodeAt(i) === 10) n++;
+  }
+  return n;
+}
@@ -0,0 +1,193 @@
+import { join, resolve, sep, dirname } from 'node:path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, rmSync, readdirSync, renameSync, statSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { inflateRawSync, gunzipSync } from 'node:zlib';
+import { CACHE_DIR } from '../../constants.js';
+
+const ARCHIVE_DIR = join(CACHE_DIR, 'archives');
+
+/**
+ * Extract a local .zip, .tar.gz/.tgz or .tar archive into CACHE_DIR and return the extracted path.
+ * The archive's SHA-256 is recorded next to the extraction, so a replaced archive is re-extracted
+ * and an unchanged one is reused. Archives are extracted into a staging folder that only replaces
+ * the previous extraction once complete, and the hash is only written for a complete extraction. A single top-level folder (the usual "plugin-slug/" in vendor
+ * zips) is stripped, so file paths stay stable when the folder name carries a version.
+ */
+export async function fetchArchive(source) {
+  const archivePath = source.local_path;
+  if (!archivePath) {
+    throw new Error(`Source "${source.name}" is type archive but has no archive path configured`);
+  }
+  if (!existsSync(archivePath)) {
+    throw new Error(`Archive does not exist: ${archivePath}`);
+  }
+
+  const extractDir = join(ARCHIVE_DIR, source.name.replace(/[^A-Za-z0-9._@-]/g, '-'));
+  const hashFile = `${extractDir}.sha256`;
+
+  const archive = readFileSync(archivePath);
+  const hash = createHash('sha256').update(archive).digest('hex');
+  const extractedHash = existsSync(hashFile) ? readFileSync(hashFile, 'utf-8').trim() : null;
+
+  if (hash !== extractedHash || !existsSync(extractDir)) {
+    console.error(`Extracting archive for ${source.name}: ${archivePath}`);
+    // Forget the old extraction first — if this one fails, restoring the old archive must not reuse a half-replaced tree
+    rmSync(hashFile, { force: true });
+    const staging = `${extractDir}.partial`;
+    rmSync(staging, { recursive: true, force: true });
+    mkdirSync(staging, { recursive: true });
+    try {
+      for (const entry of readArchiveEntries(archivePath, archive)) {
+        writeEntry(staging, entry);
+      }
+      stripSingleRoot(staging);
+    } catch (err) {
+      rmSync(staging, { recursive: true, force: true });
+      throw err;
+    }
+
+    rmSync(extractDir, { recursive: true, force: true });
+    renameSync(staging, extractDir);
+    writeFileSync(hashFile, `${hash}\n`);
+  }
+
+  const localPath = source.subfolder ? join(extractDir, source.subfolder) : extractDir;
+  if (!existsSync(localPath)) {
+    throw new Error(`Subfolder "${source.subfolder}" not found in archive ${archivePath}`);
+  }
+  return localPath;
+}
+
+/**
+ * Decode an archive by its extension.
+ * @returns {Array<{ path: string, data: Buffer|null }>} data is null for directories
+ */
+function readArchiveEntries(archivePath, archive) {
+  const lower = archivePath.toLowerCase();
+  if (lower.endsWith('.zip')) return readZipEntries(archive);
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return readTarEntries(gunzipSync(archive));
+  if (lower.endsWith('.tar')) return readTarEntries(archive);
+  throw new Error(`Unsupported archive format: ${archivePath} (expected .zip, .tar.gz, .tgz or .tar)`);
+}
+
+/**
+ * Read the entries of a zip file from its central directory. Stored and deflated entries are
+ * supported; encrypted and ZIP64 archives are rejected.
+ */
+function readZipEntries(zip) {
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment of up to 64 KiB
+  let eocd = -1;
+  for (let i = zip.length - 22; i >= Math.max(0, zip.length - 22 - 0xffff); i--) {
+    if (zip.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Invalid zip archive: end of central directory not found');
+
+  const entryCount = zip.readUInt16LE(eocd + 10);
+  let offset = zip.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (zip.readUInt32LE(offset) !== 0x02014b50) throw new Error('Invalid zip archive: bad central directory entry');
+
+    const flags = zip.readUInt16LE(offset + 8);
+    const method = zip.readUInt16LE(offset + 10);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const extraLength = zip.readUInt16LE(offset + 30);
+    const commentLength = zip.readUInt16LE(offset + 32);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const path = zip.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) {
+      entries.push({ path, data: null });
+      continue;
+    }
+    if (flags & 0x1) throw new Error(`Encrypted zip entries are not supported: ${path}`);
+
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+    const raw = zip.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) entries.push({ path, data: raw });
+    else if (method === 8) entries.push({ path, data: inflateRawSync(raw) });
+    else throw new Error(`Unsupported zip compression method ${method} for ${path}`);
+  }
+  return entries;
+}
+
+/**
+ * Read the regular files and directories of a (decompressed) tar archive, including GNU long
+ * names and pax path headers. Links and other special entries are skipped.
+ */
+function readTarEntries(tar) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break;
+
+    const field = (start, length) => header.toString('utf-8', start, start + length).replace(/\0.*$/s, '');
+    const size = parseInt(field(124, 12).trim(), 8) || 0;
+    const type = field(156, 1) || '0';
+    const prefix = field(345, 155);
+    const data = tar.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = data.toString('utf-8').replace(/\0.*$/s, '');
+      continue;
+    }
+    if (type === 'x') {
+      const path = data.toString('utf-8').match(/^\d+ path=(.*)$/m);
+      if (path) longName = path[1];
+      continue;
+    }
+
+    const path = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+    longName = null;
+    if (type === '0' || type === '7') entries.push({ path, data });
+    else if (type === '5') entries.push({ path: path.endsWith('/') ? path : `${path}/`, data: null });
+  }
+  return entries;
+}
+
+/**
+ * Write one entry below the extraction root, refusing paths that would escape it.
+ */
+function writeEntry(root, { path, data }) {
+  const target = resolve(root, path.replace(/^\/+/, ''));
+  if (target !== root && !target.startsWith(root + sep)) {
+    throw new Error(`Archive entry escapes the extraction folder: ${path}`);
+  }
+
+  if (data === null) {
+    mkdirSync(target, { recursive: true });
+  } else {
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, data);
+  }
+}
+
+/**
+ * Move the contents of a lone top-level folder up into the extraction root.
+ */
+function stripSingleRoot(root) {
+  const children = readdirSync(root);
+  if (children.length !== 1) return;
+
+  const only = join(root, children[0]);
+  if (!statSync(only).isDirectory()) return;
+
+  // Rename through a temporary name in case the folder contains an entry with its own name
+  const staging = `${only}.wp-devdocs-staging`;
+  renameSync(only, staging);
+  for (const child of readdirSync(staging)) {
+    renameSync(join(staging, child), join(root, child));
+  }
+  rmSync(staging, { recursive: true, force: true });
+}
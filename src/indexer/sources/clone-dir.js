@@ -0,0 +1,52 @@
+import { join } from 'node:path';
+import { existsSync, renameSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { CACHE_DIR } from '../../constants.js';
+
+/**
+ * Checkout directory for a git source. Keyed on the repo and the ref, so sources (or tracked
+ * versions) on different branches or tags of the same repo never share a working tree.
+ * Generic `git` remotes also carry a short hash of the URL, since the same org/repo path can
+ * live on several hosts.
+ * @param {object} source - Source row with repo_url and branch
+ * @returns {string} Absolute path inside CACHE_DIR, e.g. ".../woocommerce--woocommerce@8.9.0"
+ */
+export function cloneDirFor(source) {
+  const ref = (source.branch || 'main').replace(/[^A-Za-z0-9._-]/g, '-');
+  const urlHash = source.type === 'git'
+    ? `-${createHash('sha256').update(source.repo_url).digest('hex').slice(0, 8)}`
+    : '';
+  return join(CACHE_DIR, `${repoSlug(source.repo_url)}${urlHash}@${ref}`);
+}
+
+/**
+ * Move a GitHub checkout from the layout before per-ref directories (CACHE_DIR/org--repo) to
+ * cloneDirFor(), so an upgrade fetches into the existing clone instead of cloning again and leaving
+ * the old one behind. The first source of a repo to be fetched takes the old checkout over; other
+ * refs of the same repo get fresh clones.
+ * @param {object} source - github-public or github-private source row
+ * @returns {boolean} Whether a checkout was moved
+ */
+export function adoptLegacyCloneDir(source) {
+  const cloneDir = cloneDirFor(source);
+  const legacyDir = join(CACHE_DIR, source.repo_url.replace(/.*\/\/[^/]+\//, '').replace(/\.git$/, '').replace(/\//g, '--'));
+  if (legacyDir === cloneDir || existsSync(cloneDir) || !existsSync(join(legacyDir, '.git'))) return false;
+
+  renameSync(legacyDir, cloneDir);
+  console.error(`Moved the checkout of ${source.repo_url} to ${cloneDir}`);
+  return true;
+}
+
+/**
+ * Folder-safe name for a remote: "https://github.com/org/repo.git", "git@host:org/repo.git" and
+ * "file:///srv/git/org/repo.git" all become "org--repo"-style names (the path without host or scheme).
+ */
+function repoSlug(url) {
+  return url
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*\//i, '')
+    .replace(/^[^@/]+@[^:/]+:/, '')
+    .replace(/\/+$/, '')
+    .replace(/\.git$/, '')
+    .replace(/^\/+/, '')
+    .replace(/[^A-Za-z0-9._-]+/g, '--');
+}
@@ -0,0 +1,92 @@
+import { join } from 'node:path';
+import { existsSync, mkdirSync } from 'node:fs';
+import simpleGit from 'simple-git';
+import { cloneDirFor } from './clone-dir.js';
+
+/** A full or abbreviated commit SHA, as opposed to a branch or tag name. */
+const COMMIT_SHA_REGEX = /^[0-9a-f]{7,40}$/i;
+
+/**
+ * A simple-git instance carrying the source's authentication: GIT_SSH_COMMAND for an SSH key,
+ * and a per-command credential.helper for HTTPS remotes. Neither is written to the repo config,
+ * and no token is ever put in the URL.
+ * @param {object} source - git source row
+ * @param {string} [baseDir] - Working directory for the commands
+ * @returns {import('simple-git').SimpleGit}
+ */
+export function gitFor(source, baseDir) {
+  const config = source.credential_helper ? [`credential.helper=${source.credential_helper}`] : [];
+  const git = simpleGit({ baseDir, config });
+  if (!source.ssh_key_path) return git;
+
+  const keyPath = source.ssh_key_path.replace(/"/g, '\\"');
+  return git.env({
+    ...process.env,
+    GIT_SSH_COMMAND: `ssh -i "${keyPath}" -o IdentitiesOnly=yes`,
+  });
+}
+
+/**
+ * Fetch any git remote — https, ssh (git@host:org/repo.git), file:// or a local (bare) repo path —
+ * at a branch, tag or commit SHA. Only the requested commit is fetched. A checkout already at a
+ * pinned SHA is used as is, without touching the network.
+ */
+export async function fetchGit(source) {
+  if (!source.repo_url) {
+    throw new Error(`Source "${source.name}" is type git but has no repo_url configured`);
+  }
+
+  const ref = source.branch || 'main';
+  const cloneDir = cloneDirFor(source);
+  mkdirSync(cloneDir, { recursive: true });
+
+  const git = gitFor(source, cloneDir);
+  if (!existsSync(join(cloneDir, '.git'))) {
+    await git.init();
+    await git.addRemote('origin', source.repo_url);
+  }
+
+  const head = await currentCommit(git);
+  const pinned = COMMIT_SHA_REGEX.test(ref);
+  if (!(pinned && head?.startsWith(ref.toLowerCase()))) {
+    try {
+      await git.remote(['set-url', 'origin', source.repo_url]);
+      await git.raw(['checkout', '--force', '--detach', await fetchRef(git, ref, pinned)]);
+    } catch (err) {
+      if (!head) throw new Error(`Could not fetch "${ref}" from ${source.repo_url}: ${err.message}`);
+      console.error(`Warning: fetch failed for ${source.name}, using the cached checkout: ${err.message}`);
+    }
+  }
+
+  const localPath = source.subfolder ? join(cloneDir, source.subfolder) : cloneDir;
+  if (!existsSync(localPath)) {
+    throw new Error(`Subfolder "${source.subfolder}" not found in ${source.repo_url} at ${ref}`);
+  }
+  return localPath;
+}
+
+/**
+ * Fetch a single ref one commit deep. Servers that refuse to serve an arbitrary commit
+ * (uploadpack.allowReachableSHA1InWant off) get a full fetch instead, after which the pinned
+ * commit is looked up locally.
+ * @returns {Promise<string>} Revision to check out
+ */
+async function fetchRef(git, ref, pinned) {
+  try {
+    await git.raw(['fetch', '--depth=1', '--no-tags', 'origin', ref]);
+    return 'FETCH_HEAD';
+  } catch (err) {
+    if (!pinned) throw err;
+    const shallow = (await git.raw(['rev-parse', '--is-shallow-repository'])).trim() === 'true';
+    await git.raw(['fetch', ...(shallow ? ['--unshallow'] : []), '--tags', 'origin', '+refs/heads/*:refs/remotes/origin/*']);
+    return (await git.raw(['rev-parse', '--verify', `${ref}^{commit}`])).trim();
+  }
+}
+
+async function currentCommit(git) {
+  try {
+    return (await git.revparse(['HEAD'])).trim() || null;
+  } catch {
+    return null;
+  }
+}
@@ -2,12 +2,15 @@ import { join } from 'node:path';
 import { existsSync, mkdirSync } from 'node:fs';
 import simpleGit from 'simple-git';
 import { CACHE_DIR } from '../../constants.js';
+import { cloneDirFor, adoptLegacyCloneDir } from './clone-dir.js';
 
 /**
- * Fetch a private GitHub repo using a token from an env var.
- * Token is injected into the URL at clone time — never stored.
+ * Repo URL with the token from the source's env var injected: https://token@github.com/...
+ * Only ever passed to git commands — never stored.
+ * @param {object} source - github-private source row
+ * @returns {string}
  */
-export async function fetchGithubPrivate(source) {
+export function authenticatedRepoUrl(source) {
   const tokenEnvVar = source.token_env_var;
   if (!tokenEnvVar) {
     throw new Error(`Source "${source.name}" is type github-private but has no token_env_var configured`);
@@ -18,12 +21,18 @@ export async function fetchGithubPrivate(source) {
     throw new Error(`Environment variable "${tokenEnvVar}" is not set. Required for private repo "${source.name}"`);
   }
 
-  const repoName = source.repo_url.replace(/.*\/\/[^/]+\//, '').replace(/\.git$/, '').replace(/\//g, '--');
-  const cloneDir = join(CACHE_DIR, repoName);
-  mkdirSync(CACHE_DIR, { recursive: true });
+  return source.repo_url.replace('https://', `https://${token}@`);
+}
 
-  // Inject token into URL: https://token@github.com/...
-  const authedUrl = source.repo_url.replace('https://', `https://${token}@`);
+/**
+ * Fetch a private GitHub repo using a token from an env var.
+ * Token is injected into the URL at clone time — never stored.
+ */
+export async function fetchGithubPrivate(source) {
+  const authedUrl = authenticatedRepoUrl(source);
+  const cloneDir = cloneDirFor(source);
+  mkdirSync(CACHE_DIR, { recursive: true });
+  adoptLegacyCloneDir(source);
 
   const git = simpleGit();
 
@@ -33,7 +42,7 @@ export async function fetchGithubPrivate(source) {
       // Set remote URL with token temporarily for fetch
       await repoGit.remote(['set-url', 'origin', authedUrl]);
       await repoGit.fetch('origin', source.branch || 'main', ['--depth=1']);
-      await repoGit.reset(['--hard', `origin/${source.branch || 'main'}`]);
+      await repoGit.reset(['--hard', 'FETCH_HEAD']);
       // Remove token from stored remote
       await repoGit.remote(['set-url', 'origin', source.repo_url]);
     } catch (err) {
@@ -2,6 +2,7 @@ import { join } from 'node:path';
 import { existsSync } from 'node:fs';
 import simpleGit from 'simple-git';
 import { CACHE_DIR } from '../../constants.js';
+import { cloneDirFor, adoptLegacyCloneDir } from './clone-dir.js';
 import { mkdirSync } from 'node:fs';
 
 /**
@@ -9,9 +10,9 @@ import { mkdirSync } from 'node:fs';
  * Returns the local path to the (optionally subfoldered) source.
  */
 export async function fetchGithubPublic(source) {
-  const repoName = source.repo_url.replace(/.*\/\/[^/]+\//, '').replace(/\.git$/, '').replace(/\//g, '--');
-  const cloneDir = join(CACHE_DIR, repoName);
+  const cloneDir = cloneDirFor(source);
   mkdirSync(CACHE_DIR, { recursive: true });
+  adoptLegacyCloneDir(source);
 
   const git = simpleGit();
 
@@ -20,7 +21,7 @@ export async function fetchGithubPublic(source) {
     const repoGit = simpleGit(cloneDir);
     try {
       await repoGit.fetch('origin', source.branch || 'main', ['--depth=1']);
-      await repoGit.reset(['--hard', `origin/${source.branch || 'main'}`]);
+      await repoGit.reset(['--hard', 'FETCH_HEAD']);
     } catch (err) {
       console.error(`Warning: pull failed for ${source.name}, using cached version: ${err.message}`);
     }
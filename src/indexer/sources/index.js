@@ -1,6 +1,9 @@
 import { fetchGithubPublic } from './github-public.js';
 import { fetchGithubPrivate } from './github-private.js';
 import { fetchLocalFolder } from './local-folder.js';
+import { fetchArchive } from './archive.js';
+import { fetchGit } from './git.js';
+import simpleGit from 'simple-git';
 
 /**
  * Unified dispatcher — fetches/validates a source and returns the local path.
@@ -13,7 +16,57 @@ export async function fetchSource(source) {
       return fetchGithubPrivate(source);
     case 'local-folder':
       return fetchLocalFolder(source);
+    case 'archive':
+      return fetchArchive(source);
+    case 'git':
+      return fetchGit(source);
     default:
       throw new Error(`Unknown source type: ${source.type}`);
   }
 }
+
+/**
+ * Resolve the commit checked out at a fetched source path.
+ * @param {string} localPath - Path returned by fetchSource()
+ * @returns {Promise<string|null>} HEAD commit SHA, or null when the path is not in a git checkout
+ */
+export async function getSourceCommit(localPath) {
+  try {
+    return (await simpleGit(localPath).revparse(['HEAD'])).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the files that changed between two commits of a fetched source, relative to its path —
+ * a subfolder source only sees changes inside the subfolder.
+ * @param {string} localPath - Path returned by fetchSource()
+ * @param {string} fromCommit - Commit the source was last indexed at
+ * @param {string} toCommit - Commit checked out now
+ * @returns {Promise<Array<{ status: string, file: string, from?: string }>|null>} Changes with their
+ *   git status letter (A, M, D, T or R; copies are reported as A), from set on renames — or null when
+ *   the diff cannot be computed, e.g. fromCommit is no longer in a shallow clone
+ */
+export async function getChangedFiles(localPath, fromCommit, toCommit) {
+  let output;
+  try {
+    output = await simpleGit(localPath).raw(['diff', '--name-status', '-M', '--relative', '-z', fromCommit, toCommit]);
+  } catch {
+    return null;
+  }
+
+  const fields = output.split('\0');
+  const changes = [];
+  for (let i = 0; i < fields.length - 1;) {
+    const status = fields[i++][0];
+    if (status === 'R' || status === 'C') {
+      const from = fields[i++];
+      const file = fields[i++];
+      changes.push(status === 'R' ? { status, file, from } : { status: 'A', file });
+    } else {
+      changes.push({ status, file: fields[i++] });
+    }
+  }
+  return changes;
+}
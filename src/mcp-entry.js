@@ -1,19 +1,29 @@
 #!/usr/bin/env node
 
+import { fileURLToPath } from 'node:url';
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { RootsListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
 
 import { searchHooksSchema, handleSearchHooks } from './server/tools/search-hooks.js';
 import { validateHookSchema, handleValidateHook } from './server/tools/validate-hook.js';
 import { getHookContextSchema, handleGetHookContext } from './server/tools/get-hook-context.js';
+import { getHookListenersSchema, handleGetHookListeners } from './server/tools/get-hook-listeners.js';
+import { getHookChangesSchema, handleGetHookChanges } from './server/tools/get-hook-changes.js';
+import { compareHooksSchema, handleCompareHooks } from './server/tools/compare-hooks.js';
+import { searchFunctionsSchema, handleSearchFunctions } from './server/tools/search-functions.js';
+import { validateFunctionSchema, handleValidateFunction } from './server/tools/validate-function.js';
+import { searchRestRoutesSchema, handleSearchRestRoutes } from './server/tools/search-rest-routes.js';
 import { searchBlockApisSchema, handleSearchBlockApis } from './server/tools/search-block-apis.js';
 import { searchDocsSchema, handleSearchDocs } from './server/tools/search-docs.js';
 import { getDocSchema, handleGetDoc } from './server/tools/get-doc.js';
 import { listDocsSchema, handleListDocs } from './server/tools/list-docs.js';
 
 // Initialize DB on import (side effect)
-import { getDb, getStaleSources } from './db/sqlite.js';
+import { getDb, getSource, getStaleSources, listSources } from './db/sqlite.js';
 import { indexSources } from './indexer/index-manager.js';
+import { findProjectConfig, loadProjectConfig, applyProjectConfig, withProjectDefaults } from './project-config.js';
+import { watchSources } from './watcher.js';
 
 const server = new McpServer({
   name: 'wp-devdocs-mcp',
@@ -25,49 +35,91 @@ server.tool(
   searchHooksSchema.name,
   searchHooksSchema.description,
   searchHooksSchema.inputSchema,
-  handleSearchHooks,
+  withProjectDefaults(searchHooksSchema.inputSchema, handleSearchHooks),
 );
 
 server.tool(
   validateHookSchema.name,
   validateHookSchema.description,
   validateHookSchema.inputSchema,
-  handleValidateHook,
+  withProjectDefaults(validateHookSchema.inputSchema, handleValidateHook),
 );
 
 server.tool(
   getHookContextSchema.name,
   getHookContextSchema.description,
   getHookContextSchema.inputSchema,
-  handleGetHookContext,
+  withProjectDefaults(getHookContextSchema.inputSchema, handleGetHookContext),
+);
+
+server.tool(
+  getHookListenersSchema.name,
+  getHookListenersSchema.description,
+  getHookListenersSchema.inputSchema,
+  withProjectDefaults(getHookListenersSchema.inputSchema, handleGetHookListeners),
+);
+
+server.tool(
+  getHookChangesSchema.name,
+  getHookChangesSchema.description,
+  getHookChangesSchema.inputSchema,
+  withProjectDefaults(getHookChangesSchema.inputSchema, handleGetHookChanges),
+);
+
+server.tool(
+  compareHooksSchema.name,
+  compareHooksSchema.description,
+  compareHooksSchema.inputSchema,
+  withProjectDefaults(compareHooksSchema.inputSchema, handleCompareHooks),
+);
+
+server.tool(
+  searchFunctionsSchema.name,
+  searchFunctionsSchema.description,
+  searchFunctionsSchema.inputSchema,
+  withProjectDefaults(searchFunctionsSchema.inputSchema, handleSearchFunctions),
+);
+
+server.tool(
+  validateFunctionSchema.name,
+  validateFunctionSchema.description,
+  validateFunctionSchema.inputSchema,
+  withProjectDefaults(validateFunctionSchema.inputSchema, handleValidateFunction),
+);
+
+server.tool(
+  searchRestRoutesSchema.name,
+  searchRestRoutesSchema.description,
+  searchRestRoutesSchema.inputSchema,
+  withProjectDefaults(searchRestRoutesSchema.inputSchema, handleSearchRestRoutes),
 );
 
 server.tool(
   searchBlockApisSchema.name,
   searchBlockApisSchema.description,
   searchBlockApisSchema.inputSchema,
-  handleSearchBlockApis,
+  withProjectDefaults(searchBlockApisSchema.inputSchema, handleSearchBlockApis),
 );
 
 server.tool(
   searchDocsSchema.name,
   searchDocsSchema.description,
   searchDocsSchema.inputSchema,
-  handleSearchDocs,
+  withProjectDefaults(searchDocsSchema.inputSchema, handleSearchDocs),
 );
 
 server.tool(
   getDocSchema.name,
   getDocSchema.description,
   getDocSchema.inputSchema,
-  handleGetDoc,
+  withProjectDefaults(getDocSchema.inputSchema, handleGetDoc),
 );
 
 server.tool(
   listDocsSchema.name,
   listDocsSchema.description,
   listDocsSchema.inputSchema,
-  handleListDocs,
+  withProjectDefaults(listDocsSchema.inputSchema, handleListDocs),
 );
 
 // Ensure DB is ready
@@ -78,11 +130,69 @@ try {
   process.exit(1);
 }
 
+/** Watcher of local-folder sources when WP_MCP_WATCH=true, see startWatching(). */
+let watcher = null;
+
+/** Tail of the server's indexing queue — see queueIndexing(). */
+let indexing = Promise.resolve();
+
+/**
+ * Run an indexing task once every task queued before it has finished. Auto-update, project roots,
+ * the watch catch-up and watcher batches all index through here, so no two runs overlap.
+ * @param {() => Promise<*>} task
+ * @returns {Promise<*>} The task's result
+ */
+function queueIndexing(task) {
+  const run = indexing.then(task);
+  indexing = run.catch(() => {});
+  return run;
+}
+
+// Project scope: a .wp-devdocs.json in one of the client's roots, else above the working directory
+function useProjectConfig(configPath) {
+  try {
+    const config = configPath ? loadProjectConfig(configPath) : null;
+    const { registered, missing } = applyProjectConfig(config);
+    if (config) process.stderr.write(`Using project config ${config.file}\n`);
+    for (const name of missing) {
+      process.stderr.write(`  Warning: project source "${name}" is not registered — add it with wp-hooks source:add or quick-add\n`);
+    }
+    return registered;
+  } catch (err) {
+    process.stderr.write(`Ignoring project config: ${err.message}\n`);
+    applyProjectConfig(null);
+    return [];
+  }
+}
+
+async function loadProjectFromRoots() {
+  if (!server.server.getClientCapabilities()?.roots) return;
+  try {
+    const { roots } = await server.server.listRoots();
+    const configPath = roots
+      .filter(root => root.uri.startsWith('file://'))
+      .map(root => findProjectConfig(fileURLToPath(root.uri)))
+      .find(Boolean);
+    if (!configPath) return;
+
+    // The project's own folders are indexed right away, so its hooks are searchable
+    const registered = useProjectConfig(configPath);
+    if (registered.length > 0) await queueIndexing(() => indexSources({ sourceNames: registered }));
+    for (const name of registered) await watcher?.add(getSource(name));
+  } catch (err) {
+    process.stderr.write(`Could not read client roots: ${err.message}\n`);
+  }
+}
+
+useProjectConfig(findProjectConfig(process.cwd()));
+server.server.oninitialized = loadProjectFromRoots;
+server.server.setNotificationHandler(RootsListChangedNotificationSchema, loadProjectFromRoots);
+
 // Start
 const transport = new StdioServerTransport();
 await server.connect(transport);
 
-// Background auto-update of stale sources (fire-and-forget)
+// Background auto-update of stale sources (fire-and-forget, queued with all other indexing)
 async function autoUpdate() {
   if (process.env.WP_MCP_AUTO_UPDATE === 'false') return;
   try {
@@ -93,7 +203,7 @@ async function autoUpdate() {
 
     for (const source of staleSources) {
       try {
-        await indexSources({ sourceName: source.name });
+        await queueIndexing(() => indexSources({ sourceName: source.name }));
         process.stderr.write(`  Updated: ${source.name}\n`);
       } catch (err) {
         process.stderr.write(`  Error updating ${source.name}: ${err.message}\n`);
@@ -107,3 +217,27 @@ async function autoUpdate() {
 }
 
 autoUpdate();
+
+// Opt-in live re-indexing of local folders, so a hook added a minute ago already validates
+async function startWatching() {
+  if (process.env.WP_MCP_WATCH !== 'true') return;
+  try {
+    const sources = listSources().filter(s => s.type === 'local-folder' && s.enabled);
+    watcher = await watchSources(sources, {
+      onIndexed: (source, files, stats) => {
+        if (stats.files_processed + stats.files_deleted === 0) return;
+        process.stderr.write(`Re-indexed ${stats.files_processed + stats.files_deleted} changed file(s) of ${source.name}\n`);
+      },
+      onError: (source, err) => process.stderr.write(`Watch error in ${source.name}: ${err.message}\n`),
+      schedule: queueIndexing,
+    });
+    process.stderr.write(`Watching ${watcher.names().length} local source(s) for changes\n`);
+
+    // Catch up on edits made while the server was not running
+    if (sources.length > 0) await queueIndexing(() => indexSources({ sourceNames: sources.map(s => s.name) }));
+  } catch (err) {
+    process.stderr.write(`Watch mode failed: ${err.message}\n`);
+  }
+}
+
+startWatching();
@@ -0,0 +1,127 @@
+import { join, dirname, resolve } from 'node:path';
+import { existsSync, readFileSync } from 'node:fs';
+import { z } from 'zod';
+import { addSource, getSource, setSourceScope } from './db/sqlite.js';
+
+export const PROJECT_CONFIG_FILE = '.wp-devdocs.json';
+
+const projectConfigSchema = z.object({
+  sources: z.array(z.union([
+    z.string(),
+    z.object({ name: z.string(), version: z.string().optional() }),
+  ])).optional(),
+  localSources: z.array(z.object({
+    name: z.string(),
+    path: z.string(),
+    content_type: z.enum(['source', 'docs']).optional(),
+  })).optional(),
+  defaults: z.record(z.unknown()).optional(),
+});
+
+/** The project configuration in effect for the MCP tools, or null. */
+let activeConfig = null;
+
+/**
+ * Find the nearest .wp-devdocs.json, from a directory up to the filesystem root.
+ * @param {string} startDir
+ * @returns {string|null} Path of the config file
+ */
+export function findProjectConfig(startDir) {
+  let dir = resolve(startDir);
+  for (;;) {
+    const candidate = join(dir, PROJECT_CONFIG_FILE);
+    if (existsSync(candidate)) return candidate;
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read and validate a project configuration. Local source paths are resolved against the
+ * folder holding the file.
+ * @param {string} filePath - Path of a .wp-devdocs.json
+ * @returns {{ file: string, sources: Array<{ name: string, version?: string }>, localSources: Array<object>, defaults: object }}
+ */
+export function loadProjectConfig(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read ${filePath}: ${err.message}`);
+  }
+
+  const parsed = projectConfigSchema.safeParse(raw);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid ${filePath}: ${issue.path.join('.') || '(root)'} — ${issue.message}`);
+  }
+
+  const root = dirname(resolve(filePath));
+  const { sources = [], localSources = [], defaults = {} } = parsed.data;
+  return {
+    file: resolve(filePath),
+    sources: sources.map(entry => (typeof entry === 'string' ? { name: entry } : entry)),
+    localSources: localSources.map(local => ({ ...local, path: resolve(root, local.path) })),
+    defaults,
+  };
+}
+
+/**
+ * Put a project configuration into effect: register its local sources that are missing, and scope
+ * every lookup to the listed sources plus the local ones. A config listing no sources at all
+ * leaves the scope open. Passing null clears the project.
+ * @param {object|null} config - loadProjectConfig() result
+ * @returns {{ registered: Array<string>, missing: Array<string> }} Local sources added now, and listed sources not registered
+ */
+export function applyProjectConfig(config) {
+  activeConfig = config;
+  if (!config) {
+    setSourceScope(null);
+    return { registered: [], missing: [] };
+  }
+
+  const registered = [];
+  for (const local of config.localSources) {
+    const existing = getSource(local.name);
+    if (existing) {
+      if (existing.local_path !== local.path) {
+        console.error(`Warning: source "${local.name}" already points at ${existing.local_path || existing.repo_url}, not ${local.path}`);
+      }
+      continue;
+    }
+    addSource({ name: local.name, type: 'local-folder', local_path: local.path, content_type: local.content_type });
+    registered.push(local.name);
+  }
+
+  const scope = [...config.sources, ...config.localSources.map(local => ({ name: local.name }))];
+  setSourceScope(config.sources.length > 0 ? scope : null);
+  return { registered, missing: config.sources.filter(entry => !getSource(entry.name)).map(entry => entry.name) };
+}
+
+/**
+ * The project configuration currently in effect.
+ * @returns {object|null}
+ */
+export function getProjectConfig() {
+  return activeConfig;
+}
+
+/**
+ * Wrap a tool handler so arguments the caller leaves out are taken from the project's defaults.
+ * Only defaults naming one of the tool's arguments apply, so `"limit": 10` reaches every tool with
+ * a limit and `"category": "block-editor"` only the docs tools.
+ * @param {object} inputSchema - The tool's zod argument shape
+ * @param {Function} handler
+ * @returns {Function}
+ */
+export function withProjectDefaults(inputSchema, handler) {
+  return (args, extra) => {
+    const defaults = activeConfig?.defaults || {};
+    const applied = Object.fromEntries(
+      Object.entries(defaults).filter(([key]) => key in inputSchema && (args || {})[key] === undefined),
+    );
+    // Defaults are validated like arguments passed by the client
+    return handler(z.object(inputSchema).parse({ ...applied, ...args }), extra);
+  };
+}
@@ -0,0 +1,40 @@
+import { z } from 'zod';
+import { compareSourceHooks, formatHookDiffMarkdown } from '../../hook-diff.js';
+
+export const compareHooksSchema = {
+  name: 'compare_hooks',
+  description: 'Compare the hooks of two indexed versions of a source (e.g. WooCommerce 8.9.0 vs 9.0.0) — or of two sources — and report hooks added, removed, renamed (same file and function, different name), parameter-count changes and docblock changes. Use this before upgrading a plugin to see which hooks existing code relies on that changed. Versions must be tracked and indexed (wp-hooks source:add-version).',
+  inputSchema: {
+    source: z.string().describe('Source name, e.g. "woocommerce"'),
+    from: z.string().describe('Old version (tag/branch tracked for the source) or another source name'),
+    to: z.string().optional().describe('New version or source name (default: the source\'s default branch)'),
+    format: z.enum(['markdown', 'json']).optional().describe('Output format (default markdown)'),
+    limit: z.number().min(1).max(1000).optional().describe('Max entries listed per section in markdown (default 100)'),
+  },
+};
+
+/**
+ * MCP tool handler — diff the hooks of two indexed versions.
+ * @param {object} args - { source, from, to?, format?, limit? }
+ * @returns {{ content: Array<{ type: string, text: string }>, isError?: boolean }}
+ */
+export function handleCompareHooks(args) {
+  try {
+    const diff = compareSourceHooks(args.source, { from: args.from, to: args.to });
+
+    if (args.format === 'json') {
+      return {
+        content: [{ type: 'text', text: JSON.stringify(diff, null, 2) }],
+      };
+    }
+
+    return {
+      content: [{ type: 'text', text: formatHookDiffMarkdown(diff, args.limit || 100) }],
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: `Error comparing hooks: ${err.message}` }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,59 @@
+import { z } from 'zod';
+import { getHookChanges } from '../../db/sqlite.js';
+
+export const getHookChangesSchema = {
+  name: 'get_hook_changes',
+  description: 'List hooks that were added, removed, modified or moved between indexing runs, newest first, with the upstream commit each run indexed. Use this to answer "which hooks were added or removed since last month" after a plugin or core release. `since` accepts a date (2026-09-01) or an age (30d, 2w).',
+  inputSchema: {
+    source: z.string().optional().describe('Filter by source name, e.g. "woocommerce"'),
+    since: z.string().optional().describe('Only changes recorded on or after this date (YYYY-MM-DD) or within this age (e.g. "30d", "2w")'),
+    change_type: z.enum(['added', 'removed', 'modified', 'moved']).optional().describe('Only this kind of change'),
+    name: z.string().optional().describe('Only hooks whose name contains this text'),
+    limit: z.number().min(1).max(500).optional().describe('Max results (default 100)'),
+  },
+};
+
+/**
+ * MCP tool handler — list recorded hook changes.
+ * @param {object} args - { source?, since?, change_type?, name?, limit? }
+ * @returns {{ content: Array<{ type: string, text: string }>, isError?: boolean }}
+ */
+export function handleGetHookChanges(args) {
+  try {
+    const changes = getHookChanges({
+      source: args.source,
+      since: args.since,
+      changeType: args.change_type,
+      name: args.name,
+      limit: args.limit || 100,
+    });
+
+    if (changes.length === 0) {
+      return {
+        content: [{ type: 'text', text: 'No hook changes recorded for these filters. Changes are logged from the first index run onward — re-index a source to record new ones.' }],
+      };
+    }
+
+    const sections = [];
+    for (const type of ['added', 'removed', 'modified', 'moved']) {
+      const ofType = changes.filter(c => c.change_type === type);
+      if (ofType.length === 0) continue;
+
+      const lines = ofType.map(c => {
+        const commit = c.commit_sha ? ` @ ${c.commit_sha.slice(0, 10)}` : '';
+        const from = c.previous_file_path ? ` (from ${c.previous_file_path})` : '';
+        return `- \`${c.hook_name}\` (${c.hook_type}) — ${c.source_name}: ${c.file_path}:${c.line_number}${from} — ${c.changed_at}${commit}`;
+      });
+      sections.push(`## ${type[0].toUpperCase()}${type.slice(1)} (${ofType.length})\n\n${lines.join('\n')}`);
+    }
+
+    return {
+      content: [{ type: 'text', text: `Found ${changes.length} hook change(s):\n\n${sections.join('\n\n')}` }],
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: `Error getting hook changes: ${err.message}` }],
+      isError: true,
+    };
+  }
+}
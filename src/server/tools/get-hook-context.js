@@ -3,7 +3,7 @@ import { getHookContext } from '../../db/sqlite.js';
 
 export const getHookContextSchema = {
   name: 'get_hook_context',
-  description: 'Get full surrounding code context for a specific WordPress hook. Provide a hook ID (from search results) or exact hook name. Returns the code window around the hook, including the enclosing function, docblock, and parameters.',
+  description: 'Get full surrounding code context for a specific WordPress hook. Provide a hook ID (from search results) or exact hook name. Returns the code window around the hook, including the enclosing function, docblock, typed parameters (@param), return type, and @since version — plus the release it was introduced/removed in, from the git tag history pass.',
   inputSchema: {
     hook: z.string().describe('Hook ID (numeric) or exact hook name'),
   },
@@ -31,10 +31,35 @@ export function handleGetHookContext(args) {
     ];
 
     if (hook.status === 'removed') sections.push('**Status:** REMOVED');
+    if (hook.moved_from) sections.push(`**Moved from:** ${hook.moved_from} (${hook.moved_at})`);
+    if (hook.type.endsWith('_deprecated')) {
+      sections.push(`**Deprecated since:** ${hook.deprecated_version || 'unknown'} | **Replacement:** ${hook.replacement_hook || 'none'}`);
+      if (hook.deprecation_message) sections.push(`**Deprecation note:** ${hook.deprecation_message}`);
+    }
     if (hook.class_name) sections.push(`**Class:** ${hook.class_name}`);
     if (hook.php_function) sections.push(`**Function:** ${hook.php_function}()`);
     if (hook.params) sections.push(`**Parameters:** ${hook.params}`);
     if (hook.is_dynamic) sections.push('**Dynamic name:** yes');
+    if (hook.since_version) sections.push(`**Since:** ${hook.since_version}`);
+    if (hook.introduced_in || hook.removed_in) {
+      sections.push(`**Introduced in:** ${hook.introduced_in || 'unknown'} | **Last seen in:** ${hook.last_seen_in || 'unknown'} | **Removed in:** ${hook.removed_in || 'not removed'}`);
+    }
+    if (hook.deprecated) sections.push(`**@deprecated:** ${hook.deprecated}`);
+    if (hook.see) sections.push(`**See:** ${hook.see}`);
+
+    if (hook.params_json) {
+      try {
+        const params = JSON.parse(hook.params_json);
+        const paramLines = params.map((p, i) => {
+          const signature = [p.type, p.name].filter(Boolean).join(' ') || `#${i + 1}`;
+          return `${i + 1}. \`${signature}\`${p.description ? ` — ${p.description}` : ''}`;
+        });
+        sections.push(`\n### Documented Parameters\n${paramLines.join('\n')}`);
+      } catch {
+        // Invalid JSON — skip
+      }
+    }
+    if (hook.return_type) sections.push(`\n**Returns:** \`${hook.return_type}\``);
 
     if (hook.docblock) {
       sections.push(`\n### Docblock\n\`\`\`\n${hook.docblock}\n\`\`\``);
@@ -0,0 +1,58 @@
+import { z } from 'zod';
+import { getHookListeners } from '../../db/sqlite.js';
+
+export const getHookListenersSchema = {
+  name: 'get_hook_listeners',
+  description: 'List the callbacks attached to a WordPress hook (add_action/add_filter) across all indexed sources, ordered by priority. Also reports remove_action/remove_filter, has_filter and remove_all_filters calls. Use this before adding your own callback to see what already runs on a hook and at which priority.',
+  inputSchema: {
+    hook_name: z.string().describe('Exact hook name'),
+    listener_type: z.enum(['add_action', 'add_filter', 'remove_action', 'remove_filter', 'has_filter', 'remove_all_filters']).optional().describe('Filter by listener call type'),
+    source: z.string().optional().describe('Filter by source name'),
+    include_removed: z.boolean().optional().describe('Include listeners no longer present in the source'),
+    limit: z.number().min(1).max(500).optional().describe('Max results (default 100)'),
+  },
+};
+
+/**
+ * MCP tool handler — list callbacks registered on a hook.
+ * @param {object} args - { hook_name, listener_type?, source?, include_removed?, limit? }
+ * @returns {{ content: Array<{ type: string, text: string }>, isError?: boolean }}
+ */
+export function handleGetHookListeners(args) {
+  try {
+    const results = getHookListeners(args.hook_name, {
+      listenerType: args.listener_type,
+      source: args.source,
+      includeRemoved: args.include_removed,
+      limit: args.limit || 100,
+    });
+
+    if (results.length === 0) {
+      return {
+        content: [{ type: 'text', text: `No listeners found for "${args.hook_name}" in any indexed source. Use validate_hook to check the hook name.` }],
+      };
+    }
+
+    const formatted = results.map((l, i) => {
+      const lines = [
+        `### ${i + 1}. ${l.callback || '(all callbacks)'}`,
+        `- **Call:** ${l.listener_type} | **Priority:** ${l.priority ?? 'n/a'}${l.accepted_args != null ? ` | **Accepted args:** ${l.accepted_args}` : ''}`,
+        `- **Source:** ${l.source_name} | **File:** ${l.file_path}:${l.line_number}`,
+      ];
+      if (l.status === 'removed') lines.push('- **Status:** REMOVED');
+      if (l.class_name) lines.push(`- **Class:** ${l.class_name}`);
+      if (l.php_function) lines.push(`- **Registered in:** ${l.php_function}()`);
+      if (l.hook_line) lines.push(`- **Code:** \`${l.hook_line.trim()}\``);
+      return lines.join('\n');
+    }).join('\n\n');
+
+    return {
+      content: [{ type: 'text', text: `Found ${results.length} listener(s) for "${args.hook_name}":\n\n${formatted}` }],
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: `Error getting hook listeners: ${err.message}` }],
+      isError: true,
+    };
+  }
+}
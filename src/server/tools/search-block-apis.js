@@ -3,21 +3,77 @@ import { searchBlockApis } from '../../db/sqlite.js';
 
 export const searchBlockApisSchema = {
   name: 'search_block_apis',
-  description: 'Search WordPress block registrations and JavaScript API usages (wp.blocks.*, wp.editor.*, wp.blockEditor.*, etc.) across all indexed sources.',
+  description: 'Search WordPress block registrations (block.json metadata, JS registerBlockType calls and PHP register_block_type, register_block_pattern, register_block_style and register_block_pattern_category calls) and JavaScript API usages (wp.blocks.*, wp.editor.*, wp.blockEditor.*, etc.) across all indexed sources. Block results include the registration kind, attributes with types and defaults, supports, context, parent/ancestor, render, render_callback and script fields.',
   inputSchema: {
     query: z.string().describe('Search query — block name, API call, namespace, or keyword'),
+    kind: z.enum([
+      'block.json',
+      'registerBlockType',
+      'registerBlockVariation',
+      'registerBlockStyle',
+      'registerBlockCollection',
+      'register_block_type',
+      'register_block_type_from_metadata',
+      'register_block_pattern',
+      'register_block_style',
+      'register_block_pattern_category',
+    ]).optional().describe('Only block registrations of this kind (skips API usages)'),
+    include_removed: z.boolean().optional().describe('Include registrations and API usages no longer present in the source'),
     limit: z.number().min(1).max(100).optional().describe('Max results per category (default 20)'),
   },
 };
 
+/**
+ * Format a block attributes JSON object as one line per attribute: "content (string, default: "")".
+ * Attributes that could not be read as data are returned as their source text.
+ * @param {string} attributesJson - Attributes as stored on the block registration
+ * @returns {Array<string>}
+ */
+function formatAttributes(attributesJson) {
+  let attributes;
+  try {
+    attributes = JSON.parse(attributesJson);
+  } catch {
+    return [`  ${attributesJson.slice(0, 300)}`];
+  }
+  if (!attributes || typeof attributes !== 'object') return [];
+
+  return Object.entries(attributes).map(([name, schema]) => {
+    if (!schema || typeof schema !== 'object') return `  - \`${name}\``;
+    const details = [
+      schema.type ? [].concat(schema.type).join('|') : null,
+      schema.source ? `source: ${schema.source}` : null,
+      schema.default !== undefined ? `default: ${JSON.stringify(schema.default)}` : null,
+    ].filter(Boolean).join(', ');
+    let line = `  - \`${name}\`${details ? ` (${details})` : ''}`;
+    if (Array.isArray(schema.enum)) line += ` [${schema.enum.join(', ')}]`;
+    return line;
+  });
+}
+
+/**
+ * Render a JSON list field (parent, ancestor, usesContext) as comma-separated text.
+ */
+function listField(json) {
+  try {
+    return [].concat(JSON.parse(json)).join(', ');
+  } catch {
+    return json;
+  }
+}
+
 /**
  * MCP tool handler — search block registrations and WP JS API usages.
- * @param {object} args - { query, limit? }
+ * @param {object} args - { query, kind?, include_removed?, limit? }
  * @returns {{ content: Array<{ type: string, text: string }>, isError?: boolean }}
  */
 export function handleSearchBlockApis(args) {
   try {
-    const { blocks, apis } = searchBlockApis(args.query, { limit: args.limit || 20 });
+    const { blocks, apis } = searchBlockApis(args.query, {
+      kind: args.kind,
+      includeRemoved: args.include_removed,
+      limit: args.limit || 20,
+    });
 
     if (blocks.length === 0 && apis.length === 0) {
       return {
@@ -33,8 +89,32 @@ export function handleSearchBlockApis(args) {
           `### ${i + 1}. ${b.block_name || 'unknown'}`,
           `- **Source:** ${b.source_name} | **File:** ${b.file_path}:${b.line_number}`,
         ];
+        if (b.status === 'removed') lines.push('- **Status:** REMOVED');
+        if (b.registration_kind) lines.push(`- **Registered via:** ${b.registration_kind}`);
         if (b.block_title) lines.push(`- **Title:** ${b.block_title}`);
         if (b.block_category) lines.push(`- **Category:** ${b.block_category}`);
+        if (b.api_version) lines.push(`- **API version:** ${b.api_version}`);
+        if (b.metadata_file && b.metadata_file !== b.file_path) lines.push(`- **Metadata:** ${b.metadata_file}`);
+        if (b.parent_blocks) lines.push(`- **Parent:** ${listField(b.parent_blocks)}`);
+        if (b.ancestor_blocks) lines.push(`- **Ancestor:** ${listField(b.ancestor_blocks)}`);
+        if (b.uses_context) lines.push(`- **Uses context:** ${listField(b.uses_context)}`);
+        if (b.provides_context) {
+          const provided = Object.entries(JSON.parse(b.provides_context)).map(([k, v]) => `${k} ← ${v}`);
+          lines.push(`- **Provides context:** ${provided.join(', ')}`);
+        }
+        if (b.render) lines.push(`- **Render:** ${b.render}`);
+        if (b.render_callback) lines.push(`- **Render callback:** ${b.render_callback}`);
+        if (b.editor_script) lines.push(`- **Editor script:** ${b.editor_script}`);
+        if (b.view_script_module) lines.push(`- **View script module:** ${b.view_script_module}`);
+        if (b.block_attributes) {
+          const attrLines = formatAttributes(b.block_attributes);
+          if (attrLines.length > 0) lines.push('- **Attributes:**', ...attrLines);
+        }
+        if (b.supports) lines.push(`- **Supports:** \`${b.supports.slice(0, 500)}\``);
+        if (b.linked && b.linked.length > 0) {
+          const linked = b.linked.map(l => `${l.file_path}:${l.line_number} (${l.registration_kind || 'unknown'})`);
+          lines.push(`- **Also registered in:** ${linked.join(', ')}`);
+        }
         if (b.code_context) {
           lines.push(`- **Context:**\n\`\`\`js\n${b.code_context.slice(0, 500)}\n\`\`\``);
         }
@@ -51,6 +131,7 @@ export function handleSearchBlockApis(args) {
           `- **Source:** ${a.source_name} | **File:** ${a.file_path}:${a.line_number}`,
           `- **Namespace:** ${a.namespace} | **Method:** ${a.method}`,
         ];
+        if (a.status === 'removed') lines.push('- **Status:** REMOVED');
         if (a.code_context) {
           lines.push(`- **Context:**\n\`\`\`js\n${a.code_context.slice(0, 300)}\n\`\`\``);
         }
@@ -0,0 +1,65 @@
+import { z } from 'zod';
+import { searchSymbols } from '../../db/sqlite.js';
+
+export const searchFunctionsSchema = {
+  name: 'search_functions',
+  description: 'Search PHP functions, class methods, classes, interfaces and traits across all indexed sources using full-text search. Returns BM25-ranked results with full signatures (parameter types and defaults, return type, visibility, static), file locations, @since versions and docblock summaries.',
+  inputSchema: {
+    query: z.string().describe('Search query — function/class/method name or keyword, e.g. "wc_get_order" or "order item meta"'),
+    kind: z.enum(['function', 'method', 'class', 'interface', 'trait', 'enum']).optional().describe('Filter by symbol kind'),
+    class_name: z.string().optional().describe('Only methods declared on this class'),
+    source: z.string().optional().describe('Filter by source name'),
+    include_removed: z.boolean().optional().describe('Include symbols no longer present in the source'),
+    limit: z.number().min(1).max(100).optional().describe('Max results (default 20)'),
+  },
+};
+
+/**
+ * MCP tool handler — search PHP symbols using full-text search.
+ * @param {object} args - { query, kind?, class_name?, source?, include_removed?, limit? }
+ * @returns {{ content: Array<{ type: string, text: string }>, isError?: boolean }}
+ */
+export function handleSearchFunctions(args) {
+  try {
+    const results = searchSymbols(args.query, {
+      kind: args.kind,
+      className: args.class_name,
+      source: args.source,
+      includeRemoved: args.include_removed,
+      limit: args.limit || 20,
+    });
+
+    if (results.length === 0) {
+      return {
+        content: [{ type: 'text', text: `No functions or classes found matching "${args.query}". Try broader search terms or check source indexing with the CLI.` }],
+      };
+    }
+
+    const formatted = results.map((sy, i) => {
+      const lines = [
+        `### ${i + 1}. ${sy.qualified_name}`,
+        `- **Kind:** ${sy.kind} | **Source:** ${sy.source_name}`,
+        `- **Signature:** \`${sy.signature}\``,
+        `- **File:** ${sy.file_path}:${sy.line_number}`,
+      ];
+      if (sy.status === 'removed') lines.push('- **Status:** REMOVED');
+      if (sy.return_type) lines.push(`- **Returns:** ${sy.return_type}`);
+      if (sy.param_count !== null && sy.param_count !== sy.required_param_count) {
+        lines.push(`- **Arguments:** ${sy.required_param_count} required, ${sy.param_count} total`);
+      }
+      if (sy.since_version) lines.push(`- **Since:** ${sy.since_version}`);
+      if (sy.deprecated) lines.push(`- **@deprecated:** ${sy.deprecated}`);
+      if (sy.summary) lines.push(`- **Description:** ${sy.summary}`);
+      return lines.join('\n');
+    }).join('\n\n');
+
+    return {
+      content: [{ type: 'text', text: `Found ${results.length} symbol(s) matching "${args.query}":\n\n${formatted}` }],
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: `Error searching functions: ${err.message}` }],
+      isError: true,
+    };
+  }
+}
@@ -3,20 +3,46 @@ import { searchHooks } from '../../db/sqlite.js';
 
 export const searchHooksSchema = {
   name: 'search_hooks',
-  description: 'Search WordPress hooks (actions/filters) across all indexed sources using full-text search. Returns BM25-ranked results with file locations, parameters, and descriptions.',
+  description: 'Search WordPress hooks (actions/filters) across all indexed sources using full-text search. Returns BM25-ranked results with file locations, parameters (with docblock types), @since versions, and descriptions. Pass `version` to search a tracked tag/branch of a source (e.g. "8.9.0") instead of its default checkout.',
   inputSchema: {
     query: z.string().describe('Search query — hook name, keyword, or description fragment'),
-    type: z.enum(['action', 'filter', 'action_ref_array', 'filter_ref_array', 'js_action', 'js_filter']).optional().describe('Filter by hook type'),
+    type: z.enum(['action', 'filter', 'action_ref_array', 'filter_ref_array', 'action_deprecated', 'filter_deprecated', 'js_action', 'js_filter']).optional().describe('Filter by hook type'),
     source: z.string().optional().describe('Filter by source name'),
+    version: z.string().optional().describe('Tracked version (tag or branch) to search, e.g. "8.9.0" — defaults to each source\'s default checkout'),
     is_dynamic: z.boolean().optional().describe('Filter for dynamic hook names only'),
     include_removed: z.boolean().optional().describe('Include soft-deleted hooks'),
     limit: z.number().min(1).max(100).optional().describe('Max results (default 20)'),
   },
 };
 
+/**
+ * Format deprecation details, e.g. "since 6.1.0, use new_hook".
+ * @param {object} h - Hook row
+ * @returns {string}
+ */
+function formatDeprecation(h) {
+  const parts = [];
+  if (h.deprecated_version) parts.push(`since ${h.deprecated_version}`);
+  parts.push(h.replacement_hook ? `use ${h.replacement_hook}` : 'no replacement');
+  return parts.join(', ');
+}
+
+/**
+ * Format the docblock @param list as "string $price, array $cart_item".
+ * @param {string} paramsJson - JSON array of { type, name, description }
+ * @returns {string}
+ */
+function formatTypedParams(paramsJson) {
+  try {
+    return JSON.parse(paramsJson).map(p => [p.type, p.name].filter(Boolean).join(' ')).join(', ');
+  } catch {
+    return paramsJson;
+  }
+}
+
 /**
  * MCP tool handler — search WordPress hooks using full-text search.
- * @param {object} args - { query, type?, source?, is_dynamic?, include_removed?, limit? }
+ * @param {object} args - { query, type?, source?, version?, is_dynamic?, include_removed?, limit? }
  * @returns {{ content: Array<{ type: string, text: string }>, isError?: boolean }}
  */
 export function handleSearchHooks(args) {
@@ -24,6 +50,7 @@ export function handleSearchHooks(args) {
     const results = searchHooks(args.query, {
       type: args.type,
       source: args.source,
+      version: args.version,
       isDynamic: args.is_dynamic,
       includeRemoved: args.include_removed,
       limit: args.limit || 20,
@@ -31,7 +58,7 @@ export function handleSearchHooks(args) {
 
     if (results.length === 0) {
       return {
-        content: [{ type: 'text', text: `No hooks found matching "${args.query}". Try broader search terms or check source indexing with the CLI.` }],
+        content: [{ type: 'text', text: `No hooks found matching "${args.query}"${args.version ? ` in version ${args.version}` : ''}. Try broader search terms or check source indexing with the CLI.` }],
       };
     }
 
@@ -43,9 +70,14 @@ export function handleSearchHooks(args) {
       ];
       if (h.is_dynamic) lines.push('- **Dynamic:** yes');
       if (h.status === 'removed') lines.push('- **Status:** REMOVED');
+      if (h.type.endsWith('_deprecated')) lines.push(`- **Deprecated:** ${formatDeprecation(h)}`);
       if (h.php_function) lines.push(`- **Function:** ${h.php_function}()`);
       if (h.class_name) lines.push(`- **Class:** ${h.class_name}`);
       if (h.params) lines.push(`- **Params:** ${h.params}`);
+      if (h.params_json) lines.push(`- **Param types:** ${formatTypedParams(h.params_json)}`);
+      if (h.return_type) lines.push(`- **Returns:** ${h.return_type}`);
+      if (h.since_version) lines.push(`- **Since:** ${h.since_version}`);
+      if (h.deprecated) lines.push(`- **@deprecated:** ${h.deprecated}`);
       if (h.inferred_description) lines.push(`- **Description:** ${h.inferred_description}`);
       if (h.docblock) lines.push(`- **Docblock:** ${h.docblock.slice(0, 200)}${h.docblock.length > 200 ? '...' : ''}`);
       lines.push(`- **ID:** ${h.id}`);
@@ -0,0 +1,109 @@
+import { z } from 'zod';
+import { searchRestRoutes, matchRestRoutes } from '../../db/sqlite.js';
+
+export const searchRestRoutesSchema = {
+  name: 'search_rest_routes',
+  description: 'Search REST API endpoints registered in code with register_rest_route() across all indexed sources (including controllers using $this->namespace/$this->rest_base). Pass `path` with a concrete request path such as "/wc/v3/orders/123" to confirm an endpoint exists, or `query` to search by route, namespace, callback or argument name. Returns methods, callbacks, permission callbacks and the argument schema.',
+  inputSchema: {
+    query: z.string().optional().describe('Search keywords — route fragment, namespace, callback or argument name'),
+    path: z.string().optional().describe('Concrete request path to match against route patterns, e.g. "/wc/v3/orders/123"'),
+    method: z.enum(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']).optional().describe('Only endpoints accepting this HTTP method'),
+    namespace: z.string().optional().describe('Filter by route namespace, e.g. "wc/v3"'),
+    source: z.string().optional().describe('Filter by source name'),
+    include_removed: z.boolean().optional().describe('Include routes no longer registered in the source'),
+    limit: z.number().min(1).max(100).optional().describe('Max results (default 20)'),
+  },
+};
+
+/**
+ * Format a literal args schema as one line per argument: "id (integer, required) — Unique identifier".
+ * @param {string} argsJson - JSON object of argument name → schema
+ * @returns {Array<string>}
+ */
+function formatArgs(argsJson) {
+  let args;
+  try {
+    args = JSON.parse(argsJson);
+  } catch {
+    return [];
+  }
+  if (!args || typeof args !== 'object') return [];
+
+  return Object.entries(args).map(([name, schema]) => {
+    if (!schema || typeof schema !== 'object') return `  - \`${name}\`: ${schema}`;
+    const details = [schema.type, schema.required === true ? 'required' : null].filter(Boolean).join(', ');
+    let line = `  - \`${name}\`${details ? ` (${details})` : ''}`;
+    if (schema.description) line += ` — ${schema.description}`;
+    if (Array.isArray(schema.enum)) line += ` [${schema.enum.join(', ')}]`;
+    return line;
+  });
+}
+
+/**
+ * MCP tool handler — search REST routes by keyword or match a concrete request path.
+ * @param {object} args - { query?, path?, method?, namespace?, source?, include_removed?, limit? }
+ * @returns {{ content: Array<{ type: string, text: string }>, isError?: boolean }}
+ */
+export function handleSearchRestRoutes(args) {
+  try {
+    if (!args.query && !args.path) {
+      return {
+        content: [{ type: 'text', text: 'Provide either `query` (keywords) or `path` (a request path to match).' }],
+        isError: true,
+      };
+    }
+
+    const opts = {
+      method: args.method,
+      namespace: args.namespace,
+      source: args.source,
+      includeRemoved: args.include_removed,
+      limit: args.limit || 20,
+    };
+    const results = args.path ? matchRestRoutes(args.path, opts) : searchRestRoutes(args.query, opts);
+    const subject = args.path ? `path "${args.path}"` : `"${args.query}"`;
+
+    if (results.length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: args.path
+            ? `NOT FOUND — No indexed REST route matches ${subject}${args.method ? ` for ${args.method}` : ''}. Try search_rest_routes with a query to find similar endpoints.`
+            : `No REST routes found matching ${subject}. Try broader search terms or check source indexing with the CLI.`,
+        }],
+      };
+    }
+
+    const formatted = results.map((r, i) => {
+      const lines = [
+        `### ${i + 1}. ${r.methods} ${r.full_route}`,
+        `- **Namespace:** ${r.namespace} | **Source:** ${r.source_name}`,
+        `- **File:** ${r.file_path}:${r.line_number}`,
+      ];
+      if (r.status === 'removed') lines.push('- **Status:** REMOVED');
+      if (r.is_dynamic) lines.push('- **Dynamic:** yes (part of the route could not be resolved statically)');
+      if (r.params && Object.keys(r.params).length > 0) {
+        lines.push(`- **Path params:** ${Object.entries(r.params).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+      }
+      if (r.class_name) lines.push(`- **Class:** ${r.class_name}`);
+      if (r.callback) lines.push(`- **Callback:** ${r.callback}`);
+      lines.push(`- **Permission callback:** ${r.permission_callback || '(none)'}`);
+      if (r.schema_callback) lines.push(`- **Schema:** ${r.schema_callback}`);
+      if (r.args_json) {
+        const argLines = formatArgs(r.args_json);
+        if (argLines.length > 0) lines.push('- **Args:**', ...argLines);
+      }
+      if (r.args_source) lines.push(`- **Args built by:** ${r.args_source}`);
+      return lines.join('\n');
+    }).join('\n\n');
+
+    return {
+      content: [{ type: 'text', text: `Found ${results.length} route(s) matching ${subject}:\n\n${formatted}` }],
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: `Error searching REST routes: ${err.message}` }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,101 @@
+import { z } from 'zod';
+import { validateSymbol } from '../../db/sqlite.js';
+
+export const validateFunctionSchema = {
+  name: 'validate_function',
+  description: 'Check if a PHP function, class or method exists in indexed sources before calling it. Accepts "wc_get_order", "WC_Order" or "WC_Order::get_item" (methods are also found on parent classes and interfaces). Returns VALID with the signature, DEPRECATED, ARG_COUNT_MISMATCH (when arg_count is given), REMOVED, or NOT_FOUND with similar suggestions. Use this to prevent function and method hallucination.',
+  inputSchema: {
+    name: z.string().describe('Function, class or Class::method name to validate'),
+    arg_count: z.number().int().min(0).optional().describe('Number of arguments you intend to pass — checked against the declared parameters'),
+  },
+};
+
+/**
+ * Format symbol locations as a bullet list with signatures.
+ * @param {Array<object>} symbols - Symbol rows with source_name
+ * @returns {string}
+ */
+function formatLocations(symbols) {
+  return symbols.map(sy =>
+    `  - ${sy.source_name}: ${sy.file_path}:${sy.line_number}\n    \`${sy.signature}\``
+  ).join('\n');
+}
+
+/**
+ * MCP tool handler — validate if a PHP function, class or method exists in indexed sources.
+ * @param {object} args - { name, arg_count? }
+ * @returns {{ content: Array<{ type: string, text: string }>, isError?: boolean }}
+ */
+export function handleValidateFunction(args) {
+  try {
+    const result = validateSymbol(args.name, { argCount: args.arg_count });
+    const inherited = result.declaredIn && !args.name.toLowerCase().startsWith(`${result.declaredIn.toLowerCase()}::`)
+      ? ` (inherited from ${result.declaredIn})`
+      : '';
+
+    if (result.status === 'VALID') {
+      return {
+        content: [{
+          type: 'text',
+          text: `VALID — "${args.name}" exists${inherited} in ${result.symbols.length} location(s):\n${formatLocations(result.symbols)}`,
+        }],
+      };
+    }
+
+    if (result.status === 'DEPRECATED') {
+      const note = result.symbols[0].deprecated;
+      return {
+        content: [{
+          type: 'text',
+          text: `DEPRECATED — "${args.name}" exists${inherited} but is marked @deprecated: ${note}\n\n${formatLocations(result.symbols)}`,
+        }],
+      };
+    }
+
+    if (result.status === 'ARG_COUNT_MISMATCH') {
+      const sy = result.symbols[0];
+      const range = sy.required_param_count === sy.param_count
+        ? `${sy.param_count}`
+        : `${sy.required_param_count}–${sy.param_count}`;
+      return {
+        content: [{
+          type: 'text',
+          text: `ARG_COUNT_MISMATCH — "${args.name}" exists${inherited} but takes ${range} argument(s), not ${args.arg_count}:\n${formatLocations(result.symbols)}`,
+        }],
+      };
+    }
+
+    if (result.status === 'REMOVED') {
+      const locations = result.symbols.map(sy =>
+        `  - ${sy.source_name}: ${sy.file_path}:${sy.line_number} (removed ${sy.removed_at || 'unknown'})`
+      ).join('\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `REMOVED — "${args.name}" was found but has been removed:\n${locations}\n\nIt may have been renamed or moved.`,
+        }],
+      };
+    }
+
+    // NOT_FOUND
+    let text = `NOT FOUND — "${args.name}" does not exist in any indexed source.`;
+
+    if (result.similar.length > 0) {
+      const suggestions = result.similar.map(sy => {
+        const name = sy.class_name ? `${sy.class_name}::${sy.name}` : sy.name;
+        return `  - ${name} (${sy.kind}) [${sy.source_name}]`;
+      }).join('\n');
+      text += `\n\nDid you mean one of these?\n${suggestions}`;
+    }
+
+    return {
+      content: [{ type: 'text', text }],
+    };
+  } catch (err) {
+    return {
+      content: [{ type: 'text', text: `Error validating function: ${err.message}` }],
+      isError: true,
+    };
+  }
+}
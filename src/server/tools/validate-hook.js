@@ -3,24 +3,38 @@ import { validateHook } from '../../db/sqlite.js';
 
 export const validateHookSchema = {
   name: 'validate_hook',
-  description: 'Check if a WordPress hook name is valid (exists in indexed sources). Returns VALID, NOT_FOUND, or REMOVED status with similar suggestions when not found. Use this to prevent hook name hallucination.',
+  description: 'Check if a WordPress hook name is valid (exists in indexed sources). Returns VALID, VALID_DYNAMIC (a concrete name like save_post_product matching a dynamic hook such as save_post_{dynamic}), DEPRECATED (with the replacement hook and version), NOT_FOUND, or REMOVED status with similar suggestions when not found. Pass `version` to check a tracked tag/branch (e.g. "does this hook exist in WooCommerce 8.5.0?"). Locations include the release a hook was introduced/removed in when the git tag history pass has run. Use this to prevent hook name hallucination.',
   inputSchema: {
     hook_name: z.string().describe('Exact hook name to validate'),
+    version: z.string().optional().describe('Tracked version (tag or branch) to check, e.g. "8.5.0" — defaults to each source\'s default checkout'),
   },
 };
 
+/**
+ * Format the release history from the git tag history pass, e.g. ", introduced in 8.2.0".
+ * @param {object} h - Hook row
+ * @returns {string} Empty when the hook has not been dated
+ */
+function formatReleaseHistory(h) {
+  const parts = [];
+  if (h.introduced_in) parts.push(`introduced in ${h.introduced_in}`);
+  if (h.last_seen_in) parts.push(`last seen in ${h.last_seen_in}`);
+  if (h.removed_in) parts.push(`removed in ${h.removed_in}`);
+  return parts.length > 0 ? `, ${parts.join(', ')}` : '';
+}
+
 /**
  * MCP tool handler — validate if a hook name exists in indexed sources.
- * @param {object} args - { hook_name }
+ * @param {object} args - { hook_name, version? }
  * @returns {{ content: Array<{ type: string, text: string }>, isError?: boolean }}
  */
 export function handleValidateHook(args) {
   try {
-    const result = validateHook(args.hook_name);
+    const result = validateHook(args.hook_name, { version: args.version });
 
     if (result.status === 'VALID') {
       const locations = result.hooks.map(h =>
-        `  - ${h.source_name}: ${h.file_path}:${h.line_number} (${h.type})`
+        `  - ${h.source_name}: ${h.file_path}:${h.line_number} (${h.type}${formatReleaseHistory(h)})`
       ).join('\n');
 
       return {
@@ -31,9 +45,45 @@ export function handleValidateHook(args) {
       };
     }
 
+    if (result.status === 'VALID_DYNAMIC') {
+      const [best, ...others] = result.matches;
+      const locations = best.hooks.map(h =>
+        `  - ${h.source_name}: ${h.file_path}:${h.line_number} (${h.type}${formatReleaseHistory(h)})`
+      ).join('\n');
+
+      let text = `VALID_DYNAMIC — Hook "${args.hook_name}" matches the dynamic hook "${best.pattern}"`;
+      text += ` with variable part${best.variables.length > 1 ? 's' : ''}: ${best.variables.map(v => `"${v}"`).join(', ')}.`;
+      text += `\n\nThe pattern is fired in ${best.hooks.length} location(s):\n${locations}`;
+      text += '\n\nCheck the code context to confirm the variable part is a value the source actually passes.';
+
+      if (others.length > 0) {
+        text += `\n\nAlso matches: ${others.map(m => m.pattern).join(', ')}`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+      };
+    }
+
+    if (result.status === 'DEPRECATED') {
+      const locations = result.hooks.map(h =>
+        `  - ${h.source_name}: ${h.file_path}:${h.line_number} (${h.type}${formatReleaseHistory(h)})`
+      ).join('\n');
+
+      let text = `DEPRECATED — Hook "${args.hook_name}" is deprecated`;
+      if (result.version) text += ` since ${result.version}`;
+      text += result.replacement ? `. Use "${result.replacement}" instead.` : ' and has no replacement.';
+      if (result.message) text += `\n\nNote: ${result.message}`;
+      text += `\n\nFired via *_deprecated() in ${result.hooks.length} location(s):\n${locations}`;
+
+      return {
+        content: [{ type: 'text', text }],
+      };
+    }
+
     if (result.status === 'REMOVED') {
       const locations = result.hooks.map(h =>
-        `  - ${h.source_name}: ${h.file_path}:${h.line_number} (removed ${h.removed_at || 'unknown'})`
+        `  - ${h.source_name}: ${h.file_path}:${h.line_number} (removed ${h.removed_at || 'unknown'}${formatReleaseHistory(h)})`
       ).join('\n');
 
       return {
@@ -45,7 +95,7 @@ export function handleValidateHook(args) {
     }
 
     // NOT_FOUND
-    let text = `NOT FOUND — Hook "${args.hook_name}" does not exist in any indexed source.`;
+    let text = `NOT FOUND — Hook "${args.hook_name}" does not exist in ${args.version ? `version ${args.version} of ` : ''}any indexed source.`;
 
     if (result.similar.length > 0) {
       const suggestions = result.similar.map(s =>
@@ -0,0 +1,155 @@
+import { resolve } from 'node:path';
+import { z } from 'zod';
+import { SOURCE_MANIFEST_VERSION } from './constants.js';
+import {
+  addSource,
+  addSourceVersion,
+  getSource,
+  listSources,
+  listSourceVersions,
+  removeSource,
+  updateSource,
+} from './db/sqlite.js';
+
+/** Source settings a manifest carries, in the order they are written. */
+const MANIFEST_FIELDS = ['type', 'repo_url', 'branch', 'subfolder', 'local_path', 'content_type', 'token_env_var', 'ssh_key_path', 'credential_helper', 'enabled'];
+
+// Strict, so a "token" (or any other stray secret) is rejected instead of silently dropped
+const manifestEntrySchema = z.object({
+  name: z.string().min(1).refine(name => !name.includes('@'), 'source names cannot contain "@" — list tracked versions under "versions"'),
+  type: z.enum(['github-public', 'github-private', 'git', 'local-folder', 'archive']),
+  repo_url: z.string().optional(),
+  branch: z.string().optional(),
+  subfolder: z.string().optional(),
+  local_path: z.string().optional(),
+  content_type: z.enum(['source', 'docs']).optional(),
+  token_env_var: z.string().optional(),
+  ssh_key_path: z.string().optional(),
+  credential_helper: z.string().optional(),
+  enabled: z.boolean().optional(),
+  versions: z.array(z.string()).optional(),
+}).strict();
+
+const manifestSchema = z.object({
+  version: z.literal(SOURCE_MANIFEST_VERSION),
+  sources: z.array(manifestEntrySchema),
+}).strict();
+
+/**
+ * Describe the registered sources as a manifest. Tracked versions are listed under their source;
+ * tokens never are — only the name of the env var holding one.
+ * @returns {{ version: number, sources: Array<object> }}
+ */
+export function exportSourceManifest() {
+  const sources = listSources()
+    .filter(s => !s.parent_id)
+    .map(source => {
+      const entry = manifestEntry(source);
+      const versions = listSourceVersions(source.id).map(v => v.version);
+      return versions.length > 0 ? { ...entry, versions } : entry;
+    });
+  return { version: SOURCE_MANIFEST_VERSION, sources };
+}
+
+/**
+ * Validate a manifest and normalize its entries: defaults filled in, and local paths resolved
+ * against the folder of the manifest so a committed manifest can point into its own repo.
+ * @param {object} raw - Parsed JSON
+ * @param {string} [baseDir] - Folder relative local_path values are resolved against
+ * @returns {{ version: number, sources: Array<object> }}
+ */
+export function parseSourceManifest(raw, baseDir = process.cwd()) {
+  const parsed = manifestSchema.safeParse(raw);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid source manifest: ${issue.path.join('.') || '(root)'} — ${issue.message}`);
+  }
+
+  const names = new Set();
+  const sources = parsed.data.sources.map(entry => {
+    if (names.has(entry.name)) throw new Error(`Invalid source manifest: "${entry.name}" is listed twice`);
+    names.add(entry.name);
+    return {
+      ...entry,
+      branch: entry.branch || 'main',
+      content_type: entry.content_type || 'source',
+      enabled: entry.enabled !== false,
+      local_path: entry.local_path ? resolve(baseDir, entry.local_path) : undefined,
+      versions: entry.versions || [],
+    };
+  });
+  return { version: parsed.data.version, sources };
+}
+
+/**
+ * Work out what importing a manifest changes. Merge adds and updates the listed sources and keeps
+ * the others; overwrite also removes sources, and tracked versions, the manifest does not list.
+ * @param {object} manifest - parseSourceManifest() result
+ * @param {object} [opts] - { mode: 'merge' | 'overwrite' }
+ * @returns {{ add: Array<object>, update: Array<object>, remove: Array<object>, unchanged: Array<object> }}
+ *   update entries carry the changed field names and the versions to add/remove
+ */
+export function planSourceImport(manifest, { mode = 'merge' } = {}) {
+  if (mode !== 'merge' && mode !== 'overwrite') throw new Error(`Unknown import mode "${mode}" — use merge or overwrite`);
+
+  const plan = { add: [], update: [], remove: [], unchanged: [] };
+  const listed = new Set();
+  for (const entry of manifest.sources) {
+    listed.add(entry.name);
+    const current = getSource(entry.name);
+    if (!current) {
+      plan.add.push(entry);
+      continue;
+    }
+    if (current.parent_id) throw new Error(`"${entry.name}" is a tracked version — list it under its source's "versions"`);
+
+    const existing = manifestEntry(current);
+    const changes = MANIFEST_FIELDS.filter(field => (existing[field] ?? null) !== (entry[field] ?? null));
+    const tracked = listSourceVersions(current.id).map(v => v.version);
+    const addVersions = entry.versions.filter(v => !tracked.includes(v));
+    const removeVersions = mode === 'overwrite' ? tracked.filter(v => !entry.versions.includes(v)) : [];
+
+    if (changes.length > 0 || addVersions.length > 0 || removeVersions.length > 0) {
+      plan.update.push({ entry, source: current, changes, addVersions, removeVersions });
+    } else {
+      plan.unchanged.push(current);
+    }
+  }
+
+  if (mode === 'overwrite') {
+    plan.remove = listSources().filter(s => !s.parent_id && !listed.has(s.name));
+  }
+  return plan;
+}
+
+/**
+ * Apply an import plan.
+ * @param {object} plan - planSourceImport() result
+ * @returns {Array<string>} Names of the added and updated sources that are enabled, which need indexing
+ */
+export function applySourceImport(plan) {
+  for (const entry of plan.add) {
+    addSource(entry);
+    entry.versions.forEach(ref => addSourceVersion(entry.name, ref));
+  }
+  for (const { entry, source, changes, addVersions, removeVersions } of plan.update) {
+    if (changes.length > 0) updateSource(source.id, entry);
+    removeVersions.forEach(ref => removeSource(`${source.name}@${ref}`));
+    addVersions.forEach(ref => addSourceVersion(source.name, ref));
+  }
+  plan.remove.forEach(source => removeSource(source.name));
+
+  return [...plan.add, ...plan.update.map(u => u.entry)].filter(e => e.enabled).map(e => e.name);
+}
+
+/**
+ * The manifest entry of a source row: its settings without empty values.
+ */
+function manifestEntry(source) {
+  const entry = { name: source.name };
+  for (const field of MANIFEST_FIELDS) {
+    if (field === 'enabled') entry.enabled = Boolean(source.enabled);
+    else if (source[field]) entry[field] = source[field];
+  }
+  return entry;
+}
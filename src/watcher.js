@@ -0,0 +1,97 @@
+import { watch } from 'node:fs';
+import { sep } from 'node:path';
+import { setTimeout, clearTimeout } from 'node:timers';
+import { fetchSource } from './indexer/sources/index.js';
+import { indexSourceFiles, IGNORED_DIRS, SOURCE_EXTENSIONS } from './indexer/index-manager.js';
+
+/** Quiet period after the last change before a source is re-indexed. */
+export const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * Watch local-folder sources and re-index the files that change. Changes are collected until a
+ * source has been quiet for debounceMs and then indexed as one batch; batches of the same source
+ * never overlap.
+ * @param {Array<object>} sources - Source rows; sources of other types and disabled ones are skipped
+ * @param {object} [opts] - { debounceMs, onIndexed(source, files, stats), onError(source, err),
+ *   schedule(task) } — schedule runs each batch and returns its result, so a caller indexing
+ *   elsewhere too can queue batches behind its own runs; by default batches run right away
+ * @returns {Promise<{ add: (source: object) => Promise<boolean>, names: () => Array<string>, close: () => Promise<void> }>}
+ */
+export async function watchSources(sources, opts = {}) {
+  const { debounceMs = DEFAULT_DEBOUNCE_MS, onIndexed = () => {}, onError = () => {}, schedule = task => task() } = opts;
+  const watched = new Map();
+
+  const flush = (entry) => {
+    entry.timer = null;
+    const files = [...entry.pending];
+    entry.pending.clear();
+    entry.running = entry.running.then(async () => {
+      try {
+        onIndexed(entry.source, files, await schedule(() => indexSourceFiles(entry.source.name, files)));
+      } catch (err) {
+        onError(entry.source, err);
+      }
+    });
+  };
+
+  const add = async (source) => {
+    if (source.type !== 'local-folder' || !source.enabled || watched.has(source.name)) return false;
+
+    const localPath = await fetchSource(source);
+    const entry = { source, pending: new Set(), timer: null, running: Promise.resolve(), watcher: null };
+    entry.watcher = watch(localPath, { recursive: true }, (_event, filename) => {
+      if (!filename) return;
+      const file = filename.split(sep).join('/');
+      if (!isWatchedFile(source, file)) return;
+
+      entry.pending.add(file);
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => flush(entry), debounceMs);
+    });
+    // The folder was removed or became unreadable — stop watching it
+    entry.watcher.on('error', (err) => {
+      entry.watcher.close();
+      clearTimeout(entry.timer);
+      watched.delete(source.name);
+      onError(source, err);
+    });
+    watched.set(source.name, entry);
+    return true;
+  };
+
+  for (const source of sources) {
+    try {
+      await add(source);
+    } catch (err) {
+      onError(source, err);
+    }
+  }
+
+  return {
+    add,
+    names: () => [...watched.keys()],
+    async close() {
+      const entries = [...watched.values()];
+      watched.clear();
+      for (const entry of entries) {
+        entry.watcher.close();
+        clearTimeout(entry.timer);
+      }
+      // Let batches already running finish writing
+      await Promise.all(entries.map(entry => entry.running));
+    },
+  };
+}
+
+/**
+ * Whether a changed path is one the indexer reads: markdown for docs sources, PHP, JS/TS and
+ * block.json for code, outside the ignored directories.
+ */
+function isWatchedFile(source, file) {
+  const segments = file.split('/');
+  if (segments.slice(0, -1).some(dir => IGNORED_DIRS.includes(dir))) return false;
+
+  const name = segments[segments.length - 1];
+  if (source.content_type === 'docs') return name.endsWith('.md');
+  return name === 'block.json' || SOURCE_EXTENSIONS.some(ext => name.endsWith(ext));
+}
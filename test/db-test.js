@@ -0,0 +1,1073 @@
+#!/usr/bin/env node
+
+/**
+ * Database tests for hook lookup and validation.
+ * Run: node test/db-test.js
+ *
+ * Points HOME at a temporary directory so the real ~/.wp-devdocs-mcp database is never touched.
+ */
+
+import { strict as assert } from 'node:assert';
+import { execFileSync } from 'node:child_process';
+import { existsSync, mkdtempSync, mkdirSync, readFileSync, rmSync, symlinkSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import Database from 'better-sqlite3';
+
+const tmpHome = mkdtempSync(join(tmpdir(), 'wp-devdocs-test-'));
+process.env.HOME = tmpHome;
+process.env.USERPROFILE = tmpHome;
+
+// DB_PATH is derived from the home directory at import time — import after HOME is set
+const db = await import('../src/db/sqlite.js');
+const { parsePhpFile } = await import('../src/indexer/php-parser.js');
+const { parseJsFile } = await import('../src/indexer/js-parser.js');
+const { parseBlockJson } = await import('../src/indexer/block-json-parser.js');
+const { indexSources, indexSourceFiles } = await import('../src/indexer/index-manager.js');
+const { watchSources } = await import('../src/watcher.js');
+const { indexHookHistory } = await import('../src/indexer/history.js');
+const { compareSourceHooks } = await import('../src/hook-diff.js');
+const { cloneDirFor, adoptLegacyCloneDir } = await import('../src/indexer/sources/clone-dir.js');
+const { scanWordPressInstall, planDiscovery, applyDiscovery } = await import('../src/discover.js');
+const { exportSourceManifest, parseSourceManifest, planSourceImport, applySourceImport } = await import('../src/source-manifest.js');
+const { PRESET_MANIFEST } = await import('../src/presets.js');
+const { findProjectConfig, loadProjectConfig, applyProjectConfig, withProjectDefaults } = await import('../src/project-config.js');
+const { SCHEMA_VERSION, MIGRATIONS, migrate, readSchemaVersion } = await import('../src/db/migrations.js');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  PASS: ${name}`);
+  } catch (err) {
+    failed++;
+    console.error(`  FAIL: ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+/**
+ * Parse a PHP fixture and upsert its hooks, symbols and REST routes into the given source.
+ */
+function indexFixture(sourceId, filePath, content, runId = null) {
+  const { hooks, symbols, restRoutes } = parsePhpFile(content, filePath, sourceId);
+  symbols.forEach(sy => db.upsertSymbol(sy));
+  restRoutes.forEach(r => db.upsertRestRoute(r));
+  return hooks.map(h => db.upsertHook(h, runId));
+}
+
+db.addSource({ name: 'fixture', type: 'local-folder', local_path: tmpHome });
+const source = db.getSource('fixture');
+
+indexFixture(source.id, 'includes/hooks.php', `<?php
+do_action( 'woocommerce_before_order_notes', $checkout );
+do_action( 'woocommerce_thankyou_' . $order->get_payment_method(), $order->get_id() );
+do_action( "save_post_{$post->post_type}", $post_id, $post, $update );
+do_action( 'manage_' . $screen . '_posts_columns' );
+do_action( 'woocommerce_' . $hook );
+do_action( $tag );
+$v = apply_filters_deprecated( 'old_checkout_fields', array( $fields ), '3.0.0', 'woocommerce_checkout_fields' );
+`);
+
+// --- Hook identity ---
+
+console.log('\n--- Hook identity ---');
+
+test('a hook shifted to another line is updated in place without logging a change', () => {
+  const [before] = indexFixture(source.id, 'includes/shift.php', "<?php\ndo_action( 'shift_me' );");
+  const [after] = indexFixture(source.id, 'includes/shift.php', "<?php\n\n\ndo_action( 'shift_me' );");
+  assert.equal(after.id, before.id);
+  assert.equal(after.action, 'shifted');
+  assert.equal(db.markHooksRemoved(source.id, 'includes/shift.php', [after.id]), 0);
+  assert.equal(db.getHookContext('shift_me').line_number, 4);
+});
+
+test('reconcileHookMoves turns a removal plus an insertion elsewhere into a move', () => {
+  const [original] = indexFixture(source.id, 'includes/old-home.php', "<?php\ndo_action( 'wanderer' );");
+  const runId = db.startIndexRun(source.id, 'abc123');
+  db.markHooksRemoved(source.id, 'includes/old-home.php', [], runId);
+  indexFixture(source.id, 'includes/new-home.php', "<?php\n\ndo_action( 'wanderer' );", runId);
+
+  assert.equal(db.reconcileHookMoves(runId), 1);
+  const hook = db.getHookContext('wanderer');
+  assert.equal(hook.id, original.id);
+  assert.equal(hook.file_path, 'includes/new-home.php');
+  assert.equal(hook.moved_from, 'includes/old-home.php');
+  assert.equal(hook.status, 'active');
+  assert.equal(db.reconcileHookMoves(runId), 0);
+
+  assert.deepEqual(db.finishIndexRun(runId, 2), { added: 0, removed: 0, modified: 0, moved: 1 });
+  const [change] = db.getHookChanges({ source: 'fixture', name: 'wanderer' });
+  assert.equal(change.change_type, 'moved');
+  assert.equal(change.previous_file_path, 'includes/old-home.php');
+  assert.equal(change.commit_sha, 'abc123');
+});
+
+// --- validateHook ---
+
+console.log('\n--- validateHook ---');
+
+test('exact hook name is VALID', () => {
+  const result = db.validateHook('woocommerce_before_order_notes');
+  assert.equal(result.status, 'VALID');
+  assert.equal(result.hooks[0].source_name, 'fixture');
+});
+
+test('hook only fired via *_deprecated() is DEPRECATED with replacement', () => {
+  const result = db.validateHook('old_checkout_fields');
+  assert.equal(result.status, 'DEPRECATED');
+  assert.equal(result.replacement, 'woocommerce_checkout_fields');
+  assert.equal(result.version, '3.0.0');
+});
+
+test('concrete name matching a dynamic hook is VALID_DYNAMIC', () => {
+  const result = db.validateHook('woocommerce_thankyou_bacs');
+  assert.equal(result.status, 'VALID_DYNAMIC');
+  assert.equal(result.matches[0].pattern, 'woocommerce_thankyou_{dynamic}');
+  assert.deepEqual(result.matches[0].variables, ['bacs']);
+});
+
+test('interpolated and mid-name dynamic parts are matched', () => {
+  const savePost = db.validateHook('save_post_product');
+  assert.equal(savePost.status, 'VALID_DYNAMIC');
+  assert.equal(savePost.matches[0].pattern, 'save_post_{dynamic}');
+
+  const columns = db.validateHook('manage_edit-shop_order_posts_columns');
+  assert.equal(columns.status, 'VALID_DYNAMIC');
+  assert.deepEqual(columns.matches[0].variables, ['edit-shop_order']);
+});
+
+test('generic patterns like woocommerce_{dynamic} and {dynamic} do not validate names', () => {
+  const result = db.validateHook('woocommerce_totally_fake_hook_xyz');
+  assert.equal(result.status, 'NOT_FOUND');
+});
+
+test('dynamic patterns require a non-empty variable part', () => {
+  assert.equal(db.validateHook('woocommerce_thankyou_').status, 'NOT_FOUND');
+});
+
+// --- validateSymbol ---
+
+console.log('\n--- validateSymbol ---');
+
+indexFixture(source.id, 'includes/class-wc-order.php', `<?php
+abstract class WC_Data {
+  public function get_id() {}
+  public function get_meta( $key = '', $single = true, $context = 'view' ) {}
+}
+class WC_Order extends WC_Data {
+  public function get_item( $item_id, $load_from_db = true ) {}
+  public function get_items( $types = 'line_item' ) {}
+}
+function wc_get_order( $the_order = false ) {}
+/**
+ * @deprecated 3.0.0 Use wc_get_order_item_meta() instead.
+ */
+function woocommerce_get_order_item_meta( $item_id, $key, $single = true ) {}
+function wc_get_order_item_meta( $item_id, $key, $single = true ) {}
+`);
+
+test('functions are VALID, case-insensitively and with trailing ()', () => {
+  assert.equal(db.validateSymbol('wc_get_order').status, 'VALID');
+  assert.equal(db.validateSymbol('WC_Get_Order()').status, 'VALID');
+  assert.equal(db.validateSymbol('WC_Order').symbols[0].kind, 'class');
+});
+
+test('methods are found on the class and its parents', () => {
+  const own = db.validateSymbol('WC_Order::get_item');
+  assert.equal(own.status, 'VALID');
+  assert.equal(own.declaredIn, 'WC_Order');
+  const inherited = db.validateSymbol('WC_Order::get_meta');
+  assert.equal(inherited.status, 'VALID');
+  assert.equal(inherited.declaredIn, 'WC_Data');
+});
+
+test('unknown methods are NOT_FOUND with suggestions from the class hierarchy', () => {
+  const result = db.validateSymbol('WC_Order::get_item_meta');
+  assert.equal(result.status, 'NOT_FOUND');
+  assert.ok(result.similar.some(s => s.name === 'get_item'));
+  assert.ok(result.similar.every(s => s.kind === 'method'));
+});
+
+test('argument counts outside the declared range are reported', () => {
+  assert.equal(db.validateSymbol('wc_get_order_item_meta', { argCount: 1 }).status, 'ARG_COUNT_MISMATCH');
+  assert.equal(db.validateSymbol('wc_get_order_item_meta', { argCount: 4 }).status, 'ARG_COUNT_MISMATCH');
+  assert.equal(db.validateSymbol('wc_get_order_item_meta', { argCount: 2 }).status, 'VALID');
+});
+
+test('@deprecated functions are DEPRECATED and unknown functions get suggestions', () => {
+  assert.equal(db.validateSymbol('woocommerce_get_order_item_meta').status, 'DEPRECATED');
+  const missing = db.validateSymbol('wc_get_order_meta');
+  assert.equal(missing.status, 'NOT_FOUND');
+  assert.ok(missing.similar.length > 0);
+});
+
+test('methods of a removed class are REMOVED, not NOT_FOUND', () => {
+  indexFixture(source.id, 'includes/class-wc-legacy-cart.php', `<?php
+class WC_Legacy_Cart extends WC_Data {
+  public function get_fees() {}
+}
+`);
+  assert.equal(db.validateSymbol('WC_Legacy_Cart::get_fees').status, 'VALID');
+
+  db.markSymbolsRemoved(source.id, 'includes/class-wc-legacy-cart.php', []);
+  const result = db.validateSymbol('WC_Legacy_Cart::get_fees');
+  assert.equal(result.status, 'REMOVED');
+  assert.equal(result.symbols[0].class_name, 'WC_Legacy_Cart');
+  assert.equal(db.validateSymbol('WC_Legacy_Cart::get_discounts').status, 'NOT_FOUND');
+});
+
+test('searchSymbols ranks the exact name first', () => {
+  const results = db.searchSymbols('wc_get_order');
+  assert.equal(results[0].qualified_name, 'wc_get_order');
+});
+
+// --- REST routes ---
+
+console.log('\n--- REST routes ---');
+
+indexFixture(source.id, 'includes/rest.php', `<?php
+register_rest_route( 'wc/v3', '/orders/(?P<id>[\\d]+)', array(
+  array( 'methods' => WP_REST_Server::READABLE, 'callback' => 'get_order' ),
+  array( 'methods' => WP_REST_Server::DELETABLE, 'callback' => 'delete_order' ),
+) );
+register_rest_route( 'wc/v3', '/orders', array( 'methods' => 'GET', 'callback' => 'get_orders' ) );
+`);
+
+test('matchRestRoutes matches concrete paths and captures named groups', () => {
+  const matches = db.matchRestRoutes('/wp-json/wc/v3/orders/42');
+  assert.deepEqual(matches.map(r => r.methods), ['GET', 'DELETE']);
+  assert.deepEqual(matches[0].params, { id: '42' });
+});
+
+test('matchRestRoutes filters by method and rejects paths that match no pattern', () => {
+  assert.deepEqual(db.matchRestRoutes('wc/v3/orders/42', { method: 'delete' }).map(r => r.callback), ["'delete_order'"]);
+  assert.equal(db.matchRestRoutes('/wc/v3/orders/abc').length, 0);
+  assert.equal(db.matchRestRoutes('/wc/v3/orders').length, 1);
+});
+
+test('searchRestRoutes finds routes by keyword', () => {
+  const results = db.searchRestRoutes('wc/v3 orders');
+  assert.equal(results.length, 3);
+});
+
+// --- Block metadata ---
+
+console.log('\n--- Block metadata ---');
+
+db.upsertBlockRegistration(parseBlockJson('{ "name": "acme/card", "title": "Card", "apiVersion": 3 }', 'blocks/card/block.json', source.id));
+parseJsFile("registerBlockType( 'acme/card', { edit } );\nregisterBlockType( 'acme/other', { edit } );", 'blocks/card/index.js', source.id)
+  .blocks.forEach(b => db.upsertBlockRegistration(b));
+
+test('linkBlockMetadata links registerBlockType calls to the block.json of the same name', () => {
+  assert.equal(db.linkBlockMetadata(source.id), 1);
+  const { blocks } = db.searchBlockApis('acme');
+  const call = blocks.find(b => b.block_name === 'acme/card' && b.registration_kind === 'registerBlockType');
+  assert.equal(call.metadata_file, 'blocks/card/block.json');
+  assert.deepEqual(call.linked.map(l => l.registration_kind), ['block.json']);
+  assert.equal(blocks.find(b => b.block_name === 'acme/other').metadata_file, null);
+});
+
+test('searchBlockApis filters by registration kind', () => {
+  parsePhpFile("<?php\nregister_block_pattern( 'acme/hero', array( 'title' => 'Hero' ) );", 'inc/patterns.php', source.id)
+    .blocks.forEach(b => db.upsertBlockRegistration(b));
+  const { blocks, apis } = db.searchBlockApis('acme', { kind: 'register_block_pattern' });
+  assert.deepEqual(blocks.map(b => b.block_name), ['acme/hero']);
+  assert.deepEqual(apis, []);
+  assert.deepEqual(blocks[0].linked, []);
+});
+
+// --- Hook listeners ---
+
+console.log('\n--- Hook listeners ---');
+
+const listenerDir = join(tmpHome, 'listeners');
+mkdirSync(listenerDir);
+writeFileSync(join(listenerDir, 'setup.php'), "<?php\nadd_action( 'listener_init', 'first_cb' ); add_action( 'listener_init', 'second_cb', 20 );\n");
+db.addSource({ name: 'listeners', type: 'local-folder', local_path: listenerDir });
+
+await test('listeners of one hook on the same line are kept apart and survive line shifts', async () => {
+  await indexSources({ sourceName: 'listeners' });
+  const before = db.getHookListeners('listener_init', { source: 'listeners' });
+  assert.deepEqual(before.map(l => [l.callback, l.priority, l.line_number]), [["'first_cb'", '10', 2], ["'second_cb'", '20', 2]]);
+
+  writeFileSync(join(listenerDir, 'setup.php'), "<?php\n// Bootstrap\nadd_action( 'listener_init', 'first_cb' ); add_action( 'listener_init', 'second_cb', 20 );\n");
+  const stats = await indexSources({ sourceName: 'listeners' });
+  assert.equal(stats.listeners_removed, 0);
+  const after = db.getHookListeners('listener_init', { source: 'listeners', includeRemoved: true });
+  assert.deepEqual(after.map(l => [l.id, l.line_number, l.status]), before.map(l => [l.id, 3, 'active']));
+});
+
+// --- Deleted files ---
+
+console.log('\n--- Deleted files ---');
+
+const pluginDir = join(tmpHome, 'plugin');
+mkdirSync(join(pluginDir, 'js'), { recursive: true });
+writeFileSync(join(pluginDir, 'keep.php'), "<?php\ndo_action( 'kept_hook' );\n");
+writeFileSync(join(pluginDir, 'gone.php'), "<?php\ndo_action( 'gone_hook' );\nadd_action( 'init', 'gone_init' );\nfunction gone_fn() {}\n");
+writeFileSync(join(pluginDir, 'js', 'gone.js'), "registerBlockType( 'acme/gone', { edit } );\nwp.data.select( 'core' );\n");
+db.addSource({ name: 'deletions', type: 'local-folder', local_path: pluginDir });
+const deletions = db.getSource('deletions');
+
+await test('hooks, listeners, symbols, blocks and APIs of deleted files are removed', async () => {
+  await indexSources({ sourceName: 'deletions' });
+  rmSync(join(pluginDir, 'gone.php'));
+  rmSync(join(pluginDir, 'js', 'gone.js'));
+  const stats = await indexSources({ sourceName: 'deletions' });
+
+  assert.equal(stats.files_deleted, 2);
+  assert.equal(stats.hooks_removed, 1);
+  assert.equal(stats.listeners_removed, 1);
+  assert.equal(stats.symbols_removed, 1);
+  assert.equal(stats.blocks_removed, 1);
+  assert.equal(stats.apis_removed, 1);
+  assert.equal(db.validateHook('gone_hook').status, 'REMOVED');
+  assert.equal(db.validateHook('kept_hook').status, 'VALID');
+  assert.equal(db.searchBlockApis('acme/gone').blocks.length, 0);
+  assert.equal(db.searchBlockApis('acme/gone', { includeRemoved: true }).blocks.length, 1);
+  assert.deepEqual(db.listIndexedFiles(deletions.id), ['keep.php']);
+});
+
+// --- Parallel indexing ---
+
+console.log('\n--- Parallel indexing ---');
+
+const parallelDir = join(tmpHome, 'parallel');
+mkdirSync(join(parallelDir, 'blocks', 'broken'), { recursive: true });
+for (let i = 0; i < 6; i++) {
+  writeFileSync(join(parallelDir, `file-${i}.php`), `<?php\nfunction parallel_${i}() {\n  do_action( 'parallel_hook_${i}', $x );\n}\nadd_action( 'init', 'parallel_${i}' );\n`);
+  writeFileSync(join(parallelDir, `file-${i}.js`), `addFilter( 'parallel.js.${i}', 'ns', fn );\nwp.data.select( 'core' );\n`);
+}
+writeFileSync(join(parallelDir, 'blocks', 'broken', 'block.json'), '{ "name": ');
+db.addSource({ name: 'parallel', type: 'local-folder', local_path: parallelDir });
+
+await test('worker threads index files like the main thread does and report throughput', async () => {
+  const stats = await indexSources({ sourceName: 'parallel', workers: 2 });
+  assert.equal(stats.files_processed, 12);
+  assert.equal(stats.hooks_inserted, 12);
+  assert.equal(stats.listeners_indexed, 6);
+  assert.equal(stats.symbols_indexed, 6);
+  assert.equal(stats.apis_indexed, 6);
+  assert.ok(stats.index_seconds > 0);
+  assert.ok(stats.files_per_second > 0);
+  // A file that fails to parse is reported and the others are still written
+  assert.equal(stats.errors.length, 1);
+  assert.match(stats.errors[0], /block\.json: Invalid block\.json/);
+  assert.equal(db.validateHook('parallel_hook_5').status, 'VALID');
+  assert.equal(db.validateHook('parallel.js.0').status, 'VALID');
+  assert.equal(db.listIndexedFiles(db.getSource('parallel').id).length, 12);
+});
+
+await test('a forced reindex on the main thread leaves the same rows', async () => {
+  const before = db.searchHooks('parallel', { source: 'parallel', limit: 50 }).map(h => [h.id, h.name, h.line_number]);
+  const stats = await indexSources({ sourceName: 'parallel', force: true, workers: 0 });
+  assert.equal(stats.hooks_skipped, 12);
+  assert.equal(stats.hooks_inserted + stats.hooks_updated + stats.hooks_removed, 0);
+  assert.deepEqual(db.searchHooks('parallel', { source: 'parallel', limit: 50 }).map(h => [h.id, h.name, h.line_number]), before);
+});
+
+// --- Hook changes ---
+
+console.log('\n--- Hook changes ---');
+
+await test('index runs log added and removed hooks for the changelog', () => {
+  const changes = db.getHookChanges({ source: 'deletions', since: '1d' });
+  assert.deepEqual(
+    changes.map(c => `${c.change_type} ${c.hook_name}`).sort(),
+    ['added gone_hook', 'added kept_hook', 'removed gone_hook'],
+  );
+  assert.equal(db.getHookChanges({ source: 'deletions', changeType: 'removed' }).length, 1);
+  assert.equal(db.getHookChanges({ source: 'deletions', since: '2999-01-01' }).length, 0);
+  assert.throws(() => db.getHookChanges({ since: 'last tuesday' }), /since/);
+});
+
+// --- Source versions ---
+
+console.log('\n--- Source versions ---');
+
+db.addSource({ name: 'shop', type: 'github-public', repo_url: 'https://github.com/acme/shop', branch: 'trunk' });
+const shop = db.getSource('shop');
+const shopOld = db.addSourceVersion('shop', '8.5.0');
+indexFixture(shop.id, 'includes/shop.php', "<?php\ndo_action( 'shop_checkout_v2' );");
+indexFixture(shopOld.id, 'includes/shop.php', "<?php\ndo_action( 'shop_checkout' );");
+
+await test('tracked versions are source rows named after their parent', () => {
+  assert.equal(shopOld.name, 'shop@8.5.0');
+  assert.equal(shopOld.parent_id, shop.id);
+  assert.equal(shopOld.repo_url, shop.repo_url);
+  assert.deepEqual(db.listSourceVersions(shop.id).map(v => v.version), ['8.5.0']);
+  assert.throws(() => db.addSourceVersion('shop', '8.5.0'), /already exists/);
+  assert.throws(() => db.addSourceVersion('shop@8.5.0', '9.0.0'), /itself a version/);
+  assert.throws(() => db.addSourceVersion('fixture', '1.0'), /local-folder source/);
+});
+
+await test('searches and validation default to the default checkout and take a version', () => {
+  assert.equal(db.validateHook('shop_checkout').status, 'NOT_FOUND');
+  assert.equal(db.validateHook('shop_checkout', { version: '8.5.0' }).status, 'VALID');
+  assert.equal(db.validateHook('shop_checkout_v2', { version: '8.5.0' }).status, 'NOT_FOUND');
+  assert.equal(db.validateHook('shop_checkout_v2', { version: 'trunk' }).status, 'VALID');
+  assert.deepEqual(db.searchHooks('shop_checkout').map(h => h.source_name), ['shop']);
+  assert.deepEqual(db.searchHooks('shop_checkout', { source: 'shop', version: '8.5.0' }).map(h => h.name), ['shop_checkout']);
+  assert.deepEqual(db.searchHooks('shop_checkout', { source: 'shop@8.5.0' }).map(h => h.name), ['shop_checkout']);
+  assert.throws(() => db.validateHook('shop_checkout', { version: '7.0.0' }), /No source tracks version/);
+});
+
+await test('removing a source removes its versions', () => {
+  db.removeSource('shop');
+  assert.equal(db.getSource('shop@8.5.0'), undefined);
+  assert.equal(db.searchHooks('shop_checkout', { includeRemoved: true }).length, 0);
+});
+
+// --- Hook history ---
+
+console.log('\n--- Hook history ---');
+
+const historyRepo = join(tmpHome, 'history-repo');
+mkdirSync(historyRepo);
+const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: historyRepo, stdio: 'ignore' });
+git('init', '-q');
+for (const [tag, hooks] of [['1.9.0', ['legacy_hook', 'stable_hook']], ['1.10.0', ['stable_hook', 'fresh_hook']], ['2.0.0-rc.1', ['fresh_hook', 'stable_hook']]]) {
+  writeFileSync(join(historyRepo, 'plugin.php'), `<?php\n${hooks.map(h => `do_action( '${h}' );`).join('\n')}\n`);
+  git('add', '-A');
+  git('commit', '-q', '-m', tag);
+  git('tag', tag);
+}
+db.addSource({ name: 'history', type: 'local-folder', local_path: historyRepo });
+await indexSources({ sourceName: 'history' });
+
+await test('the history pass dates hooks by the release tags they appear in', async () => {
+  const result = await indexHookHistory('history');
+  assert.deepEqual([result.tags, result.first_tag, result.last_tag], [2, '1.9.0', '1.10.0']);
+
+  const stable = db.getHookContext('stable_hook');
+  assert.equal(stable.introduced_in, '1.9.0');
+  assert.equal(stable.last_seen_in, '1.10.0');
+  assert.equal(stable.removed_in, null);
+  assert.equal(db.getHookContext('fresh_hook').introduced_in, '1.10.0');
+  assert.equal(db.validateHook('legacy_hook').status, 'NOT_FOUND');
+});
+
+await test('setHookHistory replaces earlier history', () => {
+  const history = db.getSource('history');
+  db.setHookHistory(history.id, new Map([['action:fresh_hook', { introduced_in: '1.10.0', last_seen_in: '1.10.0', removed_in: '2.0.0' }]]));
+  assert.equal(db.getHookContext('fresh_hook').removed_in, '2.0.0');
+  assert.equal(db.getHookContext('stable_hook').introduced_in, null);
+});
+
+// --- Archive sources ---
+
+console.log('\n--- Archive sources ---');
+
+const archiveSrc = join(tmpHome, 'archive-src');
+const writePluginArchive = (hooks) => {
+  rmSync(archiveSrc, { recursive: true, force: true });
+  mkdirSync(join(archiveSrc, 'vendor-plugin', 'includes'), { recursive: true });
+  writeFileSync(join(archiveSrc, 'vendor-plugin', 'includes', 'hooks.php'), `<?php\n${hooks.map(h => `do_action( '${h}' );`).join('\n')}\n`);
+  execFileSync('tar', ['czf', join(tmpHome, 'vendor-plugin.tar.gz'), '-C', archiveSrc, 'vendor-plugin']);
+};
+writePluginArchive(['vendor_boot']);
+db.addSource({ name: 'vendor', type: 'archive', local_path: join(tmpHome, 'vendor-plugin.tar.gz'), subfolder: 'includes' });
+
+await test('archive sources are extracted without their top-level folder and re-extracted when replaced', async () => {
+  await indexSources({ sourceName: 'vendor' });
+  const boot = db.getHookContext('vendor_boot');
+  assert.equal(boot.file_path, 'hooks.php');
+
+  writePluginArchive(['vendor_boot', 'vendor_ready']);
+  const stats = await indexSources({ sourceName: 'vendor' });
+  assert.equal(stats.hooks_inserted, 1);
+  assert.equal(db.getHookContext('vendor_boot').id, boot.id);
+  assert.equal(db.validateHook('vendor_ready').status, 'VALID');
+});
+
+await test('a replacement archive that fails to extract leaves no extraction to reuse', async () => {
+  const archivePath = join(tmpHome, 'vendor-plugin.tar.gz');
+  const original = readFileSync(archivePath);
+  writeFileSync(join(tmpHome, 'escape.php'), '<?php\n');
+  execFileSync('tar', ['czPf', archivePath, '-C', archiveSrc, '../escape.php', 'vendor-plugin']);
+  const failed = await indexSources({ sourceName: 'vendor' });
+  assert.match(failed.errors[0], /escapes the extraction folder/);
+
+  writeFileSync(archivePath, original);
+  const stats = await indexSources({ sourceName: 'vendor' });
+  assert.deepEqual(stats.errors, []);
+  assert.equal(db.validateHook('vendor_ready').status, 'VALID');
+  assert.equal(db.getHookContext('vendor_boot').file_path, 'hooks.php');
+});
+
+// --- Git sources ---
+
+console.log('\n--- Git sources ---');
+
+const bareRepo = join(tmpHome, 'remote', 'plugin.git');
+execFileSync('git', ['clone', '-q', '--bare', historyRepo, bareRepo], { stdio: 'ignore' });
+const tagCommit = tag => execFileSync('git', ['rev-parse', `${tag}^{commit}`], { cwd: bareRepo }).toString().trim();
+const gitHookNames = name => db.listActiveHooks(db.getSource(name).id).map(h => h.name).sort();
+
+await test('git sources fetch a tag from a file:// remote and a commit SHA from a local bare repo', async () => {
+  db.addSource({ name: 'git-tag', type: 'git', repo_url: `file://${bareRepo}`, branch: '1.9.0' });
+  db.addSource({ name: 'git-sha', type: 'git', repo_url: bareRepo, branch: tagCommit('1.10.0').slice(0, 10) });
+
+  const stats = await indexSources({ sourceName: 'git-tag' });
+  assert.deepEqual(stats.errors, []);
+  assert.deepEqual(gitHookNames('git-tag'), ['legacy_hook', 'stable_hook']);
+
+  await indexSources({ sourceName: 'git-sha' });
+  assert.deepEqual(gitHookNames('git-sha'), ['fresh_hook', 'stable_hook']);
+});
+
+await test('a git source pinned to a commit is re-indexed from its checkout without the remote', async () => {
+  rmSync(bareRepo, { recursive: true, force: true });
+  const stats = await indexSources({ sourceName: 'git-sha', force: true });
+  assert.deepEqual(stats.errors, []);
+  assert.deepEqual(gitHookNames('git-sha'), ['fresh_hook', 'stable_hook']);
+});
+
+await test('git sources keep their SSH key and credential helper, also on tracked versions', () => {
+  db.addSource({
+    name: 'git-ssh', type: 'git', repo_url: 'git@git.example.com:acme/plugin.git',
+    ssh_key_path: '/keys/deploy', credential_helper: 'store',
+  });
+  const version = db.addSourceVersion('git-ssh', 'v2.0.0');
+  assert.equal(version.ssh_key_path, '/keys/deploy');
+  assert.equal(version.credential_helper, 'store');
+  assert.match(cloneDirFor(version), /acme--plugin-[0-9a-f]{8}@v2\.0\.0$/);
+});
+
+await test('GitHub checkouts from before per-ref directories are moved instead of cloned again', () => {
+  const legacy = { type: 'github-public', repo_url: 'https://github.com/acme/legacy-plugin.git', branch: 'trunk' };
+  const legacyDir = join(tmpHome, '.wp-devdocs-mcp', 'cache', 'acme--legacy-plugin');
+  mkdirSync(join(legacyDir, '.git'), { recursive: true });
+  writeFileSync(join(legacyDir, 'plugin.php'), '<?php\n');
+
+  assert.equal(adoptLegacyCloneDir(legacy), true);
+  assert.ok(existsSync(join(cloneDirFor(legacy), 'plugin.php')));
+  assert.ok(!existsSync(legacyDir));
+  // Other refs of the repo clone on their own
+  assert.equal(adoptLegacyCloneDir({ ...legacy, branch: '1.0.0' }), false);
+});
+
+// --- Git diff updates ---
+
+console.log('\n--- Git diff updates ---');
+
+const diffRepo = join(tmpHome, 'diff-repo');
+mkdirSync(join(diffRepo, 'old'), { recursive: true });
+const diffGit = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: diffRepo }).toString().trim();
+const commitDiffRepo = (message) => {
+  diffGit('add', '-A');
+  diffGit('commit', '-q', '-m', message);
+  return diffGit('rev-parse', 'HEAD');
+};
+diffGit('init', '-q', '-b', 'main');
+writeFileSync(join(diffRepo, 'keep.php'), "<?php\ndo_action( 'diff_untouched' );\n");
+writeFileSync(join(diffRepo, 'edit.php'), "<?php\ndo_action( 'diff_edit_first' );\n");
+writeFileSync(join(diffRepo, 'gone.php'), "<?php\ndo_action( 'diff_gone' );\n");
+writeFileSync(join(diffRepo, 'old', 'moved.php'), "<?php\ndo_action( 'diff_moved' );\n");
+const firstDiffCommit = commitDiffRepo('initial');
+db.addSource({ name: 'diffed', type: 'git', repo_url: diffRepo, branch: 'main' });
+await indexSources({ sourceName: 'diffed' });
+
+await test('git sources record the commit they were indexed at', () => {
+  assert.equal(db.getSource('diffed').indexed_commit, firstDiffCommit);
+});
+
+await test('git source updates only process the files changed since the indexed commit', async () => {
+  const moved = db.getHookContext('diff_moved');
+  writeFileSync(join(diffRepo, 'edit.php'), "<?php\ndo_action( 'diff_edit_first' );\ndo_action( 'diff_edit_second' );\n");
+  writeFileSync(join(diffRepo, 'fresh.php'), "<?php\ndo_action( 'diff_fresh' );\n");
+  rmSync(join(diffRepo, 'gone.php'));
+  diffGit('mv', 'old', 'new');
+  const head = commitDiffRepo('second');
+
+  const stats = await indexSources({ sourceName: 'diffed' });
+  assert.deepEqual(stats.errors, []);
+  // edit.php and fresh.php are parsed, the renamed file is only re-hashed, keep.php is never read
+  assert.equal(stats.files_processed, 2);
+  assert.equal(stats.files_skipped, 1);
+  assert.equal(stats.files_deleted, 1);
+  assert.equal(stats.hooks_moved, 1);
+  assert.equal(db.validateHook('diff_edit_second').status, 'VALID');
+  assert.equal(db.validateHook('diff_fresh').status, 'VALID');
+  assert.equal(db.validateHook('diff_gone').status, 'REMOVED');
+  assert.equal(db.getSource('diffed').indexed_commit, head);
+
+  const renamed = db.getHookContext('diff_moved');
+  assert.deepEqual([renamed.id, renamed.file_path, renamed.moved_from], [moved.id, 'new/moved.php', 'old/moved.php']);
+  assert.equal(renamed.first_seen_at, moved.first_seen_at);
+  const [change] = db.getHookChanges({ source: 'diffed', changeType: 'moved' });
+  assert.deepEqual([change.hook_name, change.previous_file_path, change.commit_sha], ['diff_moved', 'old/moved.php', head]);
+});
+
+await test('git source updates scan every file when the indexed commit is not in the clone', async () => {
+  const diffed = db.getSource('diffed');
+  db.updateSourceIndexedCommit(diffed.id, '0'.repeat(40));
+  writeFileSync(join(diffRepo, 'later.php'), "<?php\ndo_action( 'diff_later' );\n");
+  const head = commitDiffRepo('third');
+
+  const stats = await indexSources({ sourceName: 'diffed' });
+  assert.deepEqual(stats.errors, []);
+  assert.equal(stats.files_processed, 1);
+  assert.equal(stats.files_skipped, 4);
+  assert.equal(db.validateHook('diff_later').status, 'VALID');
+  assert.equal(db.getSource('diffed').indexed_commit, head);
+});
+
+// --- WordPress discovery ---
+
+console.log('\n--- WordPress discovery ---');
+
+const wpRoot = join(tmpHome, 'client-site');
+const writeWpFile = (path, content) => {
+  mkdirSync(join(wpRoot, 'wp-content', path, '..'), { recursive: true });
+  writeFileSync(join(wpRoot, 'wp-content', path), content);
+};
+writeWpFile('plugins/shop/shop.php', "<?php\n/**\n * Plugin Name: Shop\n * Version: 1.2.0\n * Text Domain: shop\n * Requires at least: 6.2\n */\ndo_action( 'shop_init' );\n");
+writeWpFile('plugins/hello.php', '<?php\n/* Plugin Name: Hello Dolly */\n');
+writeWpFile('mu-plugins/tweaks.php', "<?php\n/* Plugin Name: Site Tweaks */\ndo_action( 'tweaks_loaded' );\n");
+writeWpFile('themes/canvas/style.css', '/*\nTheme Name: Canvas\nVersion: 3.0\n*/\n');
+
+await test('discovery registers plugins, mu-plugins and themes with their header metadata', () => {
+  const plan = planDiscovery(wpRoot, { prefix: 'client' });
+  assert.deepEqual(plan.add.map(s => s.name), ['client-shop', 'client-mu-plugins', 'client-theme-canvas']);
+  assert.deepEqual(plan.skipped.map(s => s.reason), ['single-file plugin']);
+  applyDiscovery(plan);
+
+  const shop = db.getSource('client-shop');
+  assert.equal(shop.type, 'local-folder');
+  assert.deepEqual([shop.package_type, shop.package_name, shop.package_version, shop.text_domain, shop.requires_wp], ['plugin', 'Shop', '1.2.0', 'shop', '6.2']);
+  assert.equal(db.getSource('client-theme-canvas').package_version, '3.0');
+});
+
+await test('rediscovery updates changed headers and removes uninstalled packages only when pruning', () => {
+  writeWpFile('plugins/shop/shop.php', "<?php\n/**\n * Plugin Name: Shop\n * Version: 1.3.0\n */\n");
+  rmSync(join(wpRoot, 'wp-content', 'themes', 'canvas'), { recursive: true });
+
+  const plan = planDiscovery(wpRoot, { prefix: 'client' });
+  assert.deepEqual(plan.update.map(u => [u.source.name, u.package_version]), [['client-shop', '1.3.0']]);
+  assert.deepEqual(plan.remove.map(s => s.name), ['client-theme-canvas']);
+
+  assert.deepEqual(applyDiscovery(plan), { added: 0, updated: 1, removed: 0 });
+  assert.ok(db.getSource('client-theme-canvas'));
+  assert.equal(applyDiscovery(planDiscovery(wpRoot), { prune: true }).removed, 1);
+  assert.equal(db.getSource('client-theme-canvas'), undefined);
+  assert.equal(db.getSource('client-shop').package_version, '1.3.0');
+});
+
+await test('symlinked plugin and theme folders are discovered, dangling links are reported', () => {
+  const devRoot = join(tmpHome, 'dev-site');
+  const devPlugin = join(tmpHome, 'dev', 'myplug');
+  mkdirSync(join(devRoot, 'wp-content', 'plugins'), { recursive: true });
+  mkdirSync(join(devRoot, 'wp-content', 'themes'), { recursive: true });
+  mkdirSync(join(tmpHome, 'dev', 'mytheme'), { recursive: true });
+  mkdirSync(devPlugin, { recursive: true });
+  writeFileSync(join(devPlugin, 'myplug.php'), '<?php\n/* Plugin Name: My Plug */\n');
+  writeFileSync(join(tmpHome, 'dev', 'mytheme', 'style.css'), '/*\nTheme Name: My Theme\n*/\n');
+  symlinkSync(devPlugin, join(devRoot, 'wp-content', 'plugins', 'myplug'));
+  symlinkSync(join(tmpHome, 'dev', 'mytheme'), join(devRoot, 'wp-content', 'themes', 'mytheme'));
+  symlinkSync(join(tmpHome, 'dev', 'missing'), join(devRoot, 'wp-content', 'plugins', 'gone'));
+
+  const { packages, skipped } = scanWordPressInstall(devRoot);
+  assert.deepEqual(packages.map(p => [p.package_type, p.slug, p.package_name]), [['plugin', 'myplug', 'My Plug'], ['theme', 'mytheme', 'My Theme']]);
+  assert.equal(packages[0].path, join(devRoot, 'wp-content', 'plugins', 'myplug'));
+  assert.deepEqual(skipped.map(s => s.reason), ['symlink target not found']);
+});
+
+// --- Hook diff ---
+
+console.log('\n--- Hook diff ---');
+
+db.addSource({ name: 'store', type: 'github-public', repo_url: 'https://github.com/acme/store', branch: 'trunk' });
+const store = db.getSource('store');
+const storeOld = db.addSourceVersion('store', '1.0.0');
+indexFixture(storeOld.id, 'checkout.php', `<?php
+function checkout() {
+  do_action( 'store_before', $cart );
+  /**
+   * Fires after totals.
+   * @since 1.0.0
+   */
+  do_action( 'store_totals', $cart );
+  $price = apply_filters( 'store_price', $price );
+  do_action( 'store_legacy' );
+}`);
+indexFixture(store.id, 'checkout.php', `<?php
+function checkout() {
+  do_action( 'store_before_checkout', $cart );
+  /**
+   * Fires after totals are calculated.
+   * @since 1.1.0
+   */
+  do_action( 'store_totals', $cart );
+  $price = apply_filters( 'store_price', $price, $product );
+}
+function thanks() {
+  do_action( 'store_thanks' );
+}`);
+db.upsertIndexedFile(storeOld.id, 'checkout.php', 0, 'old');
+db.upsertIndexedFile(store.id, 'checkout.php', 0, 'new');
+
+await test('compareSourceHooks reports added, removed, renamed, parameter and docblock changes', () => {
+  const diff = compareSourceHooks('store', { from: '1.0.0' });
+  assert.equal(diff.from, 'store@1.0.0');
+  assert.equal(diff.to, 'store');
+  assert.deepEqual(diff.added.map(h => h.name), ['store_thanks']);
+  assert.deepEqual(diff.removed.map(h => h.name), ['store_legacy']);
+  assert.deepEqual(diff.renamed.map(r => [r.from.name, r.to.name]), [['store_before', 'store_before_checkout']]);
+  assert.deepEqual(diff.param_changes.map(c => [c.name, c.from.param_count, c.to.param_count]), [['store_price', 1, 2]]);
+  assert.deepEqual(diff.docblock_changes.map(c => [c.name, c.from.since_version, c.to.since_version]), [['store_totals', '1.0.0', '1.1.0']]);
+});
+
+await test('compareSourceHooks resolves refs and rejects unknown ones', () => {
+  const same = compareSourceHooks('store', { from: 'trunk', to: 'store' });
+  assert.equal(same.added.length + same.removed.length + same.param_changes.length, 0);
+  assert.throws(() => compareSourceHooks('store', { from: '0.9.0' }), /no version "0.9.0"/);
+  assert.throws(() => compareSourceHooks('store', {}), /"from" ref is required/);
+});
+
+// --- Source manifests ---
+
+console.log('\n--- Source manifests ---');
+
+await test('an exported manifest re-imports without changes and never carries a token', () => {
+  process.env.STORE_TOKEN = 'secret-token';
+  db.addSource({ name: 'private-store', type: 'github-private', repo_url: 'https://github.com/acme/private-store', token_env_var: 'STORE_TOKEN' });
+  const manifest = exportSourceManifest();
+  assert.ok(!JSON.stringify(manifest).includes('secret-token'));
+  assert.deepEqual(manifest.sources.find(s => s.name === 'store').versions, ['1.0.0']);
+  assert.equal(manifest.sources.find(s => s.name === 'private-store').token_env_var, 'STORE_TOKEN');
+
+  const plan = planSourceImport(parseSourceManifest(JSON.parse(JSON.stringify(manifest))));
+  assert.equal(plan.add.length + plan.update.length + plan.remove.length, 0);
+});
+
+await test('merge adds and updates listed sources; overwrite also removes unlisted ones', () => {
+  const manifest = parseSourceManifest({
+    version: 1,
+    sources: [
+      { name: 'private-store', type: 'github-private', repo_url: 'https://github.com/acme/private-store', token_env_var: 'STORE_TOKEN', branch: 'develop', versions: ['2.0.0'] },
+      { name: 'team-plugin', type: 'local-folder', local_path: 'plugins/team', enabled: false },
+    ],
+  }, join(tmpHome, 'team'));
+
+  const overwrite = planSourceImport(manifest, { mode: 'overwrite' });
+  assert.ok(overwrite.remove.some(s => s.name === 'store'));
+
+  const plan = planSourceImport(manifest);
+  assert.deepEqual(plan.remove, []);
+  assert.deepEqual(plan.update.map(u => [u.entry.name, u.changes, u.addVersions]), [['private-store', ['branch'], ['2.0.0']]]);
+  assert.deepEqual(applySourceImport(plan), ['private-store']);
+  assert.equal(db.getSource('private-store').branch, 'develop');
+  assert.ok(db.getSource('private-store@2.0.0'));
+  assert.equal(db.getSource('team-plugin').local_path, join(tmpHome, 'team', 'plugins', 'team'));
+  assert.equal(db.getSource('team-plugin').enabled, 0);
+});
+
+await test('manifests reject tokens and accept the presets', () => {
+  assert.throws(
+    () => parseSourceManifest({ version: 1, sources: [{ name: 'x', type: 'git', repo_url: 'https://example.com/x.git', token: 'abc' }] }),
+    /Unrecognized key.*token/,
+  );
+  assert.equal(parseSourceManifest(PRESET_MANIFEST).sources.length, PRESET_MANIFEST.sources.length);
+});
+
+// --- Snapshots ---
+
+console.log('\n--- Snapshots ---');
+
+const snapshotFile = join(tmpHome, 'store.snapshot.db');
+
+await test('a snapshot carries a source with its versions and a manifest of refs', () => {
+  const manifest = db.exportSnapshot(snapshotFile, { sources: ['store'] });
+  assert.equal(manifest.schema_version, SCHEMA_VERSION);
+  assert.deepEqual(manifest.sources.map(s => [s.name, s.ref, s.parent]), [['store', 'trunk', null], ['store@1.0.0', '1.0.0', 'store']]);
+  assert.deepEqual(db.readSnapshotManifest(snapshotFile), manifest);
+  assert.throws(() => db.exportSnapshot(snapshotFile, { sources: ['store@1.0.0'] }), /tracked version/);
+});
+
+await test('importing a snapshot restores the source, its versions and full-text search', () => {
+  db.removeSource('store');
+  assert.equal(db.validateHook('store_thanks').status, 'NOT_FOUND');
+
+  const { imported } = db.importSnapshot(snapshotFile);
+  assert.deepEqual(imported.map(s => [s.name, s.replaced]), [['store', false], ['store@1.0.0', false]]);
+  assert.equal(db.getSource('store@1.0.0').parent_id, db.getSource('store').id);
+  assert.equal(db.validateHook('store_thanks').status, 'VALID');
+  assert.equal(db.validateHook('store_legacy', { version: '1.0.0' }).status, 'VALID');
+  assert.deepEqual(db.searchHooks('thanks', { source: 'store' }).map(h => h.name), ['store_thanks']);
+});
+
+await test('re-importing replaces same-named sources and leaves the others alone', () => {
+  const others = db.listSources().filter(s => !s.name.startsWith('store')).map(s => [s.id, s.name]);
+  const { imported } = db.importSnapshot(snapshotFile, { sources: ['store'] });
+  assert.deepEqual(imported.map(s => s.replaced), [true, true]);
+  assert.equal(db.searchHooks('store_thanks').length, 1);
+  assert.deepEqual(db.listSources().filter(s => !s.name.startsWith('store')).map(s => [s.id, s.name]), others);
+  assert.throws(() => db.importSnapshot(snapshotFile, { sources: ['shop'] }), /no source "shop"/);
+});
+
+await test('snapshots leave out local sources and the exporting machine\'s paths and credentials', () => {
+  const all = join(tmpHome, 'all.snapshot.db');
+  const manifest = db.exportSnapshot(all);
+  assert.ok(manifest.skipped.some(s => s.name === 'fixture' && s.type === 'local-folder'));
+  assert.ok(manifest.sources.every(s => !['local-folder', 'archive'].includes(s.type)));
+  assert.throws(() => db.exportSnapshot(all, { sources: ['fixture'] }), /local-folder source/);
+
+  // SSH key paths and credential helpers never leave the machine — git runs "!" helpers as commands
+  db.addSource({
+    name: 'alice-git', type: 'git', repo_url: 'git@git.example.com:acme/alice.git',
+    ssh_key_path: '/home/alice/.ssh/id_work', credential_helper: '!/home/alice/bin/helper',
+  });
+  const aliceFile = join(tmpHome, 'alice.snapshot.db');
+  db.exportSnapshot(aliceFile, { sources: ['alice-git'] });
+  const exported = new Database(aliceFile, { readonly: true });
+  assert.deepEqual(exported.prepare('SELECT local_path, wp_root, ssh_key_path, credential_helper FROM sources').get(),
+    { local_path: null, wp_root: null, ssh_key_path: null, credential_helper: null });
+  exported.close();
+  db.removeSource('alice-git');
+
+  // A snapshot from before local sources were left out, with paths of the machine that wrote it
+  const older = join(tmpHome, 'older.snapshot.db');
+  const olderManifest = db.exportSnapshot(older, { sources: ['store'] });
+  const file = new Database(older);
+  file.exec("UPDATE sources SET local_path = '/ci/checkout', wp_root = '/ci/wp', ssh_key_path = '/home/ci/.ssh/id', credential_helper = '!/tmp/evil'");
+  file.exec("INSERT INTO sources (id, name, type, local_path) VALUES (9999, 'ci-plugin', 'local-folder', '/ci/plugin')");
+  const sources = [...olderManifest.sources, { name: 'ci-plugin', type: 'local-folder', parent: null, hooks: 0 }];
+  file.prepare('UPDATE snapshot_manifest SET manifest = ?').run(JSON.stringify({ ...olderManifest, sources, skipped: undefined }));
+  file.close();
+
+  const { imported, skipped } = db.importSnapshot(older);
+  assert.deepEqual(imported.map(s => s.name), ['store', 'store@1.0.0']);
+  assert.deepEqual(skipped, [{ name: 'ci-plugin', type: 'local-folder' }]);
+  assert.equal(db.getSource('ci-plugin'), undefined);
+  const storeRow = db.getSource('store');
+  assert.deepEqual([storeRow.local_path, storeRow.wp_root, storeRow.ssh_key_path, storeRow.credential_helper], [null, null, null, null]);
+  assert.equal(db.getSource('store@1.0.0').credential_helper, null);
+});
+
+await test('a snapshot from a newer schema is refused', () => {
+  const newer = join(tmpHome, 'newer.snapshot.db');
+  const manifest = db.exportSnapshot(newer, { sources: ['store'] });
+  const file = new Database(newer);
+  file.prepare('UPDATE snapshot_manifest SET manifest = ?').run(JSON.stringify({ ...manifest, schema_version: SCHEMA_VERSION + 1 }));
+  file.close();
+  assert.throws(() => db.importSnapshot(newer), /newer wp-devdocs-mcp/);
+  assert.throws(() => db.readSnapshotManifest(join(tmpHome, 'missing.db')), /Snapshot not found/);
+});
+
+// --- Schema migrations ---
+
+console.log('\n--- Schema migrations ---');
+
+await test('a new database is created at the latest schema version', () => {
+  assert.equal(readSchemaVersion(db.getDb()), SCHEMA_VERSION);
+  const status = db.getMigrationStatus();
+  assert.equal(status.current, SCHEMA_VERSION);
+  assert.ok(status.migrations.every(m => m.applied_at));
+  assert.deepEqual(MIGRATIONS.map(m => m.version), MIGRATIONS.map((m, i) => i + 1));
+});
+
+await test('a database from before schema versioning is upgraded in place', () => {
+  const legacy = new Database(':memory:');
+  legacy.exec(`
+    CREATE TABLE sources (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL, type TEXT NOT NULL,
+      repo_url TEXT, subfolder TEXT, local_path TEXT, token_env_var TEXT, branch TEXT DEFAULT 'main', enabled INTEGER DEFAULT 1);
+    CREATE TABLE hooks (id INTEGER PRIMARY KEY AUTOINCREMENT, source_id INTEGER NOT NULL, file_path TEXT NOT NULL,
+      line_number INTEGER NOT NULL, name TEXT NOT NULL, type TEXT NOT NULL, php_function TEXT, class_name TEXT,
+      status TEXT DEFAULT 'active', UNIQUE(source_id, file_path, line_number, name));
+    CREATE TABLE indexed_files (source_id INTEGER NOT NULL, file_path TEXT NOT NULL, mtime_ms REAL, content_hash TEXT);
+    INSERT INTO sources (name, type) VALUES ('old', 'local-folder');
+    INSERT INTO hooks (source_id, file_path, line_number, name, type) VALUES (1, 'a.php', 3, 'old_hook', 'action');
+    INSERT INTO indexed_files (source_id, file_path) VALUES (1, 'a.php'), (1, 'b.js');
+  `);
+
+  assert.equal(migrate(legacy).length, SCHEMA_VERSION);
+  const sourceColumns = legacy.prepare('PRAGMA table_info(sources)').all().map(c => c.name);
+  assert.ok(['content_type', 'parent_id', 'wp_root'].every(c => sourceColumns.includes(c)));
+  assert.equal(legacy.prepare('SELECT hook_key FROM hooks').get().hook_key, 'action:old_hook@::#0');
+  // PHP files are re-parsed for the symbol and REST route tables
+  assert.deepEqual(legacy.prepare('SELECT file_path FROM indexed_files').all().map(r => r.file_path), ['b.js']);
+  assert.deepEqual(migrate(legacy), []);
+  legacy.close();
+});
+
+await test('listeners are rekeyed so callbacks on one line no longer overwrite each other', () => {
+  const conn = new Database(':memory:');
+  migrate(conn, MIGRATIONS.filter(m => m.version < 16));
+  conn.exec(`
+    INSERT INTO sources (name, type, indexed_commit) VALUES ('old', 'git', 'abc123');
+    INSERT INTO hook_listeners (source_id, file_path, line_number, hook_name, listener_type, callback, status)
+      VALUES (1, 'a.php', 2, 'init', 'add_action', 'boot', 'active'), (1, 'a.php', 9, 'init', 'add_action', 'boot', 'active'),
+        (1, 'a.php', 5, 'init', 'add_action', 'gone', 'removed');
+    INSERT INTO indexed_files (source_id, file_path) VALUES (1, 'a.php');
+  `);
+
+  migrate(conn);
+  assert.deepEqual(conn.prepare('SELECT listener_key FROM hook_listeners ORDER BY id').all().map(r => r.listener_key),
+    ['add_action:init>boot@::#0', 'add_action:init>boot@::#1', 'removed:3']);
+  // PHP files are re-parsed to recover the listeners that were overwritten
+  assert.equal(conn.prepare('SELECT COUNT(*) AS count FROM indexed_files').get().count, 0);
+  assert.equal(conn.prepare('SELECT indexed_commit FROM sources').get().indexed_commit, null);
+  conn.close();
+});
+
+await test('a failing migration is rolled back and named', () => {
+  const conn = new Database(':memory:');
+  migrate(conn);
+  const broken = {
+    version: SCHEMA_VERSION + 1,
+    description: 'Broken step',
+    up(d) {
+      d.exec('ALTER TABLE sources ADD COLUMN half_done TEXT');
+      d.exec('SELECT * FROM no_such_table');
+    },
+  };
+  assert.throws(() => migrate(conn, [...MIGRATIONS, broken]), new RegExp(`Migration ${SCHEMA_VERSION + 1} \\(Broken step\\) failed`));
+  assert.equal(readSchemaVersion(conn), SCHEMA_VERSION);
+  assert.ok(!conn.prepare('PRAGMA table_info(sources)').all().some(c => c.name === 'half_done'));
+  conn.close();
+});
+
+await test('a database newer than the code is refused', () => {
+  const conn = new Database(':memory:');
+  migrate(conn);
+  conn.prepare('INSERT INTO schema_version (version, description) VALUES (?, ?)').run(SCHEMA_VERSION + 1, 'From the future');
+  assert.throws(() => migrate(conn), /newer than this wp-devdocs-mcp supports/);
+  conn.close();
+});
+
+// --- Watch mode ---
+
+console.log('\n--- Watch mode ---');
+
+const watchDir = join(tmpHome, 'watched');
+mkdirSync(join(watchDir, 'docs'), { recursive: true });
+writeFileSync(join(watchDir, 'main.php'), "<?php\ndo_action( 'watched_first' );\n");
+db.addSource({ name: 'watched', type: 'local-folder', local_path: watchDir });
+await indexSources({ sourceName: 'watched' });
+
+await test('indexSourceFiles re-indexes only the listed files and retires deleted ones', async () => {
+  writeFileSync(join(watchDir, 'main.php'), "<?php\ndo_action( 'watched_first' );\ndo_action( 'watched_second' );\n");
+  writeFileSync(join(watchDir, 'extra.php'), "<?php\ndo_action( 'watched_unlisted' );\n");
+  mkdirSync(join(watchDir, 'vendor'), { recursive: true });
+  writeFileSync(join(watchDir, 'vendor', 'lib.php'), "<?php\ndo_action( 'watched_vendor' );\n");
+
+  const stats = await indexSourceFiles('watched', ['main.php', 'vendor/lib.php', 'readme.txt']);
+  assert.equal(stats.files_processed, 1);
+  assert.equal(stats.hooks_inserted, 1);
+  assert.equal(db.validateHook('watched_second').status, 'VALID');
+  assert.equal(db.validateHook('watched_unlisted').status, 'NOT_FOUND');
+  assert.equal(db.validateHook('watched_vendor').status, 'NOT_FOUND');
+
+  rmSync(join(watchDir, 'main.php'));
+  const removed = await indexSourceFiles('watched', ['main.php']);
+  assert.equal(removed.files_deleted, 1);
+  assert.equal(db.validateHook('watched_second').status, 'REMOVED');
+});
+
+await test('indexSourceFiles re-indexes markdown of docs sources', async () => {
+  const docsDir = join(watchDir, 'docs');
+  writeFileSync(join(docsDir, 'intro.md'), '# Watched intro\n\nFirst draft.\n');
+  db.addSource({ name: 'watched-docs', type: 'local-folder', local_path: docsDir, content_type: 'docs' });
+  await indexSources({ sourceName: 'watched-docs' });
+
+  writeFileSync(join(docsDir, 'setup.md'), '# Watched setup\n\nInstall steps.\n');
+  rmSync(join(docsDir, 'intro.md'));
+  const stats = await indexSourceFiles('watched-docs', ['setup.md', 'intro.md']);
+  assert.equal(stats.docs_inserted, 1);
+  assert.equal(stats.docs_removed, 1);
+  assert.deepEqual(db.searchDocs('watched', { source: 'watched-docs' }).map(d => d.title), ['Watched setup']);
+});
+
+await test('the watcher debounces file changes into one re-index of the changed files', async () => {
+  const batches = [];
+  let scheduled = 0;
+  const watcher = await watchSources([db.getSource('watched'), db.getSource('git-tag')], {
+    debounceMs: 50,
+    onIndexed: (source, files, stats) => batches.push({ files: [...files].sort(), stats }),
+    schedule: (task) => {
+      scheduled++;
+      return task();
+    },
+  });
+  try {
+    assert.deepEqual(watcher.names(), ['watched']);
+    writeFileSync(join(watchDir, 'live.php'), "<?php\ndo_action( 'watched_live' );\n");
+    writeFileSync(join(watchDir, 'live.js'), "addAction( 'watched.live', 'ns', fn );\n");
+    writeFileSync(join(watchDir, 'notes.txt'), 'not indexed');
+    for (let i = 0; i < 100 && db.validateHook('watched.live').status !== 'VALID'; i++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  } finally {
+    await watcher.close();
+  }
+  assert.equal(db.validateHook('watched_live').status, 'VALID');
+  assert.equal(db.validateHook('watched.live').status, 'VALID');
+  assert.deepEqual(batches.flatMap(b => b.files).filter((f, i, all) => all.indexOf(f) === i).sort(), ['live.js', 'live.php']);
+  assert.equal(scheduled, batches.length);
+});
+
+// --- Project configuration ---
+
+console.log('\n--- Project configuration ---');
+
+const projectDir = join(tmpHome, 'block-plugin');
+mkdirSync(join(projectDir, 'src', 'blocks'), { recursive: true });
+writeFileSync(join(projectDir, 'src', 'blocks', 'render.php'), "<?php\ndo_action( 'block_plugin_render' );\n");
+writeFileSync(join(projectDir, '.wp-devdocs.json'), JSON.stringify({
+  sources: [{ name: 'store', version: '1.0.0' }],
+  localSources: [{ name: 'block-plugin', path: 'src' }],
+  defaults: { limit: 1, include_removed: true },
+}));
+
+await test('the project config is found from a subfolder and registers its local sources', async () => {
+  const configPath = findProjectConfig(join(projectDir, 'src', 'blocks'));
+  assert.equal(configPath, join(projectDir, '.wp-devdocs.json'));
+
+  const { registered, missing } = applyProjectConfig(loadProjectConfig(configPath));
+  assert.deepEqual(registered, ['block-plugin']);
+  assert.deepEqual(missing, []);
+  assert.equal(db.getSource('block-plugin').local_path, join(projectDir, 'src'));
+  await indexSources({ sourceNames: registered });
+});
+
+await test('a project scope limits lookups to its sources and versions', () => {
+  const hooks = db.searchHooks('store');
+  assert.ok(hooks.length > 0);
+  assert.ok(hooks.every(h => h.source_name === 'store@1.0.0'));
+  assert.equal(db.validateHook('store_legacy').status, 'VALID');
+  assert.equal(db.validateHook('block_plugin_render').status, 'VALID');
+  assert.equal(db.validateHook('woocommerce_before_order_notes').status, 'NOT_FOUND');
+
+  // An explicit source still reaches outside the project
+  assert.equal(db.searchHooks('woocommerce', { source: 'fixture' }).length > 0, true);
+});
+
+await test('project defaults fill in omitted tool arguments only', async () => {
+  const { z } = await import('zod');
+  const handler = withProjectDefaults({ query: z.string(), limit: z.number().optional() }, args => args);
+  assert.deepEqual(await handler({ query: 'x' }), { query: 'x', limit: 1 });
+  assert.deepEqual(await handler({ query: 'x', limit: 7 }), { query: 'x', limit: 7 });
+});
+
+await test('clearing the project restores the global scope', () => {
+  applyProjectConfig(null);
+  assert.equal(db.getSourceScope(), null);
+  assert.equal(db.validateHook('woocommerce_before_order_notes').status, 'VALID');
+  assert.throws(() => loadProjectConfig(join(projectDir, 'missing.json')), /Cannot read/);
+});
+
+// --- Cleanup ---
+
+db.closeDb();
+rmSync(tmpHome, { recursive: true, force: true });
+
+console.log(`\n${'='.repeat(40)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`${'='.repeat(40)}\n`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,684 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the source code parsers (PHP and JS).
+ * Run: node test/indexer-test.js
+ *
+ * Pure parser tests — no database or network required.
+ */
+
+import { strict as assert } from 'node:assert';
+
+import { parsePhpFile } from '../src/indexer/php-parser.js';
+import { parseDocblock } from '../src/indexer/docblock-parser.js';
+import { parseJsFile } from '../src/indexer/js-parser.js';
+import { parseBlockJson } from '../src/indexer/block-json-parser.js';
+import { createLineLocator } from '../src/indexer/parser-utils.js';
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  PASS: ${name}`);
+  } catch (err) {
+    failed++;
+    console.error(`  FAIL: ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+// --- PHP hook listeners ---
+
+console.log('\n--- PHP hook listeners ---');
+
+const listenerFixture = `<?php
+class WC_Cart_Session {
+  public function init() {
+    add_action( 'wp_loaded', array( $this, 'get_cart_from_session' ) );
+    add_filter( 'woocommerce_cart_item_price', array( $this, 'format_price' ), 20, 3 );
+    add_action( 'shutdown', function() {
+      do_action( 'woocommerce_cart_session_shutdown' );
+    }, PHP_INT_MAX );
+  }
+}
+
+remove_action( 'wp_head', 'wp_generator' );
+remove_filter( 'the_content', 'wpautop', 11 );
+if ( has_filter( 'the_content', 'wpautop' ) ) {}
+remove_all_filters( 'woocommerce_' . $type . '_price' );
+$wp_filter->add_filter( 'not_a_listener', 'x' );
+`;
+
+const { hooks: fixtureHooks, listeners } = parsePhpFile(listenerFixture, 'includes/class-wc-cart-session.php', 7);
+
+test('parsePhpFile returns hooks and listeners separately', () => {
+  assert.equal(fixtureHooks.length, 1);
+  assert.equal(fixtureHooks[0].name, 'woocommerce_cart_session_shutdown');
+  assert.equal(listeners.length, 7);
+});
+
+test('add_action records callback with default priority and accepted_args', () => {
+  const l = listeners.find(x => x.hook_name === 'wp_loaded');
+  assert.equal(l.listener_type, 'add_action');
+  assert.equal(l.callback, 'array( $this, \'get_cart_from_session\' )');
+  assert.equal(l.priority, '10');
+  assert.equal(l.accepted_args, 1);
+  assert.equal(l.php_function, 'init');
+  assert.equal(l.class_name, 'WC_Cart_Session');
+  assert.equal(l.line_number, 4);
+  assert.equal(l.source_id, 7);
+});
+
+test('add_filter records explicit priority and accepted_args', () => {
+  const l = listeners.find(x => x.hook_name === 'woocommerce_cart_item_price');
+  assert.equal(l.priority, '20');
+  assert.equal(l.accepted_args, 3);
+});
+
+test('closure callbacks are summarized and constant priorities kept verbatim', () => {
+  const l = listeners.find(x => x.hook_name === 'shutdown');
+  assert.equal(l.callback, '{closure}');
+  assert.equal(l.priority, 'PHP_INT_MAX');
+});
+
+test('remove_*, has_filter and remove_all_filters are captured', () => {
+  const types = listeners.map(l => l.listener_type);
+  assert.ok(types.includes('remove_action'));
+  assert.ok(types.includes('remove_filter'));
+  assert.ok(types.includes('has_filter'));
+  const removeAll = listeners.find(l => l.listener_type === 'remove_all_filters');
+  assert.equal(removeAll.hook_name, 'woocommerce_{dynamic}_price');
+  assert.equal(removeAll.is_dynamic, 1);
+  assert.equal(removeAll.callback, null);
+  assert.equal(listeners.find(l => l.listener_type === 'remove_filter').priority, '11');
+});
+
+test('listeners get keys that tell apart callbacks on the same line', () => {
+  const { listeners: sameLine } = parsePhpFile(`<?php
+add_action( 'init', 'first_cb' ); add_action( 'init', 'second_cb', 20 ); add_action( 'init', 'first_cb' );
+`, 'same-line.php', 1);
+  assert.deepEqual(sameLine.map(l => l.listener_key), [
+    "add_action:init>'first_cb'@::#0",
+    "add_action:init>'second_cb'@::#0",
+    "add_action:init>'first_cb'@::#1",
+  ]);
+});
+
+test('method calls on other objects are not treated as listeners', () => {
+  assert.ok(!listeners.some(l => l.hook_name === 'not_a_listener'));
+});
+
+test('double-quoted interpolation is stored as a {dynamic} placeholder', () => {
+  const { hooks } = parsePhpFile(`<?php
+do_action( "save_post_{$post->post_type}", $post_id );
+do_action( "woocommerce_{$type}_$status" );
+`, 'a.php', 1);
+  assert.deepEqual(hooks.map(h => h.name), ['save_post_{dynamic}', 'woocommerce_{dynamic}_{dynamic}']);
+  assert.ok(hooks.every(h => h.is_dynamic === 1));
+});
+
+// --- PHP deprecated hooks ---
+
+console.log('\n--- PHP deprecated hooks ---');
+
+const deprecatedFixture = `<?php
+$title = apply_filters_deprecated( 'old_title', array( $title, $post_id ), '6.1.0', 'the_title', __( 'Use the_title instead.', 'foo' ) );
+do_action_deprecated( 'old_init', [ $this ], '5.0.0' );
+`;
+
+const { hooks: deprecatedHooks } = parsePhpFile(deprecatedFixture, 'deprecated.php', 1);
+
+test('apply_filters_deprecated records version, replacement and message', () => {
+  const h = deprecatedHooks.find(x => x.name === 'old_title');
+  assert.equal(h.type, 'filter_deprecated');
+  assert.equal(h.deprecated_version, '6.1.0');
+  assert.equal(h.replacement_hook, 'the_title');
+  assert.equal(h.deprecation_message, 'Use the_title instead.');
+});
+
+test('deprecated hook params come from the $args array', () => {
+  const h = deprecatedHooks.find(x => x.name === 'old_title');
+  assert.equal(h.params, '$title, $post_id');
+  assert.equal(h.param_count, 2);
+});
+
+test('do_action_deprecated without replacement stores null', () => {
+  const h = deprecatedHooks.find(x => x.name === 'old_init');
+  assert.equal(h.type, 'action_deprecated');
+  assert.equal(h.deprecated_version, '5.0.0');
+  assert.equal(h.replacement_hook, null);
+  assert.equal(h.param_count, 1);
+});
+
+// --- Docblock parsing ---
+
+console.log('\n--- Docblock parsing ---');
+
+const priceFixture = `<?php
+class WC_Cart {
+  public function get_product_price( $product ) {
+    /**
+     * Filters the cart item price shown in the cart table.
+     *
+     * @since 2.1.0
+     * @since 3.0.0 Added the $cart_item_key parameter.
+     *
+     * @param string $price         Formatted product price,
+     *                              including currency symbol.
+     * @param array  $cart_item     Cart item data.
+     * @param string $cart_item_key Cart item key.
+     * @see wc_price()
+     */
+    return apply_filters( 'woocommerce_cart_item_price', $price, $cart_item, $cart_item_key );
+  }
+}
+`;
+
+const [priceHook] = parsePhpFile(priceFixture, 'includes/class-wc-cart.php', 1).hooks;
+
+test('full docblock is extracted even when longer than the lookup window', () => {
+  assert.ok(priceHook.docblock.startsWith('/**'));
+  assert.ok(priceHook.docblock.includes('Filters the cart item price'));
+});
+
+test('@since stores the first (introduction) version', () => {
+  assert.equal(priceHook.since_version, '2.1.0');
+});
+
+test('@param types, names and multi-line descriptions go into params_json', () => {
+  const params = JSON.parse(priceHook.params_json);
+  assert.equal(params.length, 3);
+  assert.deepEqual(params[0], {
+    type: 'string',
+    name: '$price',
+    description: 'Formatted product price, including currency symbol.',
+  });
+  assert.equal(params[2].name, '$cart_item_key');
+});
+
+test('filters without @return use the first param type as return_type', () => {
+  assert.equal(priceHook.return_type, 'string');
+  assert.equal(priceHook.see, 'wc_price()');
+  assert.equal(priceHook.deprecated, null);
+});
+
+test('parseDocblock handles JSDoc types, @return, @deprecated and hash notation', () => {
+  const doc = parseDocblock(`/**
+ * Filters block settings.
+ *
+ * @param {Object} settings Block settings.
+ * @param {string} name     Block name.
+ * @param array $args {
+ *     Optional. Arguments.
+ *
+ *     @type string $key Key.
+ * }
+ * @return {Object} Filtered settings.
+ * @deprecated 6.5.0 Use blocks.registerBlockType instead.
+ */`);
+  assert.equal(doc.summary, 'Filters block settings.');
+  assert.deepEqual(doc.params.map(p => [p.type, p.name]), [['Object', 'settings'], ['string', 'name'], ['array', '$args']]);
+  assert.ok(doc.params[2].description.includes('@type string $key'));
+  assert.equal(doc.returnType, 'Object');
+  assert.equal(doc.deprecated, '6.5.0 Use blocks.registerBlockType instead.');
+});
+
+test('actions have no return_type', () => {
+  const { hooks } = parsePhpFile(`<?php
+/**
+ * Fires after init.
+ *
+ * @param WP $wp Current WordPress environment instance.
+ */
+do_action( 'after_init', $wp );
+`, 'a.php', 1);
+  assert.equal(hooks[0].return_type, null);
+  assert.equal(JSON.parse(hooks[0].params_json)[0].type, 'WP');
+});
+
+// --- Hook identity ---
+
+console.log('\n--- Hook identity ---');
+
+test('hook keys use scope and ordinal, not line numbers', () => {
+  const src = `<?php
+function a() {
+  do_action( 'x' );
+  do_action( 'x' );
+}
+class B {
+  function run() { do_action( 'x' ); }
+}
+do_action( 'x' );
+`;
+  const keys = parsePhpFile(src, 'f.php', 1).hooks.map(h => h.hook_key);
+  assert.deepEqual(keys, ['action:x@::a#0', 'action:x@::a#1', 'action:x@B::run#0', 'action:x@::#0']);
+
+  const shifted = parsePhpFile(src.replace('<?php\n', '<?php\n// header\n\n'), 'f.php', 1).hooks;
+  assert.deepEqual(shifted.map(h => h.hook_key), keys);
+  assert.equal(shifted[0].line_number, 5);
+});
+
+// --- PHP tokenizer ---
+
+console.log('\n--- PHP tokenizer ---');
+
+test('hooks in comments, strings, heredocs and inline HTML are not indexed', () => {
+  const { hooks, listeners } = parsePhpFile(`<h1>do_action( 'html_hook' )</h1>
+<?php
+// do_action( 'line_comment_hook' );
+# apply_filters( 'hash_comment_hook', $x );
+/* do_action( 'block_comment_hook' ); */
+/**
+ * Example:
+ *     do_action( 'docblock_example_hook' );
+ */
+$sql = "SELECT * FROM t WHERE x = 'do_action( \\'string_hook\\' )'";
+$s = 'add_action( \\'string_listener\\', \\'cb\\' )';
+$h = <<<EOT
+  do_action( 'heredoc_hook' );
+  EOT;
+$n = <<<'EOT'
+apply_filters( 'nowdoc_hook', 1 );
+EOT;
+do_action( 'real_hook' );
+?>
+<p>apply_filters( 'trailing_html_hook', 1 )</p>
+`, 'noise.php', 1);
+  assert.deepEqual(hooks.map(h => h.name), ['real_hook']);
+  assert.equal(hooks[0].line_number, 18);
+  assert.equal(listeners.length, 0);
+});
+
+test('class and function scope end where their braces close', () => {
+  const { hooks } = parsePhpFile(`<?php
+namespace Acme\\Shop;
+
+class Cart {
+  public function add() {
+    $cb = function () {
+      do_action( 'in_closure' );
+    };
+    if ( true ) { do_action( 'in_method' ); }
+  }
+  abstract protected function total();
+}
+
+function helper() {
+  \\do_action( 'in_function' );
+}
+
+do_action( 'top_level' );
+`, 'scope.php', 1);
+  const byName = Object.fromEntries(hooks.map(h => [h.name, h]));
+  assert.deepEqual([byName.in_closure.class_name, byName.in_closure.php_function], ['Cart', 'add']);
+  assert.deepEqual([byName.in_method.class_name, byName.in_method.php_function], ['Cart', 'add']);
+  assert.deepEqual([byName.in_function.class_name, byName.in_function.php_function], [null, 'helper']);
+  assert.deepEqual([byName.top_level.class_name, byName.top_level.php_function], [null, null]);
+  assert.equal(byName.top_level.line_number, 18);
+});
+
+test('method and static calls named like hook functions are ignored', () => {
+  const { hooks } = parsePhpFile(`<?php
+$this->do_action( 'method_call' );
+Foo::apply_filters( 'static_call', 1 );
+function do_action( $name ) {}
+`, 'calls.php', 1);
+  assert.equal(hooks.length, 0);
+});
+
+test('long arguments are parsed without a length limit', () => {
+  const body = Array.from({ length: 200 }, (_, i) => `    $value_${i} = compute( ${i} );`).join('\n');
+  const { hooks, listeners } = parsePhpFile(`<?php
+add_filter( 'long_filter', function ( $value ) {
+${body}
+    return apply_filters( 'inner_hook', $value );
+}, 99, 2 );
+`, 'long.php', 1);
+  const l = listeners.find(x => x.hook_name === 'long_filter');
+  assert.equal(l.priority, '99');
+  assert.equal(l.accepted_args, 2);
+  assert.equal(hooks[0].name, 'inner_hook');
+  assert.equal(hooks[0].line_number, 203);
+});
+
+// --- PHP symbols ---
+
+console.log('\n--- PHP symbols ---');
+
+const symbolFixture = `<?php
+namespace Acme\\Orders;
+
+/**
+ * Order object.
+ */
+abstract class Order extends \\WC_Abstract_Order implements \\ArrayAccess, Countable {
+  /**
+   * Get an order item.
+   *
+   * @since 3.0.0
+   * @param int    $item_id Item ID.
+   * @param string $type    Item type.
+   * @return WC_Order_Item|false
+   */
+  public function get_item( $item_id, string $type = '' ) {
+    $fn = function ( $x ) { return $x; };
+    return false;
+  }
+
+  final public static function create(array &$data = array(), ...$rest): ?static {}
+
+  abstract protected function total(): float;
+}
+
+$anon = new class {
+  public function hidden() {}
+};
+
+if ( ! function_exists( 'acme_get_order' ) ) {
+  function acme_get_order( $id ) {}
+}
+
+interface Payable extends Countable, \\JsonSerializable {}
+trait Loggable {}
+`;
+
+const { symbols } = parsePhpFile(symbolFixture, 'src/Order.php', 1);
+const symbol = (qualified) => symbols.find(s => s.qualified_name === qualified);
+
+test('classes, methods, functions, interfaces and traits are extracted with namespaces', () => {
+  assert.deepEqual(symbols.map(s => `${s.kind}:${s.qualified_name}`), [
+    'class:Acme\\Orders\\Order',
+    'method:Acme\\Orders\\Order::get_item',
+    'method:Acme\\Orders\\Order::create',
+    'method:Acme\\Orders\\Order::total',
+    'function:Acme\\Orders\\acme_get_order',
+    'interface:Acme\\Orders\\Payable',
+    'trait:Acme\\Orders\\Loggable',
+  ]);
+});
+
+test('class records parent class and interfaces', () => {
+  const cls = symbol('Acme\\Orders\\Order');
+  assert.equal(cls.parent_class, 'WC_Abstract_Order');
+  assert.equal(cls.interfaces, 'ArrayAccess, Countable');
+  assert.equal(cls.is_abstract, 1);
+  assert.equal(cls.summary, 'Order object.');
+  assert.equal(cls.line_number, 7);
+});
+
+test('method signature merges declared and docblock types', () => {
+  const m = symbol('Acme\\Orders\\Order::get_item');
+  assert.equal(m.class_name, 'Order');
+  assert.equal(m.visibility, 'public');
+  assert.equal(m.signature, "public function get_item(int $item_id, string $type = ''): WC_Order_Item|false");
+  assert.equal(m.param_count, 2);
+  assert.equal(m.required_param_count, 1);
+  assert.equal(m.since_version, '3.0.0');
+  assert.equal(JSON.parse(m.params_json)[0].description, 'Item ID.');
+});
+
+test('modifiers, by-reference, variadic and return types are recorded', () => {
+  const m = symbol('Acme\\Orders\\Order::create');
+  assert.equal(m.signature, 'final public static function create(array &$data = array(), ...$rest): ?static');
+  assert.equal(m.is_static, 1);
+  assert.equal(m.is_final, 1);
+  assert.equal(m.required_param_count, 0);
+  const total = symbol('Acme\\Orders\\Order::total');
+  assert.equal(total.visibility, 'protected');
+  assert.equal(total.return_type, 'float');
+});
+
+test('closures and anonymous class methods are not symbols', () => {
+  assert.ok(!symbols.some(s => s.name === 'hidden'));
+  assert.equal(symbols.filter(s => s.kind === 'method').length, 3);
+});
+
+test('promoted constructor parameters keep their modifiers', () => {
+  const { symbols: promoted } = parsePhpFile(`<?php
+class Money {
+  public function __construct( private int $amount, protected readonly ?string $currency = null ) {}
+}
+`, 'src/Money.php', 1);
+  const ctor = promoted.find(s => s.qualified_name === 'Money::__construct');
+  assert.equal(ctor.signature, 'public function __construct(private int $amount, protected readonly ?string $currency = null)');
+  assert.deepEqual(JSON.parse(ctor.params_json).map(p => p.modifiers), [['private'], ['protected', 'readonly']]);
+  assert.equal(ctor.required_param_count, 1);
+});
+
+// --- PHP REST routes ---
+
+console.log('\n--- PHP REST routes ---');
+
+const restFixture = `<?php
+class WC_REST_Orders_Controller extends WC_REST_Controller {
+  protected $namespace = 'wc/v3';
+  protected $rest_base = 'orders';
+
+  public function register_routes() {
+    register_rest_route(
+      $this->namespace,
+      '/' . $this->rest_base . '/(?P<id>[\\d]+)',
+      array(
+        'args'   => array(
+          'id' => array(
+            'description' => __( 'Unique identifier for the resource.', 'woocommerce' ),
+            'type'        => 'integer',
+          ),
+        ),
+        array(
+          'methods'             => WP_REST_Server::READABLE,
+          'callback'            => array( $this, 'get_item' ),
+          'permission_callback' => array( $this, 'get_item_permissions_check' ),
+          'args'                => array( 'context' => array( 'type' => 'string', 'enum' => array( 'view', 'edit' ) ) ),
+        ),
+        array(
+          'methods'  => WP_REST_Server::EDITABLE,
+          'callback' => array( $this, 'update_item' ),
+          'args'     => $this->get_endpoint_args_for_item_schema( WP_REST_Server::EDITABLE ),
+        ),
+        'schema' => array( $this, 'get_public_item_schema' ),
+      )
+    );
+  }
+}
+
+register_rest_route( 'myplugin/v1', "/author/{$slug}", array(
+  'methods'  => 'GET,post',
+  'callback' => 'my_author_func',
+) );
+`;
+
+const { restRoutes } = parsePhpFile(restFixture, 'includes/class-wc-rest-orders-controller.php', 1);
+
+test('controller routes resolve $this->namespace and $this->rest_base', () => {
+  assert.equal(restRoutes.length, 3);
+  assert.equal(restRoutes[0].full_route, '/wc/v3/orders/(?P<id>[\\d]+)');
+  assert.equal(restRoutes[0].namespace, 'wc/v3');
+  assert.equal(restRoutes[0].class_name, 'WC_REST_Orders_Controller');
+  assert.equal(restRoutes[0].line_number, 7);
+});
+
+test('each endpoint gets its methods, callbacks and schema callback', () => {
+  assert.deepEqual(restRoutes.map(r => r.methods), ['GET', 'POST, PUT, PATCH', 'GET, POST']);
+  assert.equal(restRoutes[0].callback, "array( $this, 'get_item' )");
+  assert.equal(restRoutes[0].permission_callback, "array( $this, 'get_item_permissions_check' )");
+  assert.equal(restRoutes[1].permission_callback, null);
+  assert.equal(restRoutes[0].schema_callback, "array( $this, 'get_public_item_schema' )");
+});
+
+test('literal args are stored as JSON merged with the shared args', () => {
+  const args = JSON.parse(restRoutes[0].args_json);
+  assert.deepEqual(Object.keys(args), ['id', 'context']);
+  assert.equal(args.id.description, 'Unique identifier for the resource.');
+  assert.deepEqual(args.context.enum, ['view', 'edit']);
+});
+
+test('non-literal args keep their expression', () => {
+  assert.equal(restRoutes[1].args_source, '$this->get_endpoint_args_for_item_schema( WP_REST_Server::EDITABLE )');
+  assert.deepEqual(Object.keys(JSON.parse(restRoutes[1].args_json)), ['id']);
+});
+
+test('unresolvable route parts are {dynamic}', () => {
+  assert.equal(restRoutes[2].full_route, '/myplugin/v1/author/{dynamic}');
+  assert.equal(restRoutes[2].is_dynamic, 1);
+  assert.equal(restRoutes[2].class_name, null);
+});
+
+// --- Block metadata ---
+
+console.log('\n--- Block metadata ---');
+
+test('block.json fields are stored with attributes and supports as JSON', () => {
+  const block = parseBlockJson(`{
+  "apiVersion": 3,
+  "name": "acme/card",
+  "title": "Card",
+  "category": "design",
+  "ancestor": [ "acme/deck" ],
+  "usesContext": [ "postId" ],
+  "providesContext": { "acme/cardId": "cardId" },
+  "attributes": { "size": { "type": "string", "default": "m" } },
+  "supports": { "html": false },
+  "editorScript": "file:./index.js",
+  "viewScriptModule": [ "file:./view.js", "acme-shared" ],
+  "render": "file:./render.php"
+}`, 'blocks/card/block.json', 1);
+
+  assert.equal(block.block_name, 'acme/card');
+  assert.equal(block.line_number, 3);
+  assert.equal(block.registration_kind, 'block.json');
+  assert.equal(block.metadata_file, 'blocks/card/block.json');
+  assert.equal(block.api_version, 3);
+  assert.deepEqual(JSON.parse(block.block_attributes), { size: { type: 'string', default: 'm' } });
+  assert.deepEqual(JSON.parse(block.supports), { html: false });
+  assert.deepEqual(JSON.parse(block.ancestor_blocks), ['acme/deck']);
+  assert.equal(block.parent_blocks, null);
+  assert.deepEqual(JSON.parse(block.provides_context), { 'acme/cardId': 'cardId' });
+  assert.equal(block.view_script_module, 'file:./view.js, acme-shared');
+  assert.equal(block.render, 'file:./render.php');
+});
+
+test('block.json without a name is skipped and invalid JSON throws', () => {
+  assert.equal(parseBlockJson('{ "title": "No name" }', 'block.json', 1), null);
+  assert.throws(() => parseBlockJson('{ "name": ', 'block.json', 1), /Invalid block\.json/);
+});
+
+test('registerBlockType attributes and supports are converted to JSON', () => {
+  const { blocks } = parseJsFile(`registerBlockType( 'acme/note', {
+  title: 'Note',
+  attributes: {
+    text: { type: 'string', default: "it's" }, // comment
+    align: { type: 'string', enum: [ 'left', 'right', ], },
+  },
+  supports: { html: false },
+  edit: () => null,
+} );
+registerBlockType( 'acme/computed', { attributes: { label: { default: __( 'Hi' ) } } } );
+`, 'src/note.js', 1);
+
+  assert.deepEqual(JSON.parse(blocks[0].block_attributes), {
+    text: { type: 'string', default: "it's" },
+    align: { type: 'string', enum: ['left', 'right'] },
+  });
+  assert.equal(blocks[0].supports, '{"html":false}');
+  assert.equal(blocks[0].registration_kind, 'registerBlockType');
+  assert.equal(blocks[1].block_attributes, "{ label: { default: __( 'Hi' ) } }");
+});
+
+test('registerBlockType with imported block.json records the metadata file', () => {
+  const { blocks } = parseJsFile(`import metadata from './block.json';
+import { name as noteName } from '../note/block.json';
+const settings = require( './block.json' );
+const { name } = metadata;
+registerBlockType( metadata, { edit } );
+registerBlockType( metadata.name, { edit } );
+registerBlockType( name, { edit } );
+registerBlockType( noteName, { edit } );
+registerBlockType( settings, { edit } );
+registerBlockType( unknownName, { edit } );
+`, 'src/blocks/card/index.js', 1);
+
+  assert.deepEqual(blocks.map(b => b.metadata_file), [
+    'src/blocks/card/block.json',
+    'src/blocks/card/block.json',
+    'src/blocks/card/block.json',
+    'src/blocks/note/block.json',
+    'src/blocks/card/block.json',
+  ]);
+  assert.ok(blocks.every(b => b.block_name === null));
+});
+
+// --- PHP block registrations ---
+
+console.log('\n--- PHP block registrations ---');
+
+const { blocks: phpBlocks } = parsePhpFile(`<?php
+register_block_type( __DIR__ . '/build/card' );
+register_block_type_from_metadata( plugin_dir_path( __FILE__ ) . 'blocks/note/block.json' );
+register_block_type( 'acme/dynamic', array(
+  'render_callback' => array( $this, 'render' ),
+  'attributes'      => array( 'count' => array( 'type' => 'number', 'default' => 3 ) ),
+  'editor_script'   => 'acme-editor',
+) );
+register_block_type( __DIR__ . '/build/' . $name );
+register_block_pattern( 'acme/hero', array( 'title' => __( 'Hero', 'acme' ), 'categories' => array( 'featured', 'banner' ) ) );
+register_block_style( array( 'core/quote', 'core/pullquote' ), array( 'name' => 'fancy', 'label' => __( 'Fancy' ) ) );
+register_block_pattern_category( 'acme', array( 'label' => 'Acme' ) );
+`, 'inc/blocks.php', 1);
+
+test('block.json paths are resolved relative to the source', () => {
+  assert.equal(phpBlocks[0].registration_kind, 'register_block_type');
+  assert.equal(phpBlocks[0].metadata_file, 'inc/build/card/block.json');
+  assert.equal(phpBlocks[0].block_name, null);
+  assert.equal(phpBlocks[1].registration_kind, 'register_block_type_from_metadata');
+  assert.equal(phpBlocks[1].metadata_file, 'inc/blocks/note/block.json');
+});
+
+test('register_block_type with a name records render_callback, attributes and scripts', () => {
+  assert.equal(phpBlocks[2].block_name, 'acme/dynamic');
+  assert.equal(phpBlocks[2].render_callback, "array( $this, 'render' )");
+  assert.deepEqual(JSON.parse(phpBlocks[2].block_attributes), { count: { type: 'number', default: 3 } });
+  assert.equal(phpBlocks[2].editor_script, 'acme-editor');
+});
+
+test('paths computed at runtime are skipped', () => {
+  assert.equal(phpBlocks.filter(b => b.registration_kind.startsWith('register_block_type')).length, 3);
+});
+
+test('patterns, styles and pattern categories are recorded with their kind', () => {
+  const rest = phpBlocks.slice(3).map(b => [b.registration_kind, b.block_name, b.block_title, b.block_category]);
+  assert.deepEqual(rest, [
+    ['register_block_pattern', 'acme/hero', 'Hero', 'featured, banner'],
+    ['register_block_style', 'core/quote', 'Fancy', null],
+    ['register_block_style', 'core/pullquote', 'Fancy', null],
+    ['register_block_pattern_category', 'acme', 'Acme', null],
+  ]);
+});
+
+// --- Line numbers ---
+
+console.log('\n--- Line numbers ---');
+
+test('createLineLocator maps offsets to 1-based lines', () => {
+  const content = 'one\ntwo\n\nfour';
+  const lineAt = createLineLocator(content);
+  assert.deepEqual([0, 3, 4, 7, 8, 9, content.length].map(lineAt), [1, 1, 2, 2, 3, 4, 4]);
+  assert.equal(createLineLocator('')(0), 1);
+});
+
+test('JS hooks far down a large file get their line', () => {
+  const content = 'const x = 1;\n'.repeat(20000) + "addAction( 'late.hook', 'ns', fn );\n";
+  assert.equal(parseJsFile(content, 'big.js', 1).hooks[0].line_number, 20001);
+});
+
+// --- Summary ---
+
+console.log(`\n${'='.repeat(40)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log(`${'='.repeat(40)}\n`);
+
+process.exit(failed > 0 ? 1 : 0);